@@ -0,0 +1,24 @@
+import isBinary from "../binary";
+
+describe("The isBinary() function", () => {
+  it("should return true for a Buffer", () => {
+    expect(isBinary(Buffer.from("abc"))).toBe(true);
+  });
+
+  it("should return true for an ArrayBuffer", () => {
+    expect(isBinary(new ArrayBuffer(3))).toBe(true);
+  });
+
+  it("should return true for a Uint8Array", () => {
+    expect(isBinary(new Uint8Array(3))).toBe(true);
+  });
+
+  it("should return false for other values", () => {
+    expect(isBinary("abc")).toBe(false);
+    expect(isBinary(new Uint16Array(3))).toBe(false);
+    expect(isBinary([1, 2, 3])).toBe(false);
+    expect(isBinary({})).toBe(false);
+    expect(isBinary(null)).toBe(false);
+    expect(isBinary(undefined)).toBe(false);
+  });
+});
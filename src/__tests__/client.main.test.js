@@ -1,6 +1,7 @@
 import _ from "lodash";
 import check from "check-types";
 import emitter from "component-emitter";
+import transportWrapper from "feedme-client/transportwrapper";
 import promisify from "promisify-function";
 import client from "../client.main";
 import clientConfig from "../client.config";
@@ -43,12 +44,22 @@ State: Object members
   ._options
   ._heartbeatInterval
   ._heartbeatTimeout
+  ._reconnectTimeout
+  ._connectTimeout
+  ._pendingHeaders
+  ._reconnectAttempts
+  ._latency
+  ._wsOptions
+  ._sessionPending
+  ._session
 
 1. State-modifying functionality
   Triggered by library
     client()
     client.connect()
     client.disconnect([err])
+    client.connectAsync([options])
+    client.disconnectAsync([err])
     client.send(cid, msg)
   Triggered by ws
     client._processWsOpen()
@@ -56,6 +67,9 @@ State: Object members
     client._processWsPong()
     client._processWsClose()
     client._processWsError()
+  Triggered by timers
+    Reconnect timeout
+    Connection timeout
 
 2. State-getting functionality
     .state()
@@ -150,17 +164,20 @@ harnessProto.createClientListener = function createClientListener() {
     connect: jest.fn(),
     message: jest.fn(),
     disconnect: jest.fn(),
+    reconnecting: jest.fn(),
   };
   l.mockClear = () => {
     l.connecting.mockClear();
     l.connect.mockClear();
     l.message.mockClear();
     l.disconnect.mockClear();
+    l.reconnecting.mockClear();
   };
   this.client.on("connecting", l.connecting);
   this.client.on("connect", l.connect);
   this.client.on("message", l.message);
   this.client.on("disconnect", l.disconnect);
+  this.client.on("reconnecting", l.reconnecting);
   return l;
 };
 
@@ -173,6 +190,14 @@ harnessProto.getClientState = function getClientState() {
   state._options = _.clone(this.client._options); // Object copy
   state._heartbeatInterval = !!this.client._heartbeatInterval; // Boolean
   state._heartbeatTimeout = !!this.client._heartbeatTimeout; // Boolean
+  state._reconnectTimeout = !!this.client._reconnectTimeout; // Boolean
+  state._connectTimeout = !!this.client._connectTimeout; // Boolean
+  state._pendingHeaders = !!this.client._pendingHeaders; // Boolean
+  state._reconnectAttempts = this.client._reconnectAttempts; // Number
+  state._latency = {
+    pingSentAt: this.client._latency.pingSentAt !== null, // Boolean
+    samples: this.client._latency.samples.slice(), // Array copy
+  };
   return state;
 };
 
@@ -264,6 +289,65 @@ const toHaveState = function toHaveState(receivedClient, expectedState) {
     };
   }
 
+  // Check _reconnectTimeout (truthy or falsy - timer ids are objects in Node)
+  if (
+    !!receivedClient._reconnectTimeout !== !!expectedState._reconnectTimeout
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._reconnectTimeout to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _connectTimeout (truthy or falsy - timer ids are objects in Node)
+  if (!!receivedClient._connectTimeout !== !!expectedState._connectTimeout) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._connectTimeout to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _pendingHeaders (both set or both null)
+  if (!!receivedClient._pendingHeaders !== !!expectedState._pendingHeaders) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._pendingHeaders to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _reconnectAttempts
+  if (receivedClient._reconnectAttempts !== expectedState._reconnectAttempts) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._reconnectAttempts to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _latency (outstanding ping or not, and samples)
+  if (
+    !!_.get(receivedClient, "_latency.pingSentAt") !==
+      !!_.get(expectedState, "_latency.pingSentAt") ||
+    !_.isEqual(
+      _.get(receivedClient, "_latency.samples"),
+      _.get(expectedState, "_latency.samples"),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._latency to match, but they didn't";
+      },
+    };
+  }
+
   // Match
   return { pass: true };
 };
@@ -349,6 +433,72 @@ describe("The toHaveState() function", () => {
         "expected ._heartbeatTimeout to match, but they didn't",
       );
     });
+
+    it("should fail if _reconnectTimeout doesn't match", () => {
+      const result = toHaveState(
+        { _reconnectTimeout: 123 },
+        { _reconnectTimeout: false },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._reconnectTimeout to match, but they didn't",
+      );
+    });
+
+    it("should fail if _connectTimeout doesn't match", () => {
+      const result = toHaveState(
+        { _connectTimeout: 123 },
+        { _connectTimeout: false },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._connectTimeout to match, but they didn't",
+      );
+    });
+
+    it("should fail if _pendingHeaders doesn't match", () => {
+      const result = toHaveState(
+        { _pendingHeaders: {} },
+        { _pendingHeaders: false },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._pendingHeaders to match, but they didn't",
+      );
+    });
+
+    it("should fail if _latency.pingSentAt doesn't match", () => {
+      const result = toHaveState(
+        { _latency: { pingSentAt: 123, samples: [] } },
+        { _latency: { pingSentAt: false, samples: [] } },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._latency to match, but they didn't",
+      );
+    });
+
+    it("should fail if _latency.samples doesn't match", () => {
+      const result = toHaveState(
+        { _latency: { pingSentAt: null, samples: [1] } },
+        { _latency: { pingSentAt: null, samples: [] } },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._latency to match, but they didn't",
+      );
+    });
+
+    it("should fail if _reconnectAttempts doesn't match", () => {
+      const result = toHaveState(
+        { _reconnectAttempts: 1 },
+        { _reconnectAttempts: 0 },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._reconnectAttempts to match, but they didn't",
+      );
+    });
   });
 
   describe("can pass", () => {
@@ -407,6 +557,46 @@ describe("The toHaveState() function", () => {
       );
       expect(result.pass).toBe(true);
     });
+
+    it("should pass if _reconnectTimeout matches", () => {
+      const result = toHaveState(
+        { _reconnectTimeout: 123 },
+        { _reconnectTimeout: true },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _connectTimeout matches", () => {
+      const result = toHaveState(
+        { _connectTimeout: 123 },
+        { _connectTimeout: true },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _pendingHeaders matches", () => {
+      const result = toHaveState(
+        { _pendingHeaders: {} },
+        { _pendingHeaders: true },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _latency matches", () => {
+      const result = toHaveState(
+        { _latency: { pingSentAt: 123, samples: [1, 2] } },
+        { _latency: { pingSentAt: true, samples: [1, 2] } },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _reconnectAttempts matches", () => {
+      const result = toHaveState(
+        { _reconnectAttempts: 1 },
+        { _reconnectAttempts: 1 },
+      );
+      expect(result.pass).toBe(true);
+    });
   });
 });
 
@@ -501,6 +691,192 @@ describe("The client() factory function", () => {
       );
     });
 
+    it("should throw on invalid options.protocols", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          protocols: ["feedme", "other"],
+        });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.binary", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          binary: "junk",
+        });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.binary argument."),
+      );
+    });
+
+    it("should throw on invalid options.headers", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          headers: "junk",
+        });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.headers argument."),
+      );
+    });
+
+    it("should throw on invalid options.connectTimeoutMs - type", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          connectTimeoutMs: "junk",
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.connectTimeoutMs - zero", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          connectTimeoutMs: 0,
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.reconnect", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          reconnect: "junk",
+        });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.reconnect argument."),
+      );
+    });
+
+    it("should throw on invalid options.reconnect.initialDelayMs", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          reconnect: { initialDelayMs: -1 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.reconnect.initialDelayMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.reconnect.multiplier", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          reconnect: { multiplier: 0.5 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.reconnect.multiplier argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.reconnect.maxDelayMs", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          reconnect: { initialDelayMs: 10, maxDelayMs: 5 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.reconnect.maxDelayMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.reconnect.jitter", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          reconnect: { jitter: 1.5 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.reconnect.jitter argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.reconnect.maxAttempts", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", {
+          reconnect: { maxAttempts: 1.5 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.reconnect.maxAttempts argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.resume", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { resume: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.resume argument."),
+      );
+    });
+
+    it("should throw on invalid options.resume.timeoutMs", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { resume: { timeoutMs: 0 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.resume.timeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.resume.retryMs", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { resume: { retryMs: "junk" } });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.resume.retryMs argument."),
+      );
+    });
+
+    it("should throw on invalid options.resume.maxMessages", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { resume: { maxMessages: 1.5 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.resume.maxMessages argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.metrics", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { metrics: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.metrics argument."),
+      );
+    });
+
+    it("should throw on invalid options.metrics.prefix", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { metrics: { prefix: "a b" } });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.metrics.prefix argument."),
+      );
+    });
+
+    it("should throw on invalid options.metrics.buckets", () => {
+      expect(() => {
+        client(() => {}, "ws://localhost", { metrics: { buckets: [] } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.metrics.buckets argument.",
+        ),
+      );
+    });
+
     it("should throw on invalid options.heartbeatTimeoutMs - heartbeat disabled", () => {
       expect(() => {
         client(() => {}, "ws://localhost", {
@@ -533,6 +909,11 @@ describe("The client() factory function", () => {
         },
         _heartbeatInterval: null,
         _heartbeatTimeout: null,
+        _reconnectTimeout: null,
+        _connectTimeout: null,
+        _pendingHeaders: null,
+        _reconnectAttempts: 0,
+        _latency: { pingSentAt: null, samples: [] },
       });
     });
 
@@ -553,6 +934,11 @@ describe("The client() factory function", () => {
         },
         _heartbeatInterval: null,
         _heartbeatTimeout: null,
+        _reconnectTimeout: null,
+        _connectTimeout: null,
+        _pendingHeaders: null,
+        _reconnectAttempts: 0,
+        _latency: { pingSentAt: null, samples: [] },
       });
     });
 
@@ -575,7 +961,40 @@ describe("The client() factory function", () => {
         },
         _heartbeatInterval: null,
         _heartbeatTimeout: null,
+        _reconnectTimeout: null,
+        _connectTimeout: null,
+        _pendingHeaders: null,
+        _reconnectAttempts: 0,
+        _latency: { pingSentAt: null, samples: [] },
+      });
+    });
+
+    it("should initialize the state correctly - reconnect enabled with defaults", () => {
+      const f = () => {};
+      const c = client(f, "ws://localhost", {
+        reconnect: true,
+      });
+      expect(c._options.reconnect).toEqual(clientConfig.defaults.reconnect);
+    });
+
+    it("should initialize the state correctly - reconnect enabled with custom settings", () => {
+      const f = () => {};
+      const c = client(f, "ws://localhost", {
+        reconnect: { initialDelayMs: 10, maxAttempts: 3 },
+      });
+      expect(c._options.reconnect).toEqual({
+        ...clientConfig.defaults.reconnect,
+        initialDelayMs: 10,
+        maxAttempts: 3,
+      });
+    });
+
+    it("should initialize the state correctly - reconnect disabled", () => {
+      const f = () => {};
+      const c = client(f, "ws://localhost", {
+        reconnect: false,
       });
+      expect(c._options.reconnect).toBe(false);
     });
 
     // Function calls - N/A
@@ -867,7 +1286,116 @@ describe("The client.disconnect() function", () => {
   });
 });
 
-describe("The client.send() function", () => {
+describe("The client.connectAsync() function", () => {
+  it("should throw on invalid options", () => {
+    const harn = harness("ws://localhost");
+    expect(() => {
+      harn.client.connectAsync({ timeoutMs: "junk" });
+    }).toThrow(
+      new Error("INVALID_ARGUMENT: Invalid options.timeoutMs argument."),
+    );
+  });
+
+  it("should reject if not disconnected", async () => {
+    const harn = harness("ws://localhost");
+    harn.client.connect();
+    await expect(harn.client.connectAsync()).rejects.toThrow(
+      new Error("INVALID_STATE: Already connecting or connected."),
+    );
+  });
+
+  it("should resolve when the client connects", async () => {
+    const harn = harness("ws://localhost");
+    const promise = harn.client.connectAsync();
+    expect(harn.client.state()).toBe("connecting");
+    await promisify(process.nextTick)();
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+    await expect(promise).resolves.toBe(undefined);
+    expect(harn.client.state()).toBe("connected");
+  });
+
+  it("should reject with the transport error if the connection fails", async () => {
+    const harn = harness("ws://localhost");
+    const promise = harn.client.connectAsync();
+    await promisify(process.nextTick)();
+    harn.getWs().readyState = harn.getWs().CLOSED;
+    harn.getWs().emit("close", 1006, "");
+    const err = await promise.catch((e) => e);
+    expect(err).toBeInstanceOf(Error);
+    expect(err.message).toBe("FAILURE: The WebSocket could not be opened.");
+  });
+
+  it("should reject if client.disconnect() is called before connecting", async () => {
+    const harn = harness("ws://localhost");
+    const promise = harn.client.connectAsync();
+    harn.client.disconnect();
+    await expect(promise).rejects.toThrow(
+      new Error("ABORTED: The client was disconnected before it connected."),
+    );
+  });
+
+  it("should not observe events queued by a previous connection", async () => {
+    const harn = harness("ws://localhost");
+    harn.client.connect();
+    harn.client.disconnect(); // Disconnect event queued
+    const promise = harn.client.connectAsync();
+    await promisify(process.nextTick)();
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+    await expect(promise).resolves.toBe(undefined);
+  });
+
+  it("should disconnect and reject if the signal is aborted", async () => {
+    const harn = harness("ws://localhost");
+    const controller = new AbortController();
+    const listener = harn.createClientListener();
+    const promise = harn.client.connectAsync({ signal: controller.signal });
+    controller.abort();
+    await expect(promise).rejects.toThrow(
+      new Error("ABORTED: The operation was aborted."),
+    );
+    expect(harn.client.state()).toBe("disconnected");
+    await promisify(process.nextTick)();
+    expect(listener.disconnect.mock.calls).toEqual([[]]);
+  });
+
+  it("should disconnect and reject if the timeout elapses", async () => {
+    const harn = harness("ws://localhost");
+    const listener = harn.createClientListener();
+    const promise = harn.client.connectAsync({ timeoutMs: 1000 });
+    await promisify(process.nextTick)();
+    jest.advanceTimersByTime(1000);
+    await expect(promise).rejects.toThrow(
+      new Error("FAILURE: Connection timed out."),
+    );
+    expect(harn.client.state()).toBe("disconnected");
+    await promisify(process.nextTick)();
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Connection timed out.",
+    );
+  });
+});
+
+describe("The client.disconnectAsync() function", () => {
+  it("should reject if already disconnected", async () => {
+    const harn = harness("ws://localhost");
+    await expect(harn.client.disconnectAsync()).rejects.toThrow(
+      new Error("INVALID_STATE: Already disconnected."),
+    );
+  });
+
+  it("should resolve when the client disconnects", async () => {
+    const harn = harness("ws://localhost");
+    await harn.makeWsConnected();
+    const promise = harn.client.disconnectAsync();
+    expect(harn.client.state()).toBe("disconnected");
+    await expect(promise).resolves.toBe(undefined);
+  });
+});
+
+describe("The client.send() function", () => {
   describe("can fail", () => {
     it("should throw on invalid message", () => {
       const harn = harness("ws://localhost");
@@ -1448,6 +1976,7 @@ describe("The client._processWsOpen() function", () => {
         newState._state = "disconnected";
         newState._heartbeatInterval = null;
         newState._heartbeatTimeout = null;
+        newState._latency.pingSentAt = false;
         cb(new Error("SOME_ERROR"));
         expect(harn.client).toHaveState(newState);
       });
@@ -1627,6 +2156,7 @@ describe("The client._processWsOpen() function", () => {
         newState._state = "disconnected";
         newState._heartbeatInterval = null;
         newState._heartbeatTimeout = null;
+        newState._latency.pingSentAt = false;
         jest.advanceTimersByTime(clientConfig.defaults.heartbeatTimeoutMs);
         expect(harn.client).toHaveState(newState);
       });
@@ -1829,6 +2359,52 @@ describe("The client._processWsPong() function", () => {
   // Outbound callbacks - N/A
 
   // Inbound callbacks - N/A
+
+  describe("latency measurement", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should emit latency next tick and record the round-trip time", async () => {
+      const harn = harness("ws://localhost");
+      harn.makeWsConnected();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const now = jest.spyOn(Date, "now");
+      now.mockReturnValue(1000);
+      jest.advanceTimersByTime(clientConfig.defaults.heartbeatIntervalMs);
+
+      const latency = jest.fn();
+      harn.client.on("latency", latency);
+      now.mockReturnValue(1040);
+
+      harn.getWs().emit("pong");
+      expect(harn.client._latency).toEqual({ pingSentAt: null, samples: [40] });
+
+      expect(latency.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(latency.mock.calls).toEqual([[40]]);
+    });
+
+    it("should ignore unsolicited pongs", async () => {
+      const harn = harness("ws://localhost");
+      harn.makeWsConnected();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const latency = jest.fn();
+      harn.client.on("latency", latency);
+      harn.getWs().emit("pong");
+
+      await promisify(process.nextTick)();
+
+      expect(latency.mock.calls.length).toBe(0);
+      expect(harn.client._latency.samples).toEqual([]);
+    });
+  });
 });
 
 describe("The client._processWsClose() function", () => {
@@ -1936,9 +2512,32 @@ describe("The client._processWsClose() function", () => {
       expect(listener.disconnect.mock.calls[0][0].wsReason).toBe(
         "close_reason",
       );
+      expect("serverReason" in listener.disconnect.mock.calls[0][0]).toBe(
+        false,
+      );
       expect(listener.message.mock.calls.length).toBe(0);
     });
 
+    it("should emit disconnect with the server reason for application close codes", async () => {
+      const harn = harness("ws://localhost");
+      harn.makeWsConnected();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createClientListener();
+      harn.getWs().readyState = harn.getWs().CLOSED;
+      harn.getWs().emit("close", 4001, '{"type":"ban","days":7}');
+
+      await promisify(process.nextTick)();
+
+      const err = listener.disconnect.mock.calls[0][0];
+      expect(err.wsCode).toBe(4001);
+      expect(err.wsReason).toBe('{"type":"ban","days":7}');
+      expect(err.wsWasClean).toBe(true);
+      expect(err.wsCloseCategory).toBe("application");
+      expect(err.serverReason).toEqual({ type: "ban", days: 7 });
+    });
+
     // State
 
     it("should update the state appropriately", () => {
@@ -1951,6 +2550,7 @@ describe("The client._processWsClose() function", () => {
       newState._wsClient = null;
       newState._heartbeatInterval = null;
       newState._heartbeatTimeout = null;
+      newState._latency.pingSentAt = false;
       harn.getWs().readyState = harn.getWs().CLOSED;
       harn.getWs().emit("close", "close_code", "close_reason");
       expect(harn.client).toHaveState(newState);
@@ -2051,7 +2651,1208 @@ describe("The client._processWsError() function", () => {
   // Inbound callbacks - N/A
 });
 
-// State-getting functionality
+// State-modifying functions - triggered by timers
+
+describe("The reconnect timeout", () => {
+  const reconnectOptions = {
+    reconnect: {
+      initialDelayMs: 100,
+      multiplier: 2,
+      maxDelayMs: 300,
+      jitter: 0,
+      maxAttempts: 4,
+    },
+  };
+
+  const closeWs = (harn) => {
+    const ws = harn.getWs();
+    ws.readyState = ws.CLOSED;
+    ws.emit("close", 1006, "");
+  };
+
+  // Events
+
+  it("should emit disconnect, connecting, and reconnecting on unexpected closure", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+
+    const order = [];
+    ["disconnect", "connecting", "reconnecting"].forEach((evt) => {
+      harn.client.on(evt, () => order.push(evt));
+    });
+    const listener = harn.createClientListener();
+    closeWs(harn);
+
+    await promisify(process.nextTick)();
+
+    expect(order).toEqual(["disconnect", "connecting", "reconnecting"]);
+    expect(listener.connecting.mock.calls.length).toBe(1);
+    expect(listener.connecting.mock.calls[0].length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: The WebSocket closed unexpectedly.",
+    );
+    expect(listener.reconnecting.mock.calls.length).toBe(1);
+    expect(listener.reconnecting.mock.calls[0]).toEqual([1, 100]);
+    expect(listener.message.mock.calls.length).toBe(0);
+  });
+
+  it("should emit nothing when the timeout fires", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    closeWs(harn);
+
+    await promisify(process.nextTick)();
+
+    const listener = harn.createClientListener();
+    jest.advanceTimersByTime(100);
+
+    await promisify(process.nextTick)();
+
+    expect(harn.client.state()).toBe("connecting");
+    expect(listener.connecting.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+    expect(listener.reconnecting.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+  });
+
+  it("should back off exponentially up to the maximum delay and attempts", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    const listener = harn.createClientListener();
+    closeWs(harn);
+
+    for (let i = 0; i < 4; i += 1) {
+      await promisify(process.nextTick)(); // eslint-disable-line no-await-in-loop
+      jest.advanceTimersByTime(listener.reconnecting.mock.calls[i][1]);
+      closeWs(harn); // Attempt fails
+    }
+
+    await promisify(process.nextTick)();
+
+    expect(listener.reconnecting.mock.calls).toEqual([
+      [1, 100],
+      [2, 200],
+      [3, 300],
+      [4, 300],
+    ]);
+    expect(listener.connecting.mock.calls.length).toBe(4);
+    expect(listener.disconnect.mock.calls.length).toBe(5);
+    expect(listener.disconnect.mock.calls[4][0].message).toBe(
+      "FAILURE: The WebSocket could not be opened.",
+    );
+    expect(harn.client.state()).toBe("disconnected");
+  });
+
+  it("should continue reconnecting if the ws constructor throws on an attempt", async () => {
+    let calls = 0;
+    const constructor = function c() {
+      calls += 1;
+      if (calls === 3) {
+        throw new Error("SOME_ERROR"); // Reconnect attempt 2
+      }
+      emitter(this);
+      this.ping = jest.fn();
+      this.send = jest.fn();
+      this.close = jest.fn();
+      this.terminate = jest.fn();
+      this.CONNECTING = 0;
+      this.OPEN = 1;
+      this.CLOSING = 2;
+      this.CLOSED = 3;
+      this.readyState = this.CONNECTING;
+    };
+    const harn = harness("ws://localhost", reconnectOptions, constructor);
+    await harn.makeWsConnected();
+    const listener = harn.createClientListener();
+    closeWs(harn);
+    jest.advanceTimersByTime(100); // Attempt 1
+    closeWs(harn);
+    jest.advanceTimersByTime(200); // Attempt 2 - constructor throws
+
+    await promisify(process.nextTick)();
+
+    expect(calls).toBe(3);
+    expect(listener.disconnect.mock.calls.length).toBe(3);
+    expect(listener.disconnect.mock.calls[2][0].message).toBe(
+      "FAILURE: Could not initialize the WebSocket client.",
+    );
+    expect(listener.disconnect.mock.calls[2][0].wsError.message).toBe(
+      "SOME_ERROR",
+    );
+    expect(listener.reconnecting.mock.calls).toEqual([
+      [1, 100],
+      [2, 200],
+      [3, 300],
+    ]);
+    expect(harn.client.state()).toBe("connecting");
+
+    jest.advanceTimersByTime(300); // Attempt 3
+    expect(calls).toBe(4);
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+
+    await promisify(process.nextTick)();
+
+    expect(harn.client.state()).toBe("connected");
+    expect(listener.connect.mock.calls.length).toBe(1);
+  });
+
+  it("should apply jitter to the delay", async () => {
+    const harn = harness("ws://localhost", {
+      reconnect: { initialDelayMs: 100, jitter: 0.5 },
+    });
+    await harn.makeWsConnected();
+    const listener = harn.createClientListener();
+    const spy = jest.spyOn(Math, "random").mockReturnValue(1);
+    closeWs(harn);
+    spy.mockRestore();
+
+    await promisify(process.nextTick)();
+
+    expect(listener.reconnecting.mock.calls[0]).toEqual([1, 50]);
+  });
+
+  it("should reset the attempt count once connected", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    closeWs(harn);
+    jest.advanceTimersByTime(100);
+    closeWs(harn);
+    jest.advanceTimersByTime(200);
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+
+    await promisify(process.nextTick)();
+
+    const listener = harn.createClientListener();
+    closeWs(harn);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.reconnecting.mock.calls).toEqual([[1, 100]]);
+  });
+
+  it("should not reconnect after an application close code", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    closeWs(harn);
+    jest.advanceTimersByTime(100);
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+
+    await promisify(process.nextTick)();
+
+    const listener = harn.createClientListener();
+    const ws = harn.getWs();
+    ws.readyState = ws.CLOSED;
+    ws.emit("close", 4001, "Banned");
+
+    await promisify(process.nextTick)();
+
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0][0].wsCloseCategory).toBe(
+      "application",
+    );
+    expect(listener.reconnecting.mock.calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(harn.client._reconnectTimeout).toBe(null);
+    expect(harn.client._reconnectAttempts).toBe(0);
+  });
+
+  it("should not reconnect if the application disconnects", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    const listener = harn.createClientListener();
+    harn.client.disconnect(new Error("SOME_ERROR"));
+
+    await promisify(process.nextTick)();
+
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.reconnecting.mock.calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+  });
+
+  it("should not reconnect if reconnection is disabled", async () => {
+    const harn = harness("ws://localhost");
+    await harn.makeWsConnected();
+    const listener = harn.createClientListener();
+    closeWs(harn);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.reconnecting.mock.calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+  });
+
+  it("should satisfy the Feedme client library transport wrapper", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    const wrapper = transportWrapper(harn.client);
+    const transportError = jest.fn();
+    wrapper.on("transportError", transportError);
+    await harn.makeWsConnected();
+    expect(wrapper.state()).toBe("connected");
+
+    closeWs(harn);
+    await promisify(process.nextTick)();
+    expect(wrapper.state()).toBe("connecting");
+
+    jest.advanceTimersByTime(100);
+    await promisify(process.nextTick)();
+    expect(wrapper.state()).toBe("connecting");
+
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+    await promisify(process.nextTick)();
+    expect(wrapper.state()).toBe("connected");
+    expect(transportError.mock.calls.length).toBe(0);
+  });
+
+  // State
+
+  it("should update the state appropriately on unexpected closure", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+
+    const newState = harn.getClientState();
+    newState._state = "connecting";
+    newState._wsClient = null;
+    newState._heartbeatInterval = false;
+    newState._reconnectTimeout = true;
+    newState._reconnectAttempts = 1;
+    closeWs(harn);
+    expect(harn.client).toHaveState(newState);
+  });
+
+  it("should update the state appropriately when the timeout fires", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    closeWs(harn);
+
+    const newState = harn.getClientState();
+    newState._state = "connecting";
+    newState._wsClient = {};
+    newState._reconnectTimeout = false;
+    jest.advanceTimersByTime(100);
+    expect(harn.client).toHaveState(newState);
+  });
+
+  it("should ignore stale failures while waiting to reconnect", async () => {
+    const harn = harness("ws://localhost", reconnectOptions);
+    await harn.makeWsConnected();
+    const prevWs = harn.getWs();
+    harn.client.send("msg");
+    const cb = prevWs.send.mock.calls[0][1];
+    closeWs(harn);
+
+    await promisify(process.nextTick)();
+
+    const newState = harn.getClientState();
+    const listener = harn.createClientListener();
+    cb(new Error("SOME_ERROR"));
+
+    await promisify(process.nextTick)();
+
+    expect(harn.client).toHaveState(newState);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  describe("if the application calls connect() while waiting to reconnect", () => {
+    it("should connect immediately", async () => {
+      const harn = harness("ws://localhost", reconnectOptions);
+      await harn.makeWsConnected();
+      closeWs(harn);
+
+      await promisify(process.nextTick)();
+
+      const listener = harn.createClientListener();
+      const newState = harn.getClientState();
+      newState._state = "connecting";
+      newState._wsClient = {};
+      newState._reconnectTimeout = false;
+      newState._reconnectAttempts = 0;
+      harn.client.connect();
+      expect(harn.client).toHaveState(newState);
+
+      jest.advanceTimersByTime(100); // Previously scheduled attempt
+      await promisify(process.nextTick)();
+
+      expect(listener.connecting.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(harn.getWs()).toBe(harn.client._wsClient);
+    });
+  });
+
+  describe("if the application calls disconnect() while waiting to reconnect", () => {
+    it("should become disconnected and not reconnect", async () => {
+      const harn = harness("ws://localhost", reconnectOptions);
+      await harn.makeWsConnected();
+      closeWs(harn);
+
+      await promisify(process.nextTick)();
+
+      const listener = harn.createClientListener();
+      const newState = harn.getClientState();
+      newState._state = "disconnected";
+      newState._reconnectTimeout = false;
+      newState._reconnectAttempts = 0;
+      harn.client.disconnect();
+      expect(harn.client).toHaveState(newState);
+
+      jest.advanceTimersByTime(1000);
+      await promisify(process.nextTick)();
+
+      expect(listener.connecting.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0].length).toBe(0);
+      expect(listener.reconnecting.mock.calls.length).toBe(0);
+    });
+  });
+});
+
+// State-getting functionality
+
+describe("Protocol versions", () => {
+  it("should offer each version in order of preference", () => {
+    let constructorArgs;
+    const constructor = function constructor(...args) {
+      constructorArgs = args;
+      emitter(this);
+    };
+    const harn = harness(
+      "ws://localhost",
+      { protocols: ["feedme.v2+deflate", "feedme.v2", "feedme"] },
+      constructor,
+    );
+    harn.client.connect();
+    expect(constructorArgs[1]).toEqual([
+      "feedme.v2+deflate",
+      "feedme.v2",
+      "feedme",
+    ]);
+  });
+
+  it("should offer each version extended for binary mode if enabled", () => {
+    let constructorArgs;
+    const constructor = function constructor(...args) {
+      constructorArgs = args;
+      emitter(this);
+    };
+    const harn = harness(
+      "ws://localhost",
+      { protocols: ["feedme.v2", "feedme"], binary: true },
+      constructor,
+    );
+    harn.client.connect();
+    expect(constructorArgs[1]).toEqual(["feedme.v2.binary", "feedme.binary"]);
+  });
+
+  describe("the client.protocol() function", () => {
+    it("should throw if not connected", () => {
+      const harn = harness("ws://localhost");
+      expect(() => {
+        harn.client.protocol();
+      }).toThrow(new Error("INVALID_STATE: Not connected."));
+    });
+
+    it("should return the default version", () => {
+      const harn = harness("ws://localhost");
+      harn.client.connect();
+      harn.getWs().protocol = "feedme";
+      harn.getWs().readyState = harn.getWs().OPEN;
+      harn.getWs().emit("open");
+      expect(harn.client.protocol()).toBe("feedme");
+    });
+
+    it("should return the negotiated version with configured casing", () => {
+      const harn = harness("ws://localhost", {
+        protocols: ["feedme.V2", "feedme"],
+        binary: true,
+      });
+      harn.client.connect();
+      harn.getWs().protocol = "FEEDME.v2.binary";
+      harn.getWs().readyState = harn.getWs().OPEN;
+      harn.getWs().emit("open");
+      expect(harn.client.protocol()).toBe("feedme.V2");
+    });
+  });
+});
+
+describe("Binary mode", () => {
+  const connected = async (options) => {
+    const harn = harness("ws://localhost", options);
+    harn.client.connect();
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+    await promisify(process.nextTick)(); // Move past queued events
+    return harn;
+  };
+
+  it("should offer only the plain subprotocol if disabled", () => {
+    let constructorArgs;
+    const constructor = function constructor(...args) {
+      constructorArgs = args;
+      emitter(this);
+    };
+    const harn = harness("ws://localhost", {}, constructor);
+    harn.client.connect();
+    expect(constructorArgs[1]).toBe("feedme");
+  });
+
+  it("should offer only the binary subprotocol if enabled", () => {
+    let constructorArgs;
+    const constructor = function constructor(...args) {
+      constructorArgs = args;
+      emitter(this);
+    };
+    const harn = harness("ws://localhost", { binary: true }, constructor);
+    harn.client.connect();
+    expect(constructorArgs[1]).toBe("feedme.binary");
+  });
+
+  it("should throw on binary messages if disabled", async () => {
+    const harn = await connected({});
+    expect(() => {
+      harn.client.send(Buffer.from("msg"));
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid message."));
+  });
+
+  it("should send Buffer, ArrayBuffer, and Uint8Array messages if enabled", async () => {
+    const harn = await connected({ binary: true });
+    const msgs = [Buffer.from("msg"), new ArrayBuffer(2), new Uint8Array(3)];
+    msgs.forEach((msg) => {
+      harn.client.send(msg);
+    });
+    expect(harn.getWs().send.mock.calls.length).toBe(3);
+    msgs.forEach((msg, i) => {
+      expect(harn.getWs().send.mock.calls[i][0]).toBe(msg);
+      expect(harn.getWs().send.mock.calls[i][1]).toBeInstanceOf(Function);
+    });
+  });
+
+  it("should emit binary messages if enabled", async () => {
+    const harn = await connected({ binary: true });
+    const listener = harn.createClientListener();
+    const buf = Buffer.from("msg");
+    harn.getWs().emit("message", buf);
+    harn.getWs().emit("message", "msg");
+
+    await promisify(process.nextTick)();
+
+    expect(listener.message.mock.calls).toEqual([[buf], ["msg"]]);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  it("should disconnect on binary messages if disabled", async () => {
+    const harn = await connected({});
+    const listener = harn.createClientListener();
+    harn.getWs().emit("message", Buffer.from("msg"));
+
+    await promisify(process.nextTick)();
+
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Received non-string message on WebSocket connection.",
+    );
+  });
+});
+
+describe("The headers option", () => {
+  const flush = () =>
+    new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+
+  const recordingConstructor = (calls) =>
+    function c(...args) {
+      calls.push(args);
+      emitter(this);
+      this.ping = jest.fn();
+      this.send = jest.fn();
+      this.close = jest.fn();
+      this.terminate = jest.fn();
+      this.CONNECTING = 0;
+      this.OPEN = 1;
+      this.CLOSING = 2;
+      this.CLOSED = 3;
+      this.readyState = this.CONNECTING;
+    };
+
+  it("should pass a headers object to ws as-is", () => {
+    const calls = [];
+    const harn = harness(
+      "ws://localhost",
+      { headers: { Authorization: "Bearer abc" } },
+      recordingConstructor(calls),
+    );
+    harn.client.connect();
+    expect(calls.length).toBe(1);
+    expect(calls[0][2].headers).toEqual({ Authorization: "Bearer abc" });
+  });
+
+  it("should await the headers function before creating the ws client", async () => {
+    const calls = [];
+    let token = 0;
+    const headers = jest.fn(() => {
+      token += 1;
+      return Promise.resolve({ Authorization: `Bearer ${token}` });
+    });
+    const harn = harness(
+      "ws://localhost",
+      { headers, someWsOption: "someValue" },
+      recordingConstructor(calls),
+    );
+
+    const newState = harn.getClientState();
+    newState._state = "connecting";
+    newState._pendingHeaders = true;
+    harn.client.connect();
+    expect(harn.client).toHaveState(newState);
+    expect(calls.length).toBe(0);
+
+    await flush();
+
+    expect(headers.mock.calls.length).toBe(1);
+    expect(headers.mock.calls[0].length).toBe(0);
+
+    newState._wsClient = {};
+    newState._pendingHeaders = false;
+    expect(harn.client).toHaveState(newState);
+    expect(calls.length).toBe(1);
+    expect(calls[0][2].headers).toEqual({ Authorization: "Bearer 1" });
+    expect(calls[0][2].someWsOption).toBe("someValue");
+    expect(harn.client._options.headers).toBe(headers);
+  });
+
+  it("should call the headers function on every connection attempt", async () => {
+    const calls = [];
+    let token = 0;
+    const headers = () => {
+      token += 1;
+      return { Authorization: `Bearer ${token}` };
+    };
+    const harn = harness(
+      "ws://localhost",
+      { headers, reconnect: { initialDelayMs: 100, jitter: 0 } },
+      recordingConstructor(calls),
+    );
+    harn.client.connect();
+    await flush();
+    harn.getWs().readyState = harn.getWs().CLOSED;
+    harn.getWs().emit("close", 1006, "");
+    jest.advanceTimersByTime(100);
+    await flush();
+    expect(calls.length).toBe(2);
+    expect(calls[0][2].headers).toEqual({ Authorization: "Bearer 1" });
+    expect(calls[1][2].headers).toEqual({ Authorization: "Bearer 2" });
+  });
+
+  it("should disconnect if the headers function rejects", async () => {
+    const headersError = new Error("NO_TOKEN");
+    const calls = [];
+    const harn = harness(
+      "ws://localhost",
+      { headers: () => Promise.reject(headersError) },
+      recordingConstructor(calls),
+    );
+    const listener = harn.createClientListener();
+    harn.client.connect();
+    await flush();
+    expect(calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: The headers function failed.",
+    );
+    expect(listener.disconnect.mock.calls[0][0].headersError).toBe(
+      headersError,
+    );
+  });
+
+  it("should disconnect if the headers function throws", async () => {
+    const harn = harness("ws://localhost", {
+      headers: () => {
+        throw new Error("NO_TOKEN");
+      },
+    });
+    const listener = harn.createClientListener();
+    harn.client.connect();
+    await flush();
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: The headers function failed.",
+    );
+  });
+
+  it("should disconnect if the headers function returns an invalid value", async () => {
+    const harn = harness("ws://localhost", { headers: () => "junk" });
+    const listener = harn.createClientListener();
+    harn.client.connect();
+    await flush();
+    expect(harn.client.state()).toBe("disconnected");
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: The headers function returned an invalid value.",
+    );
+  });
+
+  it("should discard headers if disconnect() is called while pending", async () => {
+    const calls = [];
+    const harn = harness(
+      "ws://localhost",
+      { headers: () => ({}) },
+      recordingConstructor(calls),
+    );
+    const listener = harn.createClientListener();
+    harn.client.connect();
+    harn.client.disconnect();
+    expect(harn.client._pendingHeaders).toBe(null);
+    await flush();
+    expect(calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(listener.disconnect.mock.calls).toEqual([[]]);
+  });
+
+  it("should apply the connection timeout while headers are pending", async () => {
+    const harn = harness("ws://localhost", {
+      headers: () => new Promise(() => {}),
+      connectTimeoutMs: 1000,
+    });
+    const listener = harn.createClientListener();
+    harn.client.connect();
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(harn.client.state()).toBe("disconnected");
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Connection timed out.",
+    );
+  });
+});
+
+describe("The connection timeout", () => {
+  const timeoutOptions = { connectTimeoutMs: 1000 };
+
+  // Events
+
+  it("should emit disconnect next tick when it fires", async () => {
+    const harn = harness("ws://localhost", timeoutOptions);
+    await harn.makeWsConnecting();
+    const listener = harn.createClientListener();
+    jest.advanceTimersByTime(1000);
+
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.connecting.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0].length).toBe(1);
+    expect(listener.disconnect.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Connection timed out.",
+    );
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.reconnecting.mock.calls.length).toBe(0);
+  });
+
+  it("should schedule a reconnect attempt if reconnection is enabled", async () => {
+    const harn = harness("ws://localhost", {
+      ...timeoutOptions,
+      reconnect: { initialDelayMs: 100, jitter: 0 },
+    });
+    await harn.makeWsConnecting();
+    const listener = harn.createClientListener();
+    jest.advanceTimersByTime(1000);
+    await promisify(process.nextTick)();
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.reconnecting.mock.calls).toEqual([[1, 100]]);
+  });
+
+  // State
+
+  it("should be set while connecting", () => {
+    const harn = harness("ws://localhost", timeoutOptions);
+    const newState = harn.getClientState();
+    newState._wsClient = {};
+    newState._state = "connecting";
+    newState._connectTimeout = true;
+    harn.client.connect();
+    expect(harn.client).toHaveState(newState);
+  });
+
+  it("should not be set if not configured", () => {
+    const harn = harness("ws://localhost");
+    harn.client.connect();
+    expect(harn.client._connectTimeout).toBe(null);
+  });
+
+  it("should update the state appropriately when it fires", async () => {
+    const harn = harness("ws://localhost", timeoutOptions);
+    await harn.makeWsConnecting();
+    const newState = harn.getClientState();
+    newState._wsClient = null;
+    newState._state = "disconnected";
+    newState._connectTimeout = false;
+    jest.advanceTimersByTime(1000);
+    expect(harn.client).toHaveState(newState);
+  });
+
+  it("should be cleared when the connection opens", async () => {
+    const harn = harness("ws://localhost", timeoutOptions);
+    await harn.makeWsConnected();
+    expect(harn.client._connectTimeout).toBe(null);
+    const listener = harn.createClientListener();
+    jest.advanceTimersByTime(1000);
+    await promisify(process.nextTick)();
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  it("should be cleared on a call to disconnect()", async () => {
+    const harn = harness("ws://localhost", timeoutOptions);
+    await harn.makeWsConnecting();
+    harn.client.disconnect();
+    expect(harn.client._connectTimeout).toBe(null);
+    await promisify(process.nextTick)(); // Move past queued events
+    const listener = harn.createClientListener();
+    jest.advanceTimersByTime(1000);
+    await promisify(process.nextTick)();
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  // Calls on ws
+
+  it("should terminate the opening ws connection when it fires", async () => {
+    const harn = harness("ws://localhost", timeoutOptions);
+    await harn.makeWsConnecting();
+    const ws = harn.getWs();
+    jest.advanceTimersByTime(1000);
+    expect(ws.terminate.mock.calls.length).toBe(1);
+    expect(ws.close.mock.calls.length).toBe(0);
+    expect(() => {
+      ws.emit("error", new Error("Aborted")); // Emitted by ws on abort
+    }).not.toThrow();
+  });
+});
+
+describe("Session resumption", () => {
+  const ADDRESS = "ws://localhost/feedme";
+
+  // Returns a harness that records every ws client created
+  const setup = (options) => {
+    const wsClients = [];
+    const constructor = function c(...args) {
+      emitter(this);
+      this.args = args;
+      this.ping = jest.fn();
+      this.send = jest.fn();
+      this.close = jest.fn();
+      this.terminate = jest.fn();
+      this.CONNECTING = 0;
+      this.OPEN = 1;
+      this.CLOSING = 2;
+      this.CLOSED = 3;
+      this.readyState = this.CONNECTING;
+      wsClients.push(this);
+    };
+    const harn = harness(
+      ADDRESS,
+      { heartbeatIntervalMs: 0, resume: true, ...options },
+      constructor,
+    );
+    harn.wsClients = wsClients;
+    return harn;
+  };
+
+  const open = (ws, frame) => {
+    ws.protocol = "feedme.resume"; // eslint-disable-line no-param-reassign
+    ws.readyState = ws.OPEN; // eslint-disable-line no-param-reassign
+    ws.emit("open");
+    if (frame !== undefined) {
+      ws.emit("message", frame);
+    }
+  };
+
+  // Returns a harness connected on a session with token TOKEN
+  const connected = async (options) => {
+    const harn = setup(options);
+    harn.client.connect();
+    open(harn.getWs(), "session:TOKEN");
+    await promisify(process.nextTick)(); // Move past queued events
+    return harn;
+  };
+
+  it("should overlay option defaults", () => {
+    const harn = setup({ resume: { retryMs: 123 } });
+    expect(harn.client._options.resume).toEqual({
+      ...clientConfig.defaults.resume,
+      retryMs: 123,
+    });
+  });
+
+  it("should offer the resume variant of each version first", () => {
+    const harn = setup({ protocols: ["feedme.v2", "feedme"], binary: true });
+    harn.client.connect();
+    expect(harn.getWs().args[1]).toEqual([
+      "feedme.v2.binary.resume",
+      "feedme.v2.binary",
+      "feedme.binary.resume",
+      "feedme.binary",
+    ]);
+  });
+
+  it("should connect without a session if the server does not support resumption", async () => {
+    const harn = setup();
+    const listener = harn.createClientListener();
+    harn.client.connect();
+    harn.getWs().protocol = "feedme";
+    harn.getWs().readyState = harn.getWs().OPEN;
+    harn.getWs().emit("open");
+    harn.getWs().emit("message", "session:TOKEN");
+    await promisify(process.nextTick)();
+    expect(harn.client._session).toBe(null);
+    expect(listener.connect.mock.calls.length).toBe(1);
+    expect(listener.message.mock.calls).toEqual([["session:TOKEN"]]);
+  });
+
+  describe("on connection", () => {
+    it("should await the session frame before connecting", async () => {
+      const harn = setup({ connectTimeoutMs: 1000 });
+      const listener = harn.createClientListener();
+      harn.client.connect();
+      open(harn.getWs());
+      await promisify(process.nextTick)();
+      expect(harn.client.state()).toBe("connecting");
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(harn.client._connectTimeout).not.toBe(null);
+
+      harn.getWs().emit("message", "session:TOKEN");
+      await promisify(process.nextTick)();
+      expect(harn.client.state()).toBe("connected");
+      expect(harn.client.protocol()).toBe("feedme");
+      expect(harn.client._connectTimeout).toBe(null);
+      expect(harn.client._session.token).toBe("TOKEN");
+      expect(listener.connect.mock.calls.length).toBe(1);
+      expect(listener.message.mock.calls.length).toBe(0);
+    });
+
+    it("should disconnect on an invalid session frame", async () => {
+      const harn = setup();
+      const listener = harn.createClientListener();
+      harn.client.connect();
+      open(harn.getWs(), "resumed:0");
+      await promisify(process.nextTick)();
+      expect(harn.client.state()).toBe("disconnected");
+      expect(listener.disconnect.mock.calls[0][0].message).toBe(
+        "FAILURE: Received an invalid session message.",
+      );
+    });
+  });
+
+  describe("when the connection is lost", () => {
+    it("should remain connected and attempt to resume immediately", async () => {
+      const harn = await connected();
+      const listener = harn.createClientListener();
+      const ws = harn.getWs();
+      ws.emit("message", "msg1");
+      ws.emit("message", "msg2");
+      ws.emit("close", 1006, "");
+      await promisify(process.nextTick)();
+
+      expect(ws.terminate.mock.calls.length).toBe(1);
+      expect(harn.client.state()).toBe("connected");
+      expect(harn.client.protocol()).toBe("feedme");
+      expect(harn.wsClients.length).toBe(2);
+      expect(harn.getWs().args[0]).toBe(
+        `${ADDRESS}?feedmeResume=TOKEN&feedmeSeq=2`,
+      );
+      expect(harn.getWs().args[1]).toBe("feedme.resume");
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    it("should disconnect if the server closed normally", async () => {
+      const harn = await connected();
+      const listener = harn.createClientListener();
+      harn.getWs().emit("close", 1000, "");
+      await promisify(process.nextTick)();
+      expect(harn.client.state()).toBe("disconnected");
+      expect(harn.client._session).toBe(null);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+    });
+
+    it("should disconnect if the server closed with an application close code", async () => {
+      const harn = await connected();
+      const listener = harn.createClientListener();
+      harn.getWs().emit("close", 4000, "Banned");
+      await promisify(process.nextTick)();
+      expect(harn.wsClients.length).toBe(1);
+      expect(harn.client.state()).toBe("disconnected");
+      expect(listener.disconnect.mock.calls[0][0].serverReason).toBe("Banned");
+    });
+
+    it("should defer messages and replay those the server did not receive", async () => {
+      const harn = await connected();
+      const listener = harn.createClientListener();
+      const ws = harn.getWs();
+      harn.client.send("msg1");
+      harn.client.send("msg2");
+      ws.emit("close", 1006, "");
+      harn.client.send("msg3");
+      expect(harn.getWs().send.mock.calls.length).toBe(0);
+
+      open(harn.getWs(), "resumed:1");
+      expect(harn.getWs().send.mock.calls.map((c) => c[0])).toEqual([
+        "msg2",
+        "msg3",
+      ]);
+      harn.client.send("msg4");
+      expect(harn.getWs().send.mock.calls[2][0]).toBe("msg4");
+      expect(harn.client._session.resumeTimeout).toBe(null);
+
+      harn.getWs().emit("message", "msg");
+      await promisify(process.nextTick)();
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls).toEqual([["msg"]]);
+    });
+
+    it("should retry failed attempts", async () => {
+      const harn = await connected({ resume: { retryMs: 100 } });
+      harn.getWs().emit("close", 1006, "");
+      harn.getWs().emit("close", 1006, "");
+      expect(harn.wsClients.length).toBe(2);
+      jest.advanceTimersByTime(99);
+      expect(harn.wsClients.length).toBe(2);
+      jest.advanceTimersByTime(1);
+      expect(harn.wsClients.length).toBe(3);
+    });
+
+    it("should ignore failures reported by the previous ws client", async () => {
+      const harn = await connected();
+      const ws = harn.getWs();
+      harn.client.send("msg");
+      ws.emit("close", 1006, "");
+      ws.send.mock.calls[0][1](new Error("Late"));
+      expect(harn.wsClients.length).toBe(2);
+    });
+
+    it("should disconnect with the original error once timed out", async () => {
+      const harn = await connected({
+        resume: { timeoutMs: 1000 },
+        reconnect: { jitter: 0 },
+      });
+      const listener = harn.createClientListener();
+      harn.getWs().emit("close", 1006, "");
+      jest.advanceTimersByTime(999);
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      jest.advanceTimersByTime(1);
+      await promisify(process.nextTick)();
+      expect(harn.client._session).toBe(null);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0].message).toBe(
+        "FAILURE: The WebSocket closed unexpectedly.",
+      );
+      expect(listener.disconnect.mock.calls[0][0].wsCode).toBe(1006);
+      expect(harn.client.state()).toBe("connecting");
+    });
+
+    it("should reconnect on a new session if the server could not resume", async () => {
+      const harn = await connected();
+      const listener = harn.createClientListener();
+      harn.client.send("msg");
+      harn.getWs().emit("close", 1006, "");
+      open(harn.getWs(), "session:TOKEN2");
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0].message).toBe(
+        "FAILURE: The session could not be resumed.",
+      );
+      expect(listener.connecting.mock.calls.length).toBe(1);
+      expect(listener.connect.mock.calls.length).toBe(1);
+      expect(harn.client.state()).toBe("connected");
+      expect(harn.client._session.token).toBe("TOKEN2");
+      expect(harn.client._session.resumeTimeout).toBe(null);
+      expect(harn.getWs().send.mock.calls.length).toBe(0);
+    });
+
+    it("should disconnect if unreceived messages were discarded", async () => {
+      const harn = await connected({ resume: { maxMessages: 1 } });
+      const listener = harn.createClientListener();
+      harn.client.send("msg1");
+      harn.client.send("msg2");
+      harn.getWs().emit("close", 1006, "");
+      const ws = harn.getWs();
+      open(ws, "resumed:0");
+      await promisify(process.nextTick)();
+      expect(ws.close.mock.calls).toEqual([[1000]]);
+      expect(ws.send.mock.calls.length).toBe(0);
+      expect(harn.client.state()).toBe("disconnected");
+      expect(listener.disconnect.mock.calls[0][0].message).toBe(
+        "FAILURE: The session could not be resumed.",
+      );
+    });
+
+    it("should stop resuming if the application disconnects", async () => {
+      const harn = await connected();
+      const listener = harn.createClientListener();
+      harn.getWs().emit("close", 1006, "");
+      harn.client.disconnect();
+      await promisify(process.nextTick)();
+      jest.advanceTimersByTime(60000);
+      expect(harn.wsClients.length).toBe(2);
+      expect(harn.client._session).toBe(null);
+      expect(listener.disconnect.mock.calls).toEqual([[]]);
+    });
+  });
+});
+
+describe("The client.latency() function", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should return nulls if no round trip has completed", () => {
+    const harn = harness("ws://localhost");
+    expect(harn.client.latency()).toEqual({
+      last: null,
+      average: null,
+      p95: null,
+    });
+  });
+
+  it("should return statistics once round trips have completed", () => {
+    const harn = harness("ws://localhost");
+    harn.makeWsConnected();
+    const now = jest.spyOn(Date, "now");
+    [10, 20, 60].forEach((rtt) => {
+      now.mockReturnValue(0);
+      jest.advanceTimersByTime(clientConfig.defaults.heartbeatIntervalMs);
+      now.mockReturnValue(rtt);
+      harn.getWs().emit("pong");
+    });
+    expect(harn.client.latency()).toEqual({ last: 60, average: 30, p95: 60 });
+  });
+
+  it("should retain statistics after disconnect and reset them on the next connection", () => {
+    const harn = harness("ws://localhost");
+    harn.makeWsConnected();
+    const now = jest.spyOn(Date, "now");
+    now.mockReturnValue(0);
+    jest.advanceTimersByTime(clientConfig.defaults.heartbeatIntervalMs);
+    now.mockReturnValue(15);
+    harn.getWs().emit("pong");
+    harn.client.disconnect();
+    expect(harn.client.latency().last).toBe(15);
+    harn.makeWsConnected();
+    expect(harn.client.latency().last).toBe(null);
+  });
+});
+
+describe("The client.metrics() function", () => {
+  // Returns the value of a series in the rendered metrics, or null if absent
+  const sample = (text, series) => {
+    const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+    return line ? Number(line.substring(series.length + 1)) : null;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should render zeroed metrics initially", () => {
+    const harn = harness("ws://localhost");
+    const text = harn.client.metrics();
+    expect(sample(text, "feedme_client_connection_attempts_total")).toBe(0);
+    expect(text).toContain("# TYPE feedme_client_disconnects_total counter");
+    expect(text).not.toContain("feedme_client_disconnects_total{");
+  });
+
+  it("should apply a custom prefix", () => {
+    const harn = harness("ws://localhost", { metrics: { prefix: "app" } });
+    expect(sample(harn.client.metrics(), "app_connection_attempts_total")).toBe(
+      0,
+    );
+  });
+
+  it("should count connections, messages, and bytes", async () => {
+    const harn = harness("ws://localhost", { heartbeatIntervalMs: 0 });
+    await harn.makeWsConnected();
+    harn.getWs().emit("message", "h\u00e9llo");
+    harn.client.send("abc");
+    harn.client.disconnect();
+    const text = harn.client.metrics();
+    expect(sample(text, "feedme_client_connection_attempts_total")).toBe(1);
+    expect(sample(text, "feedme_client_connections_opened_total")).toBe(1);
+    expect(sample(text, "feedme_client_messages_received_total")).toBe(1);
+    expect(sample(text, "feedme_client_received_bytes_total")).toBe(6);
+    expect(sample(text, "feedme_client_messages_sent_total")).toBe(1);
+    expect(sample(text, "feedme_client_sent_bytes_total")).toBe(3);
+    expect(
+      sample(text, 'feedme_client_disconnects_total{reason="requested"}'),
+    ).toBe(1);
+  });
+
+  it("should count closures by category and reconnect attempts", async () => {
+    const harn = harness("ws://localhost", {
+      heartbeatIntervalMs: 0,
+      reconnect: true,
+    });
+    await harn.makeWsConnected();
+    harn.getWs().emit("close", 1001, "");
+    const text = harn.client.metrics();
+    expect(
+      sample(text, 'feedme_client_disconnects_total{reason="serverShutdown"}'),
+    ).toBe(1);
+    expect(sample(text, "feedme_client_reconnect_attempts_total")).toBe(1);
+  });
+
+  it("should count send failures", async () => {
+    const harn = harness("ws://localhost", { heartbeatIntervalMs: 0 });
+    await harn.makeWsConnected();
+    harn.client.send("abc");
+    harn.getWs().send.mock.calls[0][1](new Error("Bad"));
+    const text = harn.client.metrics();
+    expect(sample(text, "feedme_client_send_failures_total")).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_client_disconnects_total{reason="transmissionFailure"}',
+      ),
+    ).toBe(1);
+  });
+
+  it("should record heartbeat latency and count heartbeat timeouts", async () => {
+    const harn = harness("ws://localhost");
+    await harn.makeWsConnected();
+    const { heartbeatIntervalMs, heartbeatTimeoutMs } = clientConfig.defaults;
+    const now = jest.spyOn(Date, "now");
+    now.mockReturnValue(0);
+    jest.advanceTimersByTime(heartbeatIntervalMs);
+    now.mockReturnValue(50);
+    harn.getWs().emit("pong");
+    let text = harn.client.metrics();
+    expect(
+      sample(text, 'feedme_client_heartbeat_latency_seconds_bucket{le="0.05"}'),
+    ).toBe(1);
+    expect(sample(text, "feedme_client_heartbeat_latency_seconds_count")).toBe(
+      1,
+    );
+
+    jest.advanceTimersByTime(heartbeatIntervalMs + heartbeatTimeoutMs);
+    text = harn.client.metrics();
+    expect(sample(text, "feedme_client_heartbeat_timeouts_total")).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_client_disconnects_total{reason="heartbeatFailure"}',
+      ),
+    ).toBe(1);
+  });
+});
 
 describe("The client.state() function", () => {
   it("should return the state", () => {
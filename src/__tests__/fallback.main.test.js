@@ -0,0 +1,186 @@
+import emitter from "component-emitter";
+import fallback from "../fallback.main";
+
+jest.useFakeTimers({ legacyFakeTimers: true });
+
+// Mock transport - events are emitted by the test
+const createTransport = () => {
+  const t = emitter({});
+  t._state = "disconnected";
+  t.state = () => t._state;
+  t.connect = jest.fn(() => {
+    t._state = "connecting";
+  });
+  t.disconnect = jest.fn(() => {
+    t._state = "disconnected";
+  });
+  t.send = jest.fn();
+  t.protocol = jest.fn(() => "feedme");
+  return t;
+};
+
+const harness = () => {
+  const primary = createTransport();
+  const secondary = createTransport();
+  const client = fallback(primary, secondary);
+  const listener = {
+    connecting: jest.fn(),
+    connect: jest.fn(),
+    message: jest.fn(),
+    disconnect: jest.fn(),
+    reconnecting: jest.fn(),
+  };
+  Object.keys(listener).forEach((evt) => {
+    client.on(evt, listener[evt]);
+  });
+  return { primary, secondary, client, listener };
+};
+
+describe("The fallback() factory function", () => {
+  it("should throw on invalid transport", () => {
+    expect(() => {
+      fallback(createTransport(), "junk");
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid transport argument."));
+  });
+
+  it("should start in WebSocket mode", () => {
+    const harn = harness();
+    expect(harn.client.mode()).toBe("websocket");
+    expect(harn.client.state()).toBe("disconnected");
+  });
+});
+
+describe("If the WebSocket transport connects", () => {
+  it("should forward its events and calls", () => {
+    const harn = harness();
+    harn.client.connect();
+    expect(harn.primary.connect.mock.calls.length).toBe(1);
+    harn.primary.emit("connecting");
+    harn.primary._state = "connected";
+    harn.primary.emit("connect");
+    harn.primary.emit("message", "msg");
+    expect(harn.listener.connecting.mock.calls.length).toBe(1);
+    expect(harn.listener.connect.mock.calls.length).toBe(1);
+    expect(harn.listener.message.mock.calls).toEqual([["msg"]]);
+
+    harn.client.send("msg");
+    expect(harn.primary.send.mock.calls).toEqual([["msg"]]);
+    expect(harn.client.protocol()).toBe("feedme");
+    expect(harn.client.state()).toBe("connected");
+  });
+
+  it("should not fall back on later failures", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.primary.emit("connecting");
+    harn.primary.emit("connect");
+    harn.primary._state = "disconnected";
+    const err = new Error("FAILURE: The WebSocket closed unexpectedly.");
+    harn.primary.emit("disconnect", err);
+    expect(harn.listener.disconnect.mock.calls).toEqual([[err]]);
+    expect(harn.client.state()).toBe("disconnected");
+
+    harn.client.connect();
+    harn.primary.emit("connecting");
+    harn.primary._state = "disconnected";
+    harn.primary.emit("disconnect", err);
+    expect(harn.secondary.connect.mock.calls.length).toBe(0);
+    expect(harn.client.mode()).toBe("websocket");
+  });
+});
+
+describe("If the WebSocket transport fails before connecting", () => {
+  it("should switch to long polling within the connection attempt", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.primary.emit("connecting");
+    harn.primary._state = "disconnected";
+    harn.primary.emit(
+      "disconnect",
+      new Error("FAILURE: The WebSocket could not be opened."),
+    );
+    expect(harn.listener.disconnect.mock.calls.length).toBe(0);
+    expect(harn.secondary.connect.mock.calls.length).toBe(1);
+    expect(harn.client.mode()).toBe("polling");
+    expect(harn.client.state()).toBe("connecting");
+
+    harn.secondary.emit("connecting");
+    harn.secondary._state = "connected";
+    harn.secondary.emit("connect");
+    expect(harn.listener.connecting.mock.calls.length).toBe(1);
+    expect(harn.listener.connect.mock.calls.length).toBe(1);
+
+    harn.client.send("msg");
+    expect(harn.secondary.send.mock.calls).toEqual([["msg"]]);
+  });
+
+  it("should remain connecting through the handover", () => {
+    const harn = harness();
+    harn.client.connect();
+    expect(harn.client.state()).toBe("connecting");
+    harn.primary.emit("connecting");
+
+    // The WebSocket transport fails before its event is emitted
+    harn.primary._state = "disconnected";
+    expect(harn.client.state()).toBe("connecting");
+    harn.primary.emit("disconnect", new Error("FAILURE: ..."));
+    expect(harn.client.state()).toBe("connecting");
+    harn.secondary.emit("connecting");
+    expect(harn.client.state()).toBe("connecting");
+
+    harn.secondary._state = "connected";
+    harn.secondary.emit("connect");
+    expect(harn.client.state()).toBe("connected");
+  });
+
+  it("should cancel a pending WebSocket reconnect attempt", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.primary.emit("disconnect", new Error("FAILURE: ..."));
+    expect(harn.primary.disconnect.mock.calls.length).toBe(1);
+    harn.primary.emit("disconnect");
+    harn.primary.emit("connecting");
+    harn.primary.emit("reconnecting", 1, 1000);
+    expect(harn.listener.disconnect.mock.calls.length).toBe(0);
+    expect(harn.listener.connecting.mock.calls.length).toBe(0);
+    expect(harn.listener.reconnecting.mock.calls.length).toBe(0);
+    expect(harn.client.mode()).toBe("polling");
+    expect(harn.client.state()).toBe("connecting");
+  });
+
+  it("should not switch if the application disconnected in the meantime", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.client.disconnect();
+    expect(harn.client.state()).toBe("disconnected");
+    const err = new Error("FAILURE: ...");
+    harn.primary.emit("disconnect", err);
+    expect(harn.secondary.connect.mock.calls.length).toBe(0);
+    expect(harn.listener.disconnect.mock.calls).toEqual([[err]]);
+  });
+
+  it("should surface long-polling failures", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.primary._state = "disconnected";
+    harn.primary.emit("disconnect", new Error("FAILURE: ..."));
+    const err = new Error("FAILURE: Polling failed.");
+    harn.secondary._state = "disconnected";
+    harn.secondary.emit("disconnect", err);
+    expect(harn.listener.disconnect.mock.calls).toEqual([[err]]);
+    expect(harn.client.state()).toBe("disconnected");
+  });
+});
+
+describe("The client.connectAsync() function", () => {
+  it("should resolve once connected by long polling", async () => {
+    const harn = harness();
+    const promise = harn.client.connectAsync();
+    jest.runOnlyPendingTimers(); // Attach listeners
+    harn.primary._state = "disconnected";
+    harn.primary.emit("disconnect", new Error("FAILURE: ..."));
+    harn.secondary._state = "connected";
+    harn.secondary.emit("connect");
+    await expect(promise).resolves.toBe(undefined);
+  });
+});
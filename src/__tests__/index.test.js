@@ -5,5 +5,8 @@ describe("The function", () => {
     expect(index.server).toBeInstanceOf(Function);
     expect(index.client).toBeInstanceOf(Function);
     expect(index.browser).toBeInstanceOf(Function);
+    expect(index.sseServer).toBeInstanceOf(Function);
+    expect(index.sseBrowser).toBeInstanceOf(Function);
+    expect(index.router).toBeInstanceOf(Function);
   });
 });
@@ -0,0 +1,25 @@
+import latencyStats from "../latency";
+
+describe("The latencyStats() function", () => {
+  it("should return nulls if there are no samples", () => {
+    expect(latencyStats([])).toEqual({ last: null, average: null, p95: null });
+  });
+
+  it("should return correctly for a single sample", () => {
+    expect(latencyStats([12])).toEqual({ last: 12, average: 12, p95: 12 });
+  });
+
+  it("should return correctly for many samples", () => {
+    const samples = [];
+    for (let i = 100; i >= 1; i -= 1) {
+      samples.push(i);
+    }
+    expect(latencyStats(samples)).toEqual({ last: 1, average: 50.5, p95: 95 });
+  });
+
+  it("should not modify the samples", () => {
+    const samples = [3, 1, 2];
+    latencyStats(samples);
+    expect(samples).toEqual([3, 1, 2]);
+  });
+});
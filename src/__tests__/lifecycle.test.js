@@ -0,0 +1,178 @@
+import emitter from "component-emitter";
+import promisify from "promisify-function";
+import awaitTransition, { asyncOptions } from "../lifecycle";
+
+jest.useFakeTimers({ legacyFakeTimers: true });
+
+const transport = () => emitter({});
+
+const params = (t, overrides) => ({
+  transport: t,
+  defer: process.nextTick,
+  initiate: () => {},
+  resolveEvent: "start",
+  rejectEvent: "stop",
+  rejectMessage: "ABORTED: Stopped.",
+  signal: null,
+  timeoutMs: null,
+  timeoutMessage: "FAILURE: Timed out.",
+  cancel: jest.fn(),
+  ...overrides,
+});
+
+describe("The asyncOptions() function", () => {
+  it("should return nulls if there are no arguments", () => {
+    expect(asyncOptions([], ["signal", "timeoutMs"])).toEqual({
+      signal: null,
+      timeoutMs: null,
+    });
+  });
+
+  it("should throw on invalid options", () => {
+    expect(() => {
+      asyncOptions(["junk"], ["signal"]);
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid options argument."));
+  });
+
+  it("should throw on invalid options.signal", () => {
+    expect(() => {
+      asyncOptions([{ signal: {} }], ["signal"]);
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid options.signal argument."));
+  });
+
+  it("should throw on invalid options.timeoutMs", () => {
+    expect(() => {
+      asyncOptions([{ timeoutMs: 0 }], ["timeoutMs"]);
+    }).toThrow(
+      new Error("INVALID_ARGUMENT: Invalid options.timeoutMs argument."),
+    );
+  });
+
+  it("should ignore options that are not permitted", () => {
+    expect(asyncOptions([{ timeoutMs: "junk" }], ["signal"])).toEqual({
+      signal: null,
+      timeoutMs: null,
+    });
+  });
+
+  it("should return valid options", () => {
+    const { signal } = new AbortController();
+    expect(
+      asyncOptions([{ signal, timeoutMs: 100 }], ["signal", "timeoutMs"]),
+    ).toEqual({ signal, timeoutMs: 100 });
+  });
+});
+
+describe("The awaitTransition() function", () => {
+  it("should reject immediately if the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const initiate = jest.fn();
+    await expect(
+      awaitTransition(
+        params(transport(), { initiate, signal: controller.signal }),
+      ),
+    ).rejects.toThrow(new Error("ABORTED: The operation was aborted."));
+    expect(initiate.mock.calls.length).toBe(0);
+  });
+
+  it("should reject if initiate() throws", async () => {
+    const t = transport();
+    const err = new Error("INVALID_STATE: Bad.");
+    await expect(
+      awaitTransition(
+        params(t, {
+          initiate: () => {
+            throw err;
+          },
+        }),
+      ),
+    ).rejects.toBe(err);
+    await promisify(process.nextTick)();
+    expect(t.hasListeners("start")).toBe(false);
+  });
+
+  it("should ignore events queued before the call", async () => {
+    const t = transport();
+    process.nextTick(() => {
+      t.emit("stop");
+    });
+    const promise = awaitTransition(
+      params(t, {
+        initiate: () => {
+          process.nextTick(() => {
+            t.emit("start");
+          });
+        },
+      }),
+    );
+    await expect(promise).resolves.toBe(undefined);
+  });
+
+  it("should resolve on the resolve event and remove listeners", async () => {
+    const t = transport();
+    const promise = awaitTransition(params(t));
+    await promisify(process.nextTick)();
+    t.emit("start");
+    await expect(promise).resolves.toBe(undefined);
+    expect(t.hasListeners("start")).toBe(false);
+    expect(t.hasListeners("stop")).toBe(false);
+  });
+
+  it("should reject with the event error", async () => {
+    const t = transport();
+    const promise = awaitTransition(params(t));
+    await promisify(process.nextTick)();
+    const err = new Error("FAILURE: Broken.");
+    t.emit("stop", err);
+    await expect(promise).rejects.toBe(err);
+  });
+
+  it("should reject with the reject message if there is no event error", async () => {
+    const t = transport();
+    const promise = awaitTransition(params(t));
+    await promisify(process.nextTick)();
+    t.emit("stop");
+    await expect(promise).rejects.toThrow(new Error("ABORTED: Stopped."));
+  });
+
+  it("should cancel and reject on abort", async () => {
+    const t = transport();
+    const controller = new AbortController();
+    const p = params(t, { signal: controller.signal });
+    const promise = awaitTransition(p);
+    controller.abort();
+    await expect(promise).rejects.toThrow(
+      new Error("ABORTED: The operation was aborted."),
+    );
+    expect(p.cancel.mock.calls).toEqual([[]]);
+    await promisify(process.nextTick)();
+    expect(t.hasListeners("start")).toBe(false);
+  });
+
+  it("should cancel and reject on timeout", async () => {
+    const t = transport();
+    const p = params(t, { timeoutMs: 100 });
+    const promise = awaitTransition(p);
+    await promisify(process.nextTick)();
+    jest.advanceTimersByTime(100);
+    await expect(promise).rejects.toThrow(new Error("FAILURE: Timed out."));
+    expect(p.cancel.mock.calls.length).toBe(1);
+    expect(p.cancel.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(p.cancel.mock.calls[0][0].message).toBe("FAILURE: Timed out.");
+    expect(t.hasListeners("start")).toBe(false);
+  });
+
+  it("should not cancel after settling", async () => {
+    const t = transport();
+    const controller = new AbortController();
+    const p = params(t, { signal: controller.signal, timeoutMs: 100 });
+    const promise = awaitTransition(p);
+    await promisify(process.nextTick)();
+    t.emit("start");
+    await promise;
+    controller.abort();
+    jest.advanceTimersByTime(100);
+    expect(p.cancel.mock.calls.length).toBe(0);
+  });
+});
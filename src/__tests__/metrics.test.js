@@ -0,0 +1,95 @@
+import metricsFactory, { validPrefix, validBuckets } from "../metrics";
+
+const definitions = {
+  events_total: { type: "counter", help: "Events." },
+  errors_total: { type: "counter", help: "Errors, by kind.", labels: ["kind"] },
+  items: { type: "gauge", help: "Items." },
+  latency_seconds: { type: "histogram", help: "Latency." },
+};
+
+describe("The validPrefix() function", () => {
+  it("should return true for valid prefixes", () => {
+    expect(validPrefix("feedme_server")).toBe(true);
+    expect(validPrefix("_a:b9")).toBe(true);
+  });
+
+  it("should return false for invalid prefixes", () => {
+    expect(validPrefix("")).toBe(false);
+    expect(validPrefix("9a")).toBe(false);
+    expect(validPrefix("a-b")).toBe(false);
+    expect(validPrefix(123)).toBe(false);
+  });
+});
+
+describe("The validBuckets() function", () => {
+  it("should return true for increasing positive bounds", () => {
+    expect(validBuckets([0.1])).toBe(true);
+    expect(validBuckets([0.1, 0.5, 1])).toBe(true);
+  });
+
+  it("should return false otherwise", () => {
+    expect(validBuckets([])).toBe(false);
+    expect(validBuckets([0])).toBe(false);
+    expect(validBuckets([0.5, 0.5])).toBe(false);
+    expect(validBuckets([1, 0.5])).toBe(false);
+    expect(validBuckets([Infinity])).toBe(false);
+    expect(validBuckets("junk")).toBe(false);
+  });
+});
+
+describe("The metrics.render() function", () => {
+  it("should render zeroed unlabelled metrics and no labelled series initially", () => {
+    const metrics = metricsFactory("app", definitions, [0.1, 1]);
+    expect(metrics.render()).toBe(
+      [
+        "# HELP app_events_total Events.",
+        "# TYPE app_events_total counter",
+        "app_events_total 0",
+        "# HELP app_errors_total Errors, by kind.",
+        "# TYPE app_errors_total counter",
+        "# HELP app_items Items.",
+        "# TYPE app_items gauge",
+        "app_items 0",
+        "# HELP app_latency_seconds Latency.",
+        "# TYPE app_latency_seconds histogram",
+        'app_latency_seconds_bucket{le="0.1"} 0',
+        'app_latency_seconds_bucket{le="1"} 0',
+        'app_latency_seconds_bucket{le="+Inf"} 0',
+        "app_latency_seconds_sum 0",
+        "app_latency_seconds_count 0",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("should render recorded values", () => {
+    const metrics = metricsFactory("app", definitions, [0.1, 1]);
+    metrics.increment("events_total");
+    metrics.increment("events_total", null, 2);
+    metrics.increment("errors_total", { kind: "a" });
+    metrics.increment("errors_total", { kind: "b" });
+    metrics.increment("errors_total", { kind: "a" });
+    metrics.set("items", null, 7);
+    metrics.observe("latency_seconds", null, 0.0625);
+    metrics.observe("latency_seconds", null, 0.5);
+    metrics.observe("latency_seconds", null, 2);
+    const lines = metrics.render().split("\n");
+    expect(lines).toContain("app_events_total 3");
+    expect(lines).toContain('app_errors_total{kind="a"} 2');
+    expect(lines).toContain('app_errors_total{kind="b"} 1');
+    expect(lines).toContain("app_items 7");
+    expect(lines).toContain('app_latency_seconds_bucket{le="0.1"} 1');
+    expect(lines).toContain('app_latency_seconds_bucket{le="1"} 2');
+    expect(lines).toContain('app_latency_seconds_bucket{le="+Inf"} 3');
+    expect(lines).toContain("app_latency_seconds_sum 2.5625");
+    expect(lines).toContain("app_latency_seconds_count 3");
+  });
+
+  it("should escape label values", () => {
+    const metrics = metricsFactory("app", definitions, [1]);
+    metrics.increment("errors_total", { kind: 'a"b\\c\nd' });
+    expect(metrics.render()).toContain(
+      'app_errors_total{kind="a\\"b\\\\c\\nd"} 1',
+    );
+  });
+});
@@ -0,0 +1,356 @@
+import polling from "../polling.main";
+import clientConfig from "../client.config";
+
+jest.useFakeTimers({ legacyFakeTimers: true });
+
+const URL = "https://example.com/feedme/poll";
+
+// Harness
+
+const harness = function harness(options) {
+  const xhrs = [];
+  const xhrConstructor = function c() {
+    this.open = jest.fn((method, url) => {
+      this.method = method;
+      this.url = url;
+    });
+    this.setRequestHeader = jest.fn();
+    this.send = jest.fn((body) => {
+      this.body = body === null ? null : JSON.parse(body);
+    });
+    this.abort = jest.fn();
+    this.respond = (status, body) => {
+      this.status = status;
+      this.responseText = body === undefined ? "" : JSON.stringify(body);
+      this.onload();
+    };
+    xhrs.push(this);
+  };
+  const client =
+    options === undefined
+      ? polling(xhrConstructor, URL)
+      : polling(xhrConstructor, URL, options);
+  const listener = {
+    connecting: jest.fn(),
+    connect: jest.fn(),
+    message: jest.fn(),
+    disconnect: jest.fn(),
+    reconnecting: jest.fn(),
+  };
+  Object.keys(listener).forEach((evt) => {
+    client.on(evt, listener[evt]);
+  });
+  return {
+    client,
+    xhrs,
+    listener,
+    last: () => xhrs[xhrs.length - 1],
+  };
+};
+
+// Connects the client and returns the harness
+const connected = (options) => {
+  const harn = harness(options);
+  harn.client.connect();
+  harn.last().respond(200, { sid: "SID", protocol: "feedme" });
+  jest.runOnlyPendingTimers(); // Emit events
+  return harn;
+};
+
+describe("The polling() factory function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid xhrConstructor", () => {
+      expect(() => {
+        polling("junk", URL);
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid xhrConstructor argument."),
+      );
+    });
+
+    it("should throw on invalid url", () => {
+      expect(() => {
+        polling(() => {}, "junk");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid url argument."));
+    });
+
+    it("should throw on invalid options", () => {
+      expect(() => {
+        polling(() => {}, URL, "junk");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid options argument."));
+    });
+
+    it("should throw on invalid options.requestTimeoutMs", () => {
+      expect(() => {
+        polling(() => {}, URL, { requestTimeoutMs: 0 });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.requestTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.protocols", () => {
+      expect(() => {
+        polling(() => {}, URL, { protocols: ["junk"] });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.connectTimeoutMs", () => {
+      expect(() => {
+        polling(() => {}, URL, { connectTimeoutMs: -1 });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.reconnect", () => {
+      expect(() => {
+        polling(() => {}, URL, { reconnect: { multiplier: 0 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.reconnect.multiplier argument.",
+        ),
+      );
+    });
+  });
+
+  describe("can succeed", () => {
+    it("should overlay defaults and be disconnected", () => {
+      const harn = harness();
+      expect(harn.client.state()).toBe("disconnected");
+      expect(harn.client._options).toEqual({
+        requestTimeoutMs: clientConfig.defaults.requestTimeoutMs,
+      });
+    });
+  });
+});
+
+describe("The client.connect() function", () => {
+  it("should throw if already connecting", () => {
+    const harn = harness();
+    harn.client.connect();
+    expect(() => {
+      harn.client.connect();
+    }).toThrow(new Error("INVALID_STATE: Already connecting or connected."));
+  });
+
+  it("should request a session offering the plain subprotocols", () => {
+    const harn = harness({ protocols: ["feedme.v2", "feedme"] });
+    harn.client.connect();
+    expect(harn.client.state()).toBe("connecting");
+    expect(harn.xhrs.length).toBe(1);
+    expect(harn.last().method).toBe("POST");
+    expect(harn.last().url).toBe(URL);
+    expect(harn.last().timeout).toBe(clientConfig.defaults.requestTimeoutMs);
+    expect(harn.last().body).toEqual({ protocols: ["feedme.v2", "feedme"] });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.connecting.mock.calls.length).toBe(1);
+  });
+
+  it("should connect and start polling once the session is opened", () => {
+    const harn = connected({ protocols: ["FEEDME.v2", "feedme"] });
+    expect(harn.client.state()).toBe("connected");
+    expect(harn.listener.connect.mock.calls.length).toBe(1);
+    expect(harn.xhrs.length).toBe(2);
+    expect(harn.last().method).toBe("GET");
+    expect(harn.last().url).toBe(`${URL}?sid=SID`);
+    expect(harn.client.protocol()).toBe("feedme");
+  });
+
+  it("should disconnect if the session could not be opened", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.last().respond(503, { error: "Service Unavailable" });
+    jest.runOnlyPendingTimers();
+    expect(harn.client.state()).toBe("disconnected");
+    expect(harn.listener.disconnect.mock.calls.length).toBe(1);
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe(
+      "FAILURE: The long-polling session could not be opened.",
+    );
+    expect(err.httpStatus).toBe(503);
+  });
+
+  it("should disconnect if the session request fails", () => {
+    const harn = harness();
+    harn.client.connect();
+    harn.last().onerror();
+    jest.runOnlyPendingTimers();
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe(
+      "FAILURE: The long-polling session could not be opened.",
+    );
+    expect(err.httpStatus).toBe(undefined);
+  });
+
+  it("should time out the connection attempt if so configured", () => {
+    const harn = harness({ connectTimeoutMs: 100 });
+    harn.client.connect();
+    const xhr = harn.last();
+    jest.advanceTimersByTime(100);
+    expect(xhr.abort.mock.calls.length).toBe(1);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(harn.listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Connection timed out.",
+    );
+  });
+});
+
+describe("Polling", () => {
+  it("should emit messages and poll again", () => {
+    const harn = connected();
+    harn.last().respond(200, { messages: ["msg1", "msg2"] });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.message.mock.calls).toEqual([["msg1"], ["msg2"]]);
+    expect(harn.xhrs.length).toBe(3);
+    expect(harn.last().method).toBe("GET");
+  });
+
+  it("should disconnect with the close frame details", () => {
+    const harn = connected();
+    harn.last().respond(200, {
+      messages: ["msg"],
+      close: { code: 4000, reason: '{"type":"ban"}' },
+    });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.message.mock.calls).toEqual([["msg"]]);
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe(
+      "FAILURE: The long-polling session closed unexpectedly.",
+    );
+    expect(err.wsCode).toBe(4000);
+    expect(err.wsReason).toBe('{"type":"ban"}');
+    expect(err.serverReason).toEqual({ type: "ban" });
+    expect(harn.xhrs.length).toBe(2); // No delete for an ended session
+  });
+
+  it("should disconnect if the session has ended", () => {
+    const harn = connected();
+    harn.last().respond(410, { error: "Gone" });
+    jest.runOnlyPendingTimers();
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe(
+      "FAILURE: The long-polling session closed unexpectedly.",
+    );
+    expect(err.httpStatus).toBe(410);
+  });
+
+  it("should schedule a reconnect attempt if so configured", () => {
+    const harn = connected({ reconnect: { jitter: 0 } });
+    harn.last().onerror();
+    expect(harn.client.state()).toBe("connecting");
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.reconnecting.mock.calls).toEqual([
+      [1, clientConfig.defaults.reconnect.initialDelayMs],
+    ]);
+
+    // Connecting is emitted once, between disconnect and reconnecting
+    const { listener } = harn;
+    expect(listener.connecting.mock.calls).toEqual([[], []]);
+    expect(listener.disconnect.mock.invocationCallOrder[0]).toBeLessThan(
+      listener.connecting.mock.invocationCallOrder[1],
+    );
+    expect(listener.connecting.mock.invocationCallOrder[1]).toBeLessThan(
+      listener.reconnecting.mock.invocationCallOrder[0],
+    );
+  });
+
+  it("should not reconnect after an application close code", () => {
+    const harn = connected({ reconnect: { jitter: 0 } });
+    harn.last().respond(200, {
+      messages: [],
+      close: { code: 4001, reason: "Banned" },
+    });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.disconnect.mock.calls.length).toBe(1);
+    expect(harn.listener.reconnecting.mock.calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(harn.client._reconnectTimeout).toBe(null);
+  });
+
+  it("should make the pending attempt on connect() while waiting to reconnect", () => {
+    const harn = connected({ reconnect: { jitter: 0 } });
+    harn.last().onerror();
+    const xhrCount = harn.xhrs.length;
+    harn.client.connect();
+    expect(harn.xhrs.length).toBe(xhrCount + 1);
+    expect(harn.last().method).toBe("POST");
+    expect(harn.client.state()).toBe("connecting");
+  });
+});
+
+describe("The client.send() function", () => {
+  it("should throw on invalid message", () => {
+    const harn = connected();
+    expect(() => {
+      harn.client.send(new ArrayBuffer(1));
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid message."));
+  });
+
+  it("should throw if not connected", () => {
+    const harn = harness();
+    expect(() => {
+      harn.client.send("msg");
+    }).toThrow(new Error("INVALID_STATE: Not connected."));
+  });
+
+  it("should post messages in order with one request in flight", () => {
+    const harn = connected();
+    harn.client.send("msg1");
+    const post = harn.last();
+    expect(post.method).toBe("POST");
+    expect(post.url).toBe(`${URL}?sid=SID`);
+    expect(post.body).toEqual(["msg1"]);
+
+    harn.client.send("msg2");
+    harn.client.send("msg3");
+    expect(harn.last()).toBe(post);
+
+    post.respond(204);
+    expect(harn.last().body).toEqual(["msg2", "msg3"]);
+  });
+
+  it("should disconnect if a post fails", () => {
+    const harn = connected();
+    harn.client.send("msg");
+    harn.last().respond(404, { error: "Not Found" });
+    jest.runOnlyPendingTimers();
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe("FAILURE: Long-polling transmission failed.");
+    expect(err.httpStatus).toBe(404);
+  });
+});
+
+describe("The client.disconnect() function", () => {
+  it("should throw if already disconnected", () => {
+    const harn = harness();
+    expect(() => {
+      harn.client.disconnect();
+    }).toThrow(new Error("INVALID_STATE: Already disconnected."));
+  });
+
+  it("should abort requests and end the session", () => {
+    const harn = connected();
+    const pollXhr = harn.last();
+    harn.client.disconnect();
+    expect(pollXhr.abort.mock.calls.length).toBe(1);
+    expect(harn.last().method).toBe("DELETE");
+    expect(harn.last().url).toBe(`${URL}?sid=SID`);
+    expect(harn.client.state()).toBe("disconnected");
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.disconnect.mock.calls).toEqual([[]]);
+  });
+
+  it("should abort the session request while connecting", () => {
+    const harn = harness();
+    harn.client.connect();
+    const openXhr = harn.last();
+    harn.client.disconnect();
+    expect(openXhr.abort.mock.calls.length).toBe(1);
+    expect(harn.xhrs.length).toBe(1);
+  });
+});
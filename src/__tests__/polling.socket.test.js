@@ -0,0 +1,202 @@
+import emitter from "component-emitter";
+import promisify from "promisify-function";
+import pollingSocket from "../polling.socket";
+
+jest.useFakeTimers({ legacyFakeTimers: true });
+
+const OPTIONS = { pollTimeoutMs: 1000, sessionTimeoutMs: 500 };
+
+const createRes = () => {
+  const res = { writeHead: jest.fn(), end: jest.fn() };
+  res.getStatus = () => res.writeHead.mock.calls[0][0];
+  res.getBody = () => JSON.parse(res.end.mock.calls[0][0]);
+  return res;
+};
+
+const poll = (socket) => {
+  const req = emitter({});
+  const res = createRes();
+  socket.handlePoll(req, res);
+  return { req, res };
+};
+
+describe("The pollingSocket() factory", () => {
+  it("should return an open socket", () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    expect(socket.protocol).toBe("feedme");
+    expect(socket.readyState).toBe(socket.OPEN);
+    expect(socket.bufferedAmount).toBe(0);
+  });
+});
+
+describe("The socket.send() function", () => {
+  it("should queue messages until the client polls", async () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    const cb = jest.fn();
+    socket.send("msg1", cb);
+    socket.send(Buffer.from("msg2"), { binary: false }, cb);
+    expect(socket.bufferedAmount).toBe(8);
+
+    const { res } = poll(socket);
+    expect(res.getStatus()).toBe(200);
+    expect(res.getBody()).toEqual({ messages: ["msg1", "msg2"] });
+    expect(socket.bufferedAmount).toBe(0);
+
+    expect(cb.mock.calls.length).toBe(0);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls).toEqual([[], []]);
+  });
+
+  it("should write to a held poll request immediately", () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    const { res } = poll(socket);
+    expect(res.writeHead.mock.calls.length).toBe(0);
+    socket.send("msg");
+    expect(res.getBody()).toEqual({ messages: ["msg"] });
+  });
+
+  it("should call back an error if the session is not open", async () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    socket.terminate();
+    const cb = jest.fn();
+    socket.send("msg", cb);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0][0]).toBeInstanceOf(Error);
+  });
+});
+
+describe("The socket.ping() function", () => {
+  it("should emit pong once the client polls", async () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    const pong = jest.fn();
+    socket.on("pong", pong);
+    socket.ping();
+    await promisify(process.nextTick)();
+    expect(pong.mock.calls.length).toBe(0);
+
+    poll(socket);
+    await promisify(process.nextTick)();
+    expect(pong.mock.calls.length).toBe(1);
+  });
+
+  it("should emit pong if a poll request is held", async () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    poll(socket);
+    const pong = jest.fn();
+    socket.on("pong", pong);
+    socket.ping();
+    await promisify(process.nextTick)();
+    expect(pong.mock.calls.length).toBe(1);
+  });
+});
+
+describe("The socket.close() function", () => {
+  it("should deliver queued messages and the close frame, then end", async () => {
+    const onEnd = jest.fn();
+    const socket = pollingSocket("feedme", OPTIONS, onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    socket.send("msg");
+    socket.close(4000, "Bye");
+    expect(socket.readyState).toBe(socket.CLOSING);
+    expect(onEnd.mock.calls.length).toBe(0);
+
+    const { res } = poll(socket);
+    expect(res.getBody()).toEqual({
+      messages: ["msg"],
+      close: { code: 4000, reason: "Bye" },
+    });
+    expect(socket.readyState).toBe(socket.CLOSED);
+    expect(onEnd.mock.calls.length).toBe(1);
+
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[4000, "Bye"]]);
+  });
+});
+
+describe("The socket.terminate() function", () => {
+  it("should respond 410 to a held poll, fail queued messages, and end", async () => {
+    const onEnd = jest.fn();
+    const socket = pollingSocket("feedme", OPTIONS, onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    const { res } = poll(socket);
+    socket.terminate();
+    expect(res.getStatus()).toBe(410);
+    expect(onEnd.mock.calls.length).toBe(1);
+
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[1006, ""]]);
+  });
+});
+
+describe("The socket.handlePoll() function", () => {
+  it("should release a previous poll request with no messages", () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    const first = poll(socket);
+    poll(socket);
+    expect(first.res.getBody()).toEqual({ messages: [] });
+  });
+
+  it("should respond with no messages once the poll timeout elapses", () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    const { res } = poll(socket);
+    jest.advanceTimersByTime(OPTIONS.pollTimeoutMs - 1);
+    expect(res.writeHead.mock.calls.length).toBe(0);
+    jest.advanceTimersByTime(1);
+    expect(res.getBody()).toEqual({ messages: [] });
+  });
+
+  it("should not time out the session while a poll request is held", () => {
+    const onEnd = jest.fn();
+    const socket = pollingSocket("feedme", OPTIONS, onEnd);
+    poll(socket);
+    jest.advanceTimersByTime(OPTIONS.pollTimeoutMs - 1);
+    expect(onEnd.mock.calls.length).toBe(0);
+  });
+
+  it("should restart the session timeout if the poll request is abandoned", async () => {
+    const onEnd = jest.fn();
+    const socket = pollingSocket("feedme", OPTIONS, onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    const { req } = poll(socket);
+    req.emit("close");
+    jest.advanceTimersByTime(OPTIONS.sessionTimeoutMs);
+    expect(onEnd.mock.calls.length).toBe(1);
+
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[1006, ""]]);
+  });
+});
+
+describe("The socket.handleMessages() function", () => {
+  it("should emit message for each message while open", () => {
+    const socket = pollingSocket("feedme", OPTIONS, () => {});
+    const message = jest.fn();
+    socket.on("message", message);
+    socket.handleMessages(["msg1", "msg2"]);
+    expect(message.mock.calls).toEqual([["msg1"], ["msg2"]]);
+
+    socket.close(1000, "");
+    socket.handleMessages(["msg3"]);
+    expect(message.mock.calls.length).toBe(2);
+  });
+});
+
+describe("The socket.handleClose() function", () => {
+  it("should end the session with a normal closure", async () => {
+    const onEnd = jest.fn();
+    const socket = pollingSocket("feedme", OPTIONS, onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    const { res } = poll(socket);
+    socket.handleClose();
+    expect(res.getStatus()).toBe(410);
+    expect(onEnd.mock.calls.length).toBe(1);
+
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[1000, ""]]);
+  });
+});
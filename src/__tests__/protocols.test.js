@@ -0,0 +1,110 @@
+import { validVersions, subprotocol, parseSubprotocol } from "../protocols";
+
+describe("The validVersions() function", () => {
+  it("should return true for valid version lists", () => {
+    expect(validVersions(["feedme"])).toBe(true);
+    expect(validVersions(["feedme.v2+deflate", "feedme.v2", "feedme"])).toBe(
+      true,
+    );
+    expect(validVersions(["FeedMe.V2_beta-1"])).toBe(true);
+  });
+
+  it("should return false for non-arrays and empty arrays", () => {
+    expect(validVersions("feedme")).toBe(false);
+    expect(validVersions([])).toBe(false);
+  });
+
+  it("should return false for non-string versions", () => {
+    expect(validVersions(["feedme", 123])).toBe(false);
+  });
+
+  it("should return false for versions outside the feedme family", () => {
+    expect(validVersions(["other"])).toBe(false);
+    expect(validVersions(["feedmev2"])).toBe(false);
+    expect(validVersions(["feedme."])).toBe(false);
+    expect(validVersions(["feedme v2"])).toBe(false);
+  });
+
+  it("should return false for versions ending with an extension suffix", () => {
+    expect(validVersions(["feedme.binary"])).toBe(false);
+    expect(validVersions(["feedme.v2.HEARTBEAT"])).toBe(false);
+    expect(validVersions(["feedme.resume"])).toBe(false);
+  });
+
+  it("should return false for duplicate versions", () => {
+    expect(validVersions(["feedme.v2", "Feedme.V2"])).toBe(false);
+  });
+});
+
+describe("The subprotocol() function", () => {
+  it("should return correctly", () => {
+    expect(subprotocol("feedme.v2", false, false)).toBe("feedme.v2");
+    expect(subprotocol("feedme.v2", true, false)).toBe("feedme.v2.binary");
+    expect(subprotocol("feedme.v2", false, true)).toBe("feedme.v2.heartbeat");
+    expect(subprotocol("feedme.v2", true, true)).toBe(
+      "feedme.v2.binary.heartbeat",
+    );
+    expect(subprotocol("feedme.v2", false, false, true)).toBe(
+      "feedme.v2.resume",
+    );
+    expect(subprotocol("feedme.v2", true, true, true)).toBe(
+      "feedme.v2.binary.heartbeat.resume",
+    );
+  });
+});
+
+describe("The parseSubprotocol() function", () => {
+  const versions = ["feedme.V2+deflate", "feedme"];
+
+  it("should return correctly for plain subprotocols", () => {
+    expect(parseSubprotocol("feedme", versions)).toEqual({
+      version: "feedme",
+      binary: false,
+      heartbeat: false,
+      resume: false,
+    });
+  });
+
+  it("should return correctly for extended subprotocols", () => {
+    expect(
+      parseSubprotocol("FEEDME.v2+DEFLATE.Binary.Heartbeat", versions),
+    ).toEqual({
+      version: "feedme.V2+deflate",
+      binary: true,
+      heartbeat: true,
+      resume: false,
+    });
+    expect(parseSubprotocol("feedme.heartbeat", versions)).toEqual({
+      version: "feedme",
+      binary: false,
+      heartbeat: true,
+      resume: false,
+    });
+    expect(parseSubprotocol("feedme.binary.Resume", versions)).toEqual({
+      version: "feedme",
+      binary: true,
+      heartbeat: false,
+      resume: true,
+    });
+  });
+
+  it("should return correctly for unknown versions", () => {
+    expect(parseSubprotocol("feedme.v3.binary", versions)).toEqual({
+      version: null,
+      binary: true,
+      heartbeat: false,
+      resume: false,
+    });
+  });
+
+  it("should return correctly if no subprotocol was negotiated", () => {
+    const expected = {
+      version: null,
+      binary: false,
+      heartbeat: false,
+      resume: false,
+    };
+    expect(parseSubprotocol("", versions)).toEqual(expected);
+    expect(parseSubprotocol(undefined, versions)).toEqual(expected);
+  });
+});
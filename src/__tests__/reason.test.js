@@ -0,0 +1,76 @@
+import {
+  encodeReason,
+  parseReason,
+  closeCategory,
+  closeError,
+} from "../reason";
+
+describe("The encodeReason() function", () => {
+  it("should return strings unchanged", () => {
+    expect(encodeReason("Banned")).toBe("Banned");
+  });
+
+  it("should JSON-encode objects and arrays", () => {
+    expect(encodeReason({ type: "ban" })).toBe('{"type":"ban"}');
+    expect(encodeReason(["ban", 7])).toBe('["ban",7]');
+  });
+});
+
+describe("The parseReason() function", () => {
+  it("should parse encoded objects and arrays", () => {
+    expect(parseReason('{"type":"ban"}')).toEqual({ type: "ban" });
+    expect(parseReason('["ban",7]')).toEqual(["ban", 7]);
+  });
+
+  it("should return other reasons unchanged", () => {
+    expect(parseReason("Banned")).toBe("Banned");
+    expect(parseReason("123")).toBe("123");
+    expect(parseReason("{not json")).toBe("{not json");
+    expect(parseReason(undefined)).toBe(undefined);
+  });
+});
+
+describe("The closeCategory() function", () => {
+  it("should categorize clean closures by code", () => {
+    expect(closeCategory(1000, true)).toBe("normal");
+    expect(closeCategory(1001, true)).toBe("serverShutdown");
+    expect(closeCategory(1002, true)).toBe("protocolRejection");
+    expect(closeCategory(1008, true)).toBe("policyViolation");
+    expect(closeCategory(1011, true)).toBe("serverError");
+    expect(closeCategory(4000, true)).toBe("application");
+    expect(closeCategory(3000, true)).toBe("unknown");
+  });
+
+  it("should categorize unclean closures as network failures", () => {
+    expect(closeCategory(1006, false)).toBe("networkFailure");
+    expect(closeCategory(1000, false)).toBe("networkFailure");
+  });
+});
+
+describe("The closeError() function", () => {
+  it("should include the parsed reason for application close codes", () => {
+    const err = closeError("FAILURE: Closed.", 4999, '{"type":"ban"}');
+    expect(err).toBeInstanceOf(Error);
+    expect(err.message).toBe("FAILURE: Closed.");
+    expect(err.wsCode).toBe(4999);
+    expect(err.wsReason).toBe('{"type":"ban"}');
+    expect(err.wsWasClean).toBe(true);
+    expect(err.wsCloseCategory).toBe("application");
+    expect(err.serverReason).toEqual({ type: "ban" });
+  });
+
+  it("should use the wasClean flag if specified", () => {
+    const err = closeError("FAILURE: Closed.", 1001, "", false);
+    expect(err.wsWasClean).toBe(false);
+    expect(err.wsCloseCategory).toBe("networkFailure");
+  });
+
+  it("should not include a parsed reason for other close codes", () => {
+    const err = closeError("FAILURE: Closed.", 1006, "");
+    expect(err.wsCode).toBe(1006);
+    expect(err.wsReason).toBe("");
+    expect(err.wsWasClean).toBe(false);
+    expect(err.wsCloseCategory).toBe("networkFailure");
+    expect("serverReason" in err).toBe(false);
+  });
+});
@@ -0,0 +1,230 @@
+import emitter from "component-emitter";
+import router from "../router";
+
+// Harness
+
+const mockTransport = (state) => ({
+  state: jest.fn(() => state || "started"),
+  handleUpgrade: jest.fn(),
+});
+
+const mockSocket = () => ({
+  writable: true,
+  write: jest.fn(),
+  destroy: jest.fn(),
+});
+
+const upgradeRequest = (url, headers) => ({
+  method: "GET",
+  url,
+  headers: headers || { upgrade: "websocket" },
+});
+
+// Emits an upgrade event on the http server and returns the socket
+const upgrade = (httpServer, req) => {
+  const socket = mockSocket();
+  httpServer.emit("upgrade", req, socket, Buffer.from(""));
+  return socket;
+};
+
+const statusLine = (socket) => socket.write.mock.calls[0][0].split("\r\n")[0];
+
+describe("The router() factory function", () => {
+  it("should throw on invalid httpServer", () => {
+    expect(() => {
+      router("junk");
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid httpServer argument."));
+  });
+
+  it("should listen for upgrade events", () => {
+    const httpServer = emitter({});
+    router(httpServer);
+    expect(httpServer.listeners("upgrade").length).toBe(1);
+  });
+});
+
+describe("The router.add() function", () => {
+  it("should throw on invalid path", () => {
+    const r = router(emitter({}));
+    expect(() => {
+      r.add("feedme", mockTransport());
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid path argument."));
+    expect(() => {
+      r.add(123, mockTransport());
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid path argument."));
+  });
+
+  it("should throw on invalid transport", () => {
+    const r = router(emitter({}));
+    expect(() => {
+      r.add("/feedme", {});
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid transport argument."));
+  });
+
+  it("should throw on a duplicate path", () => {
+    const r = router(emitter({}));
+    r.add("/feedme", mockTransport()).add(/^\/v[0-9]+$/, mockTransport());
+    expect(() => {
+      r.add("/feedme", mockTransport());
+    }).toThrow(new Error("INVALID_ARGUMENT: The path is already routed."));
+    expect(() => {
+      r.add(/^\/v[0-9]+$/, mockTransport());
+    }).toThrow(new Error("INVALID_ARGUMENT: The path is already routed."));
+  });
+
+  it("should throw if the router is closed", () => {
+    const r = router(emitter({}));
+    r.close();
+    expect(() => {
+      r.add("/feedme", mockTransport());
+    }).toThrow(new Error("INVALID_STATE: The router is closed."));
+  });
+});
+
+describe("The router.remove() function", () => {
+  it("should throw if the path is not routed", () => {
+    const r = router(emitter({}));
+    expect(() => {
+      r.remove("/feedme");
+    }).toThrow(new Error("INVALID_ARGUMENT: The path is not routed."));
+  });
+
+  it("should stop routing the path", () => {
+    const httpServer = emitter({});
+    const transport = mockTransport();
+    router(httpServer)
+      .add(/^\/feed/, transport)
+      .remove(/^\/feed/);
+    const socket = upgrade(httpServer, upgradeRequest("/feedme"));
+    expect(transport.handleUpgrade.mock.calls.length).toBe(0);
+    expect(statusLine(socket)).toBe("HTTP/1.1 404 Not Found");
+  });
+});
+
+describe("The router.close() function", () => {
+  it("should throw if already closed", () => {
+    const r = router(emitter({}));
+    r.close();
+    expect(() => {
+      r.close();
+    }).toThrow(new Error("INVALID_STATE: The router is closed."));
+  });
+
+  it("should stop listening for upgrade events", () => {
+    const httpServer = emitter({});
+    router(httpServer).close();
+    expect(httpServer.listeners("upgrade").length).toBe(0);
+  });
+});
+
+describe("Upgrade routing", () => {
+  it("should route by exact path, ignoring the query string", () => {
+    const httpServer = emitter({});
+    const transport1 = mockTransport();
+    const transport2 = mockTransport();
+    router(httpServer).add("/feedme1", transport1).add("/feedme2", transport2);
+    const req = upgradeRequest("/feedme2?token=abc");
+    const socket = upgrade(httpServer, req);
+    expect(transport1.handleUpgrade.mock.calls.length).toBe(0);
+    expect(transport2.handleUpgrade.mock.calls.length).toBe(1);
+    expect(transport2.handleUpgrade.mock.calls[0][0]).toBe(req);
+    expect(transport2.handleUpgrade.mock.calls[0][1]).toBe(socket);
+    expect(Buffer.isBuffer(transport2.handleUpgrade.mock.calls[0][2])).toBe(
+      true,
+    );
+    expect(socket.destroy.mock.calls.length).toBe(0);
+  });
+
+  it("should route by pattern in the order added", () => {
+    const httpServer = emitter({});
+    const transport1 = mockTransport();
+    const transport2 = mockTransport();
+    router(httpServer)
+      .add(/^\/api\/v1$/, transport1)
+      .add(/^\/api\//g, transport2);
+    upgrade(httpServer, upgradeRequest("/api/v1"));
+    upgrade(httpServer, upgradeRequest("/api/v2"));
+    upgrade(httpServer, upgradeRequest("/api/v3"));
+    expect(transport1.handleUpgrade.mock.calls.length).toBe(1);
+    expect(transport2.handleUpgrade.mock.calls.length).toBe(2);
+  });
+
+  it("should respond 404 if no route matches", () => {
+    const httpServer = emitter({});
+    router(httpServer).add("/feedme", mockTransport());
+    const socket = upgrade(httpServer, upgradeRequest("/other"));
+    expect(statusLine(socket)).toBe("HTTP/1.1 404 Not Found");
+    expect(socket.destroy.mock.calls.length).toBe(1);
+  });
+
+  it("should respond 400 if the request is not a WebSocket upgrade", () => {
+    const httpServer = emitter({});
+    const transport = mockTransport();
+    router(httpServer).add("/feedme", transport);
+    const socket1 = upgrade(
+      httpServer,
+      upgradeRequest("/feedme", { upgrade: "h2c" }),
+    );
+    const socket2 = upgrade(httpServer, {
+      method: "POST",
+      url: "/feedme",
+      headers: { upgrade: "WebSocket" },
+    });
+    expect(statusLine(socket1)).toBe("HTTP/1.1 400 Bad Request");
+    expect(statusLine(socket2)).toBe("HTTP/1.1 400 Bad Request");
+    expect(socket1.destroy.mock.calls.length).toBe(1);
+    expect(socket2.destroy.mock.calls.length).toBe(1);
+    expect(transport.handleUpgrade.mock.calls.length).toBe(0);
+  });
+
+  it("should respond 503 if the transport is not started", () => {
+    const httpServer = emitter({});
+    const transport = mockTransport("stopping");
+    router(httpServer).add("/feedme", transport);
+    const socket = upgrade(httpServer, upgradeRequest("/feedme"));
+    expect(statusLine(socket)).toBe("HTTP/1.1 503 Service Unavailable");
+    expect(socket.destroy.mock.calls.length).toBe(1);
+    expect(transport.handleUpgrade.mock.calls.length).toBe(0);
+  });
+
+  it("should respond 500 if the transport throws", () => {
+    const httpServer = emitter({});
+    const transport = mockTransport();
+    transport.handleUpgrade.mockImplementation(() => {
+      throw new Error("INVALID_STATE: The transport is not in noServer mode.");
+    });
+    router(httpServer).add("/feedme", transport);
+    const socket = upgrade(httpServer, upgradeRequest("/feedme"));
+    expect(statusLine(socket)).toBe("HTTP/1.1 500 Internal Server Error");
+    expect(socket.destroy.mock.calls.length).toBe(1);
+  });
+
+  it("should write a complete response", () => {
+    const httpServer = emitter({});
+    router(httpServer);
+    const socket = upgrade(httpServer, upgradeRequest("/feedme"));
+    expect(socket.write.mock.calls[0][0]).toBe(
+      "HTTP/1.1 404 Not Found\r\n" +
+        "Connection: close\r\n" +
+        "Content-Type: text/plain; charset=utf-8\r\n" +
+        "Content-Length: 9\r\n" +
+        "\r\n" +
+        "Not Found",
+    );
+  });
+
+  it("should only destroy a socket that is not writable", () => {
+    const httpServer = emitter({});
+    router(httpServer);
+    const socket = mockSocket();
+    socket.writable = false;
+    httpServer.emit(
+      "upgrade",
+      upgradeRequest("/feedme"),
+      socket,
+      Buffer.from(""),
+    );
+    expect(socket.write.mock.calls.length).toBe(0);
+    expect(socket.destroy.mock.calls.length).toBe(1);
+  });
+});
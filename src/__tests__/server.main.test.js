@@ -6,6 +6,7 @@ import stream from "stream";
 import promisify from "promisify-function";
 import server from "../server.main";
 import serverConfig from "../server.config";
+import config from "../config";
 
 /*
 
@@ -39,20 +40,36 @@ State: Object members
   ._wsServer
   ._state
   ._wsClients
+  ._clientInfo
+  ._clientsPerIp
+  ._refused
+  ._congestion
+  ._rateLimits
+  ._latency
   ._heartbeatIntervals
   ._heartbeatTimeouts
   ._options
   ._httpHandlers
   ._httpListeningTimeout
   ._httpPollingInterval
+  ._drainClients
+  ._drainTimeout
+  ._pollingSessions
+  ._sessions
+  ._resumeTokens
 
 1. State-modifying functionality
   Triggered by library
     server()
     server.start()
-    server.stop()
+    server.stop([options])
+    server.startAsync([options])
+    server.stopAsync([options])
     server.send(cid, msg)
+    server.broadcast(msg, [options])
+    server.sendMany(cids, msg)
     server.disconnect(cid, [err])
+    server.handleRequest(req, res)
   Triggered by ws
     _processServerListening()
     _processServerClose()
@@ -65,9 +82,13 @@ State: Object members
 
 2. State-getting functionality
     .state()
+    .clientInfo()
+    .latency()
 
 3. Stateless functionality
     ._processHandleProtocols()
+    ._processVerifyClient()
+    ._getClientInfo()
 
 */
 
@@ -167,6 +188,24 @@ harnessProto.getServerState = function getServerState() {
   _.each(this.server._wsClients, (ws, cid) => {
     state._wsClients[cid] = true; // Boolean - checking keys only
   });
+  state._clientInfo = {};
+  _.each(this.server._clientInfo, (info, cid) => {
+    state._clientInfo[cid] = true; // Boolean - checking keys only
+  });
+  state._clientsPerIp = _.clone(this.server._clientsPerIp); // Object copy
+  state._refused = _.clone(this.server._refused); // Object copy
+  state._congestion = {};
+  _.each(this.server._congestion, (c, cid) => {
+    state._congestion[cid] = true; // Boolean - checking keys only
+  });
+  state._rateLimits = {};
+  _.each(this.server._rateLimits, (b, cid) => {
+    state._rateLimits[cid] = true; // Boolean - checking keys only
+  });
+  state._latency = {};
+  _.each(this.server._latency, (l, cid) => {
+    state._latency[cid] = true; // Boolean - checking keys only
+  });
   state._heartbeatIntervals = {};
   _.each(this.server._heartbeatIntervals, (iid, cid) => {
     state._heartbeatIntervals[cid] = true; // Boolean - checking keys only
@@ -179,6 +218,20 @@ harnessProto.getServerState = function getServerState() {
   state._httpHandlers = this.server._httpHandlers; // Null or object with three fn references
   state._httpListeningTimeout = this.server._httpListeningTimeout; // Number
   state._httpPollingInterval = this.server._httpPollingInterval; // Number
+  state._drainClients = {};
+  _.each(this.server._drainClients, (ws, cid) => {
+    state._drainClients[cid] = true; // Boolean - checking keys only
+  });
+  state._drainTimeout = this.server._drainTimeout; // Timer or null
+  state._pollingSessions = {};
+  _.each(this.server._pollingSessions, (session, sid) => {
+    state._pollingSessions[sid] = true; // Boolean - checking keys only
+  });
+  state._sessions = {};
+  _.each(this.server._sessions, (session, cid) => {
+    state._sessions[cid] = true; // Boolean - checking keys only
+  });
+  state._resumeTokens = _.clone(this.server._resumeTokens); // Object copy
   return state;
 };
 
@@ -235,6 +288,86 @@ const toHaveState = function toHaveState(receivedServer, expectedState) {
     };
   }
 
+  // Check _clientInfo
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._clientInfo).sort(),
+      _.keys(expectedState._clientInfo).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._clientInfo to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _clientsPerIp
+  if (!_.isEqual(receivedServer._clientsPerIp, expectedState._clientsPerIp)) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._clientsPerIp to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _refused
+  if (!_.isEqual(receivedServer._refused, expectedState._refused)) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._refused to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _congestion
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._congestion).sort(),
+      _.keys(expectedState._congestion).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._congestion to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _rateLimits
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._rateLimits).sort(),
+      _.keys(expectedState._rateLimits).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._rateLimits to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _latency
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._latency).sort(),
+      _.keys(expectedState._latency).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._latency to match, but they didn't";
+      },
+    };
+  }
+
   // Check _heartbeatIntervals
   if (
     !_.isEqual(
@@ -331,6 +464,76 @@ const toHaveState = function toHaveState(receivedServer, expectedState) {
     };
   }
 
+  // Check _drainClients
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._drainClients).sort(),
+      _.keys(expectedState._drainClients).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._drainClients to match, but they didn't";
+      },
+    };
+  }
+
+  // Check ._drainTimeout (both null or both set)
+  if (!!receivedServer._drainTimeout !== !!expectedState._drainTimeout) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._drainTimeout to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _pollingSessions
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._pollingSessions).sort(),
+      _.keys(expectedState._pollingSessions).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._pollingSessions to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _sessions
+  if (
+    !_.isEqual(
+      _.keys(receivedServer._sessions).sort(),
+      _.keys(expectedState._sessions).sort(),
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._sessions to match, but they didn't";
+      },
+    };
+  }
+
+  // Check _resumeTokens
+  if (
+    !_.isEqual(
+      receivedServer._resumeTokens || {},
+      expectedState._resumeTokens || {},
+    )
+  ) {
+    return {
+      pass: false,
+      message() {
+        return "expected ._resumeTokens to match, but they didn't";
+      },
+    };
+  }
+
   // Match
   return { pass: true };
 };
@@ -385,6 +588,17 @@ describe("The toHaveState() function", () => {
       );
     });
 
+    it("should fail if _clientInfo keys don't match", () => {
+      const result = toHaveState(
+        { _clientInfo: { one: 123 } },
+        { _clientInfo: {} },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._clientInfo to match, but they didn't",
+      );
+    });
+
     it("should fail if _heartbeatIntervals keys don't match", () => {
       const result = toHaveState(
         { _heartbeatIntervals: { one: 123 } },
@@ -491,6 +705,80 @@ describe("The toHaveState() function", () => {
         "expected ._httpPollingInterval to match, but they didn't",
       );
     });
+
+    it("should fail if _clientsPerIp values don't match", () => {
+      const result = toHaveState(
+        { _clientsPerIp: { "1.2.3.4": 1 } },
+        { _clientsPerIp: { "1.2.3.4": 2 } },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._clientsPerIp to match, but they didn't",
+      );
+    });
+
+    it("should fail if _refused values don't match", () => {
+      const result = toHaveState(
+        { _refused: { maxClients: 1, maxClientsPerIp: 0 } },
+        { _refused: { maxClients: 0, maxClientsPerIp: 0 } },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._refused to match, but they didn't",
+      );
+    });
+
+    it("should fail if _congestion keys don't match", () => {
+      const result = toHaveState(
+        { _congestion: { one: {} } },
+        { _congestion: {} },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._congestion to match, but they didn't",
+      );
+    });
+
+    it("should fail if _rateLimits keys don't match", () => {
+      const result = toHaveState(
+        { _rateLimits: { one: {} } },
+        { _rateLimits: {} },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._rateLimits to match, but they didn't",
+      );
+    });
+
+    it("should fail if _latency keys don't match", () => {
+      const result = toHaveState({ _latency: { one: {} } }, { _latency: {} });
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._latency to match, but they didn't",
+      );
+    });
+
+    it("should fail if _drainClients keys don't match", () => {
+      const result = toHaveState(
+        { _drainClients: { one: 123 } },
+        { _drainClients: {} },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._drainClients to match, but they didn't",
+      );
+    });
+
+    it("should fail if _drainTimeout values don't match", () => {
+      const result = toHaveState(
+        { _drainTimeout: 123 },
+        { _drainTimeout: null },
+      );
+      expect(result.pass).toBe(false);
+      expect(result.message()).toBe(
+        "expected ._drainTimeout to match, but they didn't",
+      );
+    });
   });
 
   describe("can pass", () => {
@@ -523,6 +811,14 @@ describe("The toHaveState() function", () => {
       expect(result.pass).toBe(true);
     });
 
+    it("should pass if _clientInfo match", () => {
+      const result = toHaveState(
+        { _clientInfo: { cid: {} } },
+        { _clientInfo: { cid: {} } },
+      );
+      expect(result.pass).toBe(true);
+    });
+
     it("should pass if _heartbeatIntervals match", () => {
       const result = toHaveState(
         { _heartbeatIntervals: { cid: {} } },
@@ -606,6 +902,60 @@ describe("The toHaveState() function", () => {
       );
       expect(result.pass).toBe(true);
     });
+
+    it("should pass if _congestion match", () => {
+      const result = toHaveState(
+        { _congestion: { cid: { pending: null } } },
+        { _congestion: { cid: { pending: "msg" } } },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _clientsPerIp and _refused match", () => {
+      const result = toHaveState(
+        {
+          _clientsPerIp: { "1.2.3.4": 1 },
+          _refused: { maxClients: 1, maxClientsPerIp: 2 },
+        },
+        {
+          _clientsPerIp: { "1.2.3.4": 1 },
+          _refused: { maxClients: 1, maxClientsPerIp: 2 },
+        },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _rateLimits match", () => {
+      const result = toHaveState(
+        { _rateLimits: { cid: { messages: 1 } } },
+        { _rateLimits: { cid: { messages: 2 } } },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _latency match", () => {
+      const result = toHaveState(
+        { _latency: { cid: { pingSentAt: null, samples: [] } } },
+        { _latency: { cid: { pingSentAt: 123, samples: [1] } } },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _drainClients match", () => {
+      const result = toHaveState(
+        { _drainClients: { cid: {} } },
+        { _drainClients: { cid: {} } },
+      );
+      expect(result.pass).toBe(true);
+    });
+
+    it("should pass if _drainTimeout matches", () => {
+      const result = toHaveState(
+        { _drainTimeout: 123 },
+        { _drainTimeout: 456 },
+      );
+      expect(result.pass).toBe(true);
+    });
   });
 });
 
@@ -695,63 +1045,439 @@ describe("The server() function", () => {
       );
     });
 
-    it("should throw on invalid options.heartbeatIntervalMs - type", () => {
+    it("should throw on invalid options.authenticate", () => {
       expect(() => {
-        harness({ port: PORT, heartbeatIntervalMs: "junk" });
+        harness({ port: PORT, authenticate: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.authenticate argument."),
+      );
+    });
+
+    it("should throw on invalid options.generateClientId", () => {
+      expect(() => {
+        harness({ port: PORT, generateClientId: "junk" });
       }).toThrow(
         new Error(
-          "INVALID_ARGUMENT: Invalid options.heartbeatIntervalMs argument.",
+          "INVALID_ARGUMENT: Invalid options.generateClientId argument.",
         ),
       );
     });
 
-    it("should throw on invalid options.heartbeatIntervalMs - negative", () => {
+    it("should throw on invalid options.metrics", () => {
       expect(() => {
-        harness({ port: PORT, heartbeatIntervalMs: -1 });
+        harness({ port: PORT, metrics: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.metrics argument."),
+      );
+    });
+
+    it("should throw on invalid options.metrics.prefix", () => {
+      expect(() => {
+        harness({ port: PORT, metrics: { prefix: "1-bad" } });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.metrics.prefix argument."),
+      );
+    });
+
+    it("should throw on invalid options.metrics.buckets", () => {
+      expect(() => {
+        harness({ port: PORT, metrics: { buckets: [0.1, 0.05] } });
       }).toThrow(
         new Error(
-          "INVALID_ARGUMENT: Invalid options.heartbeatIntervalMs argument.",
+          "INVALID_ARGUMENT: Invalid options.metrics.buckets argument.",
         ),
       );
     });
 
-    it("should throw on invalid options.heartbeatTimeoutMs - type", () => {
+    it("should throw if both verifyClient and authenticate are present", () => {
       expect(() => {
-        harness({ port: PORT, heartbeatTimeoutMs: "junk" });
+        harness({ port: PORT, authenticate: () => {}, verifyClient: () => {} });
       }).toThrow(
         new Error(
-          "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+          "INVALID_ARGUMENT: Must not specify both options.verifyClient and options.authenticate.",
         ),
       );
     });
 
-    it("should throw on invalid options.heartbeatTimeoutMs - zero", () => {
+    it("should throw on invalid options.stopOptions - type", () => {
       expect(() => {
-        harness({ port: PORT, heartbeatTimeoutMs: 0 });
+        harness({ port: PORT, stopOptions: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.stopOptions argument."),
+      );
+    });
+
+    it("should throw on invalid options.stopOptions.drainMs", () => {
+      expect(() => {
+        harness({ port: PORT, stopOptions: { drainMs: -1 } });
       }).toThrow(
         new Error(
-          "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+          "INVALID_ARGUMENT: Invalid options.stopOptions.drainMs argument.",
         ),
       );
     });
 
-    it("should throw if options.heartbeatTimeoutMs >= options.heartbeatIntervalMs", () => {
+    it("should throw on invalid options.stopOptions.closeCode", () => {
       expect(() => {
-        harness({ port: PORT, heartbeatIntervalMs: 1, heartbeatTimeoutMs: 1 });
+        harness({ port: PORT, stopOptions: { closeCode: 1006 } });
       }).toThrow(
         new Error(
-          "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+          "INVALID_ARGUMENT: Invalid options.stopOptions.closeCode argument.",
         ),
       );
     });
-  });
-
-  describe("can succeed", () => {
-    // Events - N/A
 
-    // State
+    it("should throw on invalid options.stopOptions.reason", () => {
+      expect(() => {
+        harness({ port: PORT, stopOptions: { reason: "x".repeat(124) } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.stopOptions.reason argument.",
+        ),
+      );
+    });
 
-    it("should have the correct state - default options", () => {
+    it("should throw on invalid options.backpressure - type", () => {
+      expect(() => {
+        harness({ port: PORT, backpressure: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.backpressure argument."),
+      );
+    });
+
+    it("should throw on invalid options.backpressure.highWaterMark", () => {
+      expect(() => {
+        harness({ port: PORT, backpressure: { highWaterMark: 0 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.backpressure.highWaterMark argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.backpressure.lowWaterMark", () => {
+      expect(() => {
+        harness({
+          port: PORT,
+          backpressure: { highWaterMark: 100, lowWaterMark: 100 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.backpressure.lowWaterMark argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.backpressure.policy", () => {
+      expect(() => {
+        harness({ port: PORT, backpressure: { policy: "junk" } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.backpressure.policy argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit - type", () => {
+      expect(() => {
+        harness({ port: PORT, rateLimit: true });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.rateLimit argument."),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit.messagesPerSecond", () => {
+      expect(() => {
+        harness({ port: PORT, rateLimit: {} });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.rateLimit.messagesPerSecond argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit.burst", () => {
+      expect(() => {
+        harness({
+          port: PORT,
+          rateLimit: { messagesPerSecond: 1, burst: 0.5 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.rateLimit.burst argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit.bytesPerSecond", () => {
+      expect(() => {
+        harness({
+          port: PORT,
+          rateLimit: { messagesPerSecond: 1, bytesPerSecond: 0 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.rateLimit.bytesPerSecond argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit.bytesBurst", () => {
+      expect(() => {
+        harness({
+          port: PORT,
+          rateLimit: { messagesPerSecond: 1, bytesPerSecond: 1, bytesBurst: 0 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.rateLimit.bytesBurst argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit.policy", () => {
+      expect(() => {
+        harness({
+          port: PORT,
+          rateLimit: { messagesPerSecond: 1, policy: "junk" },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.rateLimit.policy argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.rateLimit.maxQueue", () => {
+      expect(() => {
+        harness({
+          port: PORT,
+          rateLimit: { messagesPerSecond: 1, maxQueue: 0 },
+        });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.rateLimit.maxQueue argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.maxClients", () => {
+      expect(() => {
+        harness({ port: PORT, maxClients: 0 });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.maxClients argument."),
+      );
+    });
+
+    it("should throw on invalid options.protocols - type", () => {
+      expect(() => {
+        harness({ port: PORT, protocols: "feedme" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.protocols - empty", () => {
+      expect(() => {
+        harness({ port: PORT, protocols: [] });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.protocols - not feedme", () => {
+      expect(() => {
+        harness({ port: PORT, protocols: ["feedme", "other"] });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.protocols - extension suffix", () => {
+      expect(() => {
+        harness({ port: PORT, protocols: ["feedme.v2.heartbeat"] });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.protocols - duplicate", () => {
+      expect(() => {
+        harness({ port: PORT, protocols: ["feedme.v2", "FEEDME.V2"] });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.binary", () => {
+      expect(() => {
+        harness({ port: PORT, binary: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.binary argument."),
+      );
+    });
+
+    it("should throw on invalid options.longPolling", () => {
+      expect(() => {
+        harness({ port: PORT, longPolling: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.longPolling argument."),
+      );
+    });
+
+    it("should throw on invalid options.longPolling.pollTimeoutMs", () => {
+      expect(() => {
+        harness({ port: PORT, longPolling: { pollTimeoutMs: 0 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.longPolling.pollTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.longPolling.sessionTimeoutMs", () => {
+      expect(() => {
+        harness({ port: PORT, longPolling: { sessionTimeoutMs: "junk" } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.longPolling.sessionTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.longPolling.maxBodyBytes", () => {
+      expect(() => {
+        harness({ port: PORT, longPolling: { maxBodyBytes: 1.5 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.longPolling.maxBodyBytes argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.resume", () => {
+      expect(() => {
+        harness({ port: PORT, resume: "junk" });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.resume argument."),
+      );
+    });
+
+    it("should throw on invalid options.resume.graceMs", () => {
+      expect(() => {
+        harness({ port: PORT, resume: { graceMs: 0 } });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.resume.graceMs argument."),
+      );
+    });
+
+    it("should throw on invalid options.resume.maxMessages", () => {
+      expect(() => {
+        harness({ port: PORT, resume: { maxMessages: "junk" } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.resume.maxMessages argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.resume.maxBytes", () => {
+      expect(() => {
+        harness({ port: PORT, resume: { maxBytes: 1.5 } });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.resume.maxBytes argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.maxClientsPerIp", () => {
+      expect(() => {
+        harness({ port: PORT, maxClientsPerIp: "junk" });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.maxClientsPerIp argument.",
+        ),
+      );
+    });
+
+    it("should throw if options.maxClients is combined with options.verifyClient", () => {
+      expect(() => {
+        harness({ port: PORT, maxClients: 1, verifyClient: () => true });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Must not specify both options.verifyClient and options.maxClients.",
+        ),
+      );
+    });
+
+    it("should throw if options.maxClientsPerIp is combined with options.verifyClient", () => {
+      expect(() => {
+        harness({ port: PORT, maxClientsPerIp: 1, verifyClient: () => true });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Must not specify both options.verifyClient and options.maxClientsPerIp.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.heartbeatIntervalMs - type", () => {
+      expect(() => {
+        harness({ port: PORT, heartbeatIntervalMs: "junk" });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.heartbeatIntervalMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.heartbeatIntervalMs - negative", () => {
+      expect(() => {
+        harness({ port: PORT, heartbeatIntervalMs: -1 });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.heartbeatIntervalMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.heartbeatTimeoutMs - type", () => {
+      expect(() => {
+        harness({ port: PORT, heartbeatTimeoutMs: "junk" });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw on invalid options.heartbeatTimeoutMs - zero", () => {
+      expect(() => {
+        harness({ port: PORT, heartbeatTimeoutMs: 0 });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+        ),
+      );
+    });
+
+    it("should throw if options.heartbeatTimeoutMs >= options.heartbeatIntervalMs", () => {
+      expect(() => {
+        harness({ port: PORT, heartbeatIntervalMs: 1, heartbeatTimeoutMs: 1 });
+      }).toThrow(
+        new Error(
+          "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+        ),
+      );
+    });
+  });
+
+  describe("can succeed", () => {
+    // Events - N/A
+
+    // State
+
+    it("should have the correct state - default options", () => {
       const harn = harness({
         port: PORT,
       });
@@ -760,12 +1486,15 @@ describe("The server() function", () => {
         _wsServer: null,
         _state: "stopped",
         _wsClients: {},
+        _clientsPerIp: {},
+        _refused: { maxClients: 0, maxClientsPerIp: 0 },
         _heartbeatIntervals: {},
         _heartbeatTimeouts: {},
         _options: {
           port: PORT,
           heartbeatIntervalMs: serverConfig.defaults.heartbeatIntervalMs,
           heartbeatTimeoutMs: serverConfig.defaults.heartbeatTimeoutMs,
+          metrics: serverConfig.defaults.metrics,
         },
         _httpHandlers: null,
         _httpListeningTimeout: null,
@@ -784,12 +1513,15 @@ describe("The server() function", () => {
         _wsServer: null,
         _state: "stopped",
         _wsClients: {},
+        _clientsPerIp: {},
+        _refused: { maxClients: 0, maxClientsPerIp: 0 },
         _heartbeatIntervals: {},
         _heartbeatTimeouts: {},
         _options: {
           port: PORT,
           heartbeatIntervalMs: 456,
           heartbeatTimeoutMs: 123,
+          metrics: serverConfig.defaults.metrics,
         },
         _httpHandlers: null,
         _httpListeningTimeout: null,
@@ -797,9 +1529,58 @@ describe("The server() function", () => {
       });
     });
 
-    // Function calls - N/A
-
-    // Calls on ws - N/A
+    it("should have the correct state - rate limit with defaults", () => {
+      const harn = harness({
+        port: PORT,
+        rateLimit: { messagesPerSecond: 2.5 },
+      });
+      expect(harn.server._options.rateLimit).toEqual({
+        messagesPerSecond: 2.5,
+        burst: 3,
+        bytesPerSecond: null,
+        bytesBurst: null,
+        policy: "disconnect",
+        maxQueue: 100,
+      });
+    });
+
+    it("should have the correct state - rate limit with byte limit", () => {
+      const harn = harness({
+        port: PORT,
+        rateLimit: { messagesPerSecond: 10, burst: 20, bytesPerSecond: 1000.5 },
+      });
+      expect(harn.server._options.rateLimit).toEqual({
+        messagesPerSecond: 10,
+        burst: 20,
+        bytesPerSecond: 1000.5,
+        bytesBurst: 1001,
+        policy: "disconnect",
+        maxQueue: 100,
+      });
+    });
+
+    it("should have the correct state - backpressure enabled with defaults", () => {
+      const harn = harness({ port: PORT, backpressure: true });
+      expect(harn.server._options.backpressure).toEqual(
+        serverConfig.defaults.backpressure,
+      );
+    });
+
+    it("should have the correct state - backpressure enabled with overrides", () => {
+      const harn = harness({
+        port: PORT,
+        backpressure: { highWaterMark: 100, lowWaterMark: 10, policy: "drop" },
+      });
+      expect(harn.server._options.backpressure).toEqual({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+        policy: "drop",
+      });
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws - N/A
 
     // Outbound callbacks - N/A
 
@@ -1254,9 +2035,14 @@ describe("The server.start() function", () => {
       harn.server.start();
       expect(calledTimes).toBe(1);
       expect(calledOpts).toBeInstanceOf(Object);
-      expect(_.keys(calledOpts).sort()).toEqual(["handleProtocols", "port"]);
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "port",
+        "verifyClient",
+      ]);
       expect(calledOpts.handleProtocols).toBeInstanceOf(Function);
       expect(calledOpts.port).toBe(PORT);
+      expect(calledOpts.verifyClient.length).toBe(2); // Async form
     });
 
     it("external server - should initialize the ws server with correct options", () => {
@@ -1274,7 +2060,11 @@ describe("The server.start() function", () => {
       harn.server.start();
       expect(calledTimes).toBe(1);
       expect(calledOpts).toBeInstanceOf(Object);
-      expect(_.keys(calledOpts).sort()).toEqual(["handleProtocols", "server"]);
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "server",
+        "verifyClient",
+      ]);
       expect(calledOpts.handleProtocols).toBeInstanceOf(Function);
       expect(calledOpts.server).toBe(s);
     });
@@ -1296,9 +2086,111 @@ describe("The server.start() function", () => {
       expect(_.keys(calledOpts).sort()).toEqual([
         "handleProtocols",
         "noServer",
+        "verifyClient",
+      ]);
+      expect(calledOpts.handleProtocols).toBeInstanceOf(Function);
+      expect(calledOpts.noServer).toBe(true);
+    });
+
+    it("authentication - should initialize the ws server with correct options", () => {
+      // Manual mock constructor - can't use jest.fn()
+      const opts = { noServer: true, authenticate: () => {} };
+      let calledTimes = 0;
+      let calledOpts = null;
+      const WsCon = function wsCon(o) {
+        emitter(this);
+        calledTimes += 1;
+        calledOpts = o;
+      };
+      const harn = harness(opts, WsCon);
+      harn.server.start();
+      expect(calledTimes).toBe(1);
+      expect(calledOpts).toBeInstanceOf(Object);
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "noServer",
+        "verifyClient",
       ]);
       expect(calledOpts.handleProtocols).toBeInstanceOf(Function);
       expect(calledOpts.noServer).toBe(true);
+      expect(calledOpts.verifyClient).toBeInstanceOf(Function);
+      expect(calledOpts.verifyClient.length).toBe(2); // Async form
+    });
+
+    it("stop options, backpressure, and rate limit - should initialize the ws server with correct options", () => {
+      // Manual mock constructor - can't use jest.fn()
+      const opts = {
+        noServer: true,
+        stopOptions: { drainMs: 1000 },
+        backpressure: true,
+        rateLimit: { messagesPerSecond: 10 },
+      };
+      let calledOpts = null;
+      const WsCon = function wsCon(o) {
+        emitter(this);
+        calledOpts = o;
+      };
+      const harn = harness(opts, WsCon);
+      harn.server.start();
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "noServer",
+        "verifyClient",
+      ]);
+    });
+
+    it("binary mode and protocols - should initialize the ws server with correct options", () => {
+      // Manual mock constructor - can't use jest.fn()
+      const opts = { noServer: true, binary: true, protocols: ["feedme.v2"] };
+      let calledOpts = null;
+      const WsCon = function wsCon(o) {
+        emitter(this);
+        calledOpts = o;
+      };
+      const harn = harness(opts, WsCon);
+      harn.server.start();
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "noServer",
+        "verifyClient",
+      ]);
+    });
+
+    it("application verifyClient - should initialize the ws server with correct options", () => {
+      // Manual mock constructor - can't use jest.fn()
+      const verifyClient = () => true;
+      const opts = { noServer: true, verifyClient };
+      let calledOpts = null;
+      const WsCon = function wsCon(o) {
+        emitter(this);
+        calledOpts = o;
+      };
+      const harn = harness(opts, WsCon);
+      harn.server.start();
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "noServer",
+        "verifyClient",
+      ]);
+      expect(calledOpts.verifyClient).toBe(verifyClient);
+    });
+
+    it("connection limits - should initialize the ws server with correct options", () => {
+      // Manual mock constructor - can't use jest.fn()
+      const opts = { noServer: true, maxClients: 10, maxClientsPerIp: 2 };
+      let calledOpts = null;
+      const WsCon = function wsCon(o) {
+        emitter(this);
+        calledOpts = o;
+      };
+      const harn = harness(opts, WsCon);
+      harn.server.start();
+      expect(_.keys(calledOpts).sort()).toEqual([
+        "handleProtocols",
+        "noServer",
+        "verifyClient",
+      ]);
+      expect(calledOpts.verifyClient.length).toBe(2); // Async form
     });
 
     // Calls on ws - N/A (initialized on start())
@@ -1407,6 +2299,48 @@ describe("The server.start() function", () => {
 
 describe("The server.stop() function", () => {
   describe("can fail", () => {
+    it("should throw on invalid options - type", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.stop("junk");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid options argument."));
+    });
+
+    it("should throw on invalid options.drainMs", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.stop({ drainMs: 1.5 });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.drainMs argument."),
+      );
+    });
+
+    it("should throw on invalid options.closeCode", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.stop({ closeCode: 3999 });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.closeCode argument."),
+      );
+    });
+
+    it("should throw on invalid options.reason", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.stop({ reason: 123 });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.reason argument."),
+      );
+    });
+
     it("should throw if the state is not started", () => {
       const harn = harness({ port: PORT });
       expect(() => {
@@ -1623,6 +2557,8 @@ describe("The server.stop() function", () => {
       newState._wsServer = null;
       newState._state = "stopping";
       newState._wsClients = {};
+      newState._clientInfo = {};
+      newState._latency = {};
       newState._heartbeatIntervals = {};
       newState._heartbeatTimeouts = {};
       harn.server.stop();
@@ -1645,6 +2581,8 @@ describe("The server.stop() function", () => {
       newState._wsServer = null;
       newState._state = "stopping";
       newState._wsClients = {};
+      newState._clientInfo = {};
+      newState._latency = {};
       newState._heartbeatIntervals = {};
       newState._heartbeatTimeouts = {};
       newState._httpHandlers = null;
@@ -1669,6 +2607,8 @@ describe("The server.stop() function", () => {
       newState._wsServer = null;
       newState._state = "stopping";
       newState._wsClients = {};
+      newState._clientInfo = {};
+      newState._latency = {};
       newState._heartbeatIntervals = {};
       newState._heartbeatTimeouts = {};
       harn.server.stop();
@@ -1769,6 +2709,64 @@ describe("The server.stop() function", () => {
       expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
     });
 
+    it("should call ws.close() on clients with default code and reason", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)(); // Get past emitted events
+
+      mockWs.mockClear();
+      harn.server.stop();
+      expect(mockWs.ping.mock.calls.length).toBe(0);
+      expect(mockWs.send.mock.calls.length).toBe(0);
+      expect(mockWs.close.mock.calls.length).toBe(1);
+      expect(mockWs.close.mock.calls[0].length).toBe(2);
+      expect(mockWs.close.mock.calls[0][0]).toBe(1000);
+      expect(mockWs.close.mock.calls[0][1]).toBe("");
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
+    });
+
+    it("should call ws.close() on clients with options.stopOptions code and reason", async () => {
+      const harn = harness({
+        port: PORT,
+        stopOptions: { closeCode: 4000, reason: "Initialized" },
+      });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)(); // Get past emitted events
+
+      mockWs.mockClear();
+      harn.server.stop();
+      expect(mockWs.close.mock.calls.length).toBe(1);
+      expect(mockWs.close.mock.calls[0][0]).toBe(4000);
+      expect(mockWs.close.mock.calls[0][1]).toBe("Initialized");
+    });
+
+    it("should call ws.close() on clients with specified code and reason", async () => {
+      const harn = harness({
+        port: PORT,
+        stopOptions: { closeCode: 4000, reason: "Initialized" },
+      });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)(); // Get past emitted events
+
+      mockWs.mockClear();
+      harn.server.stop({ closeCode: 1001, reason: "Restarting" });
+      expect(mockWs.close.mock.calls.length).toBe(1);
+      expect(mockWs.close.mock.calls[0][0]).toBe(1001);
+      expect(mockWs.close.mock.calls[0][1]).toBe("Restarting");
+    });
+
     // Outbound callbacks - N/A
 
     // Inbound callbacks (events, state, ws, callbacks)
@@ -1966,80 +2964,465 @@ describe("The server.stop() function", () => {
       harn.getWs().emit("listening");
       expect(harn.server.stop()).toBe(undefined);
     });
-  });
-});
-
-describe("The server.send() function", () => {
-  describe("can fail", () => {
-    it("should throw on invalid client id", () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      expect(() => {
-        harn.server.send(123, "msg");
-      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id or message."));
-    });
-
-    it("should throw on invalid message", () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      expect(() => {
-        harn.server.send("cid", 123);
-      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id or message."));
-    });
-
-    it("should throw if server not started", () => {
-      const harn = harness({ port: PORT });
-      expect(() => {
-        harn.server.send("cid", "msg");
-      }).toThrow(new Error("INVALID_STATE: The server is not started."));
-    });
 
-    it("should throw if client not connected", () => {
+    it("should accept undefined options", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-      expect(() => {
-        harn.server.send("cid", "msg");
-      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
+      expect(harn.server.stop(undefined)).toBe(undefined);
+      expect(harn.server.state()).toBe("stopping");
     });
   });
+});
 
-  describe("can succeed", () => {
-    describe("the ws.send() callback may return success", () => {
-      // Events
+describe("The server.stop() function - with drain period", () => {
+  const setup = async (options) => {
+    const harn = harness(options);
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs1 = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs1);
+    const mockWs2 = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs2);
+    await promisify(process.nextTick)(); // Get past transport starting, started, and connect events
+    return { harn, mockWs1, mockWs2 };
+  };
 
-      it("should emit nothing next tick", async () => {
-        const harn = harness({ port: PORT });
-        harn.server.start();
-        harn.getWs().emit("listening");
-        const ws = harn.createMockWs();
-        let cid;
-        harn.server.once("connect", (c) => {
-          cid = c;
-        });
-        harn.getWs().emit("connection", ws);
+  // Events
 
-        await promisify(process.nextTick)(); // Move past starting, start, connect events
+  it("should asynchronously emit disconnect for both clients, then stopping, then stoppingProgress", async () => {
+    const { harn } = await setup({ port: PORT });
 
-        const listener = harn.createServerListener();
-        harn.server.send(cid, "msg");
-        const cb = ws.send.mock.calls[0][1];
-        cb();
+    const listener = harn.createServerListener();
+    const eventOrder = [];
+    ["disconnect", "stopping", "stoppingProgress"].forEach((evt) => {
+      harn.server.on(evt, (...args) => {
+        eventOrder.push([evt, ...args]);
+      });
+    });
 
-        await promisify(process.nextTick)();
+    harn.server.stop({ drainMs: 1000, closeCode: 1001, reason: "Restarting" });
 
-        expect(listener.starting.mock.calls.length).toBe(0);
-        expect(listener.start.mock.calls.length).toBe(0);
-        expect(listener.stopping.mock.calls.length).toBe(0);
-        expect(listener.stop.mock.calls.length).toBe(0);
-        expect(listener.connect.mock.calls.length).toBe(0);
-        expect(listener.message.mock.calls.length).toBe(0);
-        expect(listener.disconnect.mock.calls.length).toBe(0);
-      });
+    expect(eventOrder.length).toBe(0);
 
-      // State
+    await promisify(process.nextTick)();
+
+    expect(listener.stopping.mock.calls.length).toBe(1);
+    expect(listener.stopping.mock.calls[0].length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(2);
+    expect(listener.disconnect.mock.calls[0][1].message).toBe(
+      "STOPPING: The server is stopping.",
+    );
+    expect(eventOrder.map((e) => e[0])).toEqual([
+      "disconnect",
+      "disconnect",
+      "stopping",
+      "stoppingProgress",
+    ]);
+    expect(eventOrder[3]).toEqual(["stoppingProgress", 2]);
+  });
+
+  // State
+
+  it("should update the state appropriately", async () => {
+    const { harn } = await setup({ port: PORT });
+
+    const newState = harn.getServerState();
+    newState._wsServer = null;
+    newState._state = "stopping";
+    newState._drainClients = newState._wsClients;
+    newState._drainTimeout = 123;
+    newState._wsClients = {};
+    newState._clientInfo = {};
+    newState._latency = {};
+    newState._heartbeatIntervals = {};
+    newState._heartbeatTimeouts = {};
+    harn.server.stop({ drainMs: 1000 });
+    expect(harn.server).toHaveState(newState);
+  });
+
+  // Function calls
+
+  it("should call setTimeout() with the drain period", async () => {
+    const { harn } = await setup({ port: PORT });
+
+    setTimeout.mockClear();
+    harn.server.stop({ drainMs: 1000 });
+    expect(setTimeout.mock.calls.length).toBe(1);
+    expect(setTimeout.mock.calls[0].length).toBe(2);
+    expect(setTimeout.mock.calls[0][1]).toBe(1000);
+  });
+
+  // Calls on ws
+
+  it("should close clients and not close the ws server", async () => {
+    const { harn, mockWs1, mockWs2 } = await setup({ port: PORT });
+
+    const prevWs = harn.getWs();
+    prevWs.mockClear();
+    mockWs1.mockClear();
+    mockWs2.mockClear();
+    harn.server.stop({ drainMs: 1000, closeCode: 1001, reason: "Restarting" });
+    expect(prevWs.close.mock.calls.length).toBe(0);
+    [mockWs1, mockWs2].forEach((mockWs) => {
+      expect(mockWs.close.mock.calls.length).toBe(1);
+      expect(mockWs.close.mock.calls[0][0]).toBe(1001);
+      expect(mockWs.close.mock.calls[0][1]).toBe("Restarting");
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
+    });
+  });
+
+  it("should use options.stopOptions drain period by default", async () => {
+    const { harn } = await setup({
+      port: PORT,
+      stopOptions: { drainMs: 1000 },
+    });
+
+    const prevWs = harn.getWs();
+    prevWs.mockClear();
+    harn.server.stop();
+    expect(prevWs.close.mock.calls.length).toBe(0);
+    expect(harn.server.state()).toBe("stopping");
+  });
+
+  it("should not drain if there are no clients", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+
+    const prevWs = harn.getWs();
+    prevWs.mockClear();
+    harn.server.stop({ drainMs: 1000 });
+    expect(prevWs.close.mock.calls.length).toBe(1);
+    expect(harn.server._drainTimeout).toBe(null);
+  });
+
+  // Inbound callbacks (events, state, ws, callbacks)
+
+  describe("when clients depart", () => {
+    it("should emit stoppingProgress and then stop once the ws server closes", async () => {
+      const { harn, mockWs1, mockWs2 } = await setup({ port: PORT });
+      const prevWs = harn.getWs();
+      harn.server.stop({ drainMs: 1000 });
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      const progress = jest.fn();
+      harn.server.on("stoppingProgress", progress);
+
+      prevWs.mockClear();
+      mockWs1.emit("close", 1001, "");
+
+      await promisify(process.nextTick)();
+
+      expect(progress.mock.calls).toEqual([[1]]);
+      expect(harn.server.state()).toBe("stopping");
+      expect(prevWs.close.mock.calls.length).toBe(0);
+
+      mockWs2.emit("close", 1001, "");
+
+      await promisify(process.nextTick)();
+
+      expect(progress.mock.calls).toEqual([[1], [0]]);
+      expect(harn.server.state()).toBe("stopping");
+      expect(prevWs.close.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      prevWs.close.mock.calls[0][0](); // fire ws.close callback
+
+      await promisify(process.nextTick)();
+
+      expect(harn.server.state()).toBe("stopped");
+      expect(listener.stop.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls[0].length).toBe(0);
+    });
+
+    it("should update the state appropriately", async () => {
+      const { harn, mockWs1, mockWs2 } = await setup({ port: PORT });
+      harn.server.stop({ drainMs: 1000 });
+
+      const newState = harn.getServerState();
+      mockWs1.emit("close", 1001, "");
+      newState._drainClients = _.pick(
+        newState._drainClients,
+        _.keys(harn.server._drainClients),
+      );
+      expect(_.keys(newState._drainClients).length).toBe(1);
+      expect(harn.server).toHaveState(newState);
+
+      mockWs2.emit("close", 1001, "");
+      newState._drainClients = {};
+      newState._drainTimeout = null;
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("should not terminate the clients", async () => {
+      const { harn, mockWs1, mockWs2 } = await setup({ port: PORT });
+      harn.server.stop({ drainMs: 1000 });
+      mockWs1.mockClear();
+      mockWs2.mockClear();
+      mockWs1.emit("close", 1001, "");
+      mockWs2.emit("close", 1001, "");
+      jest.advanceTimersByTime(1000);
+      expect(mockWs1.terminate.mock.calls.length).toBe(0);
+      expect(mockWs2.terminate.mock.calls.length).toBe(0);
+    });
+  });
+
+  describe("when the drain period elapses", () => {
+    it("should terminate remaining clients and close the ws server", async () => {
+      const { harn, mockWs1, mockWs2 } = await setup({ port: PORT });
+      const prevWs = harn.getWs();
+      harn.server.stop({ drainMs: 1000 });
+      mockWs1.emit("close", 1001, "");
+      prevWs.mockClear();
+      mockWs1.mockClear();
+      mockWs2.mockClear();
+
+      jest.advanceTimersByTime(999);
+      expect(prevWs.close.mock.calls.length).toBe(0);
+      expect(mockWs2.terminate.mock.calls.length).toBe(0);
+
+      jest.advanceTimersByTime(1);
+      expect(prevWs.close.mock.calls.length).toBe(1);
+      expect(mockWs1.terminate.mock.calls.length).toBe(0);
+      expect(mockWs2.terminate.mock.calls.length).toBe(1);
+      expect(harn.server._drainClients).toEqual({});
+      expect(harn.server._drainTimeout).toBe(null);
+    });
+
+    it("should not emit stoppingProgress when a terminated client closes", async () => {
+      const { harn, mockWs1 } = await setup({ port: PORT });
+      harn.server.stop({ drainMs: 1000 });
+      jest.advanceTimersByTime(1000);
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const progress = jest.fn();
+      harn.server.on("stoppingProgress", progress);
+      mockWs1.emit("close", 1006, "");
+
+      await promisify(process.nextTick)();
+
+      expect(progress.mock.calls.length).toBe(0);
+    });
+  });
+
+  describe("when an upgrade request arrives while draining", () => {
+    it("should refuse it with a 503", async () => {
+      const { harn } = await setup({ port: PORT });
+      harn.server.stop({ drainMs: 1000 });
+      const cb = jest.fn();
+      const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+      req.url = "/";
+      harn.server._processVerifyClient({ req }, cb);
+      expect(cb.mock.calls).toEqual([[false, 503]]);
+      expect(harn.server.metrics()).toContain(
+        'feedme_server_handshake_rejections_total{reason="stopped"} 1',
+      );
+    });
+  });
+
+  describe("when a new connection arrives while draining", () => {
+    it("should close it and not emit connect", async () => {
+      const { harn } = await setup({ port: PORT, verifyClient: () => true });
+      const prevWs = harn.getWs();
+      harn.server.stop({ drainMs: 1000, closeCode: 1001, reason: "Bye" });
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      const mockWs = harn.createMockWs();
+      prevWs.emit("connection", mockWs);
+
+      await promisify(process.nextTick)();
+
+      expect(mockWs.close.mock.calls.length).toBe(1);
+      expect(mockWs.close.mock.calls[0][0]).toBe(1001);
+      expect(mockWs.close.mock.calls[0][1]).toBe("Bye");
+      expect(listener.connect.mock.calls.length).toBe(0);
+    });
+  });
+});
+
+describe("The server.startAsync() function", () => {
+  it("should throw on invalid options", () => {
+    const harn = harness({ port: PORT });
+    expect(() => {
+      harn.server.startAsync({ signal: "junk" });
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid options.signal argument."));
+  });
+
+  it("should reject if the server is not stopped", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    await expect(harn.server.startAsync()).rejects.toThrow(
+      new Error("INVALID_STATE: The server is not stopped."),
+    );
+  });
+
+  it("should resolve when the server starts", async () => {
+    const harn = harness({ port: PORT });
+    const promise = harn.server.startAsync();
+    expect(harn.server.state()).toBe("starting");
+    await promisify(process.nextTick)();
+    harn.getWs().emit("listening");
+    await expect(promise).resolves.toBe(undefined);
+    expect(harn.server.state()).toBe("started");
+  });
+
+  it("should reject with the transport error if the server fails to start", async () => {
+    const harn = harness({ port: PORT });
+    const promise = harn.server.startAsync();
+    await promisify(process.nextTick)();
+    harn.getWs().emit("close");
+    const err = await promise.catch((e) => e);
+    expect(err).toBeInstanceOf(Error);
+    expect(err.message).toBe("FAILURE: The server stopped unexpectedly.");
+  });
+
+  it("should not observe events queued by a previous start", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const wsServer = harn.getWs();
+    harn.server.stop();
+    wsServer.close.mock.calls[0][0](); // Stop event queued
+    const promise = harn.server.startAsync();
+    await promisify(process.nextTick)();
+    harn.getWs().emit("listening");
+    await expect(promise).resolves.toBe(undefined);
+  });
+
+  it("should stop the server and reject if the signal is aborted", async () => {
+    const harn = harness({ port: PORT });
+    const controller = new AbortController();
+    const promise = harn.server.startAsync({ signal: controller.signal });
+    controller.abort();
+    await expect(promise).rejects.toThrow(
+      new Error("ABORTED: The operation was aborted."),
+    );
+    expect(harn.server.state()).toBe("stopping");
+  });
+
+  it("should stop the server if the signal is aborted once started", async () => {
+    const harn = harness({ port: PORT });
+    const controller = new AbortController();
+    const promise = harn.server.startAsync({ signal: controller.signal });
+    harn.getWs().emit("listening");
+    controller.abort();
+    await expect(promise).rejects.toThrow(
+      new Error("ABORTED: The operation was aborted."),
+    );
+    expect(harn.server.state()).toBe("stopping");
+  });
+});
+
+describe("The server.stopAsync() function", () => {
+  it("should reject if the server is not started", async () => {
+    const harn = harness({ port: PORT });
+    await expect(harn.server.stopAsync()).rejects.toThrow(
+      new Error("INVALID_STATE: The server is not started."),
+    );
+  });
+
+  it("should reject on invalid stop options", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    await expect(harn.server.stopAsync({ drainMs: -1 })).rejects.toThrow(
+      new Error("INVALID_ARGUMENT: Invalid options.drainMs argument."),
+    );
+  });
+
+  it("should resolve when the server stops", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const wsServer = harn.getWs();
+    const promise = harn.server.stopAsync();
+    expect(harn.server.state()).toBe("stopping");
+    await promisify(process.nextTick)();
+    wsServer.close.mock.calls[0][0]();
+    await expect(promise).resolves.toBe(undefined);
+    expect(harn.server.state()).toBe("stopped");
+  });
+});
+
+describe("The server.send() function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid client id", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.send(123, "msg");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id or message."));
+    });
+
+    it("should throw on invalid message", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.send("cid", 123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id or message."));
+    });
+
+    it("should throw if server not started", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.send("cid", "msg");
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
+    });
+
+    it("should throw if client not connected", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.send("cid", "msg");
+      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
+    });
+  });
+
+  describe("can succeed", () => {
+    describe("the ws.send() callback may return success", () => {
+      // Events
+
+      it("should emit nothing next tick", async () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const ws = harn.createMockWs();
+        let cid;
+        harn.server.once("connect", (c) => {
+          cid = c;
+        });
+        harn.getWs().emit("connection", ws);
+
+        await promisify(process.nextTick)(); // Move past starting, start, connect events
+
+        const listener = harn.createServerListener();
+        harn.server.send(cid, "msg");
+        const cb = ws.send.mock.calls[0][1];
+        cb();
+
+        await promisify(process.nextTick)();
+
+        expect(listener.starting.mock.calls.length).toBe(0);
+        expect(listener.start.mock.calls.length).toBe(0);
+        expect(listener.stopping.mock.calls.length).toBe(0);
+        expect(listener.stop.mock.calls.length).toBe(0);
+        expect(listener.connect.mock.calls.length).toBe(0);
+        expect(listener.message.mock.calls.length).toBe(0);
+        expect(listener.disconnect.mock.calls.length).toBe(0);
+      });
+
+      // State
 
       it("should not change the state", async () => {
         const harn = harness({ port: PORT });
@@ -2180,6 +3563,8 @@ describe("The server.send() function", () => {
 
         const newState = harn.getServerState();
         delete newState._wsClients[cid];
+        delete newState._clientInfo[cid];
+        delete newState._latency[cid];
         delete newState._heartbeatIntervals[cid];
         harn.server.send(cid, "msg");
         const cb = ws.send.mock.calls[0][1];
@@ -2349,96 +3734,66 @@ describe("The server.send() function", () => {
   });
 });
 
-describe("The server.disconnect() function", () => {
-  describe("can fail", () => {
-    it("should throw on invalid client id", () => {
-      const harn = harness({ port: PORT });
-      expect(() => {
-        harn.server.disconnect(123);
-      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id."));
+describe("The server.broadcast() function", () => {
+  const setup = async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = [];
+    const cids = [];
+    harn.server.on("connect", (cid) => {
+      cids.push(cid);
+    });
+    for (let i = 0; i < 3; i += 1) {
+      mockWs.push(harn.createMockWs());
+      harn.getWs().emit("connection", mockWs[i]);
+    }
+    await promisify(process.nextTick)(); // Move past queued events
+    return { harn, mockWs, cids };
+  };
+
+  describe("can fail", () => {
+    it("should throw on invalid message", async () => {
+      const { harn } = await setup();
+      expect(() => {
+        harn.server.broadcast(123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid message."));
     });
 
-    it("should throw on invalid error arg", () => {
-      const harn = harness({ port: PORT });
+    it("should throw on invalid options", async () => {
+      const { harn } = await setup();
       expect(() => {
-        harn.server.disconnect("cid", "junk");
-      }).toThrow(new Error("INVALID_ARGUMENT: Invalid error."));
+        harn.server.broadcast("msg", "junk");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid options argument."));
     });
 
-    it("should throw if server not started", () => {
-      const harn = harness({ port: PORT });
+    it("should throw on invalid options.except", async () => {
+      const { harn } = await setup();
       expect(() => {
-        harn.server.disconnect("cid", new Error("SOMETHING"));
-      }).toThrow(new Error("INVALID_STATE: The server is not started."));
+        harn.server.broadcast("msg", { except: [123] });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.except argument."),
+      );
     });
 
-    it("should throw if client not connected", () => {
+    it("should throw if the server is not started", () => {
       const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
       expect(() => {
-        harn.server.disconnect("cid");
-      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
+        harn.server.broadcast("msg");
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
     });
   });
 
   describe("can succeed", () => {
     // Events
 
-    it("should emit disconnect on next tick - no error", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      let cid;
-      harn.server.once("connect", (c) => {
-        cid = c;
-      });
-      harn.getWs().emit("connection", mockWs);
-
-      await promisify(process.nextTick)(); // Move past queued events
-
+    it("should emit nothing next tick", async () => {
+      const { harn } = await setup();
       const listener = harn.createServerListener();
-      harn.server.disconnect(cid);
-
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      harn.server.broadcast("msg");
 
       await promisify(process.nextTick)();
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(1);
-      expect(listener.disconnect.mock.calls[0].length).toBe(1);
-      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
-    });
-
-    it("should emit disconnect on next tick - with error", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      let cid;
-      harn.server.once("connect", (c) => {
-        cid = c;
-      });
-      harn.getWs().emit("connection", mockWs);
-      const err = new Error("SOMETHING");
-
-      await promisify(process.nextTick)(); // Move past queued events
-
-      const listener = harn.createServerListener();
-      harn.server.disconnect(cid, err);
-
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
@@ -2446,184 +3801,148 @@ describe("The server.disconnect() function", () => {
       expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
       expect(listener.disconnect.mock.calls.length).toBe(0);
-
-      await promisify(process.nextTick)();
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(1);
-      expect(listener.disconnect.mock.calls[0].length).toBe(2);
-      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
-      expect(listener.disconnect.mock.calls[0][1]).toBe(err);
     });
 
     // State
 
-    it("should update the state appropriately", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      let cid;
-      harn.server.once("connect", (c) => {
-        cid = c;
-      });
-      harn.getWs().emit("connection", mockWs);
-      jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
-
-      await promisify(process.nextTick)(); // Move past queued events
-
+    it("should not change the state", async () => {
+      const { harn } = await setup();
       const newState = harn.getServerState();
-      delete newState._wsClients[cid];
-      delete newState._heartbeatIntervals[cid];
-      delete newState._heartbeatTimeouts[cid];
-      harn.server.disconnect(cid);
+      harn.server.broadcast("msg");
       expect(harn.server).toHaveState(newState);
     });
 
-    // Function calls
-
-    // Stopped passing after Jest upgrade
-    // it("should clear the heartbeat interval and timeout", async () => {
-    //   const harn = harness({ port: PORT });
-    //   harn.server.start();
-    //   harn.getWs().emit("listening");
-    //   const mockWs = harn.createMockWs();
-    //   let cid;
-    //   harn.server.once("connect", (c) => {
-    //     cid = c;
-    //   });
-    //   harn.getWs().emit("connection", mockWs);
-    //   jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
-
-    //   await promisify(process.nextTick)(); // Move past queued events
-
-    //   clearInterval.mockClear();
-    //   clearTimeout.mockClear();
-    //   harn.server.disconnect(cid);
-    //   expect(clearInterval.mock.calls.length).toBe(1);
-    //   expect(clearInterval.mock.calls[0].length).toBe(1);
-    //   expect(check.integer(clearInterval.mock.calls[0][0])).toBe(true);
-    //   expect(clearTimeout.mock.calls.length).toBe(1);
-    //   expect(clearTimeout.mock.calls[0].length).toBe(1);
-    //   expect(check.integer(clearTimeout.mock.calls[0][0])).toBe(true);
-    // });
+    // Function calls - N/A
 
     // Calls on ws
 
-    it("should call socket.close()", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      let cid;
-      harn.server.once("connect", (c) => {
-        cid = c;
+    it("should call ws.send() on all clients with the same frame data", async () => {
+      const { harn, mockWs } = await setup();
+      harn.server.broadcast("msg");
+      mockWs.forEach((ws) => {
+        expect(ws.send.mock.calls.length).toBe(1);
+        expect(ws.send.mock.calls[0].length).toBe(3);
+        expect(Buffer.isBuffer(ws.send.mock.calls[0][0])).toBe(true);
+        expect(ws.send.mock.calls[0][0].toString()).toBe("msg");
+        expect(ws.send.mock.calls[0][1]).toEqual({ binary: false });
+        expect(check.function(ws.send.mock.calls[0][2])).toBe(true);
       });
-      harn.getWs().emit("connection", mockWs);
+      expect(mockWs[0].send.mock.calls[0][0]).toBe(
+        mockWs[1].send.mock.calls[0][0],
+      );
+    });
 
-      await promisify(process.nextTick)(); // Move past queued events
+    it("should not call ws.send() on excepted clients - string", async () => {
+      const { harn, mockWs, cids } = await setup();
+      harn.server.broadcast("msg", { except: cids[1] });
+      expect(mockWs[0].send.mock.calls.length).toBe(1);
+      expect(mockWs[1].send.mock.calls.length).toBe(0);
+      expect(mockWs[2].send.mock.calls.length).toBe(1);
+    });
 
-      harn.server.disconnect(cid);
-      expect(mockWs.ping.mock.calls.length).toBe(0);
-      expect(mockWs.send.mock.calls.length).toBe(0);
-      expect(mockWs.close.mock.calls.length).toBe(1);
-      expect(mockWs.close.mock.calls[0].length).toBe(2);
-      expect(mockWs.close.mock.calls[0][0]).toBe(1000);
-      expect(mockWs.close.mock.calls[0][1]).toBe("");
-      expect(mockWs.terminate.mock.calls.length).toBe(0);
+    it("should not call ws.send() on excepted clients - array", async () => {
+      const { harn, mockWs, cids } = await setup();
+      harn.server.broadcast("msg", { except: [cids[0], cids[2], "unknown"] });
+      expect(mockWs[0].send.mock.calls.length).toBe(0);
+      expect(mockWs[1].send.mock.calls.length).toBe(1);
+      expect(mockWs[2].send.mock.calls.length).toBe(0);
     });
 
     // Outbound callbacks - N/A
 
-    // Inbound callbacks (events, state, ws, callbacks) - N/A
+    // Inbound callbacks (events, state, ws, callbacks)
 
-    // Return value
+    describe("the ws.send() callback may return failure", () => {
+      it("should emit disconnect for that client only next tick", async () => {
+        const { harn, mockWs, cids } = await setup();
+        const listener = harn.createServerListener();
+        harn.server.broadcast("msg");
+        const err = new Error("SOME_ERROR");
+        mockWs[1].send.mock.calls[0][2](err);
+        mockWs[0].send.mock.calls[0][2]();
 
-    it("should return nothing", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      let cid;
-      harn.server.once("connect", (c) => {
-        cid = c;
+        await promisify(process.nextTick)();
+
+        expect(listener.disconnect.mock.calls.length).toBe(1);
+        expect(listener.disconnect.mock.calls[0].length).toBe(2);
+        expect(listener.disconnect.mock.calls[0][0]).toBe(cids[1]);
+        expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+        expect(listener.disconnect.mock.calls[0][1].message).toBe(
+          "FAILURE: WebSocket transmission failed.",
+        );
+        expect(listener.disconnect.mock.calls[0][1].wsError).toBe(err);
       });
-      harn.getWs().emit("connection", mockWs);
 
-      await promisify(process.nextTick)(); // Move past queued events
+      it("should update the state appropriately", async () => {
+        const { harn, mockWs, cids } = await setup();
+        harn.server.broadcast("msg");
+        const newState = harn.getServerState();
+        delete newState._wsClients[cids[1]];
+        delete newState._clientInfo[cids[1]];
+        delete newState._latency[cids[1]];
+        delete newState._heartbeatIntervals[cids[1]];
+        mockWs[1].send.mock.calls[0][2](new Error("SOME_ERROR"));
+        expect(harn.server).toHaveState(newState);
+      });
+    });
 
-      expect(harn.server.disconnect(cid)).toBe(undefined);
+    // Return value
+
+    it("should return nothing", async () => {
+      const { harn } = await setup();
+      expect(harn.server.broadcast("msg")).toBe(undefined);
     });
   });
 });
 
-describe("The server.handleUpgrade() function", () => {
-  describe("can fail", () => {
-    it("should throw on invalid request argument", () => {
-      const harn = harness({ noServer: true });
-      expect(() => {
-        harn.server.handleUpgrade(123, new stream.Duplex(), Buffer.from("abc"));
-      }).toThrow(
-        new Error("INVALID_ARGUMENT: Invalid request, socket, or head."),
-      );
-    });
+describe("The server.sendMany() function", () => {
+  const setup = async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = [];
+    const cids = [];
+    harn.server.on("connect", (cid) => {
+      cids.push(cid);
+    });
+    for (let i = 0; i < 3; i += 1) {
+      mockWs.push(harn.createMockWs());
+      harn.getWs().emit("connection", mockWs[i]);
+    }
+    await promisify(process.nextTick)(); // Move past queued events
+    return { harn, mockWs, cids };
+  };
 
-    it("should throw on invalid socket argument", () => {
-      const harn = harness({ noServer: true });
+  describe("can fail", () => {
+    it("should throw on invalid client ids", async () => {
+      const { harn } = await setup();
       expect(() => {
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          123,
-          Buffer.from("abc"),
-        );
-      }).toThrow(
-        new Error("INVALID_ARGUMENT: Invalid request, socket, or head."),
-      );
+        harn.server.sendMany("junk", "msg");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client ids or message."));
     });
 
-    it("should throw on invalid head argument", () => {
-      const harn = harness({ noServer: true });
+    it("should throw on invalid message", async () => {
+      const { harn, cids } = await setup();
       expect(() => {
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          new stream.Duplex(),
-          123,
-        );
-      }).toThrow(
-        new Error("INVALID_ARGUMENT: Invalid request, socket, or head."),
-      );
+        harn.server.sendMany(cids, 123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client ids or message."));
     });
 
-    it("should throw if transport is not started", () => {
-      const harn = harness({ noServer: true });
+    it("should throw if the server is not started", () => {
+      const harn = harness({ port: PORT });
       expect(() => {
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          new stream.Duplex(),
-          Buffer.from("abc"),
-        );
-      }).toThrow(
-        new Error("INVALID_STATE: The transport server is not started."),
-      );
+        harn.server.sendMany([], "msg");
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
     });
 
-    it("should throw if ws is not in noServer mode", () => {
-      const harn = harness({ port: 8080 });
-      harn.server.start();
-      harn.getWs().emit("listening");
+    it("should throw and send nothing if a client is not connected", async () => {
+      const { harn, mockWs, cids } = await setup();
       expect(() => {
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          new stream.Duplex(),
-          Buffer.from("abc"),
-        );
+        harn.server.sendMany([cids[0], "unknown"], "msg");
       }).toThrow(
-        new Error("INVALID_STATE: The transport is not in noServer mode."),
+        new Error("INVALID_STATE: One or more clients are not connected."),
       );
+      expect(mockWs[0].send.mock.calls.length).toBe(0);
     });
   });
 
@@ -2631,19 +3950,11 @@ describe("The server.handleUpgrade() function", () => {
     // Events
 
     it("should emit nothing next tick", async () => {
-      const harn = harness({ noServer: true });
-      harn.server.start();
+      const { harn, cids } = await setup();
+      const listener = harn.createServerListener();
+      harn.server.sendMany(cids, "msg");
 
-      await promisify(process.nextTick)(); // Move past queued events
-
-      const listener = harn.createServerListener();
-      harn.server.handleUpgrade(
-        new http.IncomingMessage(),
-        new stream.Duplex(),
-        Buffer.from("abc"),
-      );
-
-      await promisify(process.nextTick)();
+      await promisify(process.nextTick)();
 
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
@@ -2656,16 +3967,10 @@ describe("The server.handleUpgrade() function", () => {
 
     // State
 
-    it("should not change the state", () => {
-      const harn = harness({ noServer: true });
-      harn.server.start();
-
+    it("should not change the state", async () => {
+      const { harn, cids } = await setup();
       const newState = harn.getServerState();
-      harn.server.handleUpgrade(
-        new http.IncomingMessage(),
-        new stream.Duplex(),
-        Buffer.from("abc"),
-      );
+      harn.server.sendMany(cids, "msg");
       expect(harn.server).toHaveState(newState);
     });
 
@@ -2673,23 +3978,16 @@ describe("The server.handleUpgrade() function", () => {
 
     // Calls on ws
 
-    it("should call ws.handleUpgrade()", () => {
-      const harn = harness({ noServer: true });
-      harn.server.start();
-
-      harn.getWs().mockClear();
-      const req = new http.IncomingMessage();
-      const socket = new stream.Duplex();
-      const head = Buffer.from("abc");
-      harn.server.handleUpgrade(req, socket, head);
-      expect(harn.getWs().close.mock.calls.length).toBe(0);
-      expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(1);
-      expect(harn.getWs().handleUpgrade.mock.calls[0].length).toBe(4);
-      expect(harn.getWs().handleUpgrade.mock.calls[0][0]).toBe(req);
-      expect(harn.getWs().handleUpgrade.mock.calls[0][1]).toBe(socket);
-      expect(harn.getWs().handleUpgrade.mock.calls[0][2]).toBe(head);
-      expect(check.function(harn.getWs().handleUpgrade.mock.calls[0][3])).toBe(
-        true,
+    it("should call ws.send() once on each specified client", async () => {
+      const { harn, mockWs, cids } = await setup();
+      harn.server.sendMany([cids[2], cids[0], cids[2]], "msg");
+      expect(mockWs[0].send.mock.calls.length).toBe(1);
+      expect(mockWs[0].send.mock.calls[0][0].toString()).toBe("msg");
+      expect(mockWs[0].send.mock.calls[0][1]).toEqual({ binary: false });
+      expect(mockWs[1].send.mock.calls.length).toBe(0);
+      expect(mockWs[2].send.mock.calls.length).toBe(1);
+      expect(mockWs[2].send.mock.calls[0][0]).toBe(
+        mockWs[0].send.mock.calls[0][0],
       );
     });
 
@@ -2697,345 +3995,476 @@ describe("The server.handleUpgrade() function", () => {
 
     // Inbound callbacks (events, state, ws, callbacks)
 
-    describe("The ws.handleUpgrade() callback", () => {
-      it("should emit connect next tick", async () => {
-        const harn = harness({ noServer: true });
-        harn.server.start();
-        harn.getWs().mockClear();
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          new stream.Duplex(),
-          Buffer.from("abc"),
-        );
-        const cb = harn.getWs().handleUpgrade.mock.calls[0][3];
-
-        await promisify(process.nextTick)(); // Move past queued events
-
+    describe("the ws.send() callback may return failure", () => {
+      it("should emit disconnect for that client next tick", async () => {
+        const { harn, mockWs, cids } = await setup();
         const listener = harn.createServerListener();
-        cb(harn.createMockWs());
-
-        expect(listener.starting.mock.calls.length).toBe(0);
-        expect(listener.start.mock.calls.length).toBe(0);
-        expect(listener.stopping.mock.calls.length).toBe(0);
-        expect(listener.stop.mock.calls.length).toBe(0);
-        expect(listener.connect.mock.calls.length).toBe(0);
-        expect(listener.message.mock.calls.length).toBe(0);
-        expect(listener.disconnect.mock.calls.length).toBe(0);
+        harn.server.sendMany(cids, "msg");
+        const err = new Error("SOME_ERROR");
+        mockWs[2].send.mock.calls[0][2](err);
 
         await promisify(process.nextTick)();
 
-        expect(listener.starting.mock.calls.length).toBe(0);
-        expect(listener.start.mock.calls.length).toBe(0);
-        expect(listener.stopping.mock.calls.length).toBe(0);
-        expect(listener.stop.mock.calls.length).toBe(0);
-        expect(listener.connect.mock.calls.length).toBe(1);
-        expect(listener.connect.mock.calls[0].length).toBe(1);
-        expect(check.string(listener.connect.mock.calls[0][0])).toBe(true);
-        expect(listener.message.mock.calls.length).toBe(0);
-        expect(listener.disconnect.mock.calls.length).toBe(0);
-      });
-
-      it("should update the state appropriately", async () => {
-        const harn = harness({ noServer: true });
-        let cid;
-        harn.server.once("connect", (c) => {
-          cid = c;
-        });
-        harn.server.start();
-        harn.getWs().mockClear();
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          new stream.Duplex(),
-          Buffer.from("abc"),
-        );
-        const cb = harn.getWs().handleUpgrade.mock.calls[0][3];
-        const newState = harn.getServerState();
-
-        cb(harn.createMockWs()); // Do this first to get clientId
-        await promisify(process.nextTick)(); // Move past queued events
-
-        newState._wsClients[cid] = {};
-        newState._heartbeatIntervals[cid] = 123;
-        expect(harn.server).toHaveState(newState);
-      });
-
-      it("should do nothing on ws", () => {
-        const harn = harness({ noServer: true });
-        harn.server.start();
-        harn.getWs().mockClear();
-        harn.server.handleUpgrade(
-          new http.IncomingMessage(),
-          new stream.Duplex(),
-          Buffer.from("abc"),
+        expect(listener.disconnect.mock.calls.length).toBe(1);
+        expect(listener.disconnect.mock.calls[0][0]).toBe(cids[2]);
+        expect(listener.disconnect.mock.calls[0][1].message).toBe(
+          "FAILURE: WebSocket transmission failed.",
         );
-        const cb = harn.getWs().handleUpgrade.mock.calls[0][3];
-
-        harn.getWs().mockClear();
-        const mockWs = harn.createMockWs();
-        cb(mockWs);
-        expect(harn.getWs().close.mock.calls.length).toBe(0);
-        expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
-
-        expect(mockWs.ping.mock.calls.length).toBe(0);
-        expect(mockWs.send.mock.calls.length).toBe(0);
-        expect(mockWs.close.mock.calls.length).toBe(0);
-        expect(mockWs.terminate.mock.calls.length).toBe(0);
+        expect(listener.disconnect.mock.calls[0][1].wsError).toBe(err);
       });
     });
 
     // Return value
 
-    it("should return nothing", () => {
-      const harn = harness({ noServer: true });
-      harn.server.start();
-
-      harn.getWs().mockClear();
-      const req = new http.IncomingMessage();
-      const socket = new stream.Duplex();
-      const head = Buffer.from("abc");
-      expect(harn.server.handleUpgrade(req, socket, head)).toBe(undefined);
+    it("should return nothing", async () => {
+      const { harn, cids } = await setup();
+      expect(harn.server.sendMany(cids, "msg")).toBe(undefined);
     });
   });
 });
 
-// State-modifying functions -- triggered by ws, http, or http no longer listening
+describe("Backpressure protection on server sends", () => {
+  const setup = async (backpressure) => {
+    const harn = harness({ port: PORT, backpressure });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    mockWs.bufferedAmount = 0;
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
+    });
+    harn.getWs().emit("connection", mockWs);
+    await promisify(process.nextTick)(); // Move past queued events
+    return { harn, mockWs, cid };
+  };
 
-describe("The server._processServerListening() function", () => {
-  // Events
+  describe("if the buffer is below the high water mark", () => {
+    it("should call ws.send()", async () => {
+      const { harn, mockWs, cid } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+      });
+      mockWs.bufferedAmount = 99;
+      harn.server.send(cid, "msg");
+      expect(mockWs.send.mock.calls.length).toBe(1);
+      expect(mockWs.send.mock.calls[0][0]).toBe("msg");
+      expect(harn.server._congestion).toEqual({});
+    });
+  });
 
-  it("stand-alone mode triggered by ws - should emit start next tick", async () => {
-    const harn = harness({ port: PORT });
-    harn.server.start();
+  describe("if the buffer reaches the high water mark - disconnect policy", () => {
+    it("should emit disconnect next tick", async () => {
+      const { harn, mockWs, cid } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+      });
+      const listener = harn.createServerListener();
+      mockWs.bufferedAmount = 100;
+      harn.server.send(cid, "msg");
 
-    await promisify(process.nextTick)(); // Move past queued events
+      expect(listener.disconnect.mock.calls.length).toBe(0);
 
-    const listener = harn.createServerListener();
-    harn.getWs().emit("listening");
+      await promisify(process.nextTick)();
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0].length).toBe(2);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+      expect(listener.disconnect.mock.calls[0][1].message).toBe(
+        "FAILURE: Slow consumer.",
+      );
+      expect(listener.disconnect.mock.calls[0][1].bufferedAmount).toBe(100);
+    });
 
-    await promisify(process.nextTick)();
+    it("should update the state appropriately", async () => {
+      const { harn, mockWs } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+      });
+      const newState = harn.getServerState();
+      newState._wsClients = {};
+      newState._clientInfo = {};
+      newState._latency = {};
+      newState._heartbeatIntervals = {};
+      mockWs.bufferedAmount = 100;
+      harn.server.broadcast("msg");
+      expect(harn.server).toHaveState(newState);
+    });
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(1);
-    expect(listener.start.mock.calls[0].length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+    it("should terminate the client and not call ws.send()", async () => {
+      const { harn, mockWs, cid } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+      });
+      mockWs.bufferedAmount = 100;
+      harn.server.send(cid, "msg");
+      expect(mockWs.send.mock.calls.length).toBe(0);
+      expect(mockWs.terminate.mock.calls.length).toBe(1);
+    });
   });
 
-  it("external server mode triggered by http - should emit start next tick", async () => {
-    const httpServer = emitter({});
-    const harn = harness({ server: httpServer });
-    harn.server.start();
+  describe("if the buffer reaches the high water mark - drop policy", () => {
+    it("should drop messages until drained and then emit drain", async () => {
+      const { harn, mockWs, cid } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+        policy: "drop",
+      });
+      harn.server.send(cid, "msg1");
+      mockWs.bufferedAmount = 100;
+      harn.server.send(cid, "msg2");
+      mockWs.bufferedAmount = 50;
+      harn.server.send(cid, "msg3"); // Still congested
+      expect(mockWs.send.mock.calls.length).toBe(1);
+      expect(_.keys(harn.server._congestion)).toEqual([cid]);
 
-    await promisify(process.nextTick)(); // Move past queued events
+      const drain = jest.fn();
+      harn.server.on("drain", drain);
 
-    const listener = harn.createServerListener();
+      mockWs.send.mock.calls[0][1](); // Written, but buffer not yet drained
 
-    httpServer.emit("listening");
+      await promisify(process.nextTick)();
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(drain.mock.calls.length).toBe(0);
 
-    await promisify(process.nextTick)();
+      mockWs.bufferedAmount = 10;
+      mockWs.send.mock.calls[0][1](); // Written and buffer drained
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(1);
-    expect(listener.start.mock.calls[0].length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
-  });
+      expect(harn.server._congestion).toEqual({});
+      expect(drain.mock.calls.length).toBe(0);
 
-  // State
+      await promisify(process.nextTick)();
 
-  it("stand-alone mode triggered by ws - should change the state to started", () => {
-    const harn = harness({ port: PORT });
-    harn.server.start();
+      expect(drain.mock.calls).toEqual([[cid]]);
+      expect(mockWs.send.mock.calls.length).toBe(1);
 
-    const newState = harn.getServerState();
-    newState._state = "started";
-    harn.getWs().emit("listening");
-    expect(harn.server).toHaveState(newState);
+      harn.server.send(cid, "msg4");
+      expect(mockWs.send.mock.calls.length).toBe(2);
+      expect(mockWs.send.mock.calls[1][0]).toBe("msg4");
+    });
   });
 
-  // Stopped passing after Jest upgrade
-  // it("external server mode triggered by http - should change the state to started", () => {
-  //   const httpServer = emitter({});
-  //   const harn = harness({ server: httpServer });
-  //   harn.server.start();
-
-  //   const newState = harn.getServerState();
-  //   newState._state = "started";
-  //   newState._httpListeningTimeout = null;
-  //   newState._httpPollingInterval = 123;
-
-  //   httpServer.emit("listening");
+  describe("if the buffer reaches the high water mark - coalesce policy", () => {
+    it("should retain the newest message and write it once drained", async () => {
+      const { harn, mockWs, cid } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+        policy: "coalesce",
+      });
+      harn.server.send(cid, "msg1");
+      mockWs.bufferedAmount = 100;
+      harn.server.send(cid, "msg2");
+      harn.server.broadcast("msg3");
+      expect(mockWs.send.mock.calls.length).toBe(1);
+      expect(harn.server._congestion[cid].pending.data.toString()).toBe("msg3");
 
-  //   expect(harn.server).toHaveState(newState);
-  // });
+      const drain = jest.fn();
+      harn.server.on("drain", drain);
 
-  // Function calls
+      mockWs.bufferedAmount = 0;
+      mockWs.send.mock.calls[0][1]();
 
-  it("stand-alone mode triggered by ws - should not create http polling interval", () => {
-    const harn = harness({ port: PORT });
-    harn.server.start();
+      expect(mockWs.send.mock.calls.length).toBe(2);
+      expect(mockWs.send.mock.calls[1][0].toString()).toBe("msg3");
+      expect(mockWs.send.mock.calls[1][1]).toEqual({ binary: false });
+      expect(harn.server._congestion).toEqual({});
 
-    setInterval.mockClear();
+      await promisify(process.nextTick)();
 
-    harn.getWs().emit("listening");
+      expect(drain.mock.calls).toEqual([[cid]]);
+    });
 
-    expect(setInterval.mock.calls.length).toBe(0);
+    it("should not write anything on drain if nothing was coalesced", async () => {
+      const { harn, mockWs, cid } = await setup({
+        highWaterMark: 100,
+        lowWaterMark: 10,
+        policy: "coalesce",
+      });
+      harn.server.send(cid, "msg1");
+      mockWs.bufferedAmount = 100;
+      harn.server._congestion[cid] = { pending: null };
+      mockWs.bufferedAmount = 0;
+      mockWs.send.mock.calls[0][1]();
+      expect(mockWs.send.mock.calls.length).toBe(1);
+    });
   });
 
-  it("external server mode triggered by http - should create http polling interval", () => {
-    const httpServer = emitter({});
-    const harn = harness({ server: httpServer });
-    harn.server.start();
-
-    setInterval.mockClear();
-
-    httpServer.emit("listening");
-
-    expect(setInterval.mock.calls.length).toBe(1);
-    expect(setInterval.mock.calls[0].length).toBe(2);
-    expect(check.function(setInterval.mock.calls[0][0])).toBe(true);
-    expect(check.integer(setInterval.mock.calls[0][1])).toBe(true);
-  });
+  describe("if backpressure protection is disabled", () => {
+    it("should always call ws.send()", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.bufferedAmount = 1e9;
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+      await promisify(process.nextTick)(); // Move past queued events
 
-  // Calls on ws
+      harn.server.send(cid, "msg");
+      expect(mockWs.send.mock.calls.length).toBe(1);
+    });
+  });
+});
 
-  it("stand-alone mode triggered by ws - should do nothing on ws", () => {
-    const harn = harness({ port: PORT });
+describe("Binary mode", () => {
+  const setup = async (protocols) => {
+    const harn = harness({ port: PORT, binary: true });
     harn.server.start();
-
-    harn.getWs().mockClear();
-
     harn.getWs().emit("listening");
+    const mockWs = [];
+    const cids = [];
+    harn.server.on("connect", (cid) => {
+      cids.push(cid);
+    });
+    protocols.forEach((protocol, i) => {
+      mockWs.push(harn.createMockWs());
+      mockWs[i].protocol = protocol;
+      harn.getWs().emit("connection", mockWs[i]);
+    });
+    await promisify(process.nextTick)(); // Move past queued events
+    return { harn, mockWs, cids };
+  };
 
-    expect(harn.getWs().close.mock.calls.length).toBe(0);
-    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
-  });
+  describe("sending", () => {
+    it("should throw on binary messages if binary mode is disabled", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.protocol = "feedme";
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+      await promisify(process.nextTick)();
+      expect(() => {
+        harn.server.send(cid, Buffer.from("msg"));
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id or message."));
+      expect(() => {
+        harn.server.broadcast(Buffer.from("msg"));
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid message."));
+      expect(() => {
+        harn.server.sendMany([cid], Buffer.from("msg"));
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client ids or message."));
+    });
 
-  it("external server mode triggered by http - should do nothing on ws", () => {
-    const httpServer = emitter({});
-    const harn = harness({ server: httpServer });
-    harn.server.start();
+    it("server.send() should throw if the client is not in binary mode", async () => {
+      const { harn, cids } = await setup(["feedme"]);
+      expect(() => {
+        harn.server.send(cids[0], Buffer.from("msg"));
+      }).toThrow(new Error("INVALID_STATE: The client is not in binary mode."));
+    });
+
+    it("server.send() should write Buffer, ArrayBuffer, and Uint8Array messages as binary frames", async () => {
+      const { harn, mockWs, cids } = await setup(["feedme.binary"]);
+      const buf = Buffer.from("msg");
+      const arr = new ArrayBuffer(2);
+      const u8 = new Uint8Array(3);
+      harn.server.send(cids[0], buf);
+      harn.server.send(cids[0], arr);
+      harn.server.send(cids[0], u8);
+      harn.server.send(cids[0], "msg");
+      expect(mockWs[0].send.mock.calls.length).toBe(4);
+      expect(mockWs[0].send.mock.calls[0][0]).toBe(buf);
+      expect(mockWs[0].send.mock.calls[0][1]).toEqual({ binary: true });
+      expect(mockWs[0].send.mock.calls[1][0]).toBe(arr);
+      expect(mockWs[0].send.mock.calls[1][1]).toEqual({ binary: true });
+      expect(mockWs[0].send.mock.calls[2][0]).toBe(u8);
+      expect(mockWs[0].send.mock.calls[2][1]).toEqual({ binary: true });
+      expect(mockWs[0].send.mock.calls[3][0]).toBe("msg");
+      expect(mockWs[0].send.mock.calls[3][1]).toBeInstanceOf(Function);
+    });
+
+    it("server.broadcast() should send binary messages only to binary clients", async () => {
+      const { harn, mockWs } = await setup([
+        "feedme.binary",
+        "feedme",
+        "feedme.binary.heartbeat",
+      ]);
+      const u8 = new Uint8Array([1, 2, 3, 4]).subarray(1, 3);
+      harn.server.broadcast(u8);
+      expect(mockWs[0].send.mock.calls.length).toBe(1);
+      expect(mockWs[1].send.mock.calls.length).toBe(0);
+      expect(mockWs[2].send.mock.calls.length).toBe(1);
+      expect(mockWs[0].send.mock.calls[0][0]).toBeInstanceOf(Buffer);
+      expect([...mockWs[0].send.mock.calls[0][0]]).toEqual([2, 3]);
+      expect(mockWs[0].send.mock.calls[0][1]).toEqual({ binary: true });
+      expect(mockWs[2].send.mock.calls[0][0]).toBe(
+        mockWs[0].send.mock.calls[0][0],
+      );
+    });
 
-    harn.getWs().mockClear();
+    it("server.broadcast() should send string messages to all clients", async () => {
+      const { harn, mockWs } = await setup(["feedme.binary", "feedme"]);
+      harn.server.broadcast("msg");
+      expect(mockWs[0].send.mock.calls[0][1]).toEqual({ binary: false });
+      expect(mockWs[1].send.mock.calls[0][1]).toEqual({ binary: false });
+    });
 
-    httpServer.emit("listening");
+    it("server.sendMany() should throw if any client is not in binary mode", async () => {
+      const { harn, mockWs, cids } = await setup(["feedme.binary", "feedme"]);
+      expect(() => {
+        harn.server.sendMany(cids, new ArrayBuffer(2));
+      }).toThrow(
+        new Error("INVALID_STATE: One or more clients are not in binary mode."),
+      );
+      expect(mockWs[0].send.mock.calls.length).toBe(0);
+    });
 
-    expect(harn.getWs().close.mock.calls.length).toBe(0);
-    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+    it("server.sendMany() should write binary messages to binary clients", async () => {
+      const { harn, mockWs, cids } = await setup([
+        "feedme.binary",
+        "feedme.binary",
+      ]);
+      harn.server.sendMany(cids, new ArrayBuffer(2));
+      expect(mockWs[0].send.mock.calls[0][0]).toBeInstanceOf(Buffer);
+      expect(mockWs[0].send.mock.calls[0][0].length).toBe(2);
+      expect(mockWs[0].send.mock.calls[0][1]).toEqual({ binary: true });
+      expect(mockWs[1].send.mock.calls[0][0]).toBe(
+        mockWs[0].send.mock.calls[0][0],
+      );
+    });
   });
 
-  // Outbound callbacks - N/A
-
-  // Inbound callbacks (events, state, ws, callbacks)
+  describe("receiving", () => {
+    it("should emit binary messages from binary clients", async () => {
+      const { harn, mockWs, cids } = await setup(["feedme.binary"]);
+      const listener = harn.createServerListener();
+      const buf = Buffer.from("msg");
+      mockWs[0].emit("message", buf);
+      mockWs[0].emit("message", "msg");
 
-  describe("external server mode - the polling interval callback, if server still listening", () => {
-    it("it should emit nothing", async () => {
-      const httpServer = emitter({});
-      const harn = harness({ server: httpServer });
-      harn.server.start();
-      httpServer.listening = true;
-      httpServer.emit("listening");
+      await promisify(process.nextTick)();
 
-      await promisify(process.nextTick)(); // Move past queued events
+      expect(listener.message.mock.calls).toEqual([
+        [cids[0], buf],
+        [cids[0], "msg"],
+      ]);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
 
+    it("should disconnect plain clients that send binary messages", async () => {
+      const { harn, mockWs, cids } = await setup(["feedme"]);
       const listener = harn.createServerListener();
+      mockWs[0].emit("message", Buffer.from("msg"));
 
-      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+      await promisify(process.nextTick)();
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cids[0]);
+      expect(listener.disconnect.mock.calls[0][1].message).toBe(
+        "FAILURE: Received non-string message on WebSocket connection.",
+      );
+    });
+
+    it("should answer heartbeat pings on the binary heartbeat subprotocol", async () => {
+      const { harn, mockWs } = await setup(["feedme.binary.heartbeat"]);
+      const listener = harn.createServerListener();
+      mockWs[0].emit("message", "ping");
 
       await promisify(process.nextTick)();
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(mockWs[0].send.mock.calls.length).toBe(1);
+      expect(mockWs[0].send.mock.calls[0][0]).toBe("pong");
     });
+  });
+});
 
-    it("it should not change the state", async () => {
-      const httpServer = emitter({});
-      const harn = harness({ server: httpServer });
-      harn.server.start();
-      httpServer.listening = true;
-      httpServer.emit("listening");
-
-      await promisify(process.nextTick)(); // Move past queued events
-
-      const newState = harn.getServerState();
+describe("The server.disconnect() function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid client id", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect(123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id."));
+    });
 
-      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+    it("should throw on invalid error arg", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect("cid", "junk");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid error."));
+    });
 
-      expect(harn.server).toHaveState(newState);
+    it("should throw on invalid options arg", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect("cid", new Error("SOMETHING"), "junk");
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid options argument."));
     });
 
-    it("it should do nothing on ws", async () => {
-      const httpServer = emitter({});
-      const harn = harness({ server: httpServer });
-      harn.server.start();
-      httpServer.listening = true;
-      httpServer.emit("listening");
+    it("should throw on invalid options.closeCode", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect("cid", { closeCode: 1000 });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.closeCode argument."),
+      );
+    });
 
-      await promisify(process.nextTick)(); // Move past queued events
+    it("should throw on invalid options.reason - type", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect("cid", { closeCode: 4000, reason: 123 });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.reason argument."),
+      );
+    });
 
-      const wsServer = harn.getWs();
-      wsServer.mockClear();
+    it("should throw on invalid options.reason - too long once encoded", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect("cid", {
+          closeCode: 4000,
+          reason: { message: "x".repeat(110) },
+        });
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.reason argument."),
+      );
+    });
 
-      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+    it("should throw if server not started", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.disconnect("cid", new Error("SOMETHING"));
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
+    });
 
-      expect(wsServer.close.mock.calls.length).toBe(0);
-      expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
+    it("should throw if client not connected", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.disconnect("cid");
+      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
     });
   });
 
-  describe("external server mode - the polling interval callback, if server no longer listening", () => {
-    it("it should emit stopping and then stopped", async () => {
-      const httpServer = emitter({});
-      const harn = harness({ server: httpServer });
+  describe("can succeed", () => {
+    // Events
+
+    it("should emit disconnect on next tick - no error", async () => {
+      const harn = harness({ port: PORT });
       harn.server.start();
-      httpServer.listening = true;
-      httpServer.emit("listening");
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
       await promisify(process.nextTick)(); // Move past queued events
 
-      const wsServer = harn.getWs();
-      wsServer.mockClear();
-
       const listener = harn.createServerListener();
-
-      httpServer.listening = false;
-
-      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+      harn.server.disconnect(cid);
 
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
@@ -3049,20 +4478,31 @@ describe("The server._processServerListening() function", () => {
 
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(1);
-      expect(listener.stopping.mock.calls[0].length).toBe(1);
-      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stopping.mock.calls[0][0].message).toBe(
-        "FAILURE: The external http server stopped listening.",
-      );
+      expect(listener.stopping.mock.calls.length).toBe(0);
       expect(listener.stop.mock.calls.length).toBe(0);
       expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0].length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+    });
 
-      listener.mockClear();
+    it("should emit disconnect on next tick - with error", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+      const err = new Error("SOMETHING");
 
-      wsServer.close.mock.calls[0][0](); // Fire ws close callback
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      harn.server.disconnect(cid, err);
 
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
@@ -3073,226 +4513,1215 @@ describe("The server._processServerListening() function", () => {
       expect(listener.disconnect.mock.calls.length).toBe(0);
 
       await promisify(process.nextTick)();
-
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(1);
-      expect(listener.stop.mock.calls[0].length).toBe(1);
-      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stop.mock.calls[0][0].message).toBe(
-        "FAILURE: The external http server stopped listening.",
-      );
+      expect(listener.stop.mock.calls.length).toBe(0);
       expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0].length).toBe(2);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(listener.disconnect.mock.calls[0][1]).toBe(err);
     });
 
-    it("it should update the state appropriately", async () => {
-      const httpServer = emitter({});
-      const harn = harness({ server: httpServer });
-      harn.server.start();
-      httpServer.listening = true;
-      httpServer.emit("listening");
-
-      const wsServer = harn.getWs();
-      wsServer.mockClear();
+    // State
 
-      const newState = harn.getServerState();
-      newState._wsServer = null;
-      newState._state = "stopping";
-      newState._httpHandlers = null;
-      newState._httpPollingInterval = null;
+    it("should update the state appropriately", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+      jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-      httpServer.listening = false;
-      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+      await promisify(process.nextTick)(); // Move past queued events
 
+      const newState = harn.getServerState();
+      delete newState._wsClients[cid];
+      delete newState._clientInfo[cid];
+      delete newState._latency[cid];
+      delete newState._heartbeatIntervals[cid];
+      delete newState._heartbeatTimeouts[cid];
+      harn.server.disconnect(cid);
       expect(harn.server).toHaveState(newState);
+    });
 
-      wsServer.close.mock.calls[0][0](); // Fire ws close callback
+    // Function calls
 
-      newState._state = "stopped";
-      expect(harn.server).toHaveState(newState);
-    });
+    // Stopped passing after Jest upgrade
+    // it("should clear the heartbeat interval and timeout", async () => {
+    //   const harn = harness({ port: PORT });
+    //   harn.server.start();
+    //   harn.getWs().emit("listening");
+    //   const mockWs = harn.createMockWs();
+    //   let cid;
+    //   harn.server.once("connect", (c) => {
+    //     cid = c;
+    //   });
+    //   harn.getWs().emit("connection", mockWs);
+    //   jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-    it("it should call ws.close", async () => {
-      const httpServer = emitter({});
-      const harn = harness({ server: httpServer });
-      harn.server.start();
-      httpServer.listening = true;
-      httpServer.emit("listening");
+    //   await promisify(process.nextTick)(); // Move past queued events
 
-      await promisify(process.nextTick)(); // Move past queued events
+    //   clearInterval.mockClear();
+    //   clearTimeout.mockClear();
+    //   harn.server.disconnect(cid);
+    //   expect(clearInterval.mock.calls.length).toBe(1);
+    //   expect(clearInterval.mock.calls[0].length).toBe(1);
+    //   expect(check.integer(clearInterval.mock.calls[0][0])).toBe(true);
+    //   expect(clearTimeout.mock.calls.length).toBe(1);
+    //   expect(clearTimeout.mock.calls[0].length).toBe(1);
+    //   expect(check.integer(clearTimeout.mock.calls[0][0])).toBe(true);
+    // });
 
-      const wsServer = harn.getWs();
-      wsServer.mockClear();
+    // Calls on ws
 
-      httpServer.listening = false;
+    it("should call socket.close()", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+      await promisify(process.nextTick)(); // Move past queued events
 
-      expect(wsServer.close.mock.calls.length).toBe(1);
-      expect(wsServer.close.mock.calls[0].length).toBe(1);
-      expect(check.function(wsServer.close.mock.calls[0][0])).toBe(true);
-      expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
+      harn.server.disconnect(cid);
+      expect(mockWs.ping.mock.calls.length).toBe(0);
+      expect(mockWs.send.mock.calls.length).toBe(0);
+      expect(mockWs.close.mock.calls.length).toBe(1);
+      expect(mockWs.close.mock.calls[0].length).toBe(2);
+      expect(mockWs.close.mock.calls[0][0]).toBe(1000);
+      expect(mockWs.close.mock.calls[0][1]).toBe("");
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
     });
-  });
-});
 
-describe("The server._processServerClose() function", () => {
-  // Events
-
-  it("stand-alone server - should asynchronously emit client disconnects, stopping, and stopped", async () => {
-    // Set up two connected clients
-    // One with no heartbeat timeout and one with
-    const harn = harness({ port: PORT });
-    harn.server.start();
-    harn.getWs().emit("listening");
+    it("should call socket.close() with the close code and reason", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-    await promisify(process.nextTick)(); // Move past queued events
+      await promisify(process.nextTick)(); // Move past queued events
 
-    const mockWs1 = harn.createMockWs();
-    let cid1;
-    harn.server.once("connect", (c) => {
-      cid1 = c;
+      harn.server.disconnect(cid, { closeCode: 4001, reason: "Banned" });
+      expect(mockWs.close.mock.calls).toEqual([[4001, "Banned"]]);
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
     });
-    harn.getWs().emit("connection", mockWs1);
-
-    await promisify(process.nextTick)(); // Move past queued events
 
-    const mockWs2 = harn.createMockWs();
-    let cid2;
-    harn.server.once("connect", (c) => {
-      cid2 = c;
-    });
-    harn.getWs().emit("connection", mockWs2);
+    it("should call socket.close() with an encoded reason and emit the error", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-    await promisify(process.nextTick)(); // Move past queued events
+      await promisify(process.nextTick)(); // Move past queued events
 
-    const eventOrder = [];
-    ["stopping", "stop", "disconnect"].forEach((evt) => {
-      harn.server.on(evt, () => {
-        eventOrder.push(evt);
+      const listener = harn.createServerListener();
+      const err = new Error("SOMETHING");
+      harn.server.disconnect(cid, err, {
+        closeCode: 4002,
+        reason: { type: "maintenance" },
       });
-    });
-
-    const listener = harn.createServerListener();
-    harn.getWs().emit("close");
+      expect(mockWs.close.mock.calls).toEqual([
+        [4002, '{"type":"maintenance"}'],
+      ]);
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+      await promisify(process.nextTick)();
 
-    await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls).toEqual([[cid, err]]);
+    });
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(1);
-    expect(listener.stopping.mock.calls[0].length).toBe(1);
-    expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-    expect(listener.stopping.mock.calls[0][0].message).toBe(
-      "FAILURE: The server stopped unexpectedly.",
-    );
-    expect(listener.stop.mock.calls.length).toBe(1);
-    expect(listener.stop.mock.calls[0].length).toBe(1);
-    expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-    expect(listener.stop.mock.calls[0][0].message).toBe(
-      "FAILURE: The server stopped unexpectedly.",
-    );
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(2);
-    expect(listener.disconnect.mock.calls[0].length).toBe(2);
-    expect(listener.disconnect.mock.calls[1].length).toBe(2);
-    expect(
-      (cid1 === listener.disconnect.mock.calls[0][0] &&
-        cid2 === listener.disconnect.mock.calls[1][0]) ||
-        (cid1 === listener.disconnect.mock.calls[1][0] &&
-          cid2 === listener.disconnect.mock.calls[0][0]),
-    ).toBe(true);
-    expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
-    expect(listener.disconnect.mock.calls[0][1].message).toBe(
-      "STOPPING: The server is stopping.",
-    );
-    expect(listener.disconnect.mock.calls[1][1]).toBeInstanceOf(Error);
-    expect(listener.disconnect.mock.calls[1][1].message).toBe(
-      "STOPPING: The server is stopping.",
-    );
-    expect(eventOrder).toEqual([
-      "disconnect",
-      "disconnect",
-      "stopping",
-      "stop",
-    ]);
-  });
+    // Outbound callbacks - N/A
 
-  it("external http server - should asynchronously emit client disconnects, stopping, and stopped", async () => {
-    // Set up two connected clients
-    // One with no heartbeat timeout and one with
-    const httpServer = emitter({ listening: true });
-    const harn = harness({ server: httpServer });
-    harn.server.start();
-    harn.getWs().emit("listening");
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
 
-    await promisify(process.nextTick)(); // Move past queued events
+    // Return value
 
-    const mockWs1 = harn.createMockWs();
-    let cid1;
-    harn.server.once("connect", (c) => {
-      cid1 = c;
-    });
-    harn.getWs().emit("connection", mockWs1);
+    it("should return nothing", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-    await promisify(process.nextTick)(); // Move past queued events
+      await promisify(process.nextTick)(); // Move past queued events
 
-    const mockWs2 = harn.createMockWs();
-    let cid2;
-    harn.server.once("connect", (c) => {
-      cid2 = c;
+      expect(harn.server.disconnect(cid)).toBe(undefined);
     });
-    harn.getWs().emit("connection", mockWs2);
-
-    await promisify(process.nextTick)(); // Move past queued events
+  });
+});
 
-    const eventOrder = [];
-    ["stopping", "stop", "disconnect"].forEach((evt) => {
-      harn.server.on(evt, () => {
-        eventOrder.push(evt);
-      });
+describe("The server.handleUpgrade() function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid request argument", () => {
+      const harn = harness({ noServer: true });
+      expect(() => {
+        harn.server.handleUpgrade(123, new stream.Duplex(), Buffer.from("abc"));
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid request, socket, or head."),
+      );
     });
 
-    const wsServer = harn.getWs();
-
-    const listener = harn.createServerListener();
-    httpServer.emit("close");
-
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+    it("should throw on invalid socket argument", () => {
+      const harn = harness({ noServer: true });
+      expect(() => {
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          123,
+          Buffer.from("abc"),
+        );
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid request, socket, or head."),
+      );
+    });
+
+    it("should throw on invalid head argument", () => {
+      const harn = harness({ noServer: true });
+      expect(() => {
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          new stream.Duplex(),
+          123,
+        );
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid request, socket, or head."),
+      );
+    });
+
+    it("should throw if transport is not started", () => {
+      const harn = harness({ noServer: true });
+      expect(() => {
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          new stream.Duplex(),
+          Buffer.from("abc"),
+        );
+      }).toThrow(
+        new Error("INVALID_STATE: The transport server is not started."),
+      );
+    });
+
+    it("should throw if ws is not in noServer mode", () => {
+      const harn = harness({ port: 8080 });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          new stream.Duplex(),
+          Buffer.from("abc"),
+        );
+      }).toThrow(
+        new Error("INVALID_STATE: The transport is not in noServer mode."),
+      );
+    });
+  });
+
+  describe("can succeed", () => {
+    // Events
+
+    it("should emit nothing next tick", async () => {
+      const harn = harness({ noServer: true });
+      harn.server.start();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      harn.server.handleUpgrade(
+        new http.IncomingMessage(),
+        new stream.Duplex(),
+        Buffer.from("abc"),
+      );
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    // State
+
+    it("should not change the state", () => {
+      const harn = harness({ noServer: true });
+      harn.server.start();
+
+      const newState = harn.getServerState();
+      harn.server.handleUpgrade(
+        new http.IncomingMessage(),
+        new stream.Duplex(),
+        Buffer.from("abc"),
+      );
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws
+
+    it("should call ws.handleUpgrade()", () => {
+      const harn = harness({ noServer: true });
+      harn.server.start();
+
+      harn.getWs().mockClear();
+      const req = new http.IncomingMessage();
+      const socket = new stream.Duplex();
+      const head = Buffer.from("abc");
+      harn.server.handleUpgrade(req, socket, head);
+      expect(harn.getWs().close.mock.calls.length).toBe(0);
+      expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(1);
+      expect(harn.getWs().handleUpgrade.mock.calls[0].length).toBe(4);
+      expect(harn.getWs().handleUpgrade.mock.calls[0][0]).toBe(req);
+      expect(harn.getWs().handleUpgrade.mock.calls[0][1]).toBe(socket);
+      expect(harn.getWs().handleUpgrade.mock.calls[0][2]).toBe(head);
+      expect(check.function(harn.getWs().handleUpgrade.mock.calls[0][3])).toBe(
+        true,
+      );
+    });
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks)
 
+    describe("The ws.handleUpgrade() callback", () => {
+      it("should emit connect next tick", async () => {
+        const harn = harness({ noServer: true });
+        harn.server.start();
+        harn.getWs().mockClear();
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          new stream.Duplex(),
+          Buffer.from("abc"),
+        );
+        const cb = harn.getWs().handleUpgrade.mock.calls[0][3];
+
+        await promisify(process.nextTick)(); // Move past queued events
+
+        const listener = harn.createServerListener();
+        cb(harn.createMockWs());
+
+        expect(listener.starting.mock.calls.length).toBe(0);
+        expect(listener.start.mock.calls.length).toBe(0);
+        expect(listener.stopping.mock.calls.length).toBe(0);
+        expect(listener.stop.mock.calls.length).toBe(0);
+        expect(listener.connect.mock.calls.length).toBe(0);
+        expect(listener.message.mock.calls.length).toBe(0);
+        expect(listener.disconnect.mock.calls.length).toBe(0);
+
+        await promisify(process.nextTick)();
+
+        expect(listener.starting.mock.calls.length).toBe(0);
+        expect(listener.start.mock.calls.length).toBe(0);
+        expect(listener.stopping.mock.calls.length).toBe(0);
+        expect(listener.stop.mock.calls.length).toBe(0);
+        expect(listener.connect.mock.calls.length).toBe(1);
+        expect(listener.connect.mock.calls[0].length).toBe(1);
+        expect(check.string(listener.connect.mock.calls[0][0])).toBe(true);
+        expect(listener.message.mock.calls.length).toBe(0);
+        expect(listener.disconnect.mock.calls.length).toBe(0);
+      });
+
+      it("should update the state appropriately", async () => {
+        const harn = harness({ noServer: true });
+        let cid;
+        harn.server.once("connect", (c) => {
+          cid = c;
+        });
+        harn.server.start();
+        harn.getWs().mockClear();
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          new stream.Duplex(),
+          Buffer.from("abc"),
+        );
+        const cb = harn.getWs().handleUpgrade.mock.calls[0][3];
+        const newState = harn.getServerState();
+
+        cb(harn.createMockWs()); // Do this first to get clientId
+        await promisify(process.nextTick)(); // Move past queued events
+
+        newState._wsClients[cid] = {};
+        newState._clientInfo[cid] = {};
+        newState._latency[cid] = true;
+        newState._heartbeatIntervals[cid] = 123;
+        expect(harn.server).toHaveState(newState);
+      });
+
+      it("should do nothing on ws", () => {
+        const harn = harness({ noServer: true });
+        harn.server.start();
+        harn.getWs().mockClear();
+        harn.server.handleUpgrade(
+          new http.IncomingMessage(),
+          new stream.Duplex(),
+          Buffer.from("abc"),
+        );
+        const cb = harn.getWs().handleUpgrade.mock.calls[0][3];
+
+        harn.getWs().mockClear();
+        const mockWs = harn.createMockWs();
+        cb(mockWs);
+        expect(harn.getWs().close.mock.calls.length).toBe(0);
+        expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+
+        expect(mockWs.ping.mock.calls.length).toBe(0);
+        expect(mockWs.send.mock.calls.length).toBe(0);
+        expect(mockWs.close.mock.calls.length).toBe(0);
+        expect(mockWs.terminate.mock.calls.length).toBe(0);
+      });
+    });
+
+    // Return value
+
+    it("should return nothing", () => {
+      const harn = harness({ noServer: true });
+      harn.server.start();
+
+      harn.getWs().mockClear();
+      const req = new http.IncomingMessage();
+      const socket = new stream.Duplex();
+      const head = Buffer.from("abc");
+      expect(harn.server.handleUpgrade(req, socket, head)).toBe(undefined);
+    });
+  });
+});
+
+// State-modifying functions -- triggered by ws, http, or http no longer listening
+
+describe("The server.handleRequest() function", () => {
+  const flush = () =>
+    new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+
+  const createRequest = (method, url, body) => {
+    const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+    req.method = method;
+    req.url = url;
+    req.headers = {};
+    if (body !== undefined) {
+      req.push(check.string(body) ? body : JSON.stringify(body));
+    }
+    req.push(null);
+    return req;
+  };
+
+  const createResponse = (req) => {
+    const res = new http.ServerResponse(req);
+    res.writeHead = jest.fn();
+    res.end = jest.fn();
+    res.getStatus = () =>
+      res.writeHead.mock.calls.length > 0 ? res.writeHead.mock.calls[0][0] : 0;
+    res.getBody = () =>
+      res.end.mock.calls[0][0] === ""
+        ? undefined
+        : JSON.parse(res.end.mock.calls[0][0]);
+    return res;
+  };
+
+  const request = (harn, method, url, body) => {
+    const req = createRequest(method, url, body);
+    const res = createResponse(req);
+    harn.server.handleRequest(req, res);
+    return res;
+  };
+
+  // Opens a session and returns { sid, cid }
+  const openSession = async (harn) => {
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
+    });
+    const res = request(harn, "POST", "/feedme/poll", {
+      protocols: ["feedme"],
+    });
+    await flush();
     await promisify(process.nextTick)();
+    return { sid: res.getBody().sid, cid };
+  };
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(1);
-    expect(listener.stopping.mock.calls[0].length).toBe(1);
-    expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-    expect(listener.stopping.mock.calls[0][0].message).toBe(
-      "FAILURE: The server stopped unexpectedly.",
-    );
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(2);
-    expect(listener.disconnect.mock.calls[0].length).toBe(2);
+  describe("can fail", () => {
+    it("should throw on invalid request argument", () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      expect(() => {
+        harn.server.handleRequest(
+          123,
+          createResponse(createRequest("GET", "/")),
+        );
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid request or response."));
+    });
+
+    it("should throw on invalid response argument", () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      expect(() => {
+        harn.server.handleRequest(createRequest("GET", "/"), 123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid request or response."));
+    });
+
+    it("should throw if long polling is not enabled", () => {
+      const harn = harness({ noServer: true });
+      const req = createRequest("GET", "/");
+      expect(() => {
+        harn.server.handleRequest(req, createResponse(req));
+      }).toThrow(new Error("INVALID_STATE: Long polling is not enabled."));
+    });
+  });
+
+  describe("can succeed", () => {
+    it("should overlay option defaults", () => {
+      const harn = harness({
+        noServer: true,
+        longPolling: { pollTimeoutMs: 123 },
+      });
+      expect(harn.server._options.longPolling).toEqual({
+        ...serverConfig.defaults.longPolling,
+        pollTimeoutMs: 123,
+      });
+    });
+
+    it("should not pass options.longPolling to ws", () => {
+      let wsOptions;
+      const wsConstructor = function c(opts) {
+        wsOptions = opts;
+        emitter(this);
+      };
+      const harn = harness(
+        { noServer: true, longPolling: true },
+        wsConstructor,
+      );
+      harn.server.start();
+      expect("longPolling" in wsOptions).toBe(false);
+    });
+
+    it("should respond 405 to a non-POST request without a session", () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const res = request(harn, "GET", "/feedme/poll");
+      expect(res.getStatus()).toBe(405);
+      expect(res.writeHead.mock.calls[0][1].Allow).toBe("POST");
+    });
+
+    it("should respond 404 to an unknown session", () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const res = request(harn, "GET", "/feedme/poll?sid=junk");
+      expect(res.getStatus()).toBe(404);
+    });
+
+    it("should respond 503 to a session request if not started", () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      const res = request(harn, "POST", "/feedme/poll", {
+        protocols: ["feedme"],
+      });
+      expect(res.getStatus()).toBe(503);
+    });
+
+    it("should respond 400 to an invalid session request", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const res = request(harn, "POST", "/feedme/poll", "junk");
+      await flush();
+      expect(res.getStatus()).toBe(400);
+    });
+
+    it("should respond 413 to an oversized session request", async () => {
+      const harn = harness({
+        noServer: true,
+        longPolling: { maxBodyBytes: 10 },
+      });
+      harn.server.start();
+      const res = request(harn, "POST", "/feedme/poll", {
+        protocols: ["feedme"],
+      });
+      await flush();
+      expect(res.getStatus()).toBe(413);
+    });
+
+    it("should respond 400 if only binary subprotocols are offered", async () => {
+      const harn = harness({ noServer: true, longPolling: true, binary: true });
+      harn.server.start();
+      const res = request(harn, "POST", "/feedme/poll", {
+        protocols: ["feedme.binary"],
+      });
+      await flush();
+      expect(res.getStatus()).toBe(400);
+      expect(harn.server._wsClients).toEqual({});
+    });
+
+    it("should open a session and emit connect", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      const res = request(harn, "POST", "/feedme/poll", {
+        protocols: ["feedme.heartbeat", "feedme"],
+      });
+      await flush();
+
+      expect(res.getStatus()).toBe(200);
+      const { sid, protocol } = res.getBody();
+      expect(check.nonEmptyString(sid)).toBe(true);
+      expect(protocol).toBe("feedme.heartbeat");
+      expect(_.keys(harn.server._pollingSessions)).toEqual([sid]);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.connect.mock.calls.length).toBe(1);
+      const cid = listener.connect.mock.calls[0][0];
+      expect(cid).not.toBe(sid);
+      expect(harn.server._wsClients[cid]).toBe(
+        harn.server._pollingSessions[sid],
+      );
+      expect(harn.server.clientInfo(cid).remoteAddress).toBe("1.2.3.4");
+      expect(harn.server.protocol(cid)).toBe("feedme");
+    });
+
+    it("should reject the session if authentication fails", async () => {
+      const harn = harness({
+        noServer: true,
+        longPolling: true,
+        authenticate: () => {
+          throw new Error("Nope");
+        },
+      });
+      harn.server.start();
+      const res = request(harn, "POST", "/feedme/poll", {
+        protocols: ["feedme"],
+      });
+      await flush();
+      await flush();
+      expect(res.getStatus()).toBe(401);
+      expect(harn.server._pollingSessions).toEqual({});
+      expect(harn.server._wsClients).toEqual({});
+    });
+
+    it("should deliver server messages to a poll request", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { sid, cid } = await openSession(harn);
+
+      harn.server.send(cid, "msg1");
+      harn.server.send(cid, "msg2");
+      const res = request(harn, "GET", `/feedme/poll?sid=${sid}`);
+      expect(res.getStatus()).toBe(200);
+      expect(res.getBody()).toEqual({ messages: ["msg1", "msg2"] });
+    });
+
+    it("should hold a poll request open until a message is sent", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { sid, cid } = await openSession(harn);
+
+      const res = request(harn, "GET", `/feedme/poll?sid=${sid}`);
+      expect(res.writeHead.mock.calls.length).toBe(0);
+      harn.server.send(cid, "msg");
+      expect(res.getBody()).toEqual({ messages: ["msg"] });
+    });
+
+    it("should emit message for posted messages", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { sid, cid } = await openSession(harn);
+
+      const listener = harn.createServerListener();
+      const res = request(harn, "POST", `/feedme/poll?sid=${sid}`, [
+        "msg1",
+        "msg2",
+      ]);
+      await flush();
+      await promisify(process.nextTick)();
+
+      expect(res.getStatus()).toBe(204);
+      expect(listener.message.mock.calls).toEqual([
+        [cid, "msg1"],
+        [cid, "msg2"],
+      ]);
+    });
+
+    it("should respond 400 to invalid posted messages", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { sid } = await openSession(harn);
+
+      const res = request(harn, "POST", `/feedme/poll?sid=${sid}`, [123]);
+      await flush();
+      expect(res.getStatus()).toBe(400);
+    });
+
+    it("should end the session and emit disconnect on delete", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { sid, cid } = await openSession(harn);
+
+      const listener = harn.createServerListener();
+      const res = request(harn, "DELETE", `/feedme/poll?sid=${sid}`);
+      expect(res.getStatus()).toBe(204);
+      expect(harn.server._pollingSessions).toEqual({});
+
+      await promisify(process.nextTick)();
+      await promisify(process.nextTick)();
+
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(harn.server._wsClients).toEqual({});
+    });
+
+    it("should deliver a close frame on server.disconnect()", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { sid, cid } = await openSession(harn);
+
+      harn.server.disconnect(cid);
+      const res = request(harn, "GET", `/feedme/poll?sid=${sid}`);
+      expect(res.getBody()).toEqual({
+        messages: [],
+        close: { code: 1000, reason: "" },
+      });
+      expect(harn.server._pollingSessions).toEqual({});
+    });
+
+    it("should end the session if the client stops polling", async () => {
+      const harn = harness({ noServer: true, longPolling: true });
+      harn.server.start();
+      const { cid } = await openSession(harn);
+
+      const listener = harn.createServerListener();
+      jest.advanceTimersByTime(
+        serverConfig.defaults.longPolling.sessionTimeoutMs,
+      );
+      await promisify(process.nextTick)();
+      await promisify(process.nextTick)();
+
+      expect(harn.server._pollingSessions).toEqual({});
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+    });
+  });
+});
+
+describe("The server._processServerListening() function", () => {
+  // Events
+
+  it("stand-alone mode triggered by ws - should emit start next tick", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const listener = harn.createServerListener();
+    harn.getWs().emit("listening");
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(1);
+    expect(listener.start.mock.calls[0].length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  it("external server mode triggered by http - should emit start next tick", async () => {
+    const httpServer = emitter({});
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const listener = harn.createServerListener();
+
+    httpServer.emit("listening");
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(1);
+    expect(listener.start.mock.calls[0].length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  // State
+
+  it("stand-alone mode triggered by ws - should change the state to started", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+
+    const newState = harn.getServerState();
+    newState._state = "started";
+    harn.getWs().emit("listening");
+    expect(harn.server).toHaveState(newState);
+  });
+
+  // Stopped passing after Jest upgrade
+  // it("external server mode triggered by http - should change the state to started", () => {
+  //   const httpServer = emitter({});
+  //   const harn = harness({ server: httpServer });
+  //   harn.server.start();
+
+  //   const newState = harn.getServerState();
+  //   newState._state = "started";
+  //   newState._httpListeningTimeout = null;
+  //   newState._httpPollingInterval = 123;
+
+  //   httpServer.emit("listening");
+
+  //   expect(harn.server).toHaveState(newState);
+  // });
+
+  // Function calls
+
+  it("stand-alone mode triggered by ws - should not create http polling interval", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+
+    setInterval.mockClear();
+
+    harn.getWs().emit("listening");
+
+    expect(setInterval.mock.calls.length).toBe(0);
+  });
+
+  it("external server mode triggered by http - should create http polling interval", () => {
+    const httpServer = emitter({});
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+
+    setInterval.mockClear();
+
+    httpServer.emit("listening");
+
+    expect(setInterval.mock.calls.length).toBe(1);
+    expect(setInterval.mock.calls[0].length).toBe(2);
+    expect(check.function(setInterval.mock.calls[0][0])).toBe(true);
+    expect(check.integer(setInterval.mock.calls[0][1])).toBe(true);
+  });
+
+  // Calls on ws
+
+  it("stand-alone mode triggered by ws - should do nothing on ws", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+
+    harn.getWs().mockClear();
+
+    harn.getWs().emit("listening");
+
+    expect(harn.getWs().close.mock.calls.length).toBe(0);
+    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  });
+
+  it("external server mode triggered by http - should do nothing on ws", () => {
+    const httpServer = emitter({});
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+
+    harn.getWs().mockClear();
+
+    httpServer.emit("listening");
+
+    expect(harn.getWs().close.mock.calls.length).toBe(0);
+    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  });
+
+  // Outbound callbacks - N/A
+
+  // Inbound callbacks (events, state, ws, callbacks)
+
+  describe("external server mode - the polling interval callback, if server still listening", () => {
+    it("it should emit nothing", async () => {
+      const httpServer = emitter({});
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+      httpServer.listening = true;
+      httpServer.emit("listening");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+
+      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    it("it should not change the state", async () => {
+      const httpServer = emitter({});
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+      httpServer.listening = true;
+      httpServer.emit("listening");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const newState = harn.getServerState();
+
+      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("it should do nothing on ws", async () => {
+      const httpServer = emitter({});
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+      httpServer.listening = true;
+      httpServer.emit("listening");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const wsServer = harn.getWs();
+      wsServer.mockClear();
+
+      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+
+      expect(wsServer.close.mock.calls.length).toBe(0);
+      expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
+    });
+  });
+
+  describe("external server mode - the polling interval callback, if server no longer listening", () => {
+    it("it should emit stopping and then stopped", async () => {
+      const httpServer = emitter({});
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+      httpServer.listening = true;
+      httpServer.emit("listening");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const wsServer = harn.getWs();
+      wsServer.mockClear();
+
+      const listener = harn.createServerListener();
+
+      httpServer.listening = false;
+
+      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(1);
+      expect(listener.stopping.mock.calls[0].length).toBe(1);
+      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stopping.mock.calls[0][0].message).toBe(
+        "FAILURE: The external http server stopped listening.",
+      );
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      listener.mockClear();
+
+      wsServer.close.mock.calls[0][0](); // Fire ws close callback
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls[0].length).toBe(1);
+      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stop.mock.calls[0][0].message).toBe(
+        "FAILURE: The external http server stopped listening.",
+      );
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    it("it should update the state appropriately", async () => {
+      const httpServer = emitter({});
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+      httpServer.listening = true;
+      httpServer.emit("listening");
+
+      const wsServer = harn.getWs();
+      wsServer.mockClear();
+
+      const newState = harn.getServerState();
+      newState._wsServer = null;
+      newState._state = "stopping";
+      newState._httpHandlers = null;
+      newState._httpPollingInterval = null;
+
+      httpServer.listening = false;
+      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+
+      expect(harn.server).toHaveState(newState);
+
+      wsServer.close.mock.calls[0][0](); // Fire ws close callback
+
+      newState._state = "stopped";
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("it should call ws.close", async () => {
+      const httpServer = emitter({});
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+      httpServer.listening = true;
+      httpServer.emit("listening");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const wsServer = harn.getWs();
+      wsServer.mockClear();
+
+      httpServer.listening = false;
+
+      jest.advanceTimersByTime(serverConfig.httpPollingMs);
+
+      expect(wsServer.close.mock.calls.length).toBe(1);
+      expect(wsServer.close.mock.calls[0].length).toBe(1);
+      expect(check.function(wsServer.close.mock.calls[0][0])).toBe(true);
+      expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
+    });
+  });
+});
+
+describe("The server._processServerClose() function", () => {
+  // Events
+
+  it("stand-alone server - should asynchronously emit client disconnects, stopping, and stopped", async () => {
+    // Set up two connected clients
+    // One with no heartbeat timeout and one with
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const mockWs1 = harn.createMockWs();
+    let cid1;
+    harn.server.once("connect", (c) => {
+      cid1 = c;
+    });
+    harn.getWs().emit("connection", mockWs1);
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const mockWs2 = harn.createMockWs();
+    let cid2;
+    harn.server.once("connect", (c) => {
+      cid2 = c;
+    });
+    harn.getWs().emit("connection", mockWs2);
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const eventOrder = [];
+    ["stopping", "stop", "disconnect"].forEach((evt) => {
+      harn.server.on(evt, () => {
+        eventOrder.push(evt);
+      });
+    });
+
+    const listener = harn.createServerListener();
+    harn.getWs().emit("close");
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(1);
+    expect(listener.stopping.mock.calls[0].length).toBe(1);
+    expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(listener.stopping.mock.calls[0][0].message).toBe(
+      "FAILURE: The server stopped unexpectedly.",
+    );
+    expect(listener.stop.mock.calls.length).toBe(1);
+    expect(listener.stop.mock.calls[0].length).toBe(1);
+    expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(listener.stop.mock.calls[0][0].message).toBe(
+      "FAILURE: The server stopped unexpectedly.",
+    );
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(2);
+    expect(listener.disconnect.mock.calls[0].length).toBe(2);
+    expect(listener.disconnect.mock.calls[1].length).toBe(2);
+    expect(
+      (cid1 === listener.disconnect.mock.calls[0][0] &&
+        cid2 === listener.disconnect.mock.calls[1][0]) ||
+        (cid1 === listener.disconnect.mock.calls[1][0] &&
+          cid2 === listener.disconnect.mock.calls[0][0]),
+    ).toBe(true);
+    expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+    expect(listener.disconnect.mock.calls[0][1].message).toBe(
+      "STOPPING: The server is stopping.",
+    );
+    expect(listener.disconnect.mock.calls[1][1]).toBeInstanceOf(Error);
+    expect(listener.disconnect.mock.calls[1][1].message).toBe(
+      "STOPPING: The server is stopping.",
+    );
+    expect(eventOrder).toEqual([
+      "disconnect",
+      "disconnect",
+      "stopping",
+      "stop",
+    ]);
+  });
+
+  it("external http server - should asynchronously emit client disconnects, stopping, and stopped", async () => {
+    // Set up two connected clients
+    // One with no heartbeat timeout and one with
+    const httpServer = emitter({ listening: true });
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    harn.getWs().emit("listening");
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const mockWs1 = harn.createMockWs();
+    let cid1;
+    harn.server.once("connect", (c) => {
+      cid1 = c;
+    });
+    harn.getWs().emit("connection", mockWs1);
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const mockWs2 = harn.createMockWs();
+    let cid2;
+    harn.server.once("connect", (c) => {
+      cid2 = c;
+    });
+    harn.getWs().emit("connection", mockWs2);
+
+    await promisify(process.nextTick)(); // Move past queued events
+
+    const eventOrder = [];
+    ["stopping", "stop", "disconnect"].forEach((evt) => {
+      harn.server.on(evt, () => {
+        eventOrder.push(evt);
+      });
+    });
+
+    const wsServer = harn.getWs();
+
+    const listener = harn.createServerListener();
+    httpServer.emit("close");
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(1);
+    expect(listener.stopping.mock.calls[0].length).toBe(1);
+    expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(listener.stopping.mock.calls[0][0].message).toBe(
+      "FAILURE: The server stopped unexpectedly.",
+    );
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(2);
+    expect(listener.disconnect.mock.calls[0].length).toBe(2);
     expect(listener.disconnect.mock.calls[1].length).toBe(2);
     expect(
       (cid1 === listener.disconnect.mock.calls[0][0] &&
@@ -3310,153 +5739,1091 @@ describe("The server._processServerClose() function", () => {
     );
     expect(eventOrder).toEqual(["disconnect", "disconnect", "stopping"]);
 
-    listener.mockClear();
-    wsServer.close.mock.calls[0][0](); // Fire ws close callback
+    listener.mockClear();
+    wsServer.close.mock.calls[0][0](); // Fire ws close callback
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+
+    await promisify(process.nextTick)();
+
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls[0].length).toBe(1);
+    expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+    expect(listener.stop.mock.calls[0][0].message).toBe(
+      "FAILURE: The server stopped unexpectedly.",
+    );
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
+
+  // State
+
+  it("stand-alone server - should update the state appropriately", () => {
+    // Set up two connected clients
+    // One with no heartbeat timeout and one with
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs1 = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs1);
+    const mockWs2 = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs2);
+    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+
+    const newState = harn.getServerState();
+    newState._wsServer = null;
+    newState._state = "stopped";
+    newState._wsClients = {};
+    newState._clientInfo = {};
+    newState._latency = {};
+    newState._heartbeatIntervals = {};
+    newState._heartbeatTimeouts = {};
+    harn.getWs().emit("close");
+    expect(harn.server).toHaveState(newState);
+  });
+
+  it("external server - should update the state appropriately", () => {
+    const httpServer = emitter({ listening: true });
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    harn.getWs().emit("listening");
+
+    const wsServer = harn.getWs();
+
+    const newState = harn.getServerState();
+    newState._wsServer = null;
+    newState._state = "stopping"; // Ws server still closing
+    newState._httpHandlers = null;
+    newState._httpPollingInterval = null;
+    httpServer.emit("close");
+    expect(harn.server).toHaveState(newState);
+
+    wsServer.close.mock.calls[0][0](); // Run ws.close() callback
+
+    newState._state = "stopped";
+    expect(harn.server).toHaveState(newState);
+  });
+
+  // Function calls
+
+  it("should call clearInterval and clearTimeout for heartbeats, http listening timeout, http polling interval", () => {
+    // Set up two connected clients
+    // One with no heartbeat timeout and one with
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs1 = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs1);
+    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+    const mockWs2 = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs2);
+
+    clearInterval.mockClear();
+    clearTimeout.mockClear();
+    harn.getWs().emit("close");
+    expect(clearInterval.mock.calls.length).toBe(3);
+    expect(clearTimeout.mock.calls.length).toBe(2);
+  });
+
+  // Calls on ws
+
+  it("stand-alone server - should call nothing on ws", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+
+    const wsServer = harn.getWs();
+    wsServer.mockClear();
+
+    harn.getWs().emit("close");
+
+    expect(wsServer.close.mock.calls.length).toBe(0);
+    expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
+  });
+
+  it("external server - should call ws.close", () => {
+    const httpServer = emitter({ listening: true });
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+
+    const wsServer = harn.getWs();
+    wsServer.mockClear();
+
+    httpServer.emit("close");
+
+    expect(wsServer.close.mock.calls.length).toBe(1);
+    expect(wsServer.close.mock.calls[0].length).toBe(1);
+    expect(check.function(wsServer.close.mock.calls[0][0])).toBe(true);
+    expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
+  });
+
+  // Outbound callbacks - N/A
+
+  // Inbound callbacks (events, state, ws, callbacks) - N/A
+});
+
+describe("The server._processServerError() function", () => {
+  describe("If the transport was starting", () => {
+    // Events
+
+    it("stand-alone server - should asynchronously emit stopping and stop", async () => {
+      const err = new Error("SOME_ERROR");
+      // Start a transport server and have ws emit error
+      const harn = harness({ port: PORT });
+      harn.server.start();
+
+      await promisify(process.nextTick)(); // Move past starting event
+
+      const listener = harn.createServerListener();
+
+      harn.getWs().emit("error", err);
+
+      // Emit nothing synchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      const eventOrder = [];
+      ["stopping", "stop"].forEach((evt) => {
+        eventOrder.push(evt);
+      });
+
+      await promisify(process.nextTick)();
+
+      // Emit stopping and stop asynchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(1);
+      expect(listener.stopping.mock.calls[0].length).toBe(1);
+      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stopping.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.stopping.mock.calls[0][0].wsError).toBe(err);
+      expect(listener.stop.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls[0].length).toBe(1);
+      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stop.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.stop.mock.calls[0][0].wsError).toBe(err);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(eventOrder).toEqual(["stopping", "stop"]);
+    });
+
+    it("external server - should asynchronously emit stopping and stop", async () => {
+      const err = new Error("SOME_ERROR");
+      const httpServer = emitter({ listening: false });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      await promisify(process.nextTick)(); // Move past starting event
+
+      const wsServer = harn.getWs();
+
+      const listener = harn.createServerListener();
+
+      httpServer.emit("error", err);
+
+      // Emit nothing synchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      // Emit stopping and stop asynchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(1);
+      expect(listener.stopping.mock.calls[0].length).toBe(1);
+      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stopping.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.stopping.mock.calls[0][0].wsError).toBe(err);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      listener.mockClear();
+
+      wsServer.close.mock.calls[0][0](); // Fire ws close callback
+
+      // Emit nothing synchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      // Emit stopping and stop asynchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls[0].length).toBe(1);
+      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stop.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.stop.mock.calls[0][0].wsError).toBe(err);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+    // State
+
+    it("stand-alone server - should update the state appropriately", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+
+      const newState = harn.getServerState();
+      newState._wsServer = null;
+      newState._state = "stopped";
+
+      harn.getWs().emit("error", new Error("SOME_ERROR"));
+
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("external server - should update the state appropriately", async () => {
+      const httpServer = emitter({ listening: false });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      const wsServer = harn.getWs();
+
+      const newState = harn.getServerState();
+      newState._wsServer = null;
+      newState._state = "stopping";
+      newState._httpHandlers = null;
+      newState._httpListeningTimeout = null;
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(harn.server).toHaveState(newState);
+
+      wsServer.close.mock.calls[0][0](); // Run ws.close() callback
+
+      newState._state = "stopped";
+
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws
+
+    it("stand-alone server - should do nothing on ws", async () => {
+      // Start a transport server and have ws emit error
+      const harn = harness({ port: PORT });
+      harn.server.start();
+
+      const prevWs = harn.getWs();
+      prevWs.mockClear();
+
+      harn.getWs().emit("error", new Error("SOME_ERROR"));
+
+      expect(prevWs.close.mock.calls.length).toBe(0);
+      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+    });
+
+    it("external server - should call ws.close()", async () => {
+      const httpServer = emitter({ listening: false });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      const prevWs = harn.getWs();
+      prevWs.mockClear();
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(prevWs.close.mock.calls.length).toBe(1);
+      expect(prevWs.close.mock.calls[0].length).toBe(1);
+      expect(check.function(prevWs.close.mock.calls[0][0])).toBe(true);
+      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+    });
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+
+  describe("If the transport was started - error comes after close event", () => {
+    // Events
+
+    it("stand-alone server - should emit nothing", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      const wsServer = harn.getWs();
+      harn.getWs().emit("close");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+
+      wsServer.emit("error", new Error("SOME_ERROR"));
+
+      // Emit nothing synchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      // Emit nothing asynchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    it("external server - should emit nothing", async () => {
+      const httpServer = emitter({ listening: true });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      httpServer.emit("close");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      // Emit nothing synchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      // Emit nothing asynchronously
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    // State
+
+    it("stand-alone server - should not change the state", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      const wsServer = harn.getWs();
+      harn.getWs().emit("close");
+
+      const newState = harn.getServerState();
+
+      wsServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("external server - should not change the state", async () => {
+      const httpServer = emitter({ listening: true });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      httpServer.emit("close");
+
+      const newState = harn.getServerState();
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws
+
+    it("stand-alone server - should do nothing on ws", async () => {
+      // Start a transport server and laterhave ws emit error
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      const prevWs = harn.getWs();
+
+      harn.getWs().emit("close");
+
+      prevWs.mockClear();
+
+      prevWs.emit("error", new Error("SOME_ERROR"));
+
+      expect(prevWs.close.mock.calls.length).toBe(0);
+      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+    });
+
+    it("external server - should do nothing on ws", async () => {
+      const httpServer = emitter({ listening: true });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      const prevWs = harn.getWs();
+
+      httpServer.emit("close");
+
+      prevWs.mockClear();
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(prevWs.close.mock.calls.length).toBe(0);
+      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+    });
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+
+  describe("If the transport was started - error comes before close event", () => {
+    // Events
+
+    it("stand-alone server - should asynchronously emit stopping and then stopped", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      const wsServer = harn.getWs();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+
+      const eventOrder = [];
+      ["stopping", "stop"].forEach((evt) => {
+        harn.server.on(evt, () => {
+          eventOrder.push(evt);
+        });
+      });
+
+      wsServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(1);
+      expect(listener.stopping.mock.calls[0].length).toBe(1);
+      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stopping.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.stop.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls[0].length).toBe(1);
+      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stop.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(eventOrder).toEqual(["stopping", "stop"]);
+    });
+
+    it("external server - should asynchronously emit stopping and then stopped", async () => {
+      const httpServer = emitter({ listening: true });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const wsServer = harn.getWs();
+
+      const listener = harn.createServerListener();
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(1);
+      expect(listener.stopping.mock.calls[0].length).toBe(1);
+      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stopping.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      listener.mockClear();
+
+      wsServer.close.mock.calls[0][0](); // Call ws close callback
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(1);
+      expect(listener.stop.mock.calls[0].length).toBe(1);
+      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
+      expect(listener.stop.mock.calls[0][0].message).toBe(
+        "FAILURE: Failed to listen for connections.",
+      );
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    // State
+
+    it("stand-alone server - should update the state appropriately", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      const wsServer = harn.getWs();
+
+      const newState = harn.getServerState();
+      newState._wsServer = null;
+      newState._state = "stopped";
+
+      wsServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("external server - should update the state appropriately", async () => {
+      const httpServer = emitter({ listening: true });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      const wsServer = harn.getWs();
+
+      const newState = harn.getServerState();
+      newState._wsServer = null;
+      newState._state = "stopping";
+      newState._httpHandlers = null;
+      newState._httpPollingInterval = null;
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(harn.server).toHaveState(newState);
+
+      wsServer.close.mock.calls[0][0](); // Call ws.close() callback
+
+      newState._state = "stopped";
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws
+
+    it("stand-alone server - should do nothing on ws", async () => {
+      // Start a transport server and laterhave ws emit error
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      const prevWs = harn.getWs();
+      prevWs.mockClear();
+
+      harn.getWs().emit("error", new Error("SOME_ERROR"));
+
+      expect(prevWs.close.mock.calls.length).toBe(0);
+      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+    });
+
+    it("external server - should call ws.close()", async () => {
+      const httpServer = emitter({ listening: true });
+      const harn = harness({ server: httpServer });
+      harn.server.start();
+
+      const prevWs = harn.getWs();
+
+      prevWs.mockClear();
+
+      httpServer.emit("error", new Error("SOME_ERROR"));
+
+      expect(prevWs.close.mock.calls.length).toBe(1);
+      expect(prevWs.close.mock.calls[0].length).toBe(1);
+      expect(check.function(prevWs.close.mock.calls[0][0])).toBe(true);
+      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+    });
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+});
+
+describe("The server._processWsServerConnection() function", () => {
+  describe("if heartbeat is enabled", () => {
+    // Events
+
+    it("should emit connect next tick", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+
+      await promisify(process.nextTick)();
+
+      expect(listener.starting.mock.calls.length).toBe(0);
+      expect(listener.start.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(1);
+      expect(listener.connect.mock.calls[0].length).toBe(1);
+      expect(check.string(listener.connect.mock.calls[0][0])).toBe(true);
+      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    // State
+
+    it("should update state appropriately", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+
+      // Outside code does not have access to the ws client
+
+      const newState = harn.getServerState();
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)();
+
+      newState._wsClients[cid] = harn.server._wsClients[cid]; // Basically checking cid
+      newState._clientInfo[cid] = true;
+      newState._latency[cid] = true;
+      newState._heartbeatIntervals[cid] = 123;
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws - N/A
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks)
+
+    describe("when the heartbeat interval fires", () => {
+      it("should emit nothing next tick", async () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        harn.getWs().emit("connection", mockWs);
+
+        await promisify(process.nextTick)(); // Move past queued events
+
+        const listener = harn.createServerListener();
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+
+        await promisify(process.nextTick)();
+
+        expect(listener.starting.mock.calls.length).toBe(0);
+        expect(listener.start.mock.calls.length).toBe(0);
+        expect(listener.stopping.mock.calls.length).toBe(0);
+        expect(listener.stop.mock.calls.length).toBe(0);
+        expect(listener.connect.mock.calls.length).toBe(0);
+        expect(listener.message.mock.calls.length).toBe(0);
+        expect(listener.disconnect.mock.calls.length).toBe(0);
+      });
+
+      it("should update state appropriately", async () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        let cid;
+        harn.server.once("connect", (c) => {
+          cid = c;
+        });
+        harn.getWs().emit("connection", mockWs);
+
+        await promisify(process.nextTick)(); // Move past queued events
+
+        const newState = harn.getServerState();
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+        newState._heartbeatTimeouts[cid] = 123;
+        expect(harn.server).toHaveState(newState);
+      });
+
+      it("should call wsClient.ping()", () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        harn.getWs().emit("connection", mockWs);
+
+        mockWs.mockClear();
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+        expect(mockWs.ping.mock.calls.length).toBe(1);
+        expect(mockWs.ping.mock.calls[0].length).toBe(1);
+        expect(mockWs.ping.mock.calls[0][0]).toBeInstanceOf(Function);
+        expect(mockWs.send.mock.calls.length).toBe(0);
+        expect(mockWs.close.mock.calls.length).toBe(0);
+        expect(mockWs.terminate.mock.calls.length).toBe(0);
+      });
+
+      it("should ping but not time out clients that can not respond to pings", () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        mockWs.respondsToPing = false;
+        harn.getWs().emit("connection", mockWs);
+
+        mockWs.mockClear();
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+        expect(mockWs.ping.mock.calls.length).toBe(1);
+        expect(harn.server._heartbeatTimeouts).toEqual({});
+
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatTimeoutMs);
+        expect(mockWs.terminate.mock.calls.length).toBe(0);
+        expect(_.values(harn.server._wsClients)).toEqual([mockWs]);
+        expect(harn.server.metrics()).toContain(
+          "feedme_server_heartbeat_timeouts_total 0",
+        );
+      });
+
+      describe("when the heartbeat timeout fires", () => {
+        it("should call ws.terminate(cid)", () => {
+          const harn = harness({ port: PORT });
+          harn.server.start();
+          harn.getWs().emit("listening");
+          const mockWs = harn.createMockWs();
+          harn.getWs().emit("connection", mockWs);
+          jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+
+          mockWs.mockClear();
+          jest.advanceTimersByTime(serverConfig.defaults.heartbeatTimeoutMs);
+          expect(mockWs.ping.mock.calls.length).toBe(0);
+          expect(mockWs.send.mock.calls.length).toBe(0);
+          expect(mockWs.close.mock.calls.length).toBe(0);
+          expect(mockWs.terminate.mock.calls.length).toBe(1);
+          expect(mockWs.terminate.mock.calls[0].length).toBe(0);
+        });
+      });
+
+      describe("when the ws.ping() callback is invoked", () => {
+        describe("if the ping frame was written successfully", () => {
+          it("should emit nothing", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
+
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            const listener = harn.createServerListener();
+            pingCb();
+            expect(listener.starting.mock.calls.length).toBe(0);
+            expect(listener.start.mock.calls.length).toBe(0);
+            expect(listener.stopping.mock.calls.length).toBe(0);
+            expect(listener.stop.mock.calls.length).toBe(0);
+            expect(listener.connect.mock.calls.length).toBe(0);
+            expect(listener.message.mock.calls.length).toBe(0);
+            expect(listener.disconnect.mock.calls.length).toBe(0);
+          });
+
+          it("should not change the state", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-    await promisify(process.nextTick)();
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            const newState = harn.getServerState();
+            pingCb();
+            expect(harn.server).toHaveState(newState);
+          });
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls[0].length).toBe(1);
-    expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-    expect(listener.stop.mock.calls[0][0].message).toBe(
-      "FAILURE: The server stopped unexpectedly.",
-    );
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
-  });
+          it("should do nothing on ws", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-  // State
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-  it("stand-alone server - should update the state appropriately", () => {
-    // Set up two connected clients
-    // One with no heartbeat timeout and one with
-    const harn = harness({ port: PORT });
-    harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs1 = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs1);
-    const mockWs2 = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs2);
-    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            mockWs.mockClear();
+            pingCb();
+            expect(mockWs.ping.mock.calls.length).toBe(0);
+            expect(mockWs.send.mock.calls.length).toBe(0);
+            expect(mockWs.close.mock.calls.length).toBe(0);
+            expect(mockWs.terminate.mock.calls.length).toBe(0);
+          });
+        });
 
-    const newState = harn.getServerState();
-    newState._wsServer = null;
-    newState._state = "stopped";
-    newState._wsClients = {};
-    newState._heartbeatIntervals = {};
-    newState._heartbeatTimeouts = {};
-    harn.getWs().emit("close");
-    expect(harn.server).toHaveState(newState);
-  });
+        describe("if there was an error writing the ping frame and the client is still there", () => {
+          it("should emit disconnect next tick", async () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            let clientId;
+            harn.server.once("connect", (cid) => {
+              clientId = cid;
+            });
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-  it("external server - should update the state appropriately", () => {
-    const httpServer = emitter({ listening: true });
-    const harn = harness({ server: httpServer });
-    harn.server.start();
-    harn.getWs().emit("listening");
+            await promisify(process.nextTick)(); // Move past queued events
 
-    const wsServer = harn.getWs();
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-    const newState = harn.getServerState();
-    newState._wsServer = null;
-    newState._state = "stopping"; // Ws server still closing
-    newState._httpHandlers = null;
-    newState._httpPollingInterval = null;
-    httpServer.emit("close");
-    expect(harn.server).toHaveState(newState);
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            const listener = harn.createServerListener();
+            const err = new Error("SOME_ERROR");
+            pingCb(err);
 
-    wsServer.close.mock.calls[0][0](); // Run ws.close() callback
+            expect(listener.starting.mock.calls.length).toBe(0);
+            expect(listener.start.mock.calls.length).toBe(0);
+            expect(listener.stopping.mock.calls.length).toBe(0);
+            expect(listener.stop.mock.calls.length).toBe(0);
+            expect(listener.connect.mock.calls.length).toBe(0);
+            expect(listener.message.mock.calls.length).toBe(0);
+            expect(listener.disconnect.mock.calls.length).toBe(0);
 
-    newState._state = "stopped";
-    expect(harn.server).toHaveState(newState);
-  });
+            await promisify(process.nextTick)();
 
-  // Function calls
+            expect(listener.starting.mock.calls.length).toBe(0);
+            expect(listener.start.mock.calls.length).toBe(0);
+            expect(listener.stopping.mock.calls.length).toBe(0);
+            expect(listener.stop.mock.calls.length).toBe(0);
+            expect(listener.connect.mock.calls.length).toBe(0);
+            expect(listener.message.mock.calls.length).toBe(0);
+            expect(listener.disconnect.mock.calls.length).toBe(1);
+            expect(listener.disconnect.mock.calls[0].length).toBe(2);
+            expect(listener.disconnect.mock.calls[0][0]).toBe(clientId);
+            expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+            expect(listener.disconnect.mock.calls[0][1].message).toBe(
+              "FAILURE: The WebSocket heartbeat failed.",
+            );
+            expect(listener.disconnect.mock.calls[0][1].wsError).toBe(err);
+          });
 
-  it("should call clearInterval and clearTimeout for heartbeats, http listening timeout, http polling interval", () => {
-    // Set up two connected clients
-    // One with no heartbeat timeout and one with
-    const harn = harness({ port: PORT });
-    harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs1 = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs1);
-    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
-    const mockWs2 = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs2);
+          it("should update the state appropriately", async () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            let clientId;
+            harn.server.once("connect", (cid) => {
+              clientId = cid;
+            });
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-    clearInterval.mockClear();
-    clearTimeout.mockClear();
-    harn.getWs().emit("close");
-    expect(clearInterval.mock.calls.length).toBe(3);
-    expect(clearTimeout.mock.calls.length).toBe(2);
-  });
+            await promisify(process.nextTick)(); // Move past queued events
 
-  // Calls on ws
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-  it("stand-alone server - should call nothing on ws", () => {
-    const harn = harness({ port: PORT });
-    harn.server.start();
-    harn.getWs().emit("listening");
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            const newState = harn.getServerState();
+            delete newState._wsClients[clientId];
+            delete newState._clientInfo[clientId];
+            delete newState._latency[clientId];
+            delete newState._heartbeatIntervals[clientId];
+            delete newState._heartbeatTimeouts[clientId];
+            pingCb(new Error("SOME_ERROR"));
+            expect(harn.server).toHaveState(newState);
+          });
 
-    const wsServer = harn.getWs();
-    wsServer.mockClear();
+          it("should call ws.terminate()", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-    harn.getWs().emit("close");
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-    expect(wsServer.close.mock.calls.length).toBe(0);
-    expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
-  });
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            mockWs.mockClear();
+            pingCb(new Error("SOME_ERROR"));
+            expect(mockWs.ping.mock.calls.length).toBe(0);
+            expect(mockWs.send.mock.calls.length).toBe(0);
+            expect(mockWs.close.mock.calls.length).toBe(0);
+            expect(mockWs.terminate.mock.calls.length).toBe(1);
+            expect(mockWs.terminate.mock.calls[0].length).toBe(0);
+          });
+        });
 
-  it("external server - should call ws.close", () => {
-    const httpServer = emitter({ listening: true });
-    const harn = harness({ server: httpServer });
-    harn.server.start();
+        describe("if there was an error writing the ping frame and the client was already disconnected", () => {
+          it("should emit disconnect", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-    const wsServer = harn.getWs();
-    wsServer.mockClear();
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-    httpServer.emit("close");
+            mockWs.readyState = mockWs.CLOSING;
+            mockWs.emit("close");
 
-    expect(wsServer.close.mock.calls.length).toBe(1);
-    expect(wsServer.close.mock.calls[0].length).toBe(1);
-    expect(check.function(wsServer.close.mock.calls[0][0])).toBe(true);
-    expect(wsServer.handleUpgrade.mock.calls.length).toBe(0);
-  });
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            const listener = harn.createServerListener();
+            const err = new Error("SOME_ERROR");
+            pingCb(err);
+            expect(listener.starting.mock.calls.length).toBe(0);
+            expect(listener.start.mock.calls.length).toBe(0);
+            expect(listener.stopping.mock.calls.length).toBe(0);
+            expect(listener.stop.mock.calls.length).toBe(0);
+            expect(listener.connect.mock.calls.length).toBe(0);
+            expect(listener.message.mock.calls.length).toBe(0);
+            expect(listener.disconnect.mock.calls.length).toBe(0);
+          });
+
+          it("should not change the state", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
+
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+
+            mockWs.readyState = mockWs.CLOSING;
+            mockWs.emit("close");
+
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            const newState = harn.getServerState();
+            pingCb(new Error("SOME_ERROR"));
+            expect(harn.server).toHaveState(newState);
+          });
+
+          it("should do nothing on ws", () => {
+            const harn = harness({ port: PORT });
+            harn.server.start();
+            harn.getWs().emit("listening");
+            const mockWs = harn.createMockWs();
+            harn.getWs().emit("connection", mockWs);
 
-  // Outbound callbacks - N/A
+            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-  // Inbound callbacks (events, state, ws, callbacks) - N/A
-});
+            mockWs.readyState = mockWs.CLOSING;
+            mockWs.emit("close");
 
-describe("The server._processServerError() function", () => {
-  describe("If the transport was starting", () => {
+            const pingCb = mockWs.ping.mock.calls[0][0];
+            mockWs.mockClear();
+            pingCb(new Error("SOME_ERROR"));
+            expect(mockWs.ping.mock.calls.length).toBe(0);
+            expect(mockWs.send.mock.calls.length).toBe(0);
+            expect(mockWs.close.mock.calls.length).toBe(0);
+            expect(mockWs.terminate.mock.calls.length).toBe(0);
+          });
+        });
+      });
+    });
+  });
+
+  describe("if heartbeat is disabled", () => {
     // Events
 
-    it("stand-alone server - should asynchronously emit stopping and stop", async () => {
-      const err = new Error("SOME_ERROR");
-      // Start a transport server and have ws emit error
-      const harn = harness({ port: PORT });
+    it("should emit connect next tick", async () => {
+      const harn = harness({ port: PORT, heartbeatIntervalMs: 0 });
       harn.server.start();
+      harn.getWs().emit("listening");
 
-      await promisify(process.nextTick)(); // Move past starting event
+      await promisify(process.nextTick)(); // Move past queued events
 
       const listener = harn.createServerListener();
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
 
-      harn.getWs().emit("error", err);
-
-      // Emit nothing synchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
@@ -3465,51 +6832,74 @@ describe("The server._processServerError() function", () => {
       expect(listener.message.mock.calls.length).toBe(0);
       expect(listener.disconnect.mock.calls.length).toBe(0);
 
-      const eventOrder = [];
-      ["stopping", "stop"].forEach((evt) => {
-        eventOrder.push(evt);
-      });
-
       await promisify(process.nextTick)();
 
-      // Emit stopping and stop asynchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(1);
-      expect(listener.stopping.mock.calls[0].length).toBe(1);
-      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stopping.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.stopping.mock.calls[0][0].wsError).toBe(err);
-      expect(listener.stop.mock.calls.length).toBe(1);
-      expect(listener.stop.mock.calls[0].length).toBe(1);
-      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stop.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.stop.mock.calls[0][0].wsError).toBe(err);
-      expect(listener.connect.mock.calls.length).toBe(0);
+      expect(listener.stopping.mock.calls.length).toBe(0);
+      expect(listener.stop.mock.calls.length).toBe(0);
+      expect(listener.connect.mock.calls.length).toBe(1);
+      expect(listener.connect.mock.calls[0].length).toBe(1);
+      expect(check.string(listener.connect.mock.calls[0][0])).toBe(true);
       expect(listener.message.mock.calls.length).toBe(0);
       expect(listener.disconnect.mock.calls.length).toBe(0);
-      expect(eventOrder).toEqual(["stopping", "stop"]);
     });
 
-    it("external server - should asynchronously emit stopping and stop", async () => {
-      const err = new Error("SOME_ERROR");
-      const httpServer = emitter({ listening: false });
-      const harn = harness({ server: httpServer });
+    // State
+
+    it("should update state appropriately", async () => {
+      const harn = harness({ port: PORT, heartbeatIntervalMs: 0 });
       harn.server.start();
+      harn.getWs().emit("listening");
 
-      await promisify(process.nextTick)(); // Move past starting event
+      // Outside code does not have access to the ws client object
 
-      const wsServer = harn.getWs();
+      const newState = harn.getServerState();
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-      const listener = harn.createServerListener();
+      await promisify(process.nextTick)(); // Move past queued events
 
-      httpServer.emit("error", err);
+      newState._wsClients[cid] = harn.server._wsClients[cid]; // Basically checking cid
+      newState._clientInfo[cid] = true;
+      newState._latency[cid] = true;
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws - N/A
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+});
+
+describe("The server._processWsClientMessage() function", () => {
+  describe("if the message was a string", () => {
+    // Events
+
+    it("should emit message next tick", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      mockWs.emit("message", "some_msg");
 
-      // Emit nothing synchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
@@ -3520,147 +6910,281 @@ describe("The server._processServerError() function", () => {
 
       await promisify(process.nextTick)();
 
-      // Emit stopping and stop asynchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(1);
-      expect(listener.stopping.mock.calls[0].length).toBe(1);
-      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stopping.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.stopping.mock.calls[0][0].wsError).toBe(err);
+      expect(listener.stopping.mock.calls.length).toBe(0);
       expect(listener.stop.mock.calls.length).toBe(0);
       expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(1);
+      expect(listener.message.mock.calls[0].length).toBe(2);
+      expect(listener.message.mock.calls[0][0]).toBe(cid);
+      expect(listener.message.mock.calls[0][1]).toBe("some_msg");
       expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
 
-      listener.mockClear();
+    // State
 
-      wsServer.close.mock.calls[0][0](); // Fire ws close callback
+    it("should not change the state", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
+
+      const newState = harn.getServerState();
+      mockWs.emit("message", "some_msg");
+      expect(harn.server).toHaveState(newState);
+    });
+
+    // Function calls - N/A
+
+    // Calls on ws - N/A
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+
+  describe("if the message was a heartbeat ping on the plain subprotocol", () => {
+    // Events
+
+    it("should emit message next tick", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.protocol = "feedme";
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      mockWs.emit("message", "ping");
+
+      await promisify(process.nextTick)();
 
-      // Emit nothing synchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
       expect(listener.stop.mock.calls.length).toBe(0);
       expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
+      expect(listener.message.mock.calls.length).toBe(1);
+      expect(listener.message.mock.calls[0].length).toBe(2);
+      expect(listener.message.mock.calls[0][0]).toBe(cid);
+      expect(listener.message.mock.calls[0][1]).toBe("ping");
       expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    // State - N/A
+
+    // Function calls - N/A
+
+    // Calls on ws
+
+    it("should not call ws.send()", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.protocol = "feedme";
+      harn.getWs().emit("connection", mockWs);
+
+      mockWs.mockClear();
+      mockWs.emit("message", "ping");
+
+      expect(mockWs.ping.mock.calls.length).toBe(0);
+      expect(mockWs.send.mock.calls.length).toBe(0);
+      expect(mockWs.close.mock.calls.length).toBe(0);
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
+    });
+
+    // Outbound callbacks - N/A
+
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+
+  describe("if the message was a heartbeat ping on the heartbeat subprotocol", () => {
+    // Events
+
+    it("should emit nothing next tick", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.protocol = "feedme.heartbeat";
+      harn.getWs().emit("connection", mockWs);
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const listener = harn.createServerListener();
+      mockWs.emit("message", "ping");
 
       await promisify(process.nextTick)();
 
-      // Emit stopping and stop asynchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(1);
-      expect(listener.stop.mock.calls[0].length).toBe(1);
-      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stop.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.stop.mock.calls[0][0].wsError).toBe(err);
+      expect(listener.stop.mock.calls.length).toBe(0);
       expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
       expect(listener.disconnect.mock.calls.length).toBe(0);
     });
+
     // State
 
-    it("stand-alone server - should update the state appropriately", async () => {
+    it("should not change the state", () => {
       const harn = harness({ port: PORT });
       harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.protocol = "feedme.heartbeat";
+      harn.getWs().emit("connection", mockWs);
 
       const newState = harn.getServerState();
-      newState._wsServer = null;
-      newState._state = "stopped";
-
-      harn.getWs().emit("error", new Error("SOME_ERROR"));
-
+      mockWs.emit("message", "ping");
       expect(harn.server).toHaveState(newState);
     });
 
-    it("external server - should update the state appropriately", async () => {
-      const httpServer = emitter({ listening: false });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+    // Function calls - N/A
 
-      const wsServer = harn.getWs();
+    // Calls on ws
 
-      const newState = harn.getServerState();
-      newState._wsServer = null;
-      newState._state = "stopping";
-      newState._httpHandlers = null;
-      newState._httpListeningTimeout = null;
+    it("should call ws.send() with a pong", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      mockWs.protocol = "FeEdMe.HeArTbEaT";
+      harn.getWs().emit("connection", mockWs);
+
+      mockWs.mockClear();
+      mockWs.emit("message", "ping");
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+      expect(mockWs.ping.mock.calls.length).toBe(0);
+      expect(mockWs.send.mock.calls.length).toBe(1);
+      expect(mockWs.send.mock.calls[0].length).toBe(2);
+      expect(mockWs.send.mock.calls[0][0]).toBe("pong");
+      expect(check.function(mockWs.send.mock.calls[0][1])).toBe(true);
+      expect(mockWs.close.mock.calls.length).toBe(0);
+      expect(mockWs.terminate.mock.calls.length).toBe(0);
+    });
 
-      expect(harn.server).toHaveState(newState);
+    // Outbound callbacks - N/A
 
-      wsServer.close.mock.calls[0][0](); // Run ws.close() callback
+    // Inbound callbacks (events, state, ws, callbacks)
 
-      newState._state = "stopped";
+    describe("if the ws.send() callback returns failure", () => {
+      // Events
 
-      expect(harn.server).toHaveState(newState);
-    });
+      it("should emit disconnect next tick", async () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        mockWs.protocol = "feedme.heartbeat";
+        let cid;
+        harn.server.once("connect", (c) => {
+          cid = c;
+        });
+        harn.getWs().emit("connection", mockWs);
 
-    // Function calls - N/A
+        await promisify(process.nextTick)(); // Move past queued events
 
-    // Calls on ws
+        const listener = harn.createServerListener();
+        mockWs.emit("message", "ping");
+        const err = new Error("SOME_ERROR");
+        mockWs.send.mock.calls[0][1](err);
 
-    it("stand-alone server - should do nothing on ws", async () => {
-      // Start a transport server and have ws emit error
-      const harn = harness({ port: PORT });
-      harn.server.start();
+        expect(listener.disconnect.mock.calls.length).toBe(0);
 
-      const prevWs = harn.getWs();
-      prevWs.mockClear();
+        await promisify(process.nextTick)();
 
-      harn.getWs().emit("error", new Error("SOME_ERROR"));
+        expect(listener.starting.mock.calls.length).toBe(0);
+        expect(listener.start.mock.calls.length).toBe(0);
+        expect(listener.stopping.mock.calls.length).toBe(0);
+        expect(listener.stop.mock.calls.length).toBe(0);
+        expect(listener.connect.mock.calls.length).toBe(0);
+        expect(listener.message.mock.calls.length).toBe(0);
+        expect(listener.disconnect.mock.calls.length).toBe(1);
+        expect(listener.disconnect.mock.calls[0].length).toBe(2);
+        expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+        expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+        expect(listener.disconnect.mock.calls[0][1].message).toBe(
+          "FAILURE: The WebSocket heartbeat failed.",
+        );
+        expect(listener.disconnect.mock.calls[0][1].wsError).toBe(err);
+      });
 
-      expect(prevWs.close.mock.calls.length).toBe(0);
-      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
-    });
+      // State
 
-    it("external server - should call ws.close()", async () => {
-      const httpServer = emitter({ listening: false });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+      it("should update the state appropriately", () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        mockWs.protocol = "feedme.heartbeat";
+        harn.getWs().emit("connection", mockWs);
 
-      const prevWs = harn.getWs();
-      prevWs.mockClear();
+        mockWs.emit("message", "ping");
+        const newState = harn.getServerState();
+        newState._wsClients = {};
+        newState._clientInfo = {};
+        newState._latency = {};
+        newState._heartbeatIntervals = {};
+        newState._heartbeatTimeouts = {};
+        mockWs.send.mock.calls[0][1](new Error("SOME_ERROR"));
+        expect(harn.server).toHaveState(newState);
+      });
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+      // Function calls - N/A
 
-      expect(prevWs.close.mock.calls.length).toBe(1);
-      expect(prevWs.close.mock.calls[0].length).toBe(1);
-      expect(check.function(prevWs.close.mock.calls[0][0])).toBe(true);
-      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
-    });
+      // Calls on ws
 
-    // Outbound callbacks - N/A
+      it("should call ws.terminate()", () => {
+        const harn = harness({ port: PORT });
+        harn.server.start();
+        harn.getWs().emit("listening");
+        const mockWs = harn.createMockWs();
+        mockWs.protocol = "feedme.heartbeat";
+        harn.getWs().emit("connection", mockWs);
 
-    // Inbound callbacks (events, state, ws, callbacks) - N/A
+        mockWs.emit("message", "ping");
+        const cb = mockWs.send.mock.calls[0][1];
+        mockWs.mockClear();
+        cb(new Error("SOME_ERROR"));
+
+        expect(mockWs.ping.mock.calls.length).toBe(0);
+        expect(mockWs.send.mock.calls.length).toBe(0);
+        expect(mockWs.close.mock.calls.length).toBe(0);
+        expect(mockWs.terminate.mock.calls.length).toBe(1);
+        expect(mockWs.terminate.mock.calls[0].length).toBe(0);
+      });
+    });
   });
 
-  describe("If the transport was started - error comes after close event", () => {
+  describe("if the message was not a string", () => {
     // Events
 
-    it("stand-alone server - should emit nothing", async () => {
+    it("should emit disconnect next tick", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-
-      const wsServer = harn.getWs();
-      harn.getWs().emit("close");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
       await promisify(process.nextTick)(); // Move past queued events
 
       const listener = harn.createServerListener();
+      mockWs.emit("message", 123);
 
-      wsServer.emit("error", new Error("SOME_ERROR"));
-
-      // Emit nothing synchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
@@ -3671,371 +7195,823 @@ describe("The server._processServerError() function", () => {
 
       await promisify(process.nextTick)();
 
-      // Emit nothing asynchronously
       expect(listener.starting.mock.calls.length).toBe(0);
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
       expect(listener.stop.mock.calls.length).toBe(0);
       expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0].length).toBe(2);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+      expect(listener.disconnect.mock.calls[0][1].message).toBe(
+        "FAILURE: Received non-string message on WebSocket connection.",
+      );
     });
 
-    it("external server - should emit nothing", async () => {
-      const httpServer = emitter({ listening: true });
-      const harn = harness({ server: httpServer });
+    // State
+
+    it("should update the state appropriately", () => {
+      const harn = harness({ port: PORT });
       harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      harn.getWs().emit("connection", mockWs);
 
-      httpServer.emit("close");
+      const newState = harn.getServerState();
+      newState._wsClients = {};
+      newState._clientInfo = {};
+      newState._latency = {};
+      newState._heartbeatIntervals = {};
+      newState._heartbeatTimeouts = {};
+      mockWs.emit("message", 123);
+      expect(harn.server).toHaveState(newState);
+    });
 
-      await promisify(process.nextTick)(); // Move past queued events
+    // Function calls - N/A
 
-      const listener = harn.createServerListener();
+    // Calls on ws - N/A
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+    // Outbound callbacks - N/A
 
-      // Emit nothing synchronously
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  });
+});
 
-      await promisify(process.nextTick)();
+describe("Inbound rate limiting on client messages", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
 
-      // Emit nothing asynchronously
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+  const setup = async (rateLimit, protocol) => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(0);
+    const harn = harness({ port: PORT, rateLimit });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    mockWs.protocol = protocol;
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
     });
+    harn.getWs().emit("connection", mockWs);
+    await promisify(process.nextTick)(); // Move past queued events
+    const listener = harn.createServerListener();
+    return { harn, mockWs, cid, listener, now };
+  };
 
-    // State
+  it("should fill the token buckets on connection", async () => {
+    const { harn, cid } = await setup({
+      messagesPerSecond: 1,
+      burst: 3,
+      bytesPerSecond: 10,
+    });
+    expect(harn.server._rateLimits[cid]).toEqual({
+      messages: 3,
+      bytes: 10,
+      refilledAt: 0,
+      queue: [],
+      timer: null,
+    });
+  });
 
-    it("stand-alone server - should not change the state", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
+  it("should emit messages within the burst", async () => {
+    const { mockWs, cid, listener } = await setup({
+      messagesPerSecond: 1,
+      burst: 2,
+    });
+    mockWs.emit("message", "msg1");
+    mockWs.emit("message", "msg2");
+    await promisify(process.nextTick)();
+    expect(listener.message.mock.calls).toEqual([
+      [cid, "msg1"],
+      [cid, "msg2"],
+    ]);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
 
-      const wsServer = harn.getWs();
-      harn.getWs().emit("close");
+  it("should refill the message bucket over time", async () => {
+    const { mockWs, listener, now } = await setup({
+      messagesPerSecond: 2,
+      burst: 1,
+      policy: "drop",
+    });
+    mockWs.emit("message", "msg1");
+    now.mockReturnValue(250);
+    mockWs.emit("message", "msg2"); // Dropped - half a token
+    now.mockReturnValue(500);
+    mockWs.emit("message", "msg3");
+    await promisify(process.nextTick)();
+    expect(listener.message.mock.calls.map((c) => c[1])).toEqual([
+      "msg1",
+      "msg3",
+    ]);
+  });
 
-      const newState = harn.getServerState();
+  it("should exempt heartbeat pings", async () => {
+    const { mockWs, listener } = await setup(
+      { messagesPerSecond: 1, burst: 1 },
+      "feedme.heartbeat",
+    );
+    mockWs.emit("message", config.wsHeartbeatPing);
+    mockWs.emit("message", config.wsHeartbeatPing);
+    mockWs.emit("message", "msg");
+    await promisify(process.nextTick)();
+    expect(listener.message.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
 
-      wsServer.emit("error", new Error("SOME_ERROR"));
+  describe("with a byte limit", () => {
+    it("should drop messages exceeding the available bytes", async () => {
+      const { mockWs, listener } = await setup({
+        messagesPerSecond: 100,
+        bytesPerSecond: 10,
+        policy: "drop",
+      });
+      mockWs.emit("message", "123456");
+      mockWs.emit("message", "123456"); // Dropped - 4 bytes available
+      mockWs.emit("message", "1234");
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.map((c) => c[1])).toEqual([
+        "123456",
+        "1234",
+      ]);
+    });
+
+    it("should permit a message larger than the burst once the bucket is full", async () => {
+      const { harn, mockWs, cid, listener } = await setup({
+        messagesPerSecond: 100,
+        bytesPerSecond: 10,
+        policy: "drop",
+      });
+      mockWs.emit("message", "123456789012");
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.length).toBe(1);
+      expect(harn.server._rateLimits[cid].bytes).toBe(-2);
+    });
+  });
+
+  describe("disconnect policy", () => {
+    it("should emit disconnect next tick", async () => {
+      const { mockWs, cid, listener } = await setup({
+        messagesPerSecond: 1,
+        burst: 1,
+      });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+      expect(listener.disconnect.mock.calls[0][1].message).toBe(
+        "FAILURE: Rate limit exceeded.",
+      );
+    });
 
+    it("should update the state appropriately", async () => {
+      const { harn, mockWs } = await setup({
+        messagesPerSecond: 1,
+        burst: 1,
+      });
+      mockWs.emit("message", "msg1");
+      const newState = harn.getServerState();
+      newState._wsClients = {};
+      newState._clientInfo = {};
+      newState._rateLimits = {};
+      newState._latency = {};
+      newState._heartbeatIntervals = {};
+      mockWs.emit("message", "msg2");
       expect(harn.server).toHaveState(newState);
     });
 
-    it("external server - should not change the state", async () => {
-      const httpServer = emitter({ listening: true });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+    it("should terminate the client", async () => {
+      const { mockWs } = await setup({ messagesPerSecond: 1, burst: 1 });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      expect(mockWs.terminate.mock.calls.length).toBe(1);
+    });
+  });
 
-      httpServer.emit("close");
+  describe("drop policy", () => {
+    it("should discard over-limit messages and remain connected", async () => {
+      const { harn, mockWs, cid, listener } = await setup({
+        messagesPerSecond: 1,
+        burst: 1,
+        policy: "drop",
+      });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls).toEqual([[cid, "msg1"]]);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(harn.server._wsClients[cid]).toBe(mockWs);
+    });
+  });
 
-      const newState = harn.getServerState();
+  describe("delay policy", () => {
+    it("should emit delayed messages in order once tokens are available", async () => {
+      const { harn, mockWs, cid, listener, now } = await setup({
+        messagesPerSecond: 2,
+        burst: 1,
+        policy: "delay",
+      });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      mockWs.emit("message", "msg3");
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.map((c) => c[1])).toEqual(["msg1"]);
+      expect(harn.server._rateLimits[cid].queue).toEqual(["msg2", "msg3"]);
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+      now.mockReturnValue(500);
+      jest.advanceTimersByTime(500);
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.map((c) => c[1])).toEqual([
+        "msg1",
+        "msg2",
+      ]);
 
-      expect(harn.server).toHaveState(newState);
+      mockWs.emit("message", "msg4"); // Queued behind msg3
+      now.mockReturnValue(1000);
+      jest.advanceTimersByTime(500);
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.map((c) => c[1])).toEqual([
+        "msg1",
+        "msg2",
+        "msg3",
+      ]);
+      expect(harn.server._rateLimits[cid].queue).toEqual(["msg4"]);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
+
+    it("should disconnect the client if the queue is full", async () => {
+      const { mockWs, listener } = await setup({
+        messagesPerSecond: 1,
+        burst: 1,
+        policy: "delay",
+        maxQueue: 1,
+      });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      mockWs.emit("message", "msg3");
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][1].message).toBe(
+        "FAILURE: Rate limit exceeded.",
+      );
+    });
+
+    it("should discard delayed messages if the client disconnects", async () => {
+      const { harn, mockWs, cid, listener, now } = await setup({
+        messagesPerSecond: 1,
+        burst: 1,
+        policy: "delay",
+      });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      harn.server.disconnect(cid);
+      now.mockReturnValue(1000);
+      jest.advanceTimersByTime(1000);
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.length).toBe(1);
     });
 
-    // Function calls - N/A
+    it("should discard delayed messages if the server stops", async () => {
+      const { harn, mockWs, listener, now } = await setup({
+        messagesPerSecond: 1,
+        burst: 1,
+        policy: "delay",
+      });
+      mockWs.emit("message", "msg1");
+      mockWs.emit("message", "msg2");
+      harn.server.stop();
+      expect(harn.server._rateLimits).toEqual({});
+      now.mockReturnValue(1000);
+      jest.advanceTimersByTime(1000);
+      await promisify(process.nextTick)();
+      expect(listener.message.mock.calls.length).toBe(1);
+    });
+  });
+});
 
-    // Calls on ws
+describe("Custom client ids", () => {
+  const setup = (generateClientId) => {
+    const harn = harness({
+      port: PORT,
+      heartbeatIntervalMs: 0,
+      generateClientId,
+    });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    return harn;
+  };
 
-    it("stand-alone server - should do nothing on ws", async () => {
-      // Start a transport server and laterhave ws emit error
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
+  const connect = (harn) => {
+    const mockWs = harn.createMockWs();
+    const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+    req.headers = {};
+    harn.getWs().emit("connection", mockWs, req);
+    return { mockWs, req };
+  };
 
-      const prevWs = harn.getWs();
+  it("should not pass options.generateClientId to ws", () => {
+    let wsOptions;
+    const wsConstructor = function c(opts) {
+      wsOptions = opts;
+      emitter(this);
+    };
+    const harn = harness(
+      { noServer: true, generateClientId: () => "id" },
+      wsConstructor,
+    );
+    harn.server.start();
+    expect("generateClientId" in wsOptions).toBe(false);
+  });
 
-      harn.getWs().emit("close");
+  it("should assign the generated id", async () => {
+    const generateClientId = jest.fn(() => "node1-client1");
+    const harn = setup(generateClientId);
+    const listener = harn.createServerListener();
+    const { mockWs, req } = connect(harn);
+    await promisify(process.nextTick)();
+    expect(generateClientId.mock.calls).toEqual([[req]]);
+    expect(harn.server._wsClients).toEqual({ "node1-client1": mockWs });
+    expect(listener.connect.mock.calls.length).toBe(1);
+    expect(listener.connect.mock.calls[0][0]).toBe("node1-client1");
+  });
 
-      prevWs.mockClear();
+  it("should refuse the connection if the id is in use", async () => {
+    const harn = setup(() => "id");
+    const { mockWs: firstWs } = connect(harn);
+    await promisify(process.nextTick)();
+    const listener = harn.createServerListener();
+    const { mockWs } = connect(harn);
+    await promisify(process.nextTick)();
+    expect(mockWs.close.mock.calls).toEqual([
+      [1011, "Unable to assign a client id."],
+    ]);
+    expect(harn.server._wsClients).toEqual({ id: firstWs });
+    expect(harn.server._clientsPerIp).toEqual({ "1.2.3.4": 1 });
+    expect(listener.connect.mock.calls.length).toBe(0);
+  });
 
-      prevWs.emit("error", new Error("SOME_ERROR"));
+  it("should refuse the connection if the generator returns an invalid id", async () => {
+    const harn = setup(() => "");
+    const listener = harn.createServerListener();
+    const { mockWs } = connect(harn);
+    await promisify(process.nextTick)();
+    expect(mockWs.close.mock.calls.length).toBe(1);
+    expect(harn.server._wsClients).toEqual({});
+    expect(listener.connect.mock.calls.length).toBe(0);
+  });
 
-      expect(prevWs.close.mock.calls.length).toBe(0);
-      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+  it("should refuse the connection if the generator throws", async () => {
+    const harn = setup(() => {
+      throw new Error("Bad");
     });
+    const listener = harn.createServerListener();
+    const { mockWs } = connect(harn);
+    await promisify(process.nextTick)();
+    expect(mockWs.close.mock.calls.length).toBe(1);
+    expect(harn.server._clientInfo).toEqual({});
+    expect(listener.connect.mock.calls.length).toBe(0);
+  });
+});
 
-    it("external server - should do nothing on ws", async () => {
-      const httpServer = emitter({ listening: true });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+describe("Session resumption", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
 
-      const prevWs = harn.getWs();
+  const connect = (harn, protocol, url) => {
+    const mockWs = harn.createMockWs();
+    mockWs.protocol = protocol;
+    const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+    req.url = url;
+    req.headers = {};
+    harn.getWs().emit("connection", mockWs, req);
+    return mockWs;
+  };
 
-      httpServer.emit("close");
+  const setup = async (options) => {
+    const harn = harness({
+      port: PORT,
+      heartbeatIntervalMs: 0,
+      resume: true,
+      ...options,
+    });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
+    });
+    const mockWs = connect(harn, "feedme.resume", "/");
+    await promisify(process.nextTick)(); // Move past queued events
+    const { token } = harn.server._sessions[cid];
+    const listener = harn.createServerListener();
+    return { harn, mockWs, cid, token, listener };
+  };
 
-      prevWs.mockClear();
+  const resumeUrl = (token, received) =>
+    `/?${config.wsResumeTokenParam}=${token}&${config.wsResumeSeqParam}=${received}`;
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+  it("should not pass options.resume to ws", () => {
+    let wsOptions;
+    const wsConstructor = function c(opts) {
+      wsOptions = opts;
+      emitter(this);
+    };
+    const harn = harness({ noServer: true, resume: true }, wsConstructor);
+    harn.server.start();
+    expect("resume" in wsOptions).toBe(false);
+  });
 
-      expect(prevWs.close.mock.calls.length).toBe(0);
-      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+  it("should overlay option defaults", () => {
+    const harn = harness({ port: PORT, resume: { graceMs: 123 } });
+    expect(harn.server._options.resume).toEqual({
+      ...serverConfig.defaults.resume,
+      graceMs: 123,
     });
-
-    // Outbound callbacks - N/A
-
-    // Inbound callbacks (events, state, ws, callbacks) - N/A
   });
 
-  describe("If the transport was started - error comes before close event", () => {
-    // Events
+  it("should send the resume token before any messages", async () => {
+    const { harn, mockWs, cid, token } = await setup();
+    expect(harn.server._resumeTokens).toEqual({ [token]: cid });
+    harn.server.send(cid, "msg");
+    expect(mockWs.send.mock.calls.map((c) => c[0])).toEqual([
+      config.wsSessionPrefix + token,
+      "msg",
+    ]);
+  });
 
-    it("stand-alone server - should asynchronously emit stopping and then stopped", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
+  it("should not begin a session if the client did not negotiate resumption", async () => {
+    const harn = harness({ port: PORT, resume: true });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = connect(harn, "feedme", "/");
+    await promisify(process.nextTick)();
+    expect(harn.server._sessions).toEqual({});
+    expect(mockWs.send.mock.calls.length).toBe(0);
+  });
 
-      const wsServer = harn.getWs();
+  describe("when the connection is lost", () => {
+    it("should not emit disconnect and should retain messages", async () => {
+      const { harn, mockWs, cid, listener } = await setup();
+      mockWs.emit("close", 1006, "");
+      expect(mockWs.listeners("close").length).toBe(0);
+      expect(harn.server._wsClients).toEqual({});
+      expect(_.keys(harn.server._sessions)).toEqual([cid]);
 
-      await promisify(process.nextTick)(); // Move past queued events
+      harn.server.send(cid, "msg");
+      harn.server.broadcast("msg2");
+      await promisify(process.nextTick)();
+      expect(mockWs.send.mock.calls.length).toBe(1); // Session frame only
+      expect(harn.server._sessions[cid].buffer.sent).toBe(2);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(harn.server.clientInfo(cid).remoteAddress).toBe("1.2.3.4");
+      expect(harn.server.protocol(cid)).toBe("feedme");
+    });
 
-      const listener = harn.createServerListener();
+    it("should suspend on a heartbeat failure", async () => {
+      const { harn, mockWs, cid, listener } = await setup({
+        heartbeatIntervalMs: 100,
+        heartbeatTimeoutMs: 50,
+      });
+      jest.advanceTimersByTime(150);
+      expect(mockWs.terminate.mock.calls.length).toBe(1);
+      expect(harn.server._heartbeatIntervals).toEqual({});
+      expect(_.keys(harn.server._sessions)).toEqual([cid]);
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
 
-      const eventOrder = [];
-      ["stopping", "stop"].forEach((evt) => {
-        harn.server.on(evt, () => {
-          eventOrder.push(evt);
-        });
+    it("should emit disconnect once the grace period elapses", async () => {
+      const { harn, mockWs, cid, token, listener } = await setup({
+        resume: { graceMs: 1000 },
       });
+      mockWs.emit("close", 1006, "");
+      jest.advanceTimersByTime(999);
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+      jest.advanceTimersByTime(1);
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(listener.disconnect.mock.calls[0][1].message).toBe(
+        "FAILURE: The WebSocket closed.",
+      );
+      expect(harn.server._sessions).toEqual({});
+      expect(token in harn.server._resumeTokens).toBe(false);
+    });
 
-      wsServer.emit("error", new Error("SOME_ERROR"));
+    it("should disconnect immediately if the client closed normally", async () => {
+      const { harn, mockWs, listener } = await setup();
+      mockWs.emit("close", 1000, "");
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(harn.server._sessions).toEqual({});
+      expect(harn.server._resumeTokens).toEqual({});
+    });
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+    it("should disconnect a suspended client on server.disconnect()", async () => {
+      const { harn, mockWs, cid, listener } = await setup();
+      mockWs.emit("close", 1006, "");
+      harn.server.disconnect(cid);
+      await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls).toEqual([[cid]]);
+      expect(harn.server._sessions).toEqual({});
+    });
 
+    it("should disconnect suspended clients when the server stops", async () => {
+      const { harn, mockWs, cid, listener } = await setup();
+      mockWs.emit("close", 1006, "");
+      harn.server.stop();
       await promisify(process.nextTick)();
+      expect(listener.disconnect.mock.calls.length).toBe(1);
+      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+      expect(harn.server._sessions).toEqual({});
+      expect(harn.server._resumeTokens).toEqual({});
+    });
+  });
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(1);
-      expect(listener.stopping.mock.calls[0].length).toBe(1);
-      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stopping.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.stop.mock.calls.length).toBe(1);
-      expect(listener.stop.mock.calls[0].length).toBe(1);
-      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stop.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
+  describe("when the client resumes", () => {
+    it("should continue the session and replay unreceived messages", async () => {
+      const { harn, mockWs, cid, token, listener } = await setup();
+      harn.server.send(cid, "msg1");
+      harn.server.send(cid, "msg2");
+      mockWs.emit("message", "in1");
+      mockWs.emit("close", 1006, "");
+      harn.server.send(cid, Buffer.from("msg3").toString());
+
+      const newWs = connect(harn, "feedme.resume", resumeUrl(token, 1));
+      expect(harn.server._wsClients[cid]).toBe(newWs);
+      expect(newWs.send.mock.calls.map((c) => c[0])).toEqual([
+        `${config.wsResumedPrefix}1`,
+        "msg2",
+        "msg3",
+      ]);
+
+      harn.server.send(cid, "msg4");
+      newWs.emit("message", "in2");
+      await promisify(process.nextTick)();
+      expect(newWs.send.mock.calls[3][0]).toBe("msg4");
       expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
       expect(listener.disconnect.mock.calls.length).toBe(0);
-      expect(eventOrder).toEqual(["stopping", "stop"]);
+      expect(listener.message.mock.calls).toEqual([
+        [cid, "in1"],
+        [cid, "in2"],
+      ]);
     });
 
-    it("external server - should asynchronously emit stopping and then stopped", async () => {
-      const httpServer = emitter({ listening: true });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+    it("should discard the previous WebSocket if it was still open", async () => {
+      const { harn, mockWs, cid, token, listener } = await setup();
+      const newWs = connect(harn, "feedme.resume", resumeUrl(token, 0));
+      expect(mockWs.terminate.mock.calls.length).toBe(1);
+      expect(mockWs.listeners("message").length).toBe(0);
+      expect(harn.server._wsClients[cid]).toBe(newWs);
 
-      await promisify(process.nextTick)(); // Move past queued events
+      // Late callbacks on the previous WebSocket are ignored
+      mockWs.send.mock.calls[0][1](new Error("Late"));
+      await promisify(process.nextTick)();
+      expect(harn.server._wsClients[cid]).toBe(newWs);
+      expect(listener.disconnect.mock.calls.length).toBe(0);
+    });
 
-      const wsServer = harn.getWs();
+    it("should begin a new session if the token is unknown", async () => {
+      const { harn, listener } = await setup();
+      const newWs = connect(harn, "feedme.resume", resumeUrl("junk", 0));
+      await promisify(process.nextTick)();
+      expect(listener.connect.mock.calls.length).toBe(1);
+      expect(
+        newWs.send.mock.calls[0][0].startsWith(config.wsSessionPrefix),
+      ).toBe(true);
+    });
 
-      const listener = harn.createServerListener();
+    it("should begin a new session if the subprotocol differs", async () => {
+      const { harn, token, listener } = await setup();
+      connect(harn, "feedme.heartbeat.resume", resumeUrl(token, 0));
+      await promisify(process.nextTick)();
+      expect(listener.connect.mock.calls.length).toBe(1);
+    });
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+    it("should begin a new session if unreceived messages were discarded", async () => {
+      const { harn, mockWs, cid, token, listener } = await setup({
+        resume: { maxMessages: 2 },
+      });
+      harn.server.send(cid, "msg1");
+      harn.server.send(cid, "msg2");
+      harn.server.send(cid, "msg3");
+      mockWs.emit("close", 1006, "");
+      connect(harn, "feedme.resume", resumeUrl(token, 0));
+      await promisify(process.nextTick)();
+      expect(listener.connect.mock.calls.length).toBe(1);
+      expect(listener.connect.mock.calls[0][0]).not.toBe(cid);
+      expect(harn.server._wsClients[cid]).toBe(undefined); // Still suspended
+    });
+
+    it("should not apply connection limits", async () => {
+      const { harn, token } = await setup({ maxClients: 1 });
+      const cb = jest.fn();
+      const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+      req.url = resumeUrl(token, 0);
+      harn.server._processVerifyClient({ req }, cb);
+      expect(cb.mock.calls).toEqual([[true]]);
+      req.url = "/";
+      harn.server._processVerifyClient({ req }, cb);
+      expect(cb.mock.calls[1]).toEqual([false, 503]);
+    });
+
+    it("should apply connection limits if unreceived messages were discarded", async () => {
+      const { harn, token } = await setup({ maxClients: 1 });
+      const cb = jest.fn();
+      const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+      req.url = resumeUrl(token, 999);
+      harn.server._processVerifyClient({ req }, cb);
+      expect(cb.mock.calls).toEqual([[false, 503]]);
+      expect(harn.server.refused()).toEqual({
+        maxClients: 1,
+        maxClientsPerIp: 0,
+      });
+    });
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
+    it("should apply connection limits on connection if the subprotocol differs", async () => {
+      const { harn, token, listener } = await setup({ maxClients: 1 });
+      const cb = jest.fn();
+      const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+      req.url = resumeUrl(token, 0);
+      harn.server._processVerifyClient({ req }, cb);
+      expect(cb.mock.calls).toEqual([[true]]);
+      const mockWs = connect(harn, "feedme.heartbeat.resume", req.url);
+      await promisify(process.nextTick)();
+      expect(mockWs.close.mock.calls).toEqual([
+        [1013, "The maximum number of clients has been reached."],
+      ]);
       expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(harn.server.refused()).toEqual({
+        maxClients: 1,
+        maxClientsPerIp: 0,
+      });
+      expect(harn.server._clientIds().length).toBe(1);
+    });
+  });
+});
 
-      await promisify(process.nextTick)();
+describe("The server._processWsClientPong() function", () => {
+  // Events
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(1);
-      expect(listener.stopping.mock.calls[0].length).toBe(1);
-      expect(listener.stopping.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stopping.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+  it("should emit nothing next tick", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs);
+    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-      listener.mockClear();
+    await promisify(process.nextTick)(); // Move past queued events
 
-      wsServer.close.mock.calls[0][0](); // Call ws close callback
+    const listener = harn.createServerListener();
+    mockWs.emit("pong");
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+    await promisify(process.nextTick)();
 
-      await promisify(process.nextTick)();
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(1);
-      expect(listener.stop.mock.calls[0].length).toBe(1);
-      expect(listener.stop.mock.calls[0][0]).toBeInstanceOf(Error);
-      expect(listener.stop.mock.calls[0][0].message).toBe(
-        "FAILURE: Failed to listen for connections.",
-      );
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+  // State
+
+  it("should update the state appropriately", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
     });
+    harn.getWs().emit("connection", mockWs);
 
-    // State
-
-    it("stand-alone server - should update the state appropriately", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
+    await promisify(process.nextTick)(); // Move past queued events
 
-      const wsServer = harn.getWs();
+    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-      const newState = harn.getServerState();
-      newState._wsServer = null;
-      newState._state = "stopped";
+    const newState = harn.getServerState();
+    mockWs.emit("pong");
+    delete newState._heartbeatTimeouts[cid];
+    expect(harn.server).toHaveState(newState);
+  });
 
-      wsServer.emit("error", new Error("SOME_ERROR"));
+  // Function calls
 
-      expect(harn.server).toHaveState(newState);
-    });
+  // Stopped passing after Jest upgrade
+  // it("should call clearTimeout()", () => {
+  //   const harn = harness({ port: PORT });
+  //   harn.server.start();
+  //   harn.getWs().emit("listening");
+  //   const mockWs = harn.createMockWs();
+  //   harn.getWs().emit("connection", mockWs);
+  //   jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-    it("external server - should update the state appropriately", async () => {
-      const httpServer = emitter({ listening: true });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+  //   clearTimeout.mockClear();
+  //   mockWs.emit("pong");
+  //   expect(clearTimeout.mock.calls.length).toBe(1);
+  //   expect(clearTimeout.mock.calls[0].length).toBe(1);
+  //   expect(check.integer(clearTimeout.mock.calls[0][0])).toBe(true);
+  // });
 
-      const wsServer = harn.getWs();
+  // Calls on ws
 
-      const newState = harn.getServerState();
-      newState._wsServer = null;
-      newState._state = "stopping";
-      newState._httpHandlers = null;
-      newState._httpPollingInterval = null;
+  it("should do nothing on ws", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs);
+    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+    harn.getWs().mockClear();
+    mockWs.emit("pong");
+    expect(harn.getWs().close.mock.calls.length).toBe(0);
+    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  });
 
-      expect(harn.server).toHaveState(newState);
+  // Outbound callbacks - N/A
 
-      wsServer.close.mock.calls[0][0](); // Call ws.close() callback
+  // Inbound callbacks (events, state, ws, callbacks) - N/A
 
-      newState._state = "stopped";
-      expect(harn.server).toHaveState(newState);
+  describe("latency measurement", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
-    // Function calls - N/A
-
-    // Calls on ws
-
-    it("stand-alone server - should do nothing on ws", async () => {
-      // Start a transport server and laterhave ws emit error
+    it("should emit latency next tick and record the round-trip time", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-      const prevWs = harn.getWs();
-      prevWs.mockClear();
-
-      harn.getWs().emit("error", new Error("SOME_ERROR"));
-
-      expect(prevWs.close.mock.calls.length).toBe(0);
-      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
-    });
+      await promisify(process.nextTick)(); // Move past queued events
 
-    it("external server - should call ws.close()", async () => {
-      const httpServer = emitter({ listening: true });
-      const harn = harness({ server: httpServer });
-      harn.server.start();
+      const now = jest.spyOn(Date, "now");
+      now.mockReturnValue(1000);
+      jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-      const prevWs = harn.getWs();
+      const latency = jest.fn();
+      harn.server.on("latency", latency);
+      now.mockReturnValue(1025);
+      mockWs.emit("pong");
 
-      prevWs.mockClear();
+      expect(latency.mock.calls.length).toBe(0);
 
-      httpServer.emit("error", new Error("SOME_ERROR"));
+      await promisify(process.nextTick)();
 
-      expect(prevWs.close.mock.calls.length).toBe(1);
-      expect(prevWs.close.mock.calls[0].length).toBe(1);
-      expect(check.function(prevWs.close.mock.calls[0][0])).toBe(true);
-      expect(prevWs.handleUpgrade.mock.calls.length).toBe(0);
+      expect(latency.mock.calls).toEqual([[cid, 25]]);
+      expect(harn.server._latency[cid]).toEqual({
+        pingSentAt: null,
+        samples: [25],
+      });
     });
 
-    // Outbound callbacks - N/A
-
-    // Inbound callbacks (events, state, ws, callbacks) - N/A
-  });
-});
-
-describe("The server._processWsServerConnection() function", () => {
-  describe("if heartbeat is enabled", () => {
-    // Events
-
-    it("should emit connect next tick", async () => {
+    it("should ignore unsolicited pongs", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-
-      await promisify(process.nextTick)(); // Move past queued events
-
-      const listener = harn.createServerListener();
       const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
       harn.getWs().emit("connection", mockWs);
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      await promisify(process.nextTick)(); // Move past queued events
+
+      const latency = jest.fn();
+      harn.server.on("latency", latency);
+      mockWs.emit("pong");
 
       await promisify(process.nextTick)();
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(1);
-      expect(listener.connect.mock.calls[0].length).toBe(1);
-      expect(check.string(listener.connect.mock.calls[0][0])).toBe(true);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      expect(latency.mock.calls.length).toBe(0);
+      expect(harn.server._latency[cid].samples).toEqual([]);
     });
 
-    // State
-
-    it("should update state appropriately", async () => {
+    it("should retain a bounded number of samples", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-
-      // Outside code does not have access to the ws client
-
-      const newState = harn.getServerState();
       const mockWs = harn.createMockWs();
       let cid;
       harn.server.once("connect", (c) => {
@@ -4043,338 +8019,251 @@ describe("The server._processWsServerConnection() function", () => {
       });
       harn.getWs().emit("connection", mockWs);
 
-      await promisify(process.nextTick)();
+      await promisify(process.nextTick)(); // Move past queued events
 
-      newState._wsClients[cid] = harn.server._wsClients[cid]; // Basically checking cid
-      newState._heartbeatIntervals[cid] = 123;
-      expect(harn.server).toHaveState(newState);
+      const now = jest.spyOn(Date, "now");
+      for (let i = 0; i <= config.latencySamples; i += 1) {
+        now.mockReturnValue(0);
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+        now.mockReturnValue(i);
+        mockWs.emit("pong");
+      }
+      const { samples } = harn.server._latency[cid];
+      expect(samples.length).toBe(config.latencySamples);
+      expect(samples[0]).toBe(1);
+      expect(samples[samples.length - 1]).toBe(config.latencySamples);
     });
+  });
+});
 
-    // Function calls - N/A
-
-    // Calls on ws - N/A
-
-    // Outbound callbacks - N/A
-
-    // Inbound callbacks (events, state, ws, callbacks)
-
-    describe("when the heartbeat interval fires", () => {
-      it("should emit nothing next tick", async () => {
-        const harn = harness({ port: PORT });
-        harn.server.start();
-        harn.getWs().emit("listening");
-        const mockWs = harn.createMockWs();
-        harn.getWs().emit("connection", mockWs);
-
-        await promisify(process.nextTick)(); // Move past queued events
+describe("The server._processWsClientClose() function", () => {
+  // Events
 
-        const listener = harn.createServerListener();
-        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  it("should emit disconnect next tick", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
+    });
+    harn.getWs().emit("connection", mockWs);
 
-        await promisify(process.nextTick)();
+    await promisify(process.nextTick)(); // Move past queued events
 
-        expect(listener.starting.mock.calls.length).toBe(0);
-        expect(listener.start.mock.calls.length).toBe(0);
-        expect(listener.stopping.mock.calls.length).toBe(0);
-        expect(listener.stop.mock.calls.length).toBe(0);
-        expect(listener.connect.mock.calls.length).toBe(0);
-        expect(listener.message.mock.calls.length).toBe(0);
-        expect(listener.disconnect.mock.calls.length).toBe(0);
-      });
+    const listener = harn.createServerListener();
+    mockWs.readyState = mockWs.CLOSING;
+    mockWs.emit("close");
 
-      it("should update state appropriately", async () => {
-        const harn = harness({ port: PORT });
-        harn.server.start();
-        harn.getWs().emit("listening");
-        const mockWs = harn.createMockWs();
-        let cid;
-        harn.server.once("connect", (c) => {
-          cid = c;
-        });
-        harn.getWs().emit("connection", mockWs);
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
 
-        await promisify(process.nextTick)(); // Move past queued events
+    await promisify(process.nextTick)();
 
-        const newState = harn.getServerState();
-        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
-        newState._heartbeatTimeouts[cid] = 123;
-        expect(harn.server).toHaveState(newState);
-      });
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(1);
+    expect(listener.disconnect.mock.calls[0].length).toBe(2);
+    expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
+    expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
+    expect(listener.disconnect.mock.calls[0][1].message).toBe(
+      "FAILURE: The WebSocket closed.",
+    );
+  });
 
-      it("should call wsClient.ping()", () => {
-        const harn = harness({ port: PORT });
-        harn.server.start();
-        harn.getWs().emit("listening");
-        const mockWs = harn.createMockWs();
-        harn.getWs().emit("connection", mockWs);
+  // State
 
-        mockWs.mockClear();
-        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
-        expect(mockWs.ping.mock.calls.length).toBe(1);
-        expect(mockWs.ping.mock.calls[0].length).toBe(1);
-        expect(mockWs.ping.mock.calls[0][0]).toBeInstanceOf(Function);
-        expect(mockWs.send.mock.calls.length).toBe(0);
-        expect(mockWs.close.mock.calls.length).toBe(0);
-        expect(mockWs.terminate.mock.calls.length).toBe(0);
-      });
+  it("should update the state appropriately", async () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
+    });
+    harn.getWs().emit("connection", mockWs);
 
-      describe("when the heartbeat timeout fires", () => {
-        it("should call ws.terminate(cid)", () => {
-          const harn = harness({ port: PORT });
-          harn.server.start();
-          harn.getWs().emit("listening");
-          const mockWs = harn.createMockWs();
-          harn.getWs().emit("connection", mockWs);
-          jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+    await promisify(process.nextTick)(); // Move past queued events
 
-          mockWs.mockClear();
-          jest.advanceTimersByTime(serverConfig.defaults.heartbeatTimeoutMs);
-          expect(mockWs.ping.mock.calls.length).toBe(0);
-          expect(mockWs.send.mock.calls.length).toBe(0);
-          expect(mockWs.close.mock.calls.length).toBe(0);
-          expect(mockWs.terminate.mock.calls.length).toBe(1);
-          expect(mockWs.terminate.mock.calls[0].length).toBe(0);
-        });
-      });
+    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-      describe("when the ws.ping() callback is invoked", () => {
-        describe("if the ping frame was written successfully", () => {
-          it("should emit nothing", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+    const newState = harn.getServerState();
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+    mockWs.readyState = mockWs.CLOSING;
+    mockWs.emit("close");
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            const listener = harn.createServerListener();
-            pingCb();
-            expect(listener.starting.mock.calls.length).toBe(0);
-            expect(listener.start.mock.calls.length).toBe(0);
-            expect(listener.stopping.mock.calls.length).toBe(0);
-            expect(listener.stop.mock.calls.length).toBe(0);
-            expect(listener.connect.mock.calls.length).toBe(0);
-            expect(listener.message.mock.calls.length).toBe(0);
-            expect(listener.disconnect.mock.calls.length).toBe(0);
-          });
+    delete newState._wsClients[cid];
+    delete newState._clientInfo[cid];
+    delete newState._latency[cid];
+    delete newState._heartbeatIntervals[cid];
+    delete newState._heartbeatTimeouts[cid];
+    expect(harn.server).toHaveState(newState);
+  });
 
-          it("should not change the state", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+  // Function calls
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  // Stopped passing after Jest upgrade
+  // it("should call clearInterval and clearTimeout", () => {
+  //   const harn = harness({ port: PORT });
+  //   harn.server.start();
+  //   harn.getWs().emit("listening");
+  //   const mockWs = harn.createMockWs();
+  //   harn.getWs().emit("connection", mockWs);
+  //   jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            const newState = harn.getServerState();
-            pingCb();
-            expect(harn.server).toHaveState(newState);
-          });
+  //   clearInterval.mockClear();
+  //   clearTimeout.mockClear();
 
-          it("should do nothing on ws", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+  //   mockWs.readyState = mockWs.CLOSING;
+  //   mockWs.emit("close");
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  //   expect(clearInterval.mock.calls.length).toBe(1);
+  //   expect(clearInterval.mock.calls[0].length).toBe(1);
+  //   expect(check.integer(clearInterval.mock.calls[0][0])).toBe(true);
+  //   expect(clearTimeout.mock.calls.length).toBe(1);
+  //   expect(clearTimeout.mock.calls[0].length).toBe(1);
+  //   expect(check.integer(clearTimeout.mock.calls[0][0])).toBe(true);
+  // });
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            mockWs.mockClear();
-            pingCb();
-            expect(mockWs.ping.mock.calls.length).toBe(0);
-            expect(mockWs.send.mock.calls.length).toBe(0);
-            expect(mockWs.close.mock.calls.length).toBe(0);
-            expect(mockWs.terminate.mock.calls.length).toBe(0);
-          });
-        });
+  // Calls on ws
 
-        describe("if there was an error writing the ping frame and the client is still there", () => {
-          it("should emit disconnect next tick", async () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            let clientId;
-            harn.server.once("connect", (cid) => {
-              clientId = cid;
-            });
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+  it("should do nothing on ws", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    const mockWs = harn.createMockWs();
+    harn.getWs().emit("connection", mockWs);
 
-            await promisify(process.nextTick)(); // Move past queued events
+    harn.getWs().mockClear();
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+    mockWs.readyState = mockWs.CLOSING;
+    mockWs.emit("close");
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            const listener = harn.createServerListener();
-            const err = new Error("SOME_ERROR");
-            pingCb(err);
+    expect(harn.getWs().close.mock.calls.length).toBe(0);
+    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  });
 
-            expect(listener.starting.mock.calls.length).toBe(0);
-            expect(listener.start.mock.calls.length).toBe(0);
-            expect(listener.stopping.mock.calls.length).toBe(0);
-            expect(listener.stop.mock.calls.length).toBe(0);
-            expect(listener.connect.mock.calls.length).toBe(0);
-            expect(listener.message.mock.calls.length).toBe(0);
-            expect(listener.disconnect.mock.calls.length).toBe(0);
+  // Outbound callbacks - N/A
 
-            await promisify(process.nextTick)();
+  // Inbound callbacks (events, state, ws, callbacks) - N/A
+});
 
-            expect(listener.starting.mock.calls.length).toBe(0);
-            expect(listener.start.mock.calls.length).toBe(0);
-            expect(listener.stopping.mock.calls.length).toBe(0);
-            expect(listener.stop.mock.calls.length).toBe(0);
-            expect(listener.connect.mock.calls.length).toBe(0);
-            expect(listener.message.mock.calls.length).toBe(0);
-            expect(listener.disconnect.mock.calls.length).toBe(1);
-            expect(listener.disconnect.mock.calls[0].length).toBe(2);
-            expect(listener.disconnect.mock.calls[0][0]).toBe(clientId);
-            expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
-            expect(listener.disconnect.mock.calls[0][1].message).toBe(
-              "FAILURE: The WebSocket heartbeat failed.",
-            );
-            expect(listener.disconnect.mock.calls[0][1].wsError).toBe(err);
-          });
+describe("The server._processWsClientError() function", () => {
+  // Trivial
+});
 
-          it("should update the state appropriately", async () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            let clientId;
-            harn.server.once("connect", (cid) => {
-              clientId = cid;
-            });
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+// State-getting functionality
 
-            await promisify(process.nextTick)(); // Move past queued events
+describe("The server.state() function", () => {
+  // Events
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  it("should emit nothing next tick", async () => {
+    const harn = harness({ port: PORT });
+    const listener = harn.createServerListener();
+    harn.server.state();
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            const newState = harn.getServerState();
-            delete newState._wsClients[clientId];
-            delete newState._heartbeatIntervals[clientId];
-            delete newState._heartbeatTimeouts[clientId];
-            pingCb(new Error("SOME_ERROR"));
-            expect(harn.server).toHaveState(newState);
-          });
+    await promisify(process.nextTick)();
 
-          it("should call ws.terminate()", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+    expect(listener.starting.mock.calls.length).toBe(0);
+    expect(listener.start.mock.calls.length).toBe(0);
+    expect(listener.stopping.mock.calls.length).toBe(0);
+    expect(listener.stop.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(0);
+    expect(listener.message.mock.calls.length).toBe(0);
+    expect(listener.disconnect.mock.calls.length).toBe(0);
+  });
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  // State
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            mockWs.mockClear();
-            pingCb(new Error("SOME_ERROR"));
-            expect(mockWs.ping.mock.calls.length).toBe(0);
-            expect(mockWs.send.mock.calls.length).toBe(0);
-            expect(mockWs.close.mock.calls.length).toBe(0);
-            expect(mockWs.terminate.mock.calls.length).toBe(1);
-            expect(mockWs.terminate.mock.calls[0].length).toBe(0);
-          });
-        });
+  it("should not change the state", () => {
+    const harn = harness({ port: PORT });
 
-        describe("if there was an error writing the ping frame and the client was already disconnected", () => {
-          it("should emit disconnect", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+    const newState = harn.getServerState();
+    harn.server.state();
+    expect(harn.server).toHaveState(newState);
+  });
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  // Function calls - N/A
 
-            mockWs.readyState = mockWs.CLOSING;
-            mockWs.emit("close");
+  // Calls on ws
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            const listener = harn.createServerListener();
-            const err = new Error("SOME_ERROR");
-            pingCb(err);
-            expect(listener.starting.mock.calls.length).toBe(0);
-            expect(listener.start.mock.calls.length).toBe(0);
-            expect(listener.stopping.mock.calls.length).toBe(0);
-            expect(listener.stop.mock.calls.length).toBe(0);
-            expect(listener.connect.mock.calls.length).toBe(0);
-            expect(listener.message.mock.calls.length).toBe(0);
-            expect(listener.disconnect.mock.calls.length).toBe(0);
-          });
+  it("should do nothing on ws", () => {
+    const harn = harness({ port: PORT });
+    harn.server.start();
+    harn.getWs().emit("listening");
 
-          it("should not change the state", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+    harn.getWs().mockClear();
+    harn.server.state();
+    expect(harn.getWs().close.mock.calls.length).toBe(0);
+    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  });
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  // Outbound callbacks - N/A
 
-            mockWs.readyState = mockWs.CLOSING;
-            mockWs.emit("close");
+  // Inbound callbacks (events, state, ws, callbacks) - N/A
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            const newState = harn.getServerState();
-            pingCb(new Error("SOME_ERROR"));
-            expect(harn.server).toHaveState(newState);
-          });
+  // Return value
 
-          it("should do nothing on ws", () => {
-            const harn = harness({ port: PORT });
-            harn.server.start();
-            harn.getWs().emit("listening");
-            const mockWs = harn.createMockWs();
-            harn.getWs().emit("connection", mockWs);
+  it("should return the state", () => {
+    const harn = harness({ port: PORT });
+    expect(harn.server.state()).toBe("stopped");
+  });
+});
 
-            jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+describe("The server.clientInfo() function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid client id", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.clientInfo(123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id."));
+    });
 
-            mockWs.readyState = mockWs.CLOSING;
-            mockWs.emit("close");
+    it("should throw if the server is not started", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.clientInfo("cid");
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
+    });
 
-            const pingCb = mockWs.ping.mock.calls[0][0];
-            mockWs.mockClear();
-            pingCb(new Error("SOME_ERROR"));
-            expect(mockWs.ping.mock.calls.length).toBe(0);
-            expect(mockWs.send.mock.calls.length).toBe(0);
-            expect(mockWs.close.mock.calls.length).toBe(0);
-            expect(mockWs.terminate.mock.calls.length).toBe(0);
-          });
-        });
-      });
+    it("should throw if the client is not connected", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.clientInfo("cid");
+      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
     });
   });
 
-  describe("if heartbeat is disabled", () => {
+  describe("can succeed", () => {
     // Events
 
-    it("should emit connect next tick", async () => {
-      const harn = harness({ port: PORT, heartbeatIntervalMs: 0 });
+    it("should emit nothing next tick", async () => {
+      const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", harn.createMockWs());
 
       await promisify(process.nextTick)(); // Move past queued events
 
       const listener = harn.createServerListener();
-      const mockWs = harn.createMockWs();
-      harn.getWs().emit("connection", mockWs);
-
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      harn.server.clientInfo(cid);
 
       await promisify(process.nextTick)();
 
@@ -4382,33 +8271,27 @@ describe("The server._processWsServerConnection() function", () => {
       expect(listener.start.mock.calls.length).toBe(0);
       expect(listener.stopping.mock.calls.length).toBe(0);
       expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(1);
-      expect(listener.connect.mock.calls[0].length).toBe(1);
-      expect(check.string(listener.connect.mock.calls[0][0])).toBe(true);
+      expect(listener.connect.mock.calls.length).toBe(0);
       expect(listener.message.mock.calls.length).toBe(0);
       expect(listener.disconnect.mock.calls.length).toBe(0);
     });
 
     // State
 
-    it("should update state appropriately", async () => {
-      const harn = harness({ port: PORT, heartbeatIntervalMs: 0 });
+    it("should not change the state", async () => {
+      const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-
-      // Outside code does not have access to the ws client object
-
-      const newState = harn.getServerState();
-      const mockWs = harn.createMockWs();
       let cid;
       harn.server.once("connect", (c) => {
         cid = c;
       });
-      harn.getWs().emit("connection", mockWs);
+      harn.getWs().emit("connection", harn.createMockWs());
 
       await promisify(process.nextTick)(); // Move past queued events
 
-      newState._wsClients[cid] = harn.server._wsClients[cid]; // Basically checking cid
+      const newState = harn.getServerState();
+      harn.server.clientInfo(cid);
       expect(harn.server).toHaveState(newState);
     });
 
@@ -4419,419 +8302,1164 @@ describe("The server._processWsServerConnection() function", () => {
     // Outbound callbacks - N/A
 
     // Inbound callbacks (events, state, ws, callbacks) - N/A
-  });
-});
 
-describe("The server._processWsClientMessage() function", () => {
-  describe("if the message was a string", () => {
-    // Events
+    // Return value
 
-    it("should emit message next tick", async () => {
+    it("should return the client information", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
       let cid;
       harn.server.once("connect", (c) => {
         cid = c;
       });
-      harn.getWs().emit("connection", mockWs);
+      harn.getWs().emit("connection", harn.createMockWs(), {
+        url: "/feedme?a=1",
+        headers: { "x-forwarded-for": "5.6.7.8" },
+        socket: { remoteAddress: "1.2.3.4", remotePort: 12345 },
+      });
 
       await promisify(process.nextTick)(); // Move past queued events
 
-      const listener = harn.createServerListener();
-      mockWs.emit("message", "some_msg");
-
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
-
-      await promisify(process.nextTick)();
-
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(1);
-      expect(listener.message.mock.calls[0].length).toBe(2);
-      expect(listener.message.mock.calls[0][0]).toBe(cid);
-      expect(listener.message.mock.calls[0][1]).toBe("some_msg");
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+      const expected = {
+        remoteAddress: "1.2.3.4",
+        remotePort: 12345,
+        forwardedFor: ["5.6.7.8"],
+        headers: { "x-forwarded-for": "5.6.7.8" },
+        url: "/feedme?a=1",
+        path: "/feedme",
+        query: { a: "1" },
+        secure: false,
+        tls: null,
+        identity: null,
+      };
+      expect(harn.server.clientInfo(cid)).toEqual(expected);
     });
 
-    // State
-
-    it("should not change the state", () => {
+    it("should return a copy of the client information", async () => {
       const harn = harness({ port: PORT });
       harn.server.start();
       harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      harn.getWs().emit("connection", mockWs);
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", harn.createMockWs(), {
+        url: "/",
+        headers: {},
+      });
 
-      const newState = harn.getServerState();
-      mockWs.emit("message", "some_msg");
-      expect(harn.server).toHaveState(newState);
+      await promisify(process.nextTick)(); // Move past queued events
+
+      harn.server.clientInfo(cid).headers.junk = "junk";
+      expect(harn.server.clientInfo(cid).headers).toEqual({});
     });
+  });
+});
 
-    // Function calls - N/A
+describe("The server.refused() function", () => {
+  // Events - N/A
 
-    // Calls on ws - N/A
+  // State
 
-    // Outbound callbacks - N/A
+  it("should not change the state", () => {
+    const harn = harness({ port: PORT, maxClients: 1 });
+    const newState = harn.getServerState();
+    harn.server.refused();
+    expect(harn.server).toHaveState(newState);
+  });
 
-    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  // Function calls - N/A
+
+  // Calls on ws - N/A
+
+  // Outbound callbacks - N/A
+
+  // Inbound callbacks (events, state, ws, callbacks) - N/A
+
+  // Return value
+
+  it("should return zero counts initially", () => {
+    const harn = harness({ port: PORT });
+    expect(harn.server.refused()).toEqual({
+      maxClients: 0,
+      maxClientsPerIp: 0,
+    });
   });
 
-  describe("if the message was not a string", () => {
-    // Events
+  it("should return a copy of the counts", () => {
+    const harn = harness({ port: PORT });
+    harn.server.refused().maxClients = 123;
+    expect(harn.server.refused().maxClients).toBe(0);
+  });
 
-    it("should emit disconnect next tick", async () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      let cid;
-      harn.server.once("connect", (c) => {
-        cid = c;
-      });
-      harn.getWs().emit("connection", mockWs);
+  it("should retain counts across server stops", () => {
+    const harn = harness({ noServer: true, maxClients: 1 });
+    harn.server.start();
+    harn.getWs().emit("connection", harn.createMockWs(), {
+      url: "/",
+      headers: {},
+      socket: { remoteAddress: "1.2.3.4", remotePort: 12345 },
+    });
+    harn.server._processVerifyClient({ req: {} }, () => {});
+    expect(harn.server._clientsPerIp).toEqual({ "1.2.3.4": 1 });
+    harn.server.stop();
+    expect(harn.server._clientsPerIp).toEqual({});
+    expect(harn.server.refused()).toEqual({
+      maxClients: 1,
+      maxClientsPerIp: 0,
+    });
+  });
+});
 
-      await promisify(process.nextTick)(); // Move past queued events
+describe("Metrics", () => {
+  // Returns the value of a series in the rendered metrics, or null if absent
+  const sample = (text, series) => {
+    const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+    return line ? Number(line.substring(series.length + 1)) : null;
+  };
 
-      const listener = harn.createServerListener();
-      mockWs.emit("message", 123);
+  const setup = (options) => {
+    const harn = harness({ port: PORT, heartbeatIntervalMs: 0, ...options });
+    harn.server.start();
+    harn.getWs().emit("listening");
+    return harn;
+  };
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(0);
+  const connect = async (harn) => {
+    const mockWs = harn.createMockWs();
+    let cid;
+    harn.server.once("connect", (c) => {
+      cid = c;
+    });
+    harn.getWs().emit("connection", mockWs);
+    await promisify(process.nextTick)();
+    return { cid, mockWs };
+  };
 
-      await promisify(process.nextTick)();
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
 
-      expect(listener.starting.mock.calls.length).toBe(0);
-      expect(listener.start.mock.calls.length).toBe(0);
-      expect(listener.stopping.mock.calls.length).toBe(0);
-      expect(listener.stop.mock.calls.length).toBe(0);
-      expect(listener.connect.mock.calls.length).toBe(0);
-      expect(listener.message.mock.calls.length).toBe(0);
-      expect(listener.disconnect.mock.calls.length).toBe(1);
-      expect(listener.disconnect.mock.calls[0].length).toBe(2);
-      expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
-      expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
-      expect(listener.disconnect.mock.calls[0][1].message).toBe(
-        "FAILURE: Received non-string message on WebSocket connection.",
-      );
+  it("should not pass options.metrics to ws", () => {
+    let wsOptions;
+    const wsConstructor = function c(opts) {
+      wsOptions = opts;
+      emitter(this);
+    };
+    const harn = harness({ noServer: true, metrics: {} }, wsConstructor);
+    harn.server.start();
+    expect("metrics" in wsOptions).toBe(false);
+  });
+
+  it("should render zeroed metrics initially", () => {
+    const harn = harness({ port: PORT });
+    const text = harn.server.metrics();
+    expect(text).toContain(
+      "# HELP feedme_server_connections_opened_total Clients connected.\n# TYPE feedme_server_connections_opened_total counter\nfeedme_server_connections_opened_total 0\n",
+    );
+    expect(sample(text, "feedme_server_clients")).toBe(0);
+    expect(text).toContain("# TYPE feedme_server_connections_closed_total");
+    expect(text).not.toContain("feedme_server_connections_closed_total{");
+    expect(
+      sample(text, 'feedme_server_heartbeat_latency_seconds_bucket{le="+Inf"}'),
+    ).toBe(0);
+  });
+
+  it("should apply a custom prefix and buckets", () => {
+    const harn = harness({
+      port: PORT,
+      metrics: { prefix: "app", buckets: [0.1] },
     });
+    const text = harn.server.metrics();
+    expect(sample(text, "app_clients")).toBe(0);
+    expect(sample(text, 'app_heartbeat_latency_seconds_bucket{le="0.1"}')).toBe(
+      0,
+    );
+    expect(
+      sample(text, 'feedme_server_heartbeat_latency_seconds_bucket{le="0.5"}'),
+    ).toBe(null);
+  });
 
-    // State
+  it("should count connections, messages, and bytes", async () => {
+    const harn = setup();
+    const { cid, mockWs } = await connect(harn);
+    mockWs.emit("message", "h\u00e9llo");
+    harn.server.send(cid, "abc");
+    mockWs.send.mock.calls[0][1](); // Write succeeded
+    let text = harn.server.metrics();
+    expect(sample(text, "feedme_server_connections_opened_total")).toBe(1);
+    expect(sample(text, "feedme_server_clients")).toBe(1);
+    expect(sample(text, "feedme_server_messages_received_total")).toBe(1);
+    expect(sample(text, "feedme_server_received_bytes_total")).toBe(6);
+    expect(sample(text, "feedme_server_messages_sent_total")).toBe(1);
+    expect(sample(text, "feedme_server_sent_bytes_total")).toBe(3);
+
+    harn.server.disconnect(cid);
+    text = harn.server.metrics();
+    expect(sample(text, "feedme_server_clients")).toBe(0);
+    expect(
+      sample(
+        text,
+        'feedme_server_connections_closed_total{reason="application"}',
+      ),
+    ).toBe(1);
+  });
 
-    it("should update the state appropriately", () => {
-      const harn = harness({ port: PORT });
-      harn.server.start();
-      harn.getWs().emit("listening");
-      const mockWs = harn.createMockWs();
-      harn.getWs().emit("connection", mockWs);
+  it("should not count heartbeat pings as messages", async () => {
+    const harn = setup();
+    const { mockWs } = await connect(harn);
+    mockWs.protocol = "feedme.heartbeat";
+    mockWs.emit("message", config.wsHeartbeatPing);
+    const text = harn.server.metrics();
+    expect(sample(text, "feedme_server_messages_received_total")).toBe(0);
+    expect(sample(text, "feedme_server_messages_sent_total")).toBe(0);
+  });
+
+  it("should count closures by reason", async () => {
+    const harn = setup();
+    const { mockWs: ws1 } = await connect(harn);
+    await connect(harn);
+    ws1.emit("close", 1000, "");
+    harn.server.stop();
+    const text = harn.server.metrics();
+    expect(
+      sample(
+        text,
+        'feedme_server_connections_closed_total{reason="clientClosed"}',
+      ),
+    ).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_server_connections_closed_total{reason="serverStopping"}',
+      ),
+    ).toBe(1);
+  });
+
+  it("should count send failures", async () => {
+    const harn = setup();
+    const { cid, mockWs } = await connect(harn);
+    harn.server.send(cid, "abc");
+    mockWs.send.mock.calls[0][1](new Error("Bad"));
+    const text = harn.server.metrics();
+    expect(sample(text, "feedme_server_send_failures_total")).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_server_connections_closed_total{reason="transmissionFailure"}',
+      ),
+    ).toBe(1);
+  });
+
+  it("should record heartbeat latency and count heartbeat timeouts", async () => {
+    const harn = setup({ heartbeatIntervalMs: 5000, heartbeatTimeoutMs: 4500 });
+    const { mockWs } = await connect(harn);
+    const now = jest.spyOn(Date, "now");
+    now.mockReturnValue(1000);
+    jest.advanceTimersByTime(5000);
+    now.mockReturnValue(1025);
+    mockWs.emit("pong");
+    let text = harn.server.metrics();
+    expect(
+      sample(text, 'feedme_server_heartbeat_latency_seconds_bucket{le="0.01"}'),
+    ).toBe(0);
+    expect(
+      sample(
+        text,
+        'feedme_server_heartbeat_latency_seconds_bucket{le="0.025"}',
+      ),
+    ).toBe(1);
+    expect(
+      sample(text, 'feedme_server_heartbeat_latency_seconds_bucket{le="+Inf"}'),
+    ).toBe(1);
+    expect(sample(text, "feedme_server_heartbeat_latency_seconds_sum")).toBe(
+      0.025,
+    );
+    expect(sample(text, "feedme_server_heartbeat_latency_seconds_count")).toBe(
+      1,
+    );
+
+    jest.advanceTimersByTime(5000 + 4500);
+    text = harn.server.metrics();
+    expect(sample(text, "feedme_server_heartbeat_timeouts_total")).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_server_connections_closed_total{reason="heartbeatFailure"}',
+      ),
+    ).toBe(1);
+  });
 
-      const newState = harn.getServerState();
-      newState._wsClients = {};
-      newState._heartbeatIntervals = {};
-      newState._heartbeatTimeouts = {};
-      mockWs.emit("message", 123);
-      expect(harn.server).toHaveState(newState);
-    });
+  it("should count handshake rejections by reason", async () => {
+    const harn = setup({
+      maxClients: 1,
+      authenticate: () => Promise.reject(new Error("Bad")),
+    });
+    harn.server._processVerifyClient({ req: {} }, () => {});
+    await connect(harn);
+    harn.server._processVerifyClient({ req: {} }, () => {});
+    harn.server._processHandleProtocols(["junk"]);
+    await promisify(setImmediate)();
+    const text = harn.server.metrics();
+    expect(
+      sample(
+        text,
+        'feedme_server_handshake_rejections_total{reason="authentication"}',
+      ),
+    ).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_server_handshake_rejections_total{reason="maxClients"}',
+      ),
+    ).toBe(1);
+    expect(
+      sample(
+        text,
+        'feedme_server_handshake_rejections_total{reason="protocol"}',
+      ),
+    ).toBe(1);
+  });
 
-    // Function calls - N/A
+  it("should retain metrics across server stops", async () => {
+    const harn = setup();
+    await connect(harn);
+    harn.server.stop();
+    expect(
+      sample(harn.server.metrics(), "feedme_server_connections_opened_total"),
+    ).toBe(1);
+  });
+});
 
-    // Calls on ws - N/A
+describe("The server.metricsHandler() function", () => {
+  const createResponse = () => ({ writeHead: jest.fn(), end: jest.fn() });
 
-    // Outbound callbacks - N/A
+  it("should serve the metrics on GET", () => {
+    const harn = harness({ port: PORT });
+    const res = createResponse();
+    harn.server.metricsHandler()({ method: "GET" }, res);
+    const text = harn.server.metrics();
+    expect(res.writeHead.mock.calls).toEqual([
+      [
+        200,
+        {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+          "Cache-Control": "no-store",
+          "Content-Length": Buffer.byteLength(text),
+        },
+      ],
+    ]);
+    expect(res.end.mock.calls).toEqual([[text]]);
+  });
 
-    // Inbound callbacks (events, state, ws, callbacks) - N/A
+  it("should respond 405 to other methods", () => {
+    const harn = harness({ port: PORT });
+    const res = createResponse();
+    harn.server.metricsHandler()({ method: "POST" }, res);
+    expect(res.writeHead.mock.calls[0][0]).toBe(405);
+    expect(res.writeHead.mock.calls[0][1].Allow).toBe("GET, HEAD");
   });
 });
 
-describe("The server._processWsClientPong() function", () => {
-  // Events
+describe("External http server monitoring", () => {
+  // Mock http server with a close() method and a listen handle
+  const mockHttpServer = () => {
+    const httpServer = emitter({ listening: true });
+    httpServer.close = jest.fn(() => {
+      httpServer._handle.close();
+      httpServer._handle = null;
+      httpServer.listening = false;
+    });
+    httpServer._handle = { close: jest.fn() };
+    return httpServer;
+  };
 
-  it("should emit nothing next tick", async () => {
-    const harn = harness({ port: PORT });
+  it("should hook close() and the listen handle instead of polling", () => {
+    const httpServer = mockHttpServer();
+    const { close } = httpServer;
+    const handle = httpServer._handle;
+    const handleClose = handle.close;
+    const harn = harness({ server: httpServer });
     harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs);
-    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+    expect(harn.server.state()).toBe("started");
+    expect(harn.server._httpPollingInterval).toBe(null);
+    expect(httpServer.close).not.toBe(close);
+    expect(handle.close).not.toBe(handleClose);
+  });
 
+  it("should stop synchronously when httpServer.close() is called", async () => {
+    const httpServer = mockHttpServer();
+    const { close } = httpServer;
+    const harn = harness({ server: httpServer });
+    harn.server.start();
     await promisify(process.nextTick)(); // Move past queued events
 
+    const wsServer = harn.getWs();
     const listener = harn.createServerListener();
-    mockWs.emit("pong");
+    const cb = () => {};
+    httpServer.close(cb);
+    expect(close.mock.calls).toEqual([[cb]]);
+    expect(harn.server.state()).toBe("stopping");
+    expect(wsServer.close.mock.calls.length).toBe(1);
 
     await promisify(process.nextTick)();
+    expect(listener.stopping.mock.calls.length).toBe(1);
+    expect(listener.stopping.mock.calls[0][0].message).toBe(
+      "FAILURE: The external http server stopped listening.",
+    );
+  });
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+  it("should stop synchronously when the listen handle is closed directly", () => {
+    const httpServer = mockHttpServer();
+    const handle = httpServer._handle;
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    handle.close();
+    expect(harn.server.state()).toBe("stopping");
   });
 
-  // State
+  it("should not stop if httpServer.close() leaves the server listening", () => {
+    const httpServer = emitter({ listening: true });
+    httpServer.close = jest.fn();
+    httpServer._handle = { close: jest.fn() };
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    httpServer.close();
+    expect(harn.server.state()).toBe("started");
+  });
 
-  it("should update the state appropriately", async () => {
-    const harn = harness({ port: PORT });
+  it("should restore close() and the listen handle on stop", () => {
+    const httpServer = mockHttpServer();
+    const { close } = httpServer;
+    const handle = httpServer._handle;
+    const handleClose = handle.close;
+    const harn = harness({ server: httpServer });
     harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs = harn.createMockWs();
-    let cid;
-    harn.server.once("connect", (c) => {
-      cid = c;
-    });
-    harn.getWs().emit("connection", mockWs);
+    harn.server.stop();
+    expect(httpServer.close).toBe(close);
+    expect(handle.close).toBe(handleClose);
+    expect(harn.server._httpMonitor).toBe(null);
+  });
 
-    await promisify(process.nextTick)(); // Move past queued events
+  it("should remove an inherited close() hook on stop", () => {
+    const httpServer = emitter(
+      Object.create({
+        close() {
+          this.listening = false;
+        },
+      }),
+    );
+    httpServer.listening = true;
+    httpServer._handle = { close: jest.fn() };
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    expect(Object.prototype.hasOwnProperty.call(httpServer, "close")).toBe(
+      true,
+    );
+    harn.server.stop();
+    expect(Object.prototype.hasOwnProperty.call(httpServer, "close")).toBe(
+      false,
+    );
+  });
 
-    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  it("should leave hooks that were replaced in turn as pass-throughs", () => {
+    const httpServer = mockHttpServer();
+    const { close } = httpServer;
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    const hook = httpServer.close;
+    const wrapper = jest.fn((...args) => hook(...args));
+    httpServer.close = wrapper;
+    const wsServer = harn.getWs();
+    harn.server.stop();
+    wsServer.close.mock.calls[0][0](); // Fire ws close callback
+    expect(harn.server.state()).toBe("stopped");
+    expect(httpServer.close).toBe(wrapper);
 
-    const newState = harn.getServerState();
-    mockWs.emit("pong");
-    delete newState._heartbeatTimeouts[cid];
-    expect(harn.server).toHaveState(newState);
+    // Restart - the stale hook passes through and the new one stops
+    harn.server.start();
+    expect(harn.server.state()).toBe("started");
+    httpServer.close();
+    expect(wrapper.mock.calls.length).toBe(1);
+    expect(close.mock.calls.length).toBe(1);
+    expect(harn.server.state()).toBe("stopping");
   });
 
-  // Function calls
+  it("should poll if the server has no listen handle", () => {
+    const httpServer = emitter({ listening: true });
+    httpServer.close = jest.fn();
+    const harn = harness({ server: httpServer });
+    harn.server.start();
+    expect(harn.server._httpPollingInterval).not.toBe(null);
+    httpServer.listening = false;
+    jest.advanceTimersByTime(serverConfig.httpPollingMs);
+    expect(harn.server.state()).toBe("stopping");
+    expect(harn.server._httpPollingInterval).toBe(null);
+  });
+});
 
-  // Stopped passing after Jest upgrade
-  // it("should call clearTimeout()", () => {
-  //   const harn = harness({ port: PORT });
-  //   harn.server.start();
-  //   harn.getWs().emit("listening");
-  //   const mockWs = harn.createMockWs();
-  //   harn.getWs().emit("connection", mockWs);
-  //   jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+describe("The server.healthHandler() function", () => {
+  const PATH = "/feedme/healthz";
 
-  //   clearTimeout.mockClear();
-  //   mockWs.emit("pong");
-  //   expect(clearTimeout.mock.calls.length).toBe(1);
-  //   expect(clearTimeout.mock.calls[0].length).toBe(1);
-  //   expect(check.integer(clearTimeout.mock.calls[0][0])).toBe(true);
-  // });
+  // External http server with an application request handler that mounts the
+  // health handler and responds to all other requests itself
+  const setup = () => {
+    const httpServer = emitter({ listening: true });
+    const harn = harness({ server: httpServer });
+    const healthHandler = harn.server.healthHandler();
+    httpServer.on("request", (req, res) => {
+      if (req.url.split("?")[0] === PATH) {
+        healthHandler(req, res);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    harn.httpServer = httpServer;
+    return harn;
+  };
 
-  // Calls on ws
+  // Makes a request to the external http server and returns the response
+  const request = (harn, method, url) => {
+    const res = { writeHead: jest.fn(), end: jest.fn() };
+    harn.httpServer.emit("request", { method, url }, res);
+    return res;
+  };
 
-  it("should do nothing on ws", () => {
-    const harn = harness({ port: PORT });
+  const body = (res) => JSON.parse(res.end.mock.calls[0][0]);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should not listen for requests on the external http server", () => {
+    const httpServer = emitter({ listening: true });
+    const harn = harness({ server: httpServer });
+    harn.server.healthHandler();
     harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs);
-    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+    expect(httpServer.listeners("request").length).toBe(0);
+  });
 
-    harn.getWs().mockClear();
-    mockWs.emit("pong");
-    expect(harn.getWs().close.mock.calls.length).toBe(0);
-    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  it("should report a started transport with a 200", () => {
+    const harn = setup();
+    harn.server.start();
+    harn.getWs().emit("connection", harn.createMockWs());
+    const res = request(harn, "GET", `${PATH}?probe=1`);
+    expect(res.writeHead.mock.calls.length).toBe(1);
+    expect(res.writeHead.mock.calls[0][0]).toBe(200);
+    expect(res.writeHead.mock.calls[0][1]["Content-Type"]).toBe(
+      "application/json",
+    );
+    expect(body(res)).toEqual({
+      state: "started",
+      clients: 1,
+      lastError: null,
+    });
   });
 
-  // Outbound callbacks - N/A
+  it("should report a failed transport with a 503 and the last error", () => {
+    const harn = setup();
+    harn.server.start();
+    jest.spyOn(Date, "now").mockReturnValue(0);
+    harn.httpServer.emit("close");
+    const res = request(harn, "GET", PATH);
+    expect(res.writeHead.mock.calls[0][0]).toBe(503);
+    expect(body(res)).toEqual({
+      state: "stopping",
+      clients: 0,
+      lastError: {
+        message: "FAILURE: The server stopped unexpectedly.",
+        time: "1970-01-01T00:00:00.000Z",
+      },
+    });
+  });
 
-  // Inbound callbacks (events, state, ws, callbacks) - N/A
+  it("should report a transport that was never started with a 503", () => {
+    const harn = setup();
+    const res = request(harn, "GET", PATH);
+    expect(res.writeHead.mock.calls[0][0]).toBe(503);
+    expect(body(res).state).toBe("stopped");
+  });
+
+  it("should continue to answer once stopped", () => {
+    const harn = setup();
+    harn.server.start();
+    const wsServer = harn.getWs();
+    harn.server.stop();
+    wsServer.close.mock.calls[0][0](); // Ws close callback
+    expect(harn.server.state()).toBe("stopped");
+    const res = request(harn, "GET", PATH);
+    expect(res.writeHead.mock.calls[0][0]).toBe(503);
+    expect(body(res).state).toBe("stopped");
+  });
+
+  it("should respond 405 to other methods", () => {
+    const harn = setup();
+    harn.server.start();
+    const res = request(harn, "POST", PATH);
+    expect(res.writeHead.mock.calls[0][0]).toBe(405);
+    expect(res.writeHead.mock.calls[0][1].Allow).toBe("GET, HEAD");
+  });
+
+  it("should leave other requests to the application", () => {
+    const harn = setup();
+    harn.server.start();
+    const res = request(harn, "GET", "/other");
+    expect(res.writeHead.mock.calls).toEqual([[404]]);
+  });
 });
 
-describe("The server._processWsClientClose() function", () => {
-  // Events
+// Stateless functionality
 
-  it("should emit disconnect next tick", async () => {
-    const harn = harness({ port: PORT });
+describe("The server.protocol() function", () => {
+  const setup = async (options, protocol) => {
+    const harn = harness({ port: PORT, ...options });
     harn.server.start();
     harn.getWs().emit("listening");
     const mockWs = harn.createMockWs();
+    mockWs.protocol = protocol;
     let cid;
     harn.server.once("connect", (c) => {
       cid = c;
     });
     harn.getWs().emit("connection", mockWs);
-
     await promisify(process.nextTick)(); // Move past queued events
+    return { harn, cid };
+  };
 
-    const listener = harn.createServerListener();
-    mockWs.readyState = mockWs.CLOSING;
-    mockWs.emit("close");
+  describe("can fail", () => {
+    it("should throw on invalid client id", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.protocol(123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id."));
+    });
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+    it("should throw if the server is not started", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.protocol("cid");
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
+    });
 
-    await promisify(process.nextTick)();
+    it("should throw if the client is not connected", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.protocol("cid");
+      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
+    });
+  });
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(1);
-    expect(listener.disconnect.mock.calls[0].length).toBe(2);
-    expect(listener.disconnect.mock.calls[0][0]).toBe(cid);
-    expect(listener.disconnect.mock.calls[0][1]).toBeInstanceOf(Error);
-    expect(listener.disconnect.mock.calls[0][1].message).toBe(
-      "FAILURE: The WebSocket closed.",
-    );
+  describe("can succeed", () => {
+    it("should return the default version", async () => {
+      const { harn, cid } = await setup({}, "feedme.heartbeat");
+      expect(harn.server.protocol(cid)).toBe("feedme");
+    });
+
+    it("should return the negotiated version with configured casing", async () => {
+      const { harn, cid } = await setup(
+        { binary: true, protocols: ["feedme.V2+deflate", "feedme"] },
+        "FEEDME.v2+DEFLATE.binary.heartbeat",
+      );
+      expect(harn.server.protocol(cid)).toBe("feedme.V2+deflate");
+    });
+
+    it("should return null if no subprotocol was requested", async () => {
+      const { harn, cid } = await setup({}, "");
+      expect(harn.server.protocol(cid)).toBe(null);
+    });
   });
+});
 
-  // State
+describe("The server.latency() function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid client id", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.latency(123);
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid client id."));
+    });
 
-  it("should update the state appropriately", async () => {
-    const harn = harness({ port: PORT });
-    harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs = harn.createMockWs();
-    let cid;
-    harn.server.once("connect", (c) => {
-      cid = c;
+    it("should throw if the server is not started", () => {
+      const harn = harness({ port: PORT });
+      expect(() => {
+        harn.server.latency("cid");
+      }).toThrow(new Error("INVALID_STATE: The server is not started."));
     });
-    harn.getWs().emit("connection", mockWs);
 
-    await promisify(process.nextTick)(); // Move past queued events
+    it("should throw if the client is not connected", () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      expect(() => {
+        harn.server.latency("cid");
+      }).toThrow(new Error("INVALID_STATE: The client is not connected."));
+    });
+  });
 
-    jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  describe("can succeed", () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should return nulls if no round trip has completed", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", harn.createMockWs());
+
+      await promisify(process.nextTick)(); // Move past queued events
+
+      expect(harn.server.latency(cid)).toEqual({
+        last: null,
+        average: null,
+        p95: null,
+      });
+    });
+
+    it("should return statistics once round trips have completed", async () => {
+      const harn = harness({ port: PORT });
+      harn.server.start();
+      harn.getWs().emit("listening");
+      const mockWs = harn.createMockWs();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      harn.getWs().emit("connection", mockWs);
 
-    const newState = harn.getServerState();
+      await promisify(process.nextTick)(); // Move past queued events
 
-    mockWs.readyState = mockWs.CLOSING;
-    mockWs.emit("close");
+      const now = jest.spyOn(Date, "now");
+      [10, 30].forEach((rtt) => {
+        now.mockReturnValue(0);
+        jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+        now.mockReturnValue(rtt);
+        mockWs.emit("pong");
+      });
 
-    delete newState._wsClients[cid];
-    delete newState._heartbeatIntervals[cid];
-    delete newState._heartbeatTimeouts[cid];
-    expect(harn.server).toHaveState(newState);
+      expect(harn.server.latency(cid)).toEqual({
+        last: 30,
+        average: 20,
+        p95: 30,
+      });
+    });
   });
+});
 
-  // Function calls
+describe("The server._getClientInfo() function", () => {
+  // Events - N/A
 
-  // Stopped passing after Jest upgrade
-  // it("should call clearInterval and clearTimeout", () => {
-  //   const harn = harness({ port: PORT });
-  //   harn.server.start();
-  //   harn.getWs().emit("listening");
-  //   const mockWs = harn.createMockWs();
-  //   harn.getWs().emit("connection", mockWs);
-  //   jest.advanceTimersByTime(serverConfig.defaults.heartbeatIntervalMs);
+  // State - N/A
 
-  //   clearInterval.mockClear();
-  //   clearTimeout.mockClear();
+  // Function calls - N/A
 
-  //   mockWs.readyState = mockWs.CLOSING;
-  //   mockWs.emit("close");
+  // Calls on ws - N/A
 
-  //   expect(clearInterval.mock.calls.length).toBe(1);
-  //   expect(clearInterval.mock.calls[0].length).toBe(1);
-  //   expect(check.integer(clearInterval.mock.calls[0][0])).toBe(true);
-  //   expect(clearTimeout.mock.calls.length).toBe(1);
-  //   expect(clearTimeout.mock.calls[0].length).toBe(1);
-  //   expect(check.integer(clearTimeout.mock.calls[0][0])).toBe(true);
-  // });
+  // Outbound callbacks - N/A
 
-  // Calls on ws
+  // Inbound callbacks (events, state, ws, callbacks) - N/A
 
-  it("should do nothing on ws", () => {
+  // Return value
+
+  it("should return correctly if there is no request", () => {
     const harn = harness({ port: PORT });
-    harn.server.start();
-    harn.getWs().emit("listening");
-    const mockWs = harn.createMockWs();
-    harn.getWs().emit("connection", mockWs);
+    expect(harn.server._getClientInfo(undefined)).toEqual({
+      remoteAddress: null,
+      remotePort: null,
+      forwardedFor: [],
+      headers: {},
+      url: null,
+      path: null,
+      query: {},
+      secure: false,
+      tls: null,
+      identity: null,
+    });
+  });
 
-    harn.getWs().mockClear();
+  it("should return correctly for a request with no socket", () => {
+    const harn = harness({ port: PORT });
+    const req = new http.IncomingMessage();
+    req.url = "/path";
+    req.headers = { host: "localhost" };
+    expect(harn.server._getClientInfo(req)).toEqual({
+      remoteAddress: null,
+      remotePort: null,
+      forwardedFor: [],
+      headers: { host: "localhost" },
+      url: "/path",
+      path: "/path",
+      query: {},
+      secure: false,
+      tls: null,
+      identity: null,
+    });
+  });
 
-    mockWs.readyState = mockWs.CLOSING;
-    mockWs.emit("close");
+  it("should return correctly for a plain request with query", () => {
+    const harn = harness({ port: PORT });
+    expect(
+      harn.server._getClientInfo({
+        url: "/path?a=1&b=2&b=3",
+        headers: {
+          host: "localhost",
+          "x-forwarded-for": "5.6.7.8, 9.10.11.12,, ",
+        },
+        socket: { remoteAddress: "1.2.3.4", remotePort: 12345 },
+      }),
+    ).toEqual({
+      remoteAddress: "1.2.3.4",
+      remotePort: 12345,
+      forwardedFor: ["5.6.7.8", "9.10.11.12"],
+      headers: {
+        host: "localhost",
+        "x-forwarded-for": "5.6.7.8, 9.10.11.12,, ",
+      },
+      url: "/path?a=1&b=2&b=3",
+      path: "/path",
+      query: { a: "1", b: ["2", "3"] },
+      secure: false,
+      tls: null,
+      identity: null,
+    });
+  });
 
-    expect(harn.getWs().close.mock.calls.length).toBe(0);
-    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  it("should return correctly for a TLS request", () => {
+    const harn = harness({ port: PORT });
+    const info = harn.server._getClientInfo({
+      url: "/",
+      headers: {},
+      socket: {
+        remoteAddress: "1.2.3.4",
+        remotePort: 12345,
+        encrypted: true,
+        authorized: false,
+        authorizationError: "SOME_ERROR",
+        getProtocol: () => "TLSv1.3",
+        getCipher: () => ({ name: "SOME_CIPHER" }),
+      },
+    });
+    expect(info.secure).toBe(true);
+    expect(info.tls).toEqual({
+      protocol: "TLSv1.3",
+      cipher: { name: "SOME_CIPHER" },
+      authorized: false,
+      authorizationError: "SOME_ERROR",
+    });
   });
+});
 
-  // Outbound callbacks - N/A
+describe("The server._processVerifyClient() function", () => {
+  const flush = () =>
+    new Promise((resolve) => {
+      setImmediate(resolve);
+    });
 
-  // Inbound callbacks (events, state, ws, callbacks) - N/A
-});
+  // Events
 
-describe("The server._processWsClientError() function", () => {
-  // Trivial
-});
+  it("should emit connect with the identity once the upgrade completes", async () => {
+    const identity = { user: "someone" };
+    const harn = harness({ noServer: true, authenticate: () => identity });
+    harn.server.start();
 
-// State-getting functionality
+    await promisify(process.nextTick)(); // Move past queued events
 
-describe("The server.state() function", () => {
-  // Events
+    const req = { url: "/", headers: {} };
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req }, cb);
+    await flush();
 
-  it("should emit nothing next tick", async () => {
-    const harn = harness({ port: PORT });
     const listener = harn.createServerListener();
-    harn.server.state();
+    harn.getWs().emit("connection", harn.createMockWs(), req);
 
     await promisify(process.nextTick)();
 
-    expect(listener.starting.mock.calls.length).toBe(0);
-    expect(listener.start.mock.calls.length).toBe(0);
-    expect(listener.stopping.mock.calls.length).toBe(0);
-    expect(listener.stop.mock.calls.length).toBe(0);
-    expect(listener.connect.mock.calls.length).toBe(0);
-    expect(listener.message.mock.calls.length).toBe(0);
-    expect(listener.disconnect.mock.calls.length).toBe(0);
+    expect(listener.connect.mock.calls.length).toBe(1);
+    expect(
+      harn.server.clientInfo(listener.connect.mock.calls[0][0]).identity,
+    ).toEqual(identity);
+    expect(harn.server._authIdentities.has(req)).toBe(false);
   });
 
-  // State
+  // State - N/A
 
-  it("should not change the state", () => {
-    const harn = harness({ port: PORT });
+  // Function calls
 
-    const newState = harn.getServerState();
-    harn.server.state();
-    expect(harn.server).toHaveState(newState);
+  it("should call authenticate() with the request", () => {
+    const authenticate = jest.fn();
+    const harn = harness({ noServer: true, authenticate });
+    harn.server.start();
+    const req = { url: "/", headers: {} };
+    harn.server._processVerifyClient({ req }, () => {});
+    return flush().then(() => {
+      expect(authenticate.mock.calls.length).toBe(1);
+      expect(authenticate.mock.calls[0].length).toBe(1);
+      expect(authenticate.mock.calls[0][0]).toBe(req);
+    });
   });
 
-  // Function calls - N/A
+  // Calls on ws - N/A
 
-  // Calls on ws
+  // Outbound callbacks
 
-  it("should do nothing on ws", () => {
-    const harn = harness({ port: PORT });
+  it("should call back success if authenticate() returns a value", async () => {
+    const harn = harness({ noServer: true, authenticate: () => "someone" });
     harn.server.start();
-    harn.getWs().emit("listening");
+    const req = {};
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req }, cb);
+    expect(cb.mock.calls.length).toBe(0);
+    await flush();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0]).toEqual([true]);
+    expect(harn.server._authIdentities.get(req)).toBe("someone");
+  });
 
-    harn.getWs().mockClear();
-    harn.server.state();
-    expect(harn.getWs().close.mock.calls.length).toBe(0);
-    expect(harn.getWs().handleUpgrade.mock.calls.length).toBe(0);
+  it("should call back success if authenticate() resolves", async () => {
+    const harn = harness({
+      noServer: true,
+      authenticate: () => Promise.resolve(),
+    });
+    harn.server.start();
+    const req = {};
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req }, cb);
+    await flush();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0]).toEqual([true]);
+    expect(harn.server._authIdentities.get(req)).toBe(null);
   });
 
-  // Outbound callbacks - N/A
+  it("should call back failure if authenticate() throws", async () => {
+    const harn = harness({
+      noServer: true,
+      authenticate: () => {
+        throw new Error("DENIED");
+      },
+    });
+    harn.server.start();
+    const req = {};
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req }, cb);
+    await flush();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0]).toEqual([false, 401, undefined, undefined]);
+    expect(harn.server._authIdentities.has(req)).toBe(false);
+  });
+
+  it("should call back failure if authenticate() rejects with status, body, and headers", async () => {
+    const err = new Error("DENIED");
+    err.statusCode = 403;
+    err.body = "Go away";
+    err.headers = { "X-Reason": "banned" };
+    const harn = harness({
+      noServer: true,
+      authenticate: () => Promise.reject(err),
+    });
+    harn.server.start();
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req: {} }, cb);
+    await flush();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0]).toEqual([
+      false,
+      403,
+      "Go away",
+      { "X-Reason": "banned" },
+    ]);
+  });
+
+  it("should call back failure if authenticate() rejects with an invalid status", async () => {
+    const err = new Error("DENIED");
+    err.statusCode = 200;
+    const harn = harness({
+      noServer: true,
+      authenticate: () => Promise.reject(err),
+    });
+    harn.server.start();
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req: {} }, cb);
+    await flush();
+    expect(cb.mock.calls[0]).toEqual([false, 401, undefined, undefined]);
+  });
+
+  it("should call back failure if authenticate() rejects with a non-error", async () => {
+    const harn = harness({
+      noServer: true,
+      authenticate: () => Promise.reject(),
+    });
+    harn.server.start();
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req: {} }, cb);
+    await flush();
+    expect(cb.mock.calls[0]).toEqual([false, 401, undefined, undefined]);
+  });
+
+  it("should call back 503 if the server stops during authentication", async () => {
+    let resolveAuth;
+    const harn = harness({
+      noServer: true,
+      authenticate: () =>
+        new Promise((resolve) => {
+          resolveAuth = resolve;
+        }),
+    });
+    harn.server.start();
+    const req = {};
+    const cb = jest.fn();
+    harn.server._processVerifyClient({ req }, cb);
+    await flush();
+    harn.server.stop();
+    resolveAuth("someone");
+    await flush();
+    expect(cb.mock.calls.length).toBe(1);
+    expect(cb.mock.calls[0]).toEqual([false, 503]);
+    expect(harn.server._authIdentities.has(req)).toBe(false);
+  });
+
+  describe("with connection limits", () => {
+    const connect = (harn, remoteAddress) => {
+      harn.getWs().emit("connection", harn.createMockWs(), {
+        url: "/",
+        headers: {},
+        socket: { remoteAddress, remotePort: 12345 },
+      });
+    };
+
+    it("should call back success synchronously if under the limits", () => {
+      const harn = harness({ noServer: true, maxClients: 2 });
+      harn.server.start();
+      connect(harn, "1.2.3.4");
+      const cb = jest.fn();
+      harn.server._processVerifyClient({ req: {} }, cb);
+      expect(cb.mock.calls.length).toBe(1);
+      expect(cb.mock.calls[0]).toEqual([true]);
+    });
+
+    it("should call back 503 and update state if options.maxClients is reached", () => {
+      const harn = harness({ noServer: true, maxClients: 1 });
+      harn.server.start();
+      connect(harn, "1.2.3.4");
+      const newState = harn.getServerState();
+      const cb = jest.fn();
+      harn.server._processVerifyClient({ req: {} }, cb);
+      expect(cb.mock.calls.length).toBe(1);
+      expect(cb.mock.calls[0]).toEqual([false, 503]);
+      newState._refused.maxClients = 1;
+      expect(harn.server).toHaveState(newState);
+      expect(harn.server.refused()).toEqual({
+        maxClients: 1,
+        maxClientsPerIp: 0,
+      });
+    });
+
+    it("should call back 429 and update state if options.maxClientsPerIp is reached", () => {
+      const harn = harness({ noServer: true, maxClientsPerIp: 1 });
+      harn.server.start();
+      connect(harn, "1.2.3.4");
+      const newState = harn.getServerState();
+      const cb = jest.fn();
+      harn.server._processVerifyClient(
+        { req: { socket: { remoteAddress: "1.2.3.4" } } },
+        cb,
+      );
+      expect(cb.mock.calls.length).toBe(1);
+      expect(cb.mock.calls[0]).toEqual([false, 429]);
+      newState._refused.maxClientsPerIp = 1;
+      expect(harn.server).toHaveState(newState);
+    });
+
+    it("should call back success if options.maxClientsPerIp is reached for another address", () => {
+      const harn = harness({ noServer: true, maxClientsPerIp: 1 });
+      harn.server.start();
+      connect(harn, "1.2.3.4");
+      const cb = jest.fn();
+      harn.server._processVerifyClient(
+        { req: { socket: { remoteAddress: "5.6.7.8" } } },
+        cb,
+      );
+      expect(cb.mock.calls[0]).toEqual([true]);
+    });
+
+    it("should accept again once a client disconnects", () => {
+      const harn = harness({ noServer: true, maxClientsPerIp: 1 });
+      harn.server.start();
+      let cid;
+      harn.server.once("connect", (c) => {
+        cid = c;
+      });
+      connect(harn, "1.2.3.4");
+      return promisify(process.nextTick)().then(() => {
+        harn.server.disconnect(cid);
+        expect(harn.server._clientsPerIp).toEqual({});
+        const cb = jest.fn();
+        harn.server._processVerifyClient(
+          { req: { socket: { remoteAddress: "1.2.3.4" } } },
+          cb,
+        );
+        expect(cb.mock.calls[0]).toEqual([true]);
+      });
+    });
+
+    it("should not call authenticate() if a limit is reached", () => {
+      const authenticate = jest.fn();
+      const harn = harness({ noServer: true, maxClients: 1, authenticate });
+      harn.server.start();
+      connect(harn, "1.2.3.4");
+      const cb = jest.fn();
+      harn.server._processVerifyClient({ req: {} }, cb);
+      return flush().then(() => {
+        expect(authenticate.mock.calls.length).toBe(0);
+        expect(cb.mock.calls[0]).toEqual([false, 503]);
+      });
+    });
+
+    it("should call back 503 if a limit is reached during authentication", async () => {
+      let resolveAuth;
+      const harn = harness({
+        noServer: true,
+        maxClients: 1,
+        authenticate: () =>
+          new Promise((resolve) => {
+            resolveAuth = resolve;
+          }),
+      });
+      harn.server.start();
+      const req = {};
+      const cb = jest.fn();
+      harn.server._processVerifyClient({ req }, cb);
+      await flush();
+      connect(harn, "1.2.3.4");
+      resolveAuth("someone");
+      await flush();
+      expect(cb.mock.calls.length).toBe(1);
+      expect(cb.mock.calls[0]).toEqual([false, 503]);
+      expect(harn.server._authIdentities.has(req)).toBe(false);
+      expect(harn.server.refused().maxClients).toBe(1);
+    });
+  });
 
   // Inbound callbacks (events, state, ws, callbacks) - N/A
 
   // Return value
 
-  it("should return the state", () => {
-    const harn = harness({ port: PORT });
-    expect(harn.server.state()).toBe("stopped");
+  it("should return nothing", () => {
+    const harn = harness({ noServer: true, authenticate: () => {} });
+    harn.server.start();
+    expect(harn.server._processVerifyClient({ req: {} }, () => {})).toBe(
+      undefined,
+    );
   });
 });
 
-// Stateless functionality
-
 describe("The server._handleProtocols() function", () => {
   // Events - N/A
 
@@ -4889,6 +9517,131 @@ describe("The server._handleProtocols() function", () => {
     ).toBe(false);
   });
 
+  it("should return correctly if feedme.heartbeat is present - client preference", () => {
+    const harn = harness({ port: PORT });
+    expect(
+      harn.server._processHandleProtocols(["feedme.heartbeat", "feedme"]),
+    ).toBe("feedme.heartbeat");
+    expect(
+      harn.server._processHandleProtocols(["feedme", "feedme.heartbeat"]),
+    ).toBe("feedme");
+  });
+
+  it("should return correctly if feedme.heartbeat is present - preserve alternative case", () => {
+    const harn = harness({ port: PORT });
+    expect(
+      harn.server._processHandleProtocols(["FeEdMe.HeArTbEaT", "feedme"]),
+    ).toBe("FeEdMe.HeArTbEaT");
+  });
+
+  it("should return correctly if feedme.binary is present - binary mode disabled", () => {
+    const harn = harness({ port: PORT });
+    expect(
+      harn.server._processHandleProtocols([
+        "feedme.binary.heartbeat",
+        "feedme.binary",
+      ]),
+    ).toBe(false);
+  });
+
+  it("should return correctly if feedme.binary is present - binary mode enabled", () => {
+    const harn = harness({ port: PORT, binary: true });
+    expect(harn.server._processHandleProtocols(["feedme.binary"])).toBe(
+      "feedme.binary",
+    );
+  });
+
+  it("should return correctly if feedme.binary.heartbeat is present - client preference", () => {
+    const harn = harness({ port: PORT, binary: true });
+    expect(
+      harn.server._processHandleProtocols([
+        "FeEdMe.BiNaRy.HeArTbEaT",
+        "feedme.binary",
+      ]),
+    ).toBe("FeEdMe.BiNaRy.HeArTbEaT");
+    expect(
+      harn.server._processHandleProtocols([
+        "feedme.binary",
+        "FeEdMe.BiNaRy.HeArTbEaT",
+      ]),
+    ).toBe("feedme.binary");
+  });
+
+  it("should return correctly if options.protocols is specified - client preference", () => {
+    const harn = harness({
+      port: PORT,
+      protocols: ["feedme.v2+deflate", "feedme.v2", "feedme"],
+    });
+    expect(
+      harn.server._processHandleProtocols([
+        "feedme.v3",
+        "Feedme.V2+Deflate",
+        "feedme.v2",
+        "feedme",
+      ]),
+    ).toBe("Feedme.V2+Deflate");
+    expect(
+      harn.server._processHandleProtocols([
+        "feedme.heartbeat",
+        "feedme",
+        "feedme.v2",
+        "Feedme.V2+Deflate",
+      ]),
+    ).toBe("feedme.heartbeat");
+  });
+
+  it("should return correctly if options.protocols is specified - extensions", () => {
+    const harn = harness({
+      port: PORT,
+      binary: true,
+      protocols: ["feedme.v2", "feedme"],
+    });
+    expect(
+      harn.server._processHandleProtocols([
+        "feedme.v3.binary.heartbeat",
+        "feedme.v2.binary.heartbeat",
+        "feedme.binary",
+      ]),
+    ).toBe("feedme.v2.binary.heartbeat");
+  });
+
+  it("should return correctly if options.protocols is specified - unsupported version", () => {
+    const harn = harness({ port: PORT, protocols: ["feedme.v2"] });
+    expect(
+      harn.server._processHandleProtocols(["feedme.heartbeat", "feedme"]),
+    ).toBe(false);
+  });
+
+  it("should return correctly if only plain protocols are present - binary mode enabled", () => {
+    const harn = harness({ port: PORT, binary: true });
+    expect(
+      harn.server._processHandleProtocols(["feedme.heartbeat", "feedme"]),
+    ).toBe("feedme.heartbeat");
+  });
+
+  it("should return correctly if feedme.resume is present - resumption disabled", () => {
+    const harn = harness({ port: PORT });
+    expect(
+      harn.server._processHandleProtocols(["feedme.resume", "feedme"]),
+    ).toBe("feedme");
+  });
+
+  it("should return correctly if feedme.resume is present - resumption enabled", () => {
+    const harn = harness({ port: PORT, resume: true });
+    expect(
+      harn.server._processHandleProtocols(["feedme.resume", "feedme"]),
+    ).toBe("feedme.resume");
+    expect(
+      harn.server._processHandleProtocols(["feedme", "feedme.resume"]),
+    ).toBe("feedme");
+    expect(
+      harn.server._processHandleProtocols([
+        "feedme.heartbeat.resume",
+        "feedme.heartbeat",
+      ]),
+    ).toBe("feedme.heartbeat.resume");
+  });
+
   // Ws always passes at least one protocol element
 });
 
@@ -0,0 +1,295 @@
+import emitter from "component-emitter";
+import http from "http";
+import promisify from "promisify-function";
+import sseEndpoint from "../sse.endpoint";
+
+const flush = () =>
+  new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+
+const createServer = () => {
+  const server = emitter({});
+  server.listen = jest.fn();
+  server.close = jest.fn((cb) => {
+    process.nextTick(cb);
+  });
+  return server;
+};
+
+const createRequest = (method, url, body) => {
+  const req = new http.IncomingMessage({ remoteAddress: "1.2.3.4" });
+  req.method = method;
+  req.url = url;
+  req.headers = {};
+  if (body !== undefined) {
+    req.push(JSON.stringify(body));
+  }
+  req.push(null);
+  return req;
+};
+
+const createResponse = () => {
+  const res = emitter({});
+  res.writeHead = jest.fn();
+  res.written = [];
+  res.write = jest.fn((chunk) => {
+    res.written.push(chunk);
+  });
+  res.end = jest.fn();
+  res.destroy = jest.fn();
+  res.getStatus = () =>
+    res.writeHead.mock.calls.length > 0 ? res.writeHead.mock.calls[0][0] : 0;
+  return res;
+};
+
+// Passes a request to the endpoint as the application would
+const request = (endpoint, method, url, body) => {
+  const req = createRequest(method, url, body);
+  const res = createResponse();
+  endpoint.handleRequest(req, res);
+  return { req, res };
+};
+
+// Opens a stream and returns { sid, socket, res }
+const openStream = (endpoint) => {
+  let socket;
+  endpoint.once("connection", (s) => {
+    socket = s;
+  });
+  const { res } = request(endpoint, "GET", "/feedme?protocols=feedme");
+  const { sid } = JSON.parse(res.written[0].split("data: ")[1]);
+  return { sid, socket, res };
+};
+
+describe("The sseEndpoint() factory function", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should throw without a port or server option", () => {
+    expect(() => {
+      sseEndpoint({ noServer: true });
+    }).toThrow(
+      new Error(
+        "INVALID_ARGUMENT: The SSE endpoint requires a port or server option.",
+      ),
+    );
+  });
+
+  it("should not listen for requests on an external server", () => {
+    const server = createServer();
+    sseEndpoint({ server, path: "/feedme" });
+    expect(server.listeners("request").length).toBe(0);
+    expect(server.listen.mock.calls.length).toBe(0);
+  });
+
+  it("should create, listen on, and relay events from a server in stand-alone mode", () => {
+    const server = createServer();
+    jest.spyOn(http, "createServer").mockReturnValue(server);
+    const endpoint = sseEndpoint({ port: 8080, host: "localhost" });
+    expect(server.listen.mock.calls).toEqual([[8080, "localhost"]]);
+
+    const listening = jest.fn();
+    endpoint.on("listening", listening);
+    server.emit("listening");
+    expect(listening.mock.calls.length).toBe(1);
+  });
+});
+
+describe("The endpoint.close() function", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should terminate streams and call back - external server", async () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { res } = openStream(endpoint);
+    const cb = jest.fn();
+    endpoint.close(cb);
+    expect(res.destroy.mock.calls.length).toBe(1);
+    expect(server.close.mock.calls.length).toBe(0);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls.length).toBe(1);
+  });
+
+  it("should respond 503 to subsequent requests", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    endpoint.close();
+    const { res } = request(endpoint, "GET", "/feedme?protocols=feedme");
+    expect(res.getStatus()).toBe(503);
+    expect(endpoint._sockets).toEqual({});
+  });
+
+  it("should close the server and call back - stand-alone mode", async () => {
+    const server = createServer();
+    jest.spyOn(http, "createServer").mockReturnValue(server);
+    const endpoint = sseEndpoint({ port: 8080 });
+    const cb = jest.fn();
+    endpoint.close(cb);
+    expect(server.close.mock.calls.length).toBe(1);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls.length).toBe(1);
+  });
+});
+
+describe("Stand-alone request handling", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should handle requests for the path", () => {
+    const server = createServer();
+    jest.spyOn(http, "createServer").mockReturnValue(server);
+    const endpoint = sseEndpoint({ port: 8080, path: "/feedme" });
+    const connection = jest.fn();
+    endpoint.on("connection", connection);
+    const res = createResponse();
+    server.emit(
+      "request",
+      createRequest("GET", "/feedme?protocols=feedme"),
+      res,
+    );
+    expect(res.getStatus()).toBe(200);
+    expect(connection.mock.calls.length).toBe(1);
+  });
+
+  it("should respond 404 to requests for other paths", () => {
+    const server = createServer();
+    jest.spyOn(http, "createServer").mockReturnValue(server);
+    const endpoint = sseEndpoint({ port: 8080, path: "/feedme" });
+    const connection = jest.fn();
+    endpoint.on("connection", connection);
+    const res = createResponse();
+    server.emit(
+      "request",
+      createRequest("GET", "/other?protocols=feedme"),
+      res,
+    );
+    expect(res.getStatus()).toBe(404);
+    expect(connection.mock.calls.length).toBe(0);
+  });
+
+  it("should handle requests for any path if none is specified", () => {
+    const server = createServer();
+    jest.spyOn(http, "createServer").mockReturnValue(server);
+    sseEndpoint({ port: 8080 });
+    const res = createResponse();
+    server.emit(
+      "request",
+      createRequest("GET", "/other?protocols=feedme"),
+      res,
+    );
+    expect(res.getStatus()).toBe(200);
+  });
+});
+
+describe("Request handling", () => {
+  it("should not consider the request path", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { res } = request(endpoint, "GET", "/other?protocols=feedme");
+    expect(res.getStatus()).toBe(200);
+  });
+
+  it("should respond 405 to a non-GET request without a session", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { res } = request(endpoint, "PUT", "/feedme");
+    expect(res.getStatus()).toBe(405);
+  });
+
+  it("should respond 400 if no text subprotocol is offered", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { res } = request(endpoint, "GET", "/feedme?protocols=feedme.binary");
+    expect(res.getStatus()).toBe(400);
+  });
+
+  it("should respond 400 if handleProtocols rejects the subprotocols", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({
+      server,
+      path: "/feedme",
+      handleProtocols: () => false,
+    });
+    const { res } = request(endpoint, "GET", "/feedme?protocols=feedme");
+    expect(res.getStatus()).toBe(400);
+  });
+
+  it("should open a stream with the selected subprotocol and emit connection", () => {
+    const server = createServer();
+    const handleProtocols = jest.fn(() => "feedme.heartbeat");
+    const endpoint = sseEndpoint({ server, path: "/feedme", handleProtocols });
+    const connection = jest.fn();
+    endpoint.on("connection", connection);
+    const { req, res } = request(
+      endpoint,
+      "GET",
+      "/feedme?protocols=feedme.heartbeat%2Cfeedme.binary%2Cfeedme",
+    );
+
+    expect(handleProtocols.mock.calls[0][0]).toEqual([
+      "feedme.heartbeat",
+      "feedme",
+    ]);
+    expect(res.getStatus()).toBe(200);
+    expect(res.writeHead.mock.calls[0][1]["Content-Type"]).toBe(
+      "text/event-stream",
+    );
+    expect(res.written[0].startsWith("event: session\ndata: ")).toBe(true);
+    const session = JSON.parse(res.written[0].split("data: ")[1]);
+    expect(session.protocol).toBe("feedme.heartbeat");
+    expect(Object.keys(endpoint._sockets)).toEqual([session.sid]);
+    expect(connection.mock.calls.length).toBe(1);
+    expect(connection.mock.calls[0][0].protocol).toBe("feedme.heartbeat");
+    expect(connection.mock.calls[0][1]).toBe(req);
+  });
+
+  it("should refuse the stream if verifyClient fails", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({
+      server,
+      path: "/feedme",
+      verifyClient: (info, cb) => {
+        cb(false, 429, "Too Many Requests", { "Retry-After": "10" });
+      },
+    });
+    const { res } = request(endpoint, "GET", "/feedme?protocols=feedme");
+    expect(res.getStatus()).toBe(429);
+    expect(res.writeHead.mock.calls[0][1]["Retry-After"]).toBe("10");
+    expect(endpoint._sockets).toEqual({});
+  });
+
+  it("should pass posted messages to the stream", async () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { sid, socket } = openStream(endpoint);
+    const message = jest.fn();
+    socket.on("message", message);
+    const { res } = request(endpoint, "POST", `/feedme?sid=${sid}`, [
+      "msg1",
+      "msg2",
+    ]);
+    await flush();
+    expect(res.getStatus()).toBe(204);
+    expect(message.mock.calls).toEqual([["msg1"], ["msg2"]]);
+  });
+
+  it("should respond 404 to posts for an unknown stream", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { res } = request(endpoint, "POST", "/feedme?sid=junk", ["msg"]);
+    expect(res.getStatus()).toBe(404);
+  });
+
+  it("should forget the stream once it ends", () => {
+    const server = createServer();
+    const endpoint = sseEndpoint({ server, path: "/feedme" });
+    const { res } = openStream(endpoint);
+    res.emit("close");
+    expect(endpoint._sockets).toEqual({});
+  });
+});
@@ -0,0 +1,342 @@
+import sse from "../sse.main";
+import clientConfig from "../client.config";
+
+jest.useFakeTimers({ legacyFakeTimers: true });
+
+const URL = "https://example.com/feedme";
+
+const flush = () =>
+  new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+
+// Harness
+
+const harness = function harness(options) {
+  const sources = [];
+  const eventSourceConstructor = function c(url) {
+    this.url = url;
+    this.listeners = {};
+    this.addEventListener = (evt, fn) => {
+      this.listeners[evt] = fn;
+    };
+    this.close = jest.fn();
+    this.fire = (evt, data) => {
+      this.listeners[evt]({ data: JSON.stringify(data) });
+    };
+    sources.push(this);
+  };
+  const fetchFunction = jest.fn();
+  const client =
+    options === undefined
+      ? sse(eventSourceConstructor, fetchFunction, URL)
+      : sse(eventSourceConstructor, fetchFunction, URL, options);
+  const listener = {
+    connecting: jest.fn(),
+    connect: jest.fn(),
+    message: jest.fn(),
+    disconnect: jest.fn(),
+    reconnecting: jest.fn(),
+  };
+  Object.keys(listener).forEach((evt) => {
+    client.on(evt, listener[evt]);
+  });
+  return {
+    client,
+    sources,
+    fetchFunction,
+    listener,
+    last: () => sources[sources.length - 1],
+  };
+};
+
+// Connects the client and returns the harness
+const connected = (options) => {
+  const harn = harness(options);
+  harn.client.connect();
+  harn.last().fire("session", { sid: "SID", protocol: "feedme" });
+  jest.runOnlyPendingTimers(); // Emit events
+  return harn;
+};
+
+describe("The sse() factory function", () => {
+  describe("can fail", () => {
+    it("should throw on invalid eventSourceConstructor", () => {
+      expect(() => {
+        sse("junk", () => {}, URL);
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid eventSourceConstructor argument."),
+      );
+    });
+
+    it("should throw on invalid fetchFunction", () => {
+      expect(() => {
+        sse(() => {}, "junk", URL);
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid fetchFunction argument."),
+      );
+    });
+
+    it("should throw on invalid address", () => {
+      expect(() => {
+        sse(
+          () => {},
+          () => {},
+          "junk",
+        );
+      }).toThrow(new Error("INVALID_ARGUMENT: Invalid address argument."));
+    });
+
+    it("should throw on invalid options.protocols", () => {
+      expect(() => {
+        sse(
+          () => {},
+          () => {},
+          URL,
+          { protocols: [] },
+        );
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.protocols argument."),
+      );
+    });
+
+    it("should throw on invalid options.reconnect", () => {
+      expect(() => {
+        sse(
+          () => {},
+          () => {},
+          URL,
+          { reconnect: "junk" },
+        );
+      }).toThrow(
+        new Error("INVALID_ARGUMENT: Invalid options.reconnect argument."),
+      );
+    });
+  });
+
+  describe("can succeed", () => {
+    it("should be disconnected", () => {
+      const harn = harness();
+      expect(harn.client.state()).toBe("disconnected");
+    });
+  });
+});
+
+describe("The client.connect() function", () => {
+  it("should open an event stream offering the plain subprotocols", () => {
+    const harn = harness({ protocols: ["feedme.v2", "feedme"] });
+    harn.client.connect();
+    expect(harn.client.state()).toBe("connecting");
+    expect(harn.last().url).toBe(`${URL}?protocols=feedme.v2%2Cfeedme`);
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.connecting.mock.calls.length).toBe(1);
+  });
+
+  it("should connect on the session event", () => {
+    const harn = connected({ protocols: ["FEEDME"] });
+    expect(harn.client.state()).toBe("connected");
+    expect(harn.listener.connect.mock.calls.length).toBe(1);
+    expect(harn.client.protocol()).toBe("FEEDME");
+  });
+
+  it("should disconnect if the stream could not be opened", () => {
+    const harn = harness();
+    harn.client.connect();
+    const source = harn.last();
+    source.onerror();
+    jest.runOnlyPendingTimers();
+    expect(source.close.mock.calls.length).toBe(1);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(harn.listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: The event stream could not be opened.",
+    );
+  });
+
+  it("should disconnect if the EventSource constructor throws", () => {
+    const harn = harness();
+    harn.client._eventSourceConstructor = function c() {
+      throw new Error("Bad");
+    };
+    harn.client.connect();
+    jest.runOnlyPendingTimers();
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe("FAILURE: Could not initialize the EventSource.");
+    expect(err.sseError.message).toBe("Bad");
+  });
+
+  it("should time out the connection attempt if so configured", () => {
+    const harn = harness({ connectTimeoutMs: 100 });
+    harn.client.connect();
+    jest.advanceTimersByTime(100);
+    expect(harn.last().close.mock.calls.length).toBe(1);
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Connection timed out.",
+    );
+  });
+});
+
+describe("Receiving", () => {
+  it("should emit decoded messages", () => {
+    const harn = connected();
+    harn.last().onmessage({ data: JSON.stringify("line1\nline2") });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.message.mock.calls).toEqual([["line1\nline2"]]);
+  });
+
+  it("should disconnect on an invalid message", () => {
+    const harn = connected();
+    harn.last().onmessage({ data: "junk" });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.disconnect.mock.calls[0][0].message).toBe(
+      "FAILURE: Received an invalid message event.",
+    );
+  });
+
+  it("should disconnect with the close event details", () => {
+    const harn = connected();
+    const source = harn.last();
+    source.fire("close", { code: 4000, reason: "Bye" });
+    jest.runOnlyPendingTimers();
+    expect(source.close.mock.calls.length).toBe(1);
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe("FAILURE: The event stream closed unexpectedly.");
+    expect(err.wsCode).toBe(4000);
+    expect(err.wsReason).toBe("Bye");
+    expect(err.serverReason).toBe("Bye");
+  });
+
+  it("should schedule a reconnect attempt if so configured", () => {
+    const harn = connected({ reconnect: { jitter: 0 } });
+    harn.last().onerror();
+    expect(harn.client.state()).toBe("connecting");
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.reconnecting.mock.calls).toEqual([
+      [1, clientConfig.defaults.reconnect.initialDelayMs],
+    ]);
+
+    // Connecting is emitted once, between disconnect and reconnecting
+    const { listener } = harn;
+    expect(listener.connecting.mock.calls).toEqual([[], []]);
+    expect(listener.disconnect.mock.invocationCallOrder[0]).toBeLessThan(
+      listener.connecting.mock.invocationCallOrder[1],
+    );
+    expect(listener.connecting.mock.invocationCallOrder[1]).toBeLessThan(
+      listener.reconnecting.mock.invocationCallOrder[0],
+    );
+  });
+
+  it("should not reconnect after an application close code", () => {
+    const harn = connected({ reconnect: { jitter: 0 } });
+    harn.last().fire("close", { code: 4001, reason: "Banned" });
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.disconnect.mock.calls.length).toBe(1);
+    expect(harn.listener.reconnecting.mock.calls.length).toBe(0);
+    expect(harn.client.state()).toBe("disconnected");
+    expect(harn.client._reconnectTimeout).toBe(null);
+  });
+
+  it("should make the pending attempt on connect() while waiting to reconnect", () => {
+    const harn = connected({ reconnect: { jitter: 0 } });
+    harn.last().onerror();
+    const sourceCount = harn.sources.length;
+    harn.client.connect();
+    expect(harn.sources.length).toBe(sourceCount + 1);
+    expect(harn.client.state()).toBe("connecting");
+  });
+});
+
+describe("The client.send() function", () => {
+  it("should throw if not connected", () => {
+    const harn = harness();
+    expect(() => {
+      harn.client.send("msg");
+    }).toThrow(new Error("INVALID_STATE: Not connected."));
+  });
+
+  it("should post messages in order with one request in flight", async () => {
+    const harn = connected();
+    let respond;
+    harn.fetchFunction.mockImplementation(
+      () =>
+        new Promise((resolve) => {
+          respond = resolve;
+        }),
+    );
+    harn.client.send("msg1");
+    await flush();
+    expect(harn.fetchFunction.mock.calls.length).toBe(1);
+    expect(harn.fetchFunction.mock.calls[0][0]).toBe(`${URL}?sid=SID`);
+    expect(harn.fetchFunction.mock.calls[0][1].method).toBe("POST");
+    expect(JSON.parse(harn.fetchFunction.mock.calls[0][1].body)).toEqual([
+      "msg1",
+    ]);
+
+    harn.client.send("msg2");
+    harn.client.send("msg3");
+    await flush();
+    expect(harn.fetchFunction.mock.calls.length).toBe(1);
+
+    respond({ status: 204 });
+    await flush();
+    expect(harn.fetchFunction.mock.calls.length).toBe(2);
+    expect(JSON.parse(harn.fetchFunction.mock.calls[1][1].body)).toEqual([
+      "msg2",
+      "msg3",
+    ]);
+  });
+
+  it("should disconnect if a post fails", async () => {
+    const harn = connected();
+    harn.fetchFunction.mockResolvedValue({ status: 404 });
+    harn.client.send("msg");
+    await flush();
+    jest.runOnlyPendingTimers();
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe("FAILURE: Message transmission failed.");
+    expect(err.httpStatus).toBe(404);
+  });
+
+  it("should disconnect if a post is rejected", async () => {
+    const harn = connected();
+    const fetchErr = new Error("Network");
+    harn.fetchFunction.mockRejectedValue(fetchErr);
+    harn.client.send("msg");
+    await flush();
+    jest.runOnlyPendingTimers();
+    const err = harn.listener.disconnect.mock.calls[0][0];
+    expect(err.message).toBe("FAILURE: Message transmission failed.");
+    expect(err.sseError).toBe(fetchErr);
+  });
+});
+
+describe("The client.disconnect() function", () => {
+  it("should throw if already disconnected", () => {
+    const harn = harness();
+    expect(() => {
+      harn.client.disconnect();
+    }).toThrow(new Error("INVALID_STATE: Already disconnected."));
+  });
+
+  it("should close the EventSource and ignore post responses", async () => {
+    const harn = connected();
+    let respond;
+    harn.fetchFunction.mockImplementation(
+      () =>
+        new Promise((resolve) => {
+          respond = resolve;
+        }),
+    );
+    harn.client.send("msg");
+    await flush();
+    const source = harn.last();
+    harn.client.disconnect();
+    expect(source.close.mock.calls.length).toBe(1);
+    expect(harn.client.state()).toBe("disconnected");
+
+    respond({ status: 500 });
+    await flush();
+    jest.runOnlyPendingTimers();
+    expect(harn.listener.disconnect.mock.calls).toEqual([[]]);
+  });
+});
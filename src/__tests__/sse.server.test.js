@@ -0,0 +1,93 @@
+import emitter from "component-emitter";
+import http from "http";
+import sseServer from "../sse.server";
+
+describe("The function", () => {
+  it("should work", () => {
+    expect(sseServer({ port: 8080 })).toBeInstanceOf(Object);
+    expect(sseServer({ server: emitter({}), path: "/feedme" })).toBeInstanceOf(
+      Object,
+    );
+  });
+
+  it("should throw on options.noServer", () => {
+    expect(() => {
+      sseServer({ noServer: true });
+    }).toThrow(
+      new Error(
+        "INVALID_ARGUMENT: The SSE transport does not support options.noServer.",
+      ),
+    );
+  });
+
+  it("should throw on options.binary", () => {
+    expect(() => {
+      sseServer({ port: 8080, binary: true });
+    }).toThrow(
+      new Error(
+        "INVALID_ARGUMENT: The SSE transport does not support options.binary.",
+      ),
+    );
+  });
+
+  it("should throw on options.longPolling", () => {
+    expect(() => {
+      sseServer({ port: 8080, longPolling: true });
+    }).toThrow(
+      new Error(
+        "INVALID_ARGUMENT: The SSE transport does not support options.longPolling.",
+      ),
+    );
+  });
+});
+
+describe("The transport.handleRequest() function", () => {
+  const request = (transport, method, url) => {
+    const req = new http.IncomingMessage(null);
+    req.method = method;
+    req.url = url;
+    req.headers = {};
+    const res = new http.ServerResponse(req);
+    transport.handleRequest(req, res);
+    return res;
+  };
+
+  it("should throw on invalid request or response", () => {
+    const transport = sseServer({ server: emitter({}) });
+    expect(() => {
+      transport.handleRequest({}, {});
+    }).toThrow(new Error("INVALID_ARGUMENT: Invalid request or response."));
+  });
+
+  it("should respond 503 before the transport has started", () => {
+    const transport = sseServer({ server: emitter({}) });
+    expect(
+      request(transport, "GET", "/feedme?protocols=feedme").statusCode,
+    ).toBe(503);
+  });
+
+  it("should pass requests to the endpoint once started", async () => {
+    const server = emitter({});
+    const transport = sseServer({ server });
+    transport.start();
+    server.emit("listening");
+    expect(request(transport, "PUT", "/feedme").statusCode).toBe(405);
+    expect(request(transport, "PUT", "/other").statusCode).toBe(405);
+    const stopped = new Promise((resolve) => {
+      transport.once("stop", resolve);
+    });
+    transport.stop();
+    await stopped;
+  });
+
+  it("should respond 503 once the transport has stopped", () => {
+    const server = emitter({});
+    const transport = sseServer({ server });
+    transport.start();
+    server.emit("listening");
+    transport.stop();
+    expect(
+      request(transport, "GET", "/feedme?protocols=feedme").statusCode,
+    ).toBe(503);
+  });
+});
@@ -0,0 +1,132 @@
+import emitter from "component-emitter";
+import promisify from "promisify-function";
+import sseSocket from "../sse.socket";
+
+const createRes = () => {
+  const res = emitter({});
+  res.written = [];
+  res.write = jest.fn((chunk, cb) => {
+    res.written.push(chunk);
+    process.nextTick(cb);
+  });
+  res.end = jest.fn((chunk, cb) => {
+    res.written.push(chunk);
+    process.nextTick(cb);
+  });
+  res.destroy = jest.fn();
+  return res;
+};
+
+describe("The sseSocket() factory", () => {
+  it("should return an open socket", () => {
+    const socket = sseSocket(createRes(), "feedme", () => {});
+    expect(socket.protocol).toBe("feedme");
+    expect(socket.readyState).toBe(socket.OPEN);
+    expect(socket.bufferedAmount).toBe(0);
+  });
+});
+
+describe("The socket.send() function", () => {
+  it("should write JSON-encoded messages and call back", async () => {
+    const res = createRes();
+    const socket = sseSocket(res, "feedme", () => {});
+    const cb = jest.fn();
+    socket.send("line1\nline2", cb);
+    socket.send(Buffer.from("msg"), { binary: false }, cb);
+    expect(res.written).toEqual([
+      'data: "line1\\nline2"\n\n',
+      'data: "msg"\n\n',
+    ]);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls).toEqual([[], []]);
+  });
+
+  it("should call back an error if the stream is not open", async () => {
+    const socket = sseSocket(createRes(), "feedme", () => {});
+    socket.terminate();
+    const cb = jest.fn();
+    socket.send("msg", cb);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls[0][0]).toBeInstanceOf(Error);
+  });
+});
+
+describe("The socket.ping() function", () => {
+  it("should write a comment and call back once flushed", async () => {
+    const res = createRes();
+    const socket = sseSocket(res, "feedme", () => {});
+    const pong = jest.fn();
+    socket.on("pong", pong);
+    const cb = jest.fn();
+    socket.ping(cb);
+    expect(res.written).toEqual([": ping\n\n"]);
+    expect(cb.mock.calls.length).toBe(0);
+    await promisify(process.nextTick)();
+    expect(cb.mock.calls).toEqual([[]]);
+    expect(pong.mock.calls.length).toBe(0);
+    expect(socket.respondsToPing).toBe(false);
+  });
+});
+
+describe("The socket.close() function", () => {
+  it("should write a close event, end the stream, and emit close", async () => {
+    const res = createRes();
+    const onEnd = jest.fn();
+    const socket = sseSocket(res, "feedme", onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    socket.close(4000, "Bye");
+    expect(socket.readyState).toBe(socket.CLOSING);
+    expect(res.written).toEqual([
+      'event: close\ndata: {"code":4000,"reason":"Bye"}\n\n',
+    ]);
+
+    await promisify(process.nextTick)();
+    expect(onEnd.mock.calls.length).toBe(1);
+    expect(socket.readyState).toBe(socket.CLOSED);
+
+    res.emit("close");
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[4000, "Bye"]]);
+    expect(onEnd.mock.calls.length).toBe(1);
+  });
+});
+
+describe("The socket.terminate() function", () => {
+  it("should destroy the response and emit close", async () => {
+    const res = createRes();
+    const onEnd = jest.fn();
+    const socket = sseSocket(res, "feedme", onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    socket.terminate();
+    expect(res.destroy.mock.calls.length).toBe(1);
+    expect(onEnd.mock.calls.length).toBe(1);
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[1006, ""]]);
+  });
+});
+
+describe("If the client closes the stream", () => {
+  it("should emit close with no status", async () => {
+    const res = createRes();
+    const onEnd = jest.fn();
+    const socket = sseSocket(res, "feedme", onEnd);
+    const close = jest.fn();
+    socket.on("close", close);
+    res.emit("close");
+    expect(onEnd.mock.calls.length).toBe(1);
+    await promisify(process.nextTick)();
+    expect(close.mock.calls).toEqual([[1005, ""]]);
+  });
+});
+
+describe("The socket.handleMessages() function", () => {
+  it("should emit message for each message while open", () => {
+    const socket = sseSocket(createRes(), "feedme", () => {});
+    const message = jest.fn();
+    socket.on("message", message);
+    socket.handleMessages(["msg1", "msg2"]);
+    expect(message.mock.calls).toEqual([["msg1"], ["msg2"]]);
+  });
+});
@@ -0,0 +1,10 @@
+/**
+ * Determines whether a value is binary message data that may be sent in
+ * binary mode: an ArrayBuffer or a Uint8Array, which includes Node.js Buffers.
+ * Used by the server and both clients.
+ * @param {*} data
+ * @returns {boolean}
+ */
+export default function isBinary(data) {
+  return data instanceof ArrayBuffer || data instanceof Uint8Array;
+}
@@ -1,16 +1,58 @@
+import check from "check-types";
 import client from "./browser.main";
+import polling from "./polling.main";
+import fallback from "./fallback.main";
 
 /* eslint no-restricted-globals: ["off"] */
-/* global WebSocket, MozWebSocket, window, self */
+/* global WebSocket, MozWebSocket, XMLHttpRequest, window, self */
 
 /**
  * Create a browser client with native WebSocket injected (dependency injection
  * to facilitate unit testing).
+ *
+ * If options.fallback is specified then it is the URL of a long-polling
+ * endpoint on the server. The client falls back to long polling if the
+ * WebSocket connection cannot be established, or uses it from the outset if
+ * the environment does not support WebSockets.
  * @param {string} address
- * @throws {Error} "NO_WEBSOCKET: ..."
+ * @param {?Object} options
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "NO_WEBSOCKETS: ..."
+ * @throws {Error} "NO_XMLHTTPREQUEST: ..."
  * @returns {Client}
  */
-export default function feedmeTransportWsClient(address) {
+export default function feedmeTransportWsClient(address, options) {
+  // Separate the fallback URL from the WebSocket client options
+  let wsOptions = options || {};
+  let pollingOptions = null;
+  if (check.object(options) && "fallback" in options) {
+    const { fallback: url, ...rest } = options;
+    if (!check.nonEmptyString(url)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.fallback argument.");
+    }
+    if (rest.binary) {
+      throw new Error(
+        "INVALID_ARGUMENT: Binary mode is not available with options.fallback.",
+      );
+    }
+    wsOptions = rest;
+    pollingOptions = { url };
+    ["protocols", "connectTimeoutMs", "reconnect"].forEach((opt) => {
+      if (opt in rest) {
+        pollingOptions[opt] = rest[opt];
+      }
+    });
+  }
+  const createPolling = () => {
+    if (typeof XMLHttpRequest === "undefined") {
+      throw new Error(
+        "NO_XMLHTTPREQUEST: The environment does not appear to support XMLHttpRequest.",
+      );
+    }
+    const { url, ...opts } = pollingOptions;
+    return polling(XMLHttpRequest, url, opts);
+  };
+
   // Get the native WebSocket implementation
   let ws;
   if (typeof WebSocket !== "undefined") {
@@ -25,6 +67,11 @@ export default function feedmeTransportWsClient(address) {
     ws = self.WebSocket || self.MozWebSocket;
   }
 
+  // Use long polling if WebSockets are not supported (if so configured)
+  if (!ws && pollingOptions) {
+    return createPolling();
+  }
+
   // Throw if WebSockets are not supported
   if (!ws) {
     throw new Error(
@@ -33,5 +80,8 @@ export default function feedmeTransportWsClient(address) {
   }
 
   // Create and return the client
-  return client(ws, address || "");
+  if (pollingOptions) {
+    return fallback(client(ws, address || "", wsOptions), createPolling());
+  }
+  return client(ws, address || "", wsOptions);
 }
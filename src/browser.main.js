@@ -1,7 +1,12 @@
 import emitter from "component-emitter";
 import check from "check-types";
 import debug from "debug";
+import clientConfig from "./client.config";
 import config from "./config";
+import isBinary from "./binary";
+import { validVersions, subprotocol, parseSubprotocol } from "./protocols";
+import { closeError } from "./reason";
+import awaitTransition, { asyncOptions } from "./lifecycle";
 
 const dbg = debug("feedme-transport-ws:client");
 
@@ -29,6 +34,8 @@ emitter(proto);
  * same port.
  * @param {Function} wsConstructor WebSocket client constructor
  * @param {string} address Endpoint address
+ * @param {?Object} options Heartbeat, connection timeout, protocol, binary,
+ *                          and reconnect settings
  * @throws {Error} "INVALID_ARGUMENT: ..."
  * @returns {Client}
  */
@@ -54,6 +61,119 @@ export default function browserFactory(...args) {
     throw new Error("INVALID_ARGUMENT: Invalid address argument.");
   }
 
+  // Check options (if specified)
+  let options;
+  if (args.length > 2) {
+    if (!check.object(args[2])) {
+      throw new Error("INVALID_ARGUMENT: Invalid options argument.");
+    }
+    options = args[2]; // eslint-disable-line prefer-destructuring
+  } else {
+    options = {};
+  }
+
+  // Validate options.heartbeatIntervalMs (if specified) and overlay default
+  if ("heartbeatIntervalMs" in options) {
+    if (
+      !check.integer(options.heartbeatIntervalMs) ||
+      options.heartbeatIntervalMs < 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.heartbeatIntervalMs argument.",
+      );
+    }
+  } else {
+    options.heartbeatIntervalMs = clientConfig.defaults.heartbeatIntervalMs; // eslint-disable-line no-param-reassign
+  }
+
+  // Validate options.heartbeatTimeoutMs (if specified) and overlay default
+  if ("heartbeatTimeoutMs" in options) {
+    if (
+      !check.integer(options.heartbeatTimeoutMs) ||
+      options.heartbeatTimeoutMs <= 0 ||
+      options.heartbeatTimeoutMs >= options.heartbeatIntervalMs // Will fail if heartbeat disabled
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.heartbeatTimeoutMs argument.",
+      );
+    }
+  } else {
+    options.heartbeatTimeoutMs = clientConfig.defaults.heartbeatTimeoutMs; // eslint-disable-line no-param-reassign
+  }
+
+  // Validate options.protocols (if specified)
+  // Only the default protocol version is offered unless specified
+  if ("protocols" in options && !validVersions(options.protocols)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.protocols argument.");
+  }
+
+  // Validate options.binary (if specified)
+  // Binary mode is disabled unless specified
+  if ("binary" in options && !check.boolean(options.binary)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.binary argument.");
+  }
+
+  // Validate options.connectTimeoutMs (if specified)
+  // Connection attempts are not timed out unless specified
+  if ("connectTimeoutMs" in options) {
+    if (
+      !check.integer(options.connectTimeoutMs) ||
+      options.connectTimeoutMs <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+      );
+    }
+  }
+
+  // Validate options.reconnect (if specified) and overlay defaults
+  // Reconnection is disabled unless specified
+  if ("reconnect" in options && options.reconnect !== false) {
+    if (options.reconnect !== true && !check.object(options.reconnect)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.reconnect argument.");
+    }
+    const reconnect = {
+      ...clientConfig.defaults.reconnect,
+      ...(options.reconnect === true ? {} : options.reconnect),
+    };
+    if (
+      !check.integer(reconnect.initialDelayMs) ||
+      reconnect.initialDelayMs < 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.initialDelayMs argument.",
+      );
+    }
+    if (!check.number(reconnect.multiplier) || reconnect.multiplier < 1) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.multiplier argument.",
+      );
+    }
+    if (
+      !check.integer(reconnect.maxDelayMs) ||
+      reconnect.maxDelayMs < reconnect.initialDelayMs
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxDelayMs argument.",
+      );
+    }
+    if (
+      !check.number(reconnect.jitter) ||
+      reconnect.jitter < 0 ||
+      reconnect.jitter > 1
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.jitter argument.",
+      );
+    }
+    if (!check.integer(reconnect.maxAttempts) || reconnect.maxAttempts < 0) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxAttempts argument.",
+      );
+    }
+    options.reconnect = reconnect; // eslint-disable-line no-param-reassign
+  }
+
   // Success
 
   const browser = Object.create(proto);
@@ -80,7 +200,7 @@ export default function browserFactory(...args) {
 
   /**
    * The outward-facing transport state. One of "disconnected", "connecting",
-   * or "connected".
+   * or "connected". The transport is connecting while it waits to reconnect.
    * @memberof Browser
    * @instance
    * @private
@@ -97,6 +217,64 @@ export default function browserFactory(...args) {
    */
   browser._address = address;
 
+  /**
+   * Heartbeat and reconnect configuration.
+   * @memberof Browser
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  browser._options = options;
+
+  /**
+   * Heartbeat interval id. Null if disabled, not connected, or the server did
+   * not select the heartbeat subprotocol.
+   * @memberof Browser
+   * @instance
+   * @private
+   * @type {number}
+   */
+  browser._heartbeatInterval = null;
+
+  /**
+   * Heartbeat timeout id. Null if the heartbeat is not running or not awaiting
+   * a pong.
+   * @memberof Browser
+   * @instance
+   * @private
+   * @type {number}
+   */
+  browser._heartbeatTimeout = null;
+
+  /**
+   * Reconnect timeout id. Null unless the transport is waiting to reconnect.
+   * @memberof Browser
+   * @instance
+   * @private
+   * @type {number}
+   */
+  browser._reconnectTimeout = null;
+
+  /**
+   * Connection timeout id. Null unless the transport is connecting and
+   * options.connectTimeoutMs is specified.
+   * @memberof Browser
+   * @instance
+   * @private
+   * @type {number}
+   */
+  browser._connectTimeout = null;
+
+  /**
+   * Number of reconnect attempts made since the transport last connected or
+   * the application last called connect() or disconnect().
+   * @memberof Browser
+   * @instance
+   * @private
+   * @type {number}
+   */
+  browser._reconnectAttempts = 0;
+
   return browser;
 }
 
@@ -118,7 +296,7 @@ export default function browserFactory(...args) {
  * @event message
  * @memberof Browser
  * @instance
- * @param {string} msg
+ * @param {string|ArrayBuffer} msg ArrayBuffer only in binary mode
  */
 
 /**
@@ -128,10 +306,21 @@ export default function browserFactory(...args) {
  * @param {?Error} err "FAILURE: ..." if not due to call to client.disconnect()
  */
 
+/**
+ * Emitted after an unexpected disconnect if reconnection is enabled and
+ * attempts remain, following the connecting event.
+ * @event reconnecting
+ * @memberof Browser
+ * @instance
+ * @param {number} attempt The upcoming attempt number, starting at 1
+ * @param {number} delayMs Time until the attempt is made
+ */
+
 // Public API
 
 /**
  * Returns the transport state: "disconnected", "connecting", or "connected".
+ * The transport is connecting while it waits to reconnect.
  * @memberof Browser
  * @instance
  * @returns {string}
@@ -143,7 +332,28 @@ proto.state = function state() {
 };
 
 /**
- * The library wants the transport to connect.
+ * Returns the Feedme protocol version negotiated with the server, with the
+ * casing specified in options.protocols. Returns null if the server did not
+ * select a subprotocol, which browsers may permit.
+ * @memberof Browser
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {?string}
+ */
+proto.protocol = function protocol() {
+  dbg("Protocol requested");
+
+  // Check state
+  if (this._state !== "connected") {
+    throw new Error("INVALID_STATE: Not connected.");
+  }
+
+  return parseSubprotocol(this._wsClient.protocol, this._versions()).version;
+};
+
+/**
+ * The library wants the transport to connect. If the transport is waiting to
+ * reconnect then the pending attempt is made immediately.
  * @memberof Browser
  * @instance
  * @throws {Error} "INVALID_STATE: ..."
@@ -153,43 +363,27 @@ proto.connect = function connect() {
   dbg("Connect requested");
 
   // Check state - is this a valid call on the transport?
-  if (this._state !== "disconnected") {
+  if (this._state !== "disconnected" && !this._reconnectTimeout) {
     throw new Error("INVALID_STATE: Already connecting or connected.");
   }
 
-  // Update state and emit asynchronously
-  this._state = "connecting";
-  this._emitAsync("connecting");
-
-  // Try to create the WebSocket client
-  try {
-    this._wsClient = new this._wsConstructor(
-      this._address,
-      config.wsSubprotocol,
-    );
-  } catch (e) {
-    dbg("Failed to initialize WebSocket client");
+  // Success
 
-    // Update state and emit disconnect asynchronously
-    this._state = "disconnected";
-    const err = new Error(
-      "FAILURE: Could not initialize the WebSocket client.",
-    );
-    err.wsError = e;
-    this._emitAsync("disconnect", err);
-    return; // Stop
+  // Cancel any pending reconnect attempt and reset the count
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
   }
+  this._reconnectAttempts = 0;
 
-  // Listen for events
-  this._wsClient.onopen = this._processWsOpen.bind(this);
-  this._wsClient.onmessage = this._processWsMessage.bind(this);
-  this._wsClient.onclose = this._processWsClose.bind(this);
-  this._wsClient.onerror = this._processWsError.bind(this);
+  this._connect();
 };
 
 /**
  * The library wants the transport to disconnect. The transport could be
- * connecting or connected.
+ * connecting, including while waiting to reconnect, or connected.
+ *
+ * The transport never attempts to reconnect following a call to disconnect().
  * @memberof Browser
  * @instance
  * @param {?Error} err
@@ -216,14 +410,87 @@ proto.disconnect = function disconnect(...args) {
 
   // Success
 
-  this._disconnect(err);
+  this._reconnectAttempts = 0;
+  this._disconnect(err, true);
+};
+
+/**
+ * Connects the client and returns a promise that resolves once it has
+ * connected.
+ *
+ * The promise rejects with the transport error if the connection attempt
+ * fails, with "ABORTED: ..." if client.disconnect() is called or the signal is
+ * aborted before the client connects, with "FAILURE: Connection timed out." if
+ * options.timeoutMs elapses first, or with the error thrown by
+ * client.connect(). If the signal is aborted or the timeout elapses then the
+ * client is disconnected. Reconnect attempts are not awaited.
+ * @memberof Browser
+ * @instance
+ * @param {?Object} options { timeoutMs, signal } - signal is an AbortSignal
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Promise}
+ */
+proto.connectAsync = function connectAsync(...args) {
+  dbg("Asynchronous connect requested");
+
+  const { signal, timeoutMs } = asyncOptions(args, ["signal", "timeoutMs"]);
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.connect();
+    },
+    resolveEvent: "connect",
+    rejectEvent: "disconnect",
+    rejectMessage: "ABORTED: The client was disconnected before it connected.",
+    signal,
+    timeoutMs,
+    timeoutMessage: "FAILURE: Connection timed out.",
+    cancel: (err) => {
+      if (this._state !== "disconnected") {
+        if (err) {
+          this.disconnect(err);
+        } else {
+          this.disconnect();
+        }
+      }
+    },
+  });
+};
+
+/**
+ * Disconnects the client and returns a promise that resolves once it has
+ * disconnected.
+ *
+ * The promise rejects with the error thrown by client.disconnect().
+ * @memberof Browser
+ * @instance
+ * @param {?Error} err Same as client.disconnect()
+ * @returns {Promise}
+ */
+proto.disconnectAsync = function disconnectAsync(...args) {
+  dbg("Asynchronous disconnect requested");
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.disconnect(...args);
+    },
+    resolveEvent: "disconnect",
+  });
 };
 
 /**
  * The library wants to send a message to the server.
  * @memberof Browser
  * @instance
- * @param {string} msg
+ * @param {string|ArrayBuffer|Uint8Array} msg Binary only in binary mode
  * @throws {Error} "INVALID_STATE: ..."
  * @throws {Error} "INVALID_ARGUMENT: ..."
  * @returns {void}
@@ -232,7 +499,7 @@ proto.send = function send(msg) {
   dbg("Send requested");
 
   // Check message
-  if (!check.string(msg)) {
+  if (!check.string(msg) && !(this._options.binary && isBinary(msg))) {
     throw new Error("INVALID_ARGUMENT: Invalid message.");
   }
 
@@ -258,6 +525,11 @@ proto.send = function send(msg) {
 
 /**
  * Processes a WebSocket open event.
+ *
+ * Browser WebSocket implementations do not expose a ping API, so the heartbeat
+ * is run using control frames on the heartbeat subprotocols. It is only started
+ * if the server selected one of them - servers that only support the plain
+ * Feedme subprotocols would pass the control frames to the application.
  * @memberof Browser
  * @instance
  * @private
@@ -266,6 +538,47 @@ proto.send = function send(msg) {
 proto._processWsOpen = function _processWsOpen() {
   dbg("Observed WebSocket open event");
 
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Reset the reconnect attempt count
+  this._reconnectAttempts = 0;
+
+  // Set up the heartbeat (if so configured and negotiated)
+  if (
+    this._options.heartbeatIntervalMs > 0 &&
+    parseSubprotocol(this._wsClient.protocol, this._versions()).heartbeat
+  ) {
+    dbg("Starting heartbeat interval");
+    this._heartbeatInterval = setInterval(() => {
+      dbg("Sending ping and starting heartbeat timeout");
+
+      // Start the heartbeat timeout
+      // Cleared on pong receipt and on disconnect, so if fired you know you need to close
+      this._heartbeatTimeout = setTimeout(() => {
+        dbg("Heartbeat timed out");
+        this._disconnect(new Error("FAILURE: The WebSocket heartbeat failed."));
+      }, this._options.heartbeatTimeoutMs);
+
+      // Ping the server
+      try {
+        this._wsClient.send(config.wsHeartbeatPing);
+      } catch (e) {
+        dbg("Error writing ping");
+        const transportErr = new Error(
+          "FAILURE: The WebSocket heartbeat failed.",
+        );
+        transportErr.wsError = e;
+        this._disconnect(transportErr);
+      }
+    }, this._options.heartbeatIntervalMs);
+  } else {
+    dbg("Heartbeat disabled or not negotiated");
+  }
+
   // Update state and emit
   this._state = "connected";
   this._emitAsync("connect");
@@ -282,8 +595,12 @@ proto._processWsOpen = function _processWsOpen() {
 proto._processWsMessage = function _processWsMessage(evt) {
   dbg("Observed WebSocket message event");
 
-  // Check data type - could be String, Buffer, ArrayBuffer, Buffer[]
-  if (!check.string(evt.data)) {
+  // Check data type - could be String, Blob, ArrayBuffer
+  // Binary frames are delivered as ArrayBuffers in binary mode
+  if (
+    !check.string(evt.data) &&
+    !(this._options.binary && isBinary(evt.data))
+  ) {
     dbg("Unexpected WebSocket message type");
     dbg(evt.data);
     this._disconnect(
@@ -294,6 +611,14 @@ proto._processWsMessage = function _processWsMessage(evt) {
     return; // Stop
   }
 
+  // Heartbeat pong - clear the heartbeat timeout
+  if (this._heartbeatInterval && evt.data === config.wsHeartbeatPong) {
+    dbg("Received heartbeat pong");
+    clearTimeout(this._heartbeatTimeout);
+    this._heartbeatTimeout = null;
+    return; // Stop
+  }
+
   this._emitAsync("message", evt.data);
 };
 
@@ -302,24 +627,24 @@ proto._processWsMessage = function _processWsMessage(evt) {
  *
  * All WebSocket listeners are removed by _disconnect(), so this function is only
  * called if there is an unexpected connection closure.
+ *
+ * Browsers deliver a CloseEvent. Older implementations may omit the reason or
+ * the wasClean flag, in which case they are inferred as by the Node client.
  * @memberof Browser
  * @instance
  * @private
- * @param {?number} code
- * @param {?string} reason
+ * @param {?CloseEvent} evt
  * @returns {void}
  */
-proto._processWsClose = function _processWsClose(code, reason) {
+proto._processWsClose = function _processWsClose(evt) {
   dbg("Observed WebSocket close event");
 
+  const { code, reason, wasClean } = evt || {};
   const errMsg =
     this._state === "connecting"
       ? "FAILURE: The WebSocket could not be opened."
       : "FAILURE: The WebSocket closed unexpectedly.";
-  const err = new Error(errMsg);
-  err.wsCode = code;
-  err.wsReason = reason;
-  this._disconnect(err);
+  this._disconnect(closeError(errMsg, code, reason, wasClean));
 };
 
 /**
@@ -340,23 +665,137 @@ proto._processWsError = function _processWsError(err) {
 
 // Internal Functions
 
+/**
+ * Creates a WebSocket client and begins connecting.
+ *
+ * Invoked on:
+ *
+ *  - Call to transport.connect()
+ *  - Reconnect timeout
+ *
+ * @memberof Browser
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._connect = function _connect() {
+  dbg("Connecting the client");
+
+  // Update state and emit asynchronously
+  // Reconnect attempts are already connecting
+  if (this._state !== "connecting") {
+    this._state = "connecting";
+    this._emitAsync("connecting");
+  }
+
+  // Try to create the WebSocket client
+  // Offer each protocol version in order of preference, extended for binary
+  // mode if enabled
+  // If the heartbeat is enabled then also offer the heartbeat subprotocol for
+  // each version, which is preferred by servers that support it
+  const protocols = [];
+  this._versions().forEach((version) => {
+    if (this._options.heartbeatIntervalMs > 0) {
+      protocols.push(subprotocol(version, !!this._options.binary, true));
+    }
+    protocols.push(subprotocol(version, !!this._options.binary, false));
+  });
+  try {
+    this._wsClient = new this._wsConstructor(
+      this._address,
+      protocols.length === 1 ? protocols[0] : protocols,
+    );
+  } catch (e) {
+    dbg("Failed to initialize WebSocket client");
+
+    // Disconnect, which schedules a reconnect attempt (if so configured)
+    const err = new Error(
+      "FAILURE: Could not initialize the WebSocket client.",
+    );
+    err.wsError = e;
+    this._disconnect(err);
+    return; // Stop
+  }
+
+  // Receive binary frames as ArrayBuffers rather than Blobs
+  if (this._options.binary) {
+    this._wsClient.binaryType = "arraybuffer";
+  }
+
+  // Listen for events
+  this._wsClient.onopen = this._processWsOpen.bind(this);
+  this._wsClient.onmessage = this._processWsMessage.bind(this);
+  this._wsClient.onclose = this._processWsClose.bind(this);
+  this._wsClient.onerror = this._processWsError.bind(this);
+
+  // Start the connection timeout (if so configured)
+  if (this._options.connectTimeoutMs) {
+    this._connectTimeout = setTimeout(() => {
+      dbg("Connection timed out");
+      this._connectTimeout = null;
+      this._disconnect(
+        new Error("FAILURE: Connection timed out."),
+        false,
+        true,
+      );
+    }, this._options.connectTimeoutMs);
+  }
+};
+
+/**
+ * Returns the protocol versions offered to the server, in order of preference.
+ * @memberof Browser
+ * @instance
+ * @private
+ * @returns {Array}
+ */
+proto._versions = function _versions() {
+  return this._options.protocols || [config.wsSubprotocol];
+};
+
 /**
  * Disconnect the transport client.
  *
  *  - Call to transport.disconnect()
  *  - Unexpected connection closure
+ *  - Heartbeat timeout
  *  - WebSocket throws on call to send()
+ *  - Connection timeout
+ *  - WebSocket constructor throws
  *
  * Resets the state, emits, and closes the WebSocket connection as appropriate.
+ * If the disconnect was not requested by the application and reconnection is
+ * enabled, then schedules a reconnect attempt, unless the server closed the
+ * connection with an application close code.
+ *
+ * A WebSocket that is still connecting is normally closed once it opens, as
+ * some browsers report an error when a connecting WebSocket is closed. If
+ * abort is true then it is closed immediately instead, which abandons the
+ * opening handshake.
  * @memberof Browser
  * @instance
  * @private
- * @param {Error} err
+ * @param {?Error} err
+ * @param {?boolean} requested True if due to a call to transport.disconnect()
+ * @param {?boolean} abort True to abandon a connecting WebSocket
  * @returns {void}
  */
-proto._disconnect = function _disconnect(err) {
+proto._disconnect = function _disconnect(err, requested, abort) {
   dbg("Disconnecting the client");
 
+  // There is no WebSocket client while waiting to reconnect, so an
+  // unrequested disconnect can only be stale - ignore it
+  if (this._reconnectTimeout && !requested) {
+    dbg("Ignoring stale failure while waiting to reconnect");
+    return; // Stop
+  }
+
+  // Cancel any pending reconnect attempt
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+
   // Remove all WebSocket listeners (if present)
   if (this._wsClient) {
     this._wsClient.onopen = null;
@@ -365,6 +804,12 @@ proto._disconnect = function _disconnect(err) {
     this._wsClient.onerror = null;
   }
 
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
   // Clear heartbeat (if any)
   clearInterval(this._heartbeatInterval);
   this._heartbeatInterval = null;
@@ -385,6 +830,10 @@ proto._disconnect = function _disconnect(err) {
       // The WebSocket instance is open - close it
       dbg("The WebSocket connection is open");
       close();
+    } else if (wsClient.readyState === wsClient.CONNECTING && abort) {
+      // The WebSocket instance is opening - abandon the handshake
+      dbg("Aborting the WebSocket connection");
+      close();
     } else if (wsClient.readyState === wsClient.CONNECTING) {
       // The WebSocket instance is opening - close it if it eventually opens
       dbg("The WebSocket connection is opening");
@@ -403,9 +852,67 @@ proto._disconnect = function _disconnect(err) {
     } else {
       this._emitAsync("disconnect");
     }
+
+    // Schedule a reconnect attempt if appropriate
+    // Servers use application close codes to kick or ban clients, so they
+    // are not followed by a reconnect attempt
+    if (!requested && this._options.reconnect) {
+      if (err && err.wsCloseCategory === "application") {
+        dbg("Not reconnecting after an application close code");
+        this._reconnectAttempts = 0;
+      } else {
+        this._reconnect();
+      }
+    }
   }
 };
 
+/**
+ * Schedules a reconnect attempt following an unexpected disconnect, unless
+ * the maximum number of attempts has been reached.
+ *
+ * The delay grows exponentially with each consecutive attempt up to the
+ * maximum, less a random fraction of up to options.jitter.
+ * @memberof Browser
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._reconnect = function _reconnect() {
+  dbg("Considering a reconnect attempt");
+
+  const { reconnect } = this._options;
+  const attempt = this._reconnectAttempts + 1;
+  if (reconnect.maxAttempts > 0 && attempt > reconnect.maxAttempts) {
+    dbg("Maximum reconnect attempts reached");
+    this._reconnectAttempts = 0;
+    return; // Stop
+  }
+
+  const baseDelayMs = Math.min(
+    reconnect.maxDelayMs,
+    reconnect.initialDelayMs * reconnect.multiplier ** (attempt - 1),
+  );
+  const delayMs = Math.round(
+    baseDelayMs * (1 - reconnect.jitter * Math.random()),
+  );
+
+  // Update state and emit
+  // The transport is connecting while it waits, as the Feedme client library
+  // only recognizes the disconnected, connecting, and connected states
+  this._reconnectAttempts = attempt;
+  this._state = "connecting";
+  this._emitAsync("connecting");
+  this._emitAsync("reconnecting", attempt, delayMs);
+
+  dbg(`Scheduling reconnect attempt ${attempt} in ${delayMs}ms`);
+  this._reconnectTimeout = setTimeout(() => {
+    dbg("Reconnect timeout fired");
+    this._reconnectTimeout = null;
+    this._connect();
+  }, delayMs);
+};
+
 /**
  * Emits an event asynchronously during the next run around the event loop.
  *
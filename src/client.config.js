@@ -1,10 +1,36 @@
 /**
- * Hard-coded configuration for the Node.js client.
+ * Hard-coded configuration for the Node.js and browser clients.
  * @type {Object}
  */
 export default {
   defaults: {
     heartbeatIntervalMs: 5000,
     heartbeatTimeoutMs: 4999,
+
+    // Long-polling client only - must exceed the server poll timeout
+    requestTimeoutMs: 35000,
+
+    // Node.js client only - overlaid on options.resume if session resumption
+    // is enabled
+    resume: {
+      timeoutMs: 10000, // Stop trying to resume a lost session after this long
+      retryMs: 1000, // Delay between attempts to resume a lost session
+      maxMessages: 1000, // Messages retained for replay
+    },
+
+    // Node.js client only - overlaid on options.metrics if specified
+    metrics: {
+      prefix: "feedme_client", // Prepended to metric names
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5], // Seconds
+    },
+
+    // Overlaid on options.reconnect if reconnection is enabled
+    reconnect: {
+      initialDelayMs: 1000,
+      multiplier: 2,
+      maxDelayMs: 30000,
+      jitter: 0.5,
+      maxAttempts: 0, // Unlimited
+    },
   },
 };
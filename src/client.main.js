@@ -3,6 +3,18 @@ import check from "check-types";
 import debug from "debug";
 import clientConfig from "./client.config";
 import config from "./config";
+import latencyStats from "./latency";
+import isBinary from "./binary";
+import { validVersions, subprotocol, parseSubprotocol } from "./protocols";
+import {
+  replayBuffer,
+  bufferMessage,
+  messagesAfter,
+  parseSessionFrame,
+} from "./resume";
+import { closeError } from "./reason";
+import metricsFactory, { validPrefix, validBuckets } from "./metrics";
+import awaitTransition, { asyncOptions } from "./lifecycle";
 
 const dbg = debug("feedme-transport-ws:client");
 
@@ -15,6 +27,86 @@ const dbg = debug("feedme-transport-ws:client");
 const proto = {};
 emitter(proto);
 
+/**
+ * Metrics collected by the client - see metrics.js.
+ * @type {Object}
+ */
+const metricDefinitions = {
+  connection_attempts_total: {
+    type: "counter",
+    help: "Connection attempts, including reconnect attempts.",
+  },
+  reconnect_attempts_total: {
+    type: "counter",
+    help: "Reconnect attempts scheduled after unexpected disconnects.",
+  },
+  connections_opened_total: {
+    type: "counter",
+    help: "Connections established.",
+  },
+  disconnects_total: {
+    type: "counter",
+    help: "Disconnects, by reason.",
+    labels: ["reason"],
+  },
+  messages_received_total: {
+    type: "counter",
+    help: "Messages received from the server.",
+  },
+  received_bytes_total: {
+    type: "counter",
+    help: "Bytes of messages received from the server.",
+  },
+  messages_sent_total: {
+    type: "counter",
+    help: "Messages written to the server, including replays.",
+  },
+  sent_bytes_total: {
+    type: "counter",
+    help: "Bytes of messages written to the server, including replays.",
+  },
+  send_failures_total: {
+    type: "counter",
+    help: "Messages that could not be written to the server.",
+  },
+  heartbeat_timeouts_total: {
+    type: "counter",
+    help: "Heartbeat pings not answered within the timeout.",
+  },
+  heartbeat_latency_seconds: {
+    type: "histogram",
+    help: "Heartbeat round-trip times.",
+  },
+};
+
+/**
+ * Reasons reported in the disconnects_total metric, by transport error
+ * message, for failures other than connection closures. Closures are reported
+ * by close category - see reason.js.
+ * @type {Object}
+ */
+const disconnectReasons = {
+  "FAILURE: The WebSocket heartbeat failed.": "heartbeatFailure",
+  "FAILURE: WebSocket transmission failed.": "transmissionFailure",
+  "FAILURE: Connection timed out.": "connectTimeout",
+  "FAILURE: The session could not be resumed.": "resumeFailure",
+};
+
+/**
+ * Returns the reason reported in the disconnects_total metric.
+ * @param {?Error} err
+ * @param {?boolean} requested True if due to a call to client.disconnect()
+ * @returns {string}
+ */
+const disconnectReason = function disconnectReason(err, requested) {
+  if (requested) {
+    return "requested";
+  }
+  return (
+    (err && (err.wsCloseCategory || disconnectReasons[err.message])) || "other"
+  );
+};
+
 /**
  * Node.js client factory function.
  *
@@ -30,7 +122,9 @@ emitter(proto);
  * same port.
  * @param {Function} wsConstructor WebSocket client constructor
  * @param {string} address Endpoint address
- * @param {?Object} options Heartbeat settings and additional options for ws
+ * @param {?Object} options Heartbeat, connection timeout, headers, protocol,
+ *                          binary, reconnect, and resume settings and
+ *                          additional options for ws
  * @throws {Error} "INVALID_ARGUMENT: ..."
  * @returns {Client}
  */
@@ -99,6 +193,130 @@ export default function clientFactory(...args) {
     options.heartbeatTimeoutMs = clientConfig.defaults.heartbeatTimeoutMs; // eslint-disable-line no-param-reassign
   }
 
+  // Validate options.protocols (if specified)
+  // Only the default protocol version is offered unless specified
+  if ("protocols" in options && !validVersions(options.protocols)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.protocols argument.");
+  }
+
+  // Validate options.binary (if specified)
+  // Binary mode is disabled unless specified
+  if ("binary" in options && !check.boolean(options.binary)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.binary argument.");
+  }
+
+  // Validate options.headers (if specified)
+  // An object is passed to ws as-is, while a function is called on every
+  // connection attempt
+  if (
+    "headers" in options &&
+    !check.object(options.headers) &&
+    !check.function(options.headers)
+  ) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.headers argument.");
+  }
+
+  // Validate options.connectTimeoutMs (if specified)
+  // Connection attempts are not timed out unless specified
+  if ("connectTimeoutMs" in options) {
+    if (
+      !check.integer(options.connectTimeoutMs) ||
+      options.connectTimeoutMs <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+      );
+    }
+  }
+
+  // Validate options.reconnect (if specified) and overlay defaults
+  // Reconnection is disabled unless specified
+  if ("reconnect" in options && options.reconnect !== false) {
+    if (options.reconnect !== true && !check.object(options.reconnect)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.reconnect argument.");
+    }
+    const reconnect = {
+      ...clientConfig.defaults.reconnect,
+      ...(options.reconnect === true ? {} : options.reconnect),
+    };
+    if (
+      !check.integer(reconnect.initialDelayMs) ||
+      reconnect.initialDelayMs < 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.initialDelayMs argument.",
+      );
+    }
+    if (!check.number(reconnect.multiplier) || reconnect.multiplier < 1) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.multiplier argument.",
+      );
+    }
+    if (
+      !check.integer(reconnect.maxDelayMs) ||
+      reconnect.maxDelayMs < reconnect.initialDelayMs
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxDelayMs argument.",
+      );
+    }
+    if (
+      !check.number(reconnect.jitter) ||
+      reconnect.jitter < 0 ||
+      reconnect.jitter > 1
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.jitter argument.",
+      );
+    }
+    if (!check.integer(reconnect.maxAttempts) || reconnect.maxAttempts < 0) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxAttempts argument.",
+      );
+    }
+    options.reconnect = reconnect; // eslint-disable-line no-param-reassign
+  }
+
+  // Validate options.resume (if specified) and overlay defaults
+  // Session resumption is disabled unless specified
+  if ("resume" in options && options.resume !== false) {
+    if (options.resume !== true && !check.object(options.resume)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.resume argument.");
+    }
+    const resume = {
+      ...clientConfig.defaults.resume,
+      ...(options.resume === true ? {} : options.resume),
+    };
+    ["timeoutMs", "retryMs", "maxMessages"].forEach((opt) => {
+      if (!check.integer(resume[opt]) || resume[opt] <= 0) {
+        throw new Error(
+          `INVALID_ARGUMENT: Invalid options.resume.${opt} argument.`,
+        );
+      }
+    });
+    options.resume = resume; // eslint-disable-line no-param-reassign
+  }
+
+  // Validate options.metrics (if specified) and overlay defaults
+  // Metrics are always collected - the option only configures them
+  if ("metrics" in options && !check.object(options.metrics)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.metrics argument.");
+  }
+  const metrics = {
+    ...clientConfig.defaults.metrics,
+    ...options.metrics,
+  };
+  if (!validPrefix(metrics.prefix)) {
+    throw new Error(
+      "INVALID_ARGUMENT: Invalid options.metrics.prefix argument.",
+    );
+  }
+  if (!validBuckets(metrics.buckets)) {
+    throw new Error(
+      "INVALID_ARGUMENT: Invalid options.metrics.buckets argument.",
+    );
+  }
+
   // Success
 
   const client = Object.create(proto);
@@ -125,7 +343,7 @@ export default function clientFactory(...args) {
 
   /**
    * The outward-facing transport state. One of "disconnected", "connecting",
-   * or "connected".
+   * or "connected". The transport is connecting while it waits to reconnect.
    * @memberof Client
    * @instance
    * @private
@@ -169,6 +387,114 @@ export default function clientFactory(...args) {
    */
   client._heartbeatTimeout = null;
 
+  /**
+   * Reconnect timeout id. Null unless the transport is waiting to reconnect.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {number}
+   */
+  client._reconnectTimeout = null;
+
+  /**
+   * Connection timeout id. Null unless the transport is connecting and
+   * options.connectTimeoutMs is specified.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {number}
+   */
+  client._connectTimeout = null;
+
+  /**
+   * Token identifying the connection attempt awaiting options.headers(). Null
+   * unless the transport is connecting and awaiting headers.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  client._pendingHeaders = null;
+
+  /**
+   * Number of reconnect attempts made since the transport last connected or
+   * the application last called connect() or disconnect().
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {number}
+   */
+  client._reconnectAttempts = 0;
+
+  /**
+   * Heartbeat round-trip time measurements for the current or most recent
+   * connection.
+   *
+   * The pingSentAt property is the time at which the outstanding ping was
+   * sent, or null if no pong is outstanding. The samples property contains the
+   * most recent round-trip times in milliseconds, oldest first.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  client._latency = { pingSentAt: null, samples: [] };
+
+  /**
+   * Options passed to ws for the current connection. Reused when resuming the
+   * session so that resumption attempts present the same headers.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  client._wsOptions = null;
+
+  /**
+   * True once a ws client that negotiated a resume subprotocol has opened and
+   * until the server's first control frame is received.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {boolean}
+   */
+  client._sessionPending = false;
+
+  /**
+   * The resumable session. Null unless session resumption is enabled and the
+   * server has begun a session on the current connection.
+   *
+   * {
+   *   token, // Resume token sent by the server
+   *   protocol, // Negotiated WebSocket subprotocol
+   *   wsOptions, // Options passed to ws for resumption attempts
+   *   received, // Number of messages received from the server
+   *   buffer, // Replay buffer of messages sent to the server - see resume.js
+   *   err, // Error that ended the lost connection - null if not resuming
+   *   resumeTimeout, // Abandons resumption - null if not resuming
+   *   retryTimeout // Pending resumption attempt - null if none
+   * }
+   *
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  client._session = null;
+
+  /**
+   * Metrics collector. Cumulative over the life of the transport.
+   * @memberof Client
+   * @instance
+   * @private
+   * @type {Metrics}
+   */
+  client._metrics = metricsFactory(
+    metrics.prefix,
+    metricDefinitions,
+    metrics.buckets,
+  );
+
   return client;
 }
 
@@ -190,7 +516,7 @@ export default function clientFactory(...args) {
  * @event message
  * @memberof Client
  * @instance
- * @param {string} msg
+ * @param {string|Buffer} msg Buffer only in binary mode
  */
 
 /**
@@ -200,10 +526,29 @@ export default function clientFactory(...args) {
  * @param {?Error} err "FAILURE: ..." if not due to call to client.disconnect()
  */
 
+/**
+ * Emitted after an unexpected disconnect if reconnection is enabled and
+ * attempts remain, following the connecting event.
+ * @event reconnecting
+ * @memberof Client
+ * @instance
+ * @param {number} attempt The upcoming attempt number, starting at 1
+ * @param {number} delayMs Time until the attempt is made
+ */
+
+/**
+ * Emitted each time a heartbeat round-trip time is measured.
+ * @event latency
+ * @memberof Client
+ * @instance
+ * @param {number} rtt Milliseconds
+ */
+
 // Public API
 
 /**
  * Returns the transport state: "disconnected", "connecting", or "connected".
+ * The transport is connecting while it waits to reconnect.
  * @memberof Client
  * @instance
  * @returns {string}
@@ -215,7 +560,56 @@ proto.state = function state() {
 };
 
 /**
- * The library wants the transport to connect.
+ * Returns heartbeat round-trip time statistics for the current or most recent
+ * connection, based on the most recent measurements. Values are null if no
+ * round trip has completed, including when the heartbeat is disabled.
+ * @memberof Client
+ * @instance
+ * @returns {Object} { last, average, p95 } in milliseconds
+ */
+proto.latency = function latency() {
+  dbg("Latency requested");
+  return latencyStats(this._latency.samples);
+};
+
+/**
+ * Returns client metrics in the Prometheus text exposition format. Metrics
+ * are cumulative over the life of the transport.
+ * @memberof Client
+ * @instance
+ * @returns {string}
+ */
+proto.metrics = function metrics() {
+  dbg("Metrics requested");
+  return this._metrics.render();
+};
+
+/**
+ * Returns the Feedme protocol version negotiated with the server, with the
+ * casing specified in options.protocols.
+ * @memberof Client
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {string}
+ */
+proto.protocol = function protocol() {
+  dbg("Protocol requested");
+
+  // Check state
+  if (this._state !== "connected") {
+    throw new Error("INVALID_STATE: Not connected.");
+  }
+
+  // There may be no ws client while the session is being resumed
+  return parseSubprotocol(
+    this._session ? this._session.protocol : this._wsClient.protocol,
+    this._options.protocols || [config.wsSubprotocol],
+  ).version;
+};
+
+/**
+ * The library wants the transport to connect. If the transport is waiting to
+ * reconnect then the pending attempt is made immediately.
  * @memberof Client
  * @instance
  * @throws {Error} "INVALID_STATE: ..."
@@ -225,45 +619,27 @@ proto.connect = function connect() {
   dbg("Connect requested");
 
   // Check state - is this a valid call on the transport?
-  if (this._state !== "disconnected") {
+  if (this._state !== "disconnected" && !this._reconnectTimeout) {
     throw new Error("INVALID_STATE: Already connecting or connected.");
   }
 
-  // Update state and emit asynchronously
-  this._state = "connecting";
-  this._emitAsync("connecting");
-
-  // Try to create the WebSocket client
-  try {
-    this._wsClient = new this._wsConstructor(
-      this._address,
-      config.wsSubprotocol,
-      this._options,
-    );
-  } catch (e) {
-    dbg("Failed to initialize ws client");
+  // Success
 
-    // Update state and emit disconnect asynchronously
-    this._state = "disconnected";
-    const err = new Error(
-      "FAILURE: Could not initialize the WebSocket client.",
-    );
-    err.wsError = e;
-    this._emitAsync("disconnect", err);
-    return; // Stop
+  // Cancel any pending reconnect attempt and reset the count
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
   }
+  this._reconnectAttempts = 0;
 
-  // Listen for events
-  this._wsClient.on("open", this._processWsOpen.bind(this));
-  this._wsClient.on("message", this._processWsMessage.bind(this));
-  this._wsClient.on("pong", this._processWsPong.bind(this));
-  this._wsClient.on("close", this._processWsClose.bind(this));
-  this._wsClient.on("error", this._processWsError.bind(this));
+  this._connect();
 };
 
 /**
  * The library wants the transport to disconnect. The transport could be
- * connecting or connected.
+ * connecting, including while waiting to reconnect, or connected.
+ *
+ * The transport never attempts to reconnect following a call to disconnect().
  * @memberof Client
  * @instance
  * @param {?Error} err
@@ -290,14 +666,83 @@ proto.disconnect = function disconnect(...args) {
 
   // Success
 
-  this._disconnect(err);
+  this._reconnectAttempts = 0;
+  this._disconnect(err, true);
+};
+
+/**
+ * Connects the client and returns a promise that resolves once it has
+ * connected.
+ *
+ * The promise rejects with the transport error if the connection attempt
+ * fails, with "ABORTED: ..." if client.disconnect() is called or the signal is
+ * aborted before the client connects, with "FAILURE: Connection timed out." if
+ * options.timeoutMs elapses first, or with the error thrown by
+ * client.connect(). If the signal is aborted or the timeout elapses then the
+ * client is disconnected. Reconnect attempts are not awaited.
+ * @memberof Client
+ * @instance
+ * @param {?Object} options { timeoutMs, signal } - signal is an AbortSignal
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Promise}
+ */
+proto.connectAsync = function connectAsync(...args) {
+  dbg("Asynchronous connect requested");
+
+  const { signal, timeoutMs } = asyncOptions(args, ["signal", "timeoutMs"]);
+
+  return awaitTransition({
+    transport: this,
+    defer: process.nextTick,
+    initiate: () => {
+      this.connect();
+    },
+    resolveEvent: "connect",
+    rejectEvent: "disconnect",
+    rejectMessage: "ABORTED: The client was disconnected before it connected.",
+    signal,
+    timeoutMs,
+    timeoutMessage: "FAILURE: Connection timed out.",
+    cancel: (err) => {
+      if (this._state !== "disconnected") {
+        if (err) {
+          this.disconnect(err);
+        } else {
+          this.disconnect();
+        }
+      }
+    },
+  });
+};
+
+/**
+ * Disconnects the client and returns a promise that resolves once it has
+ * disconnected.
+ *
+ * The promise rejects with the error thrown by client.disconnect().
+ * @memberof Client
+ * @instance
+ * @param {?Error} err Same as client.disconnect()
+ * @returns {Promise}
+ */
+proto.disconnectAsync = function disconnectAsync(...args) {
+  dbg("Asynchronous disconnect requested");
+
+  return awaitTransition({
+    transport: this,
+    defer: process.nextTick,
+    initiate: () => {
+      this.disconnect(...args);
+    },
+    resolveEvent: "disconnect",
+  });
 };
 
 /**
  * The library wants to send a message to the server.
  * @memberof Client
  * @instance
- * @param {string} msg
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} msg Binary only in binary mode
  * @throws {Error} "INVALID_STATE: ..."
  * @throws {Error} "INVALID_ARGUMENT: ..."
  * @returns {void}
@@ -306,7 +751,7 @@ proto.send = function send(msg) {
   dbg("Send requested");
 
   // Check message
-  if (!check.string(msg)) {
+  if (!check.string(msg) && !(this._options.binary && isBinary(msg))) {
     throw new Error("INVALID_ARGUMENT: Invalid message.");
   }
 
@@ -315,18 +760,17 @@ proto.send = function send(msg) {
     throw new Error("INVALID_STATE: Not connected.");
   }
 
-  // Try to send the message
-  this._wsClient.send(msg, (err) => {
-    // The message has been written or has failed to write
-    if (err) {
-      dbg("Error writing message");
-      const transportErr = new Error("FAILURE: WebSocket transmission failed.");
-      transportErr.wsError = err;
-      this._disconnect(transportErr);
-    } else {
-      dbg("Message written successfully");
+  // Retain the message for replay if the session is resumable, and send it
+  // once resumed if the session is being resumed
+  if (this._session) {
+    bufferMessage(this._session.buffer, msg, 0, this._options.resume);
+    if (this._session.resumeTimeout) {
+      dbg("Deferring message until the session is resumed");
+      return; // Stop
     }
-  });
+  }
+
+  this._writeMessage(msg);
 };
 
 // WebSocket event handlers
@@ -341,39 +785,20 @@ proto.send = function send(msg) {
 proto._processWsOpen = function _processWsOpen() {
   dbg("Observed ws open event");
 
-  // Set up the heartbeat (if so configured)
-  if (this._options.heartbeatIntervalMs > 0) {
-    dbg("Starting heartbeat interval");
-    this._heartbeatInterval = setInterval(() => {
-      dbg("Sending ping and starting heartbeat timeout");
-
-      // Start the heartbeat timeout
-      // Cleared on pong receipt and on disconnect, so if fired you know you need to terminate
-      this._heartbeatTimeout = setTimeout(() => {
-        dbg("Heartbeat timed out");
-        this._disconnect(new Error("FAILURE: The WebSocket heartbeat failed."));
-      }, this._options.heartbeatTimeoutMs);
-
-      // Ping the server - ws automatically replies with pong
-      this._wsClient.ping((err) => {
-        // The ping frame has been written or has failed to write - pong not yet received
-        if (err) {
-          dbg("Error writing ping frame");
-          const transportErr = new Error(
-            "FAILURE: The WebSocket heartbeat failed.",
-          );
-          transportErr.wsError = err;
-          this._disconnect(transportErr);
-        } else {
-          dbg("Ping frame written successfully");
-        }
-      });
-    }, this._options.heartbeatIntervalMs);
+  // If a resume subprotocol was negotiated then the server's first message is
+  // a session control frame - the connection timeout continues to apply
+  if (
+    parseSubprotocol(
+      this._wsClient.protocol,
+      this._options.protocols || [config.wsSubprotocol],
+    ).resume
+  ) {
+    dbg("Awaiting session control frame");
+    this._sessionPending = true;
+    return; // Stop
   }
 
-  // Update state and emit
-  this._state = "connected";
-  this._emitAsync("connect");
+  this._connected();
 };
 
 /**
@@ -388,7 +813,8 @@ proto._processWsMessage = function _processWsMessage(data) {
   dbg("Observed ws message event");
 
   // Check data type - could be String, Buffer, ArrayBuffer, Buffer[]
-  if (!check.string(data)) {
+  // Binary frames are delivered as Buffers unless the ws binaryType is changed
+  if (!check.string(data) && !(this._options.binary && isBinary(data))) {
     dbg("Unexpected WebSocket message type");
     dbg(data);
     this._disconnect(
@@ -399,6 +825,24 @@ proto._processWsMessage = function _processWsMessage(data) {
     return; // Stop
   }
 
+  // Process the session control frame (if awaited)
+  if (this._sessionPending) {
+    this._sessionPending = false;
+    this._processSessionFrame(data);
+    return; // Stop
+  }
+
+  // Count the message
+  this._metrics.increment("messages_received_total");
+  this._metrics.increment(
+    "received_bytes_total",
+    null,
+    Buffer.byteLength(data),
+  );
+  if (this._session) {
+    this._session.received += 1;
+  }
+
   this._emitAsync("message", data);
 };
 
@@ -415,13 +859,27 @@ proto._processWsPong = function _processWsPong() {
   // Clear the heartbeat timeout
   clearTimeout(this._heartbeatTimeout);
   this._heartbeatTimeout = null;
+
+  // Record the round-trip time, unless the pong was unsolicited
+  if (this._latency.pingSentAt !== null) {
+    const rtt = Date.now() - this._latency.pingSentAt;
+    this._latency.pingSentAt = null;
+    this._latency.samples.push(rtt);
+    if (this._latency.samples.length > config.latencySamples) {
+      this._latency.samples.shift();
+    }
+    this._metrics.observe("heartbeat_latency_seconds", null, rtt / 1000);
+    this._emitAsync("latency", rtt);
+  }
 };
 
 /**
  * Processes a ws close event.
  *
  * All ws listeners are removed by _disconnect(), so this function is only
- * called if there is an unexpected connection closure.
+ * called if there is an unexpected connection closure. The session is resumed
+ * (if resumable) unless the server closed the connection normally or with an
+ * application close code.
  * @memberof Client
  * @instance
  * @private
@@ -436,10 +894,12 @@ proto._processWsClose = function _processWsClose(code, reason) {
     this._state === "connecting"
       ? "FAILURE: The WebSocket could not be opened."
       : "FAILURE: The WebSocket closed unexpectedly.";
-  const err = new Error(errMsg);
-  err.wsCode = code;
-  err.wsReason = reason;
-  this._disconnect(err);
+  const err = closeError(errMsg, code, reason);
+  if (code === 1000 || code === 1001 || (code >= 4000 && code <= 4999)) {
+    this._disconnect(err);
+  } else {
+    this._connectionLost(err);
+  }
 };
 
 /**
@@ -460,6 +920,450 @@ proto._processWsError = function _processWsError(err) {
 
 // Internal Functions
 
+/**
+ * Begins connecting.
+ *
+ * Invoked on:
+ *
+ *  - Call to transport.connect()
+ *  - Reconnect timeout
+ *
+ * If options.headers is a function then it is called and the ws client is
+ * created once it returns or resolves, so that fresh headers are sent on every
+ * connection attempt. The connection timeout includes that period.
+ * @memberof Client
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._connect = function _connect() {
+  dbg("Connecting the client");
+
+  // Update state and emit asynchronously
+  // Reconnect attempts are already connecting
+  this._metrics.increment("connection_attempts_total");
+  if (this._state !== "connecting") {
+    this._state = "connecting";
+    this._emitAsync("connecting");
+  }
+
+  // Start the connection timeout (if so configured)
+  if (this._options.connectTimeoutMs) {
+    this._connectTimeout = setTimeout(() => {
+      dbg("Connection timed out");
+      this._connectTimeout = null;
+      this._disconnect(
+        new Error("FAILURE: Connection timed out."),
+        false,
+        true,
+      );
+    }, this._options.connectTimeoutMs);
+  }
+
+  // Create the ws client now if there is no headers function
+  if (!check.function(this._options.headers)) {
+    this._createWsClient(this._options);
+    return; // Stop
+  }
+
+  // Obtain headers for this connection attempt
+  // Results are discarded if the attempt is cancelled in the meantime
+  dbg("Obtaining connection headers");
+  const pending = {};
+  this._pendingHeaders = pending;
+  Promise.resolve()
+    .then(() => this._options.headers())
+    .then(
+      (headers) => {
+        if (this._pendingHeaders !== pending) {
+          dbg("Discarding headers for a cancelled connection attempt");
+          return; // Stop
+        }
+        this._pendingHeaders = null;
+        if (!check.object(headers)) {
+          dbg("Headers function returned an invalid value");
+          this._disconnect(
+            new Error(
+              "FAILURE: The headers function returned an invalid value.",
+            ),
+          );
+          return; // Stop
+        }
+        this._createWsClient({ ...this._options, headers });
+      },
+      (e) => {
+        if (this._pendingHeaders !== pending) {
+          dbg("Discarding headers for a cancelled connection attempt");
+          return; // Stop
+        }
+        dbg("Headers function failed");
+        this._pendingHeaders = null;
+        const err = new Error("FAILURE: The headers function failed.");
+        err.headersError = e;
+        this._disconnect(err);
+      },
+    );
+};
+
+/**
+ * Creates a ws client for a connection attempt.
+ * @memberof Client
+ * @instance
+ * @private
+ * @param {Object} wsOptions Options passed to ws
+ * @returns {void}
+ */
+proto._createWsClient = function _createWsClient(wsOptions) {
+  dbg("Creating the ws client");
+
+  // Try to create the WebSocket client
+  // Offer each protocol version in order of preference, extended for binary
+  // mode if enabled and preceded by its resume variant if session resumption
+  // is enabled - ws requires the server to select one of them
+  const protocols = (this._options.protocols || [config.wsSubprotocol]).reduce(
+    (result, version) =>
+      result.concat(
+        this._options.resume
+          ? [
+              subprotocol(version, !!this._options.binary, false, true),
+              subprotocol(version, !!this._options.binary, false),
+            ]
+          : [subprotocol(version, !!this._options.binary, false)],
+      ),
+    [],
+  );
+  this._wsOptions = wsOptions;
+  try {
+    this._wsClient = new this._wsConstructor(
+      this._address,
+      protocols.length === 1 ? protocols[0] : protocols,
+      wsOptions,
+    );
+  } catch (e) {
+    dbg("Failed to initialize ws client");
+
+    // Disconnect, which schedules a reconnect attempt (if so configured)
+    const err = new Error(
+      "FAILURE: Could not initialize the WebSocket client.",
+    );
+    err.wsError = e;
+    this._disconnect(err);
+    return; // Stop
+  }
+
+  this._listen();
+};
+
+/**
+ * Attaches event handlers to the ws client.
+ * @memberof Client
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._listen = function _listen() {
+  this._wsClient.on("open", this._processWsOpen.bind(this));
+  this._wsClient.on("message", this._processWsMessage.bind(this));
+  this._wsClient.on("pong", this._processWsPong.bind(this));
+  this._wsClient.on("close", this._processWsClose.bind(this));
+  this._wsClient.on("error", this._processWsError.bind(this));
+};
+
+/**
+ * Completes a connection once the ws client has opened and, if a resume
+ * subprotocol was negotiated, once the server has begun a session.
+ * @memberof Client
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._connected = function _connected() {
+  dbg("Connected");
+
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Reset the reconnect attempt count and latency measurements
+  this._reconnectAttempts = 0;
+  this._latency = { pingSentAt: null, samples: [] };
+
+  this._startHeartbeat();
+
+  // Update state and emit
+  this._state = "connected";
+  this._metrics.increment("connections_opened_total");
+  this._emitAsync("connect");
+};
+
+/**
+ * Starts the heartbeat (if so configured).
+ * @memberof Client
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._startHeartbeat = function _startHeartbeat() {
+  if (this._options.heartbeatIntervalMs === 0) {
+    return; // Stop
+  }
+
+  dbg("Starting heartbeat interval");
+  this._heartbeatInterval = setInterval(() => {
+    dbg("Sending ping and starting heartbeat timeout");
+
+    // Start the heartbeat timeout
+    // Cleared on pong receipt and on disconnect, so if fired you know you need to terminate
+    this._heartbeatTimeout = setTimeout(() => {
+      dbg("Heartbeat timed out");
+      this._metrics.increment("heartbeat_timeouts_total");
+      this._connectionLost(
+        new Error("FAILURE: The WebSocket heartbeat failed."),
+      );
+    }, this._options.heartbeatTimeoutMs);
+
+    // Ping the server - ws automatically replies with pong
+    this._latency.pingSentAt = Date.now();
+    const wsClient = this._wsClient;
+    wsClient.ping((err) => {
+      // The ping frame has been written or has failed to write - pong not yet received
+      if (err) {
+        dbg("Error writing ping frame");
+        const transportErr = new Error(
+          "FAILURE: The WebSocket heartbeat failed.",
+        );
+        transportErr.wsError = err;
+        this._connectionLost(transportErr, wsClient);
+      } else {
+        dbg("Ping frame written successfully");
+      }
+    });
+  }, this._options.heartbeatIntervalMs);
+};
+
+/**
+ * Writes a message to the ws client.
+ * @memberof Client
+ * @instance
+ * @private
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} msg
+ * @returns {void}
+ */
+proto._writeMessage = function _writeMessage(msg) {
+  // Ws sends binary data as a binary frame
+  const wsClient = this._wsClient;
+  this._metrics.increment("messages_sent_total");
+  this._metrics.increment("sent_bytes_total", null, Buffer.byteLength(msg));
+  wsClient.send(msg, (err) => {
+    // The message has been written or has failed to write
+    if (err) {
+      dbg("Error writing message");
+      this._metrics.increment("send_failures_total");
+      const transportErr = new Error("FAILURE: WebSocket transmission failed.");
+      transportErr.wsError = err;
+      this._connectionLost(transportErr, wsClient);
+    } else {
+      dbg("Message written successfully");
+    }
+  });
+};
+
+// Session resumption
+
+/**
+ * Processes the server's first message on a connection that negotiated a
+ * resume subprotocol.
+ *
+ * A session frame begins a new session. If the session was being resumed then
+ * the server could not resume it, so the transport emits disconnect and
+ * immediately connects on the new session. A resumed frame continues the
+ * session being resumed, replaying any messages that the server did not
+ * receive.
+ * @memberof Client
+ * @instance
+ * @private
+ * @param {*} data
+ * @returns {void}
+ */
+proto._processSessionFrame = function _processSessionFrame(data) {
+  dbg("Processing session control frame");
+
+  const frame = parseSessionFrame(data);
+  const session = this._session;
+  const resuming = !!session;
+  if (!frame || (frame.received !== undefined && !resuming)) {
+    dbg("Invalid session control frame");
+    this._disconnect(
+      new Error("FAILURE: Received an invalid session message."),
+    );
+    return; // Stop
+  }
+
+  // Begin a new session
+  if (frame.token !== undefined) {
+    if (resuming) {
+      dbg("The server could not resume the session");
+      clearTimeout(session.resumeTimeout);
+      clearTimeout(session.retryTimeout);
+      this._state = "disconnected";
+      const err = new Error("FAILURE: The session could not be resumed.");
+      this._metrics.increment("disconnects_total", {
+        reason: disconnectReason(err),
+      });
+      this._emitAsync("disconnect", err);
+      this._state = "connecting";
+      this._emitAsync("connecting");
+    }
+    this._session = {
+      token: frame.token,
+      protocol: this._wsClient.protocol,
+      wsOptions: this._wsOptions,
+      received: 0,
+      buffer: replayBuffer(),
+      err: null,
+      resumeTimeout: null,
+      retryTimeout: null,
+    };
+    this._connected();
+    return; // Stop
+  }
+
+  // Continue the session - the server must not be missing discarded messages
+  const messages = messagesAfter(session.buffer, frame.received);
+  if (!messages) {
+    dbg("Unable to replay messages not received by the server");
+
+    // Close normally so that the server ends the session immediately
+    const wsClient = this._wsClient;
+    wsClient.removeAllListeners();
+    wsClient.on("error", () => {});
+    this._wsClient = null;
+    wsClient.close(1000);
+    this._disconnect(new Error("FAILURE: The session could not be resumed."));
+    return; // Stop
+  }
+
+  dbg("Session resumed");
+  clearTimeout(session.resumeTimeout);
+  session.resumeTimeout = null;
+  session.err = null;
+  this._startHeartbeat();
+  messages.forEach((msg) => {
+    this._writeMessage(msg);
+  });
+};
+
+/**
+ * Processes the loss of the connection. If the transport is connected and the
+ * session is resumable then the transport attempts to resume the session and
+ * remains connected in the meantime. Otherwise it disconnects.
+ *
+ * While the session is resumable, failures reported by a ws client other than
+ * the current one are ignored.
+ * @memberof Client
+ * @instance
+ * @private
+ * @param {Error} err
+ * @param {?Object} wsClient The ws client reporting the failure (if known)
+ * @returns {void}
+ */
+proto._connectionLost = function _connectionLost(err, wsClient) {
+  if (this._session && wsClient && wsClient !== this._wsClient) {
+    dbg("Ignoring failure reported by a previous ws client");
+    return; // Stop
+  }
+
+  if (this._session && this._state === "connected") {
+    this._suspend(err);
+  } else {
+    this._disconnect(err);
+  }
+};
+
+/**
+ * Discards the ws client and schedules an attempt to resume the session. The
+ * first attempt is made immediately, and the transport disconnects with the
+ * original error if the session is not resumed within options.resume.timeoutMs.
+ * @memberof Client
+ * @instance
+ * @private
+ * @param {Error} err
+ * @returns {void}
+ */
+proto._suspend = function _suspend(err) {
+  dbg("Connection lost - resuming the session");
+
+  // Discard the ws client
+  const wsClient = this._wsClient;
+  this._wsClient = null;
+  this._sessionPending = false;
+  if (wsClient) {
+    wsClient.removeAllListeners();
+    wsClient.on("error", () => {});
+    wsClient.terminate();
+  }
+
+  // Clear heartbeat (if any)
+  clearInterval(this._heartbeatInterval);
+  this._heartbeatInterval = null;
+  clearTimeout(this._heartbeatTimeout);
+  this._heartbeatTimeout = null;
+  this._latency.pingSentAt = null;
+
+  const session = this._session;
+  if (session.resumeTimeout) {
+    // A resumption attempt failed - try again later
+    session.retryTimeout = setTimeout(() => {
+      session.retryTimeout = null;
+      this._resumeSession();
+    }, this._options.resume.retryMs);
+    return; // Stop
+  }
+
+  session.err = err;
+  session.resumeTimeout = setTimeout(() => {
+    dbg("Session resumption timed out");
+    this._disconnect(session.err);
+  }, this._options.resume.timeoutMs);
+  this._resumeSession();
+};
+
+/**
+ * Makes an attempt to resume the session, presenting the resume token and the
+ * number of messages received from the server.
+ * @memberof Client
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._resumeSession = function _resumeSession() {
+  dbg("Attempting to resume the session");
+
+  const session = this._session;
+  const url = new URL(this._address);
+  url.searchParams.set(config.wsResumeTokenParam, session.token);
+  url.searchParams.set(config.wsResumeSeqParam, `${session.received}`);
+  try {
+    this._wsClient = new this._wsConstructor(
+      url.toString(),
+      session.protocol,
+      session.wsOptions,
+    );
+  } catch (e) {
+    dbg("Failed to initialize ws client");
+    const err = new Error(
+      "FAILURE: Could not initialize the WebSocket client.",
+    );
+    err.wsError = e;
+    this._suspend(err);
+    return; // Stop
+  }
+
+  this._listen();
+};
+
 /**
  * Disconnect the transport client.
  *
@@ -468,27 +1372,69 @@ proto._processWsError = function _processWsError(err) {
  *  - Heartbeat timeout
  *  - Ws calls back error to ws.ping()
  *  - Ws calls back error to ws.send()
+ *  - Connection timeout
+ *  - Failure to resume the session
+ *  - Ws constructor throws
+ *
+ * Resets the state, emits, and closes the ws connection as appropriate. If
+ * the disconnect was not requested by the application and reconnection is
+ * enabled, then schedules a reconnect attempt, unless the server closed the
+ * connection with an application close code.
  *
- * Resets the state, emits, and closes the ws connection as appropriate.
+ * A ws connection that is still opening is normally closed once it opens. If
+ * abort is true then the opening handshake is abandoned immediately instead.
  * @memberof Client
  * @instance
  * @private
- * @param {Error} err
+ * @param {?Error} err
+ * @param {?boolean} requested True if due to a call to transport.disconnect()
+ * @param {?boolean} abort True to abandon an opening ws connection
  * @returns {void}
  */
-proto._disconnect = function _disconnect(err) {
+proto._disconnect = function _disconnect(err, requested, abort) {
   dbg("Disconnecting the client");
 
+  // There is no ws client while waiting to reconnect, so an unrequested
+  // disconnect can only come from a callback on a previous ws client - ignore
+  if (this._reconnectTimeout && !requested) {
+    dbg("Ignoring stale failure while waiting to reconnect");
+    return; // Stop
+  }
+
+  // Cancel any pending reconnect attempt
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+
   // Remove all ws listeners (if present)
   if (this._wsClient) {
     this._wsClient.removeAllListeners();
   }
 
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Cancel any pending headers function call
+  this._pendingHeaders = null;
+
+  // End the session (if any)
+  this._sessionPending = false;
+  if (this._session) {
+    clearTimeout(this._session.resumeTimeout);
+    clearTimeout(this._session.retryTimeout);
+    this._session = null;
+  }
+
   // Clear heartbeat (if any)
   clearInterval(this._heartbeatInterval);
   this._heartbeatInterval = null;
   clearTimeout(this._heartbeatTimeout);
   this._heartbeatTimeout = null;
+  this._latency.pingSentAt = null;
 
   // Remove the ws client reference
   const wsClient = this._wsClient;
@@ -509,6 +1455,12 @@ proto._disconnect = function _disconnect(err) {
       // The ws instance is open - close it
       dbg("The ws connection is open");
       close();
+    } else if (wsClient.readyState === wsClient.CONNECTING && abort) {
+      // The ws instance is opening - abandon the handshake
+      // Ws emits an error when the handshake is aborted
+      dbg("Aborting the ws connection");
+      wsClient.on("error", () => {});
+      wsClient.terminate();
     } else if (wsClient.readyState === wsClient.CONNECTING) {
       // The ws instance is opening - close it if it opens
       dbg("The ws connection is opening");
@@ -519,14 +1471,77 @@ proto._disconnect = function _disconnect(err) {
   // Update state and emit asynchronously
   if (this._state !== "disconnected") {
     this._state = "disconnected";
+    this._metrics.increment("disconnects_total", {
+      reason: disconnectReason(err, requested),
+    });
     if (err) {
       this._emitAsync("disconnect", err);
     } else {
       this._emitAsync("disconnect");
     }
+
+    // Schedule a reconnect attempt if appropriate
+    // Servers use application close codes to kick or ban clients, so they
+    // are not followed by a reconnect attempt
+    if (!requested && this._options.reconnect) {
+      if (err && err.wsCloseCategory === "application") {
+        dbg("Not reconnecting after an application close code");
+        this._reconnectAttempts = 0;
+      } else {
+        this._reconnect();
+      }
+    }
   }
 };
 
+/**
+ * Schedules a reconnect attempt following an unexpected disconnect, unless
+ * the maximum number of attempts has been reached.
+ *
+ * The delay grows exponentially with each consecutive attempt up to the
+ * maximum, and is reduced by a random fraction of up to options.jitter so that
+ * clients disconnected at the same moment do not reconnect in lockstep.
+ * @memberof Client
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._reconnect = function _reconnect() {
+  dbg("Considering a reconnect attempt");
+
+  const { reconnect } = this._options;
+  const attempt = this._reconnectAttempts + 1;
+  if (reconnect.maxAttempts > 0 && attempt > reconnect.maxAttempts) {
+    dbg("Maximum reconnect attempts reached");
+    this._reconnectAttempts = 0;
+    return; // Stop
+  }
+
+  const baseDelayMs = Math.min(
+    reconnect.maxDelayMs,
+    reconnect.initialDelayMs * reconnect.multiplier ** (attempt - 1),
+  );
+  const delayMs = Math.round(
+    baseDelayMs * (1 - reconnect.jitter * Math.random()),
+  );
+
+  // Update state and emit
+  // The transport is connecting while it waits, as the Feedme client library
+  // only recognizes the disconnected, connecting, and connected states
+  this._reconnectAttempts = attempt;
+  this._state = "connecting";
+  this._metrics.increment("reconnect_attempts_total");
+  this._emitAsync("connecting");
+  this._emitAsync("reconnecting", attempt, delayMs);
+
+  dbg(`Scheduling reconnect attempt ${attempt} in ${delayMs}ms`);
+  this._reconnectTimeout = setTimeout(() => {
+    dbg("Reconnect timeout fired");
+    this._reconnectTimeout = null;
+    this._connect();
+  }, delayMs);
+};
+
 /**
  * Emits an event asynchronously during the next run around the event loop.
  *
@@ -3,5 +3,41 @@
  * @type {Object}
  */
 export default {
+  // Default Feedme protocol version, which is also the plain subprotocol name
   wsSubprotocol: "feedme",
+
+  // Protocol versions must belong to the Feedme family of subprotocols
+  // Examples: "feedme", "feedme.v2", "feedme.v2+deflate"
+  wsVersionPattern: /^feedme([.+][0-9a-z_-]+)*$/i,
+
+  // Suffixes appended to a protocol version to form extended subprotocols
+  // Clients with binary mode enabled offer "<version>.binary", under which
+  // messages may be text or binary frames
+  // Browser clients with heartbeat enabled also offer "<version>.heartbeat",
+  // under which the heartbeat control frames below are exchanged
+  // Both extensions are combined as "<version>.binary.heartbeat"
+  // Clients with session resumption enabled also offer "<version>.resume",
+  // which may follow either of the other extensions
+  wsBinarySuffix: ".binary",
+  wsHeartbeatSuffix: ".heartbeat",
+  wsResumeSuffix: ".resume",
+
+  // Heartbeat control frames exchanged on the heartbeat subprotocols
+  // Feedme messages are always JSON objects, so these can not collide with them
+  wsHeartbeatPing: "ping",
+  wsHeartbeatPong: "pong",
+
+  // Session control frames sent by the server on the resume subprotocols
+  // The first frame on a connection is either "session:<token>" for a new
+  // session or "resumed:<count>" for a resumed one, where count is the number
+  // of messages that the server has received from the client in the session
+  wsSessionPrefix: "session:",
+  wsResumedPrefix: "resumed:",
+
+  // Query parameters used by clients to request that a session be resumed
+  wsResumeTokenParam: "feedmeResume",
+  wsResumeSeqParam: "feedmeSeq",
+
+  // Number of heartbeat round-trip times retained for latency statistics
+  latencySamples: 100,
 };
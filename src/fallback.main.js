@@ -0,0 +1,377 @@
+import emitter from "component-emitter";
+import check from "check-types";
+import debug from "debug";
+import awaitTransition, { asyncOptions } from "./lifecycle";
+
+const dbg = debug("feedme-transport-ws:fallback");
+
+/**
+ * Client transport object that connects using WebSockets where possible and
+ * falls back to long polling otherwise.
+ * @typedef {Object} Fallback
+ * @extends emitter
+ */
+
+const proto = {};
+emitter(proto);
+
+/**
+ * Fallback client factory function.
+ *
+ * Wraps a WebSocket client transport and a long-polling client transport with
+ * the same interface. The WebSocket transport is used until it fails before
+ * ever connecting - typically because a proxy or firewall blocks the opening
+ * handshake - and the long-polling transport is used from then on. The switch
+ * is made within the connection attempt, so the application observes a single
+ * connecting/connect sequence.
+ *
+ * Events are forwarded from the active transport only. The state reflects the
+ * events emitted to the application, so it remains connecting while the
+ * connection attempt is handed over.
+ * @param {Object} primary WebSocket client transport
+ * @param {Object} secondary Long-polling client transport
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Fallback}
+ */
+export default function fallbackFactory(primary, secondary) {
+  dbg("Initializing Fallback object");
+
+  // Check transports
+  [primary, secondary].forEach((transport) => {
+    if (
+      !check.object(transport) ||
+      !check.function(transport.on) ||
+      !check.function(transport.state)
+    ) {
+      throw new Error("INVALID_ARGUMENT: Invalid transport argument.");
+    }
+  });
+
+  // Success
+
+  const fallback = Object.create(proto);
+
+  /**
+   * WebSocket client transport.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  fallback._primary = primary;
+
+  /**
+   * Long-polling client transport.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  fallback._secondary = secondary;
+
+  /**
+   * The transport in use - the primary until it fails before ever connecting.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  fallback._active = primary;
+
+  /**
+   * The outward-facing transport state. One of "disconnected", "connecting",
+   * or "connected". Updated on calls to connect() and disconnect() and on
+   * events forwarded from the active transport.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {string}
+   */
+  fallback._state = "disconnected";
+
+  /**
+   * Whether the primary transport has ever connected. If so, then it is
+   * known to work and failures are surfaced rather than triggering a fallback.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {boolean}
+   */
+  fallback._primaryConnected = false;
+
+  /**
+   * Whether the application has called disconnect() since it last called
+   * connect(). Failures observed in the meantime are stale.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {boolean}
+   */
+  fallback._disconnectRequested = false;
+
+  /**
+   * Whether to suppress the connecting event emitted by the secondary
+   * transport when it takes over a connection attempt.
+   * @memberof Fallback
+   * @instance
+   * @private
+   * @type {boolean}
+   */
+  fallback._suppressConnecting = false;
+
+  // Listen for transport events
+  ["connecting", "connect", "message", "disconnect", "reconnecting"].forEach(
+    (evt) => {
+      primary.on(evt, (...args) => {
+        fallback._processPrimaryEvent(evt, ...args);
+      });
+      secondary.on(evt, (...args) => {
+        fallback._processSecondaryEvent(evt, ...args);
+      });
+    },
+  );
+
+  return fallback;
+}
+
+// Events - as emitted by the active transport
+
+// Public API
+
+/**
+ * Returns the transport state: "disconnected", "connecting", or "connected".
+ * The transport is connecting while a failed WebSocket connection attempt is
+ * handed over to long polling.
+ * @memberof Fallback
+ * @instance
+ * @returns {string}
+ */
+proto.state = function state() {
+  dbg("State requested");
+
+  return this._state;
+};
+
+/**
+ * Returns the connection mode: "websocket" or "polling".
+ * @memberof Fallback
+ * @instance
+ * @returns {string}
+ */
+proto.mode = function mode() {
+  dbg("Mode requested");
+
+  return this._active === this._primary ? "websocket" : "polling";
+};
+
+/**
+ * Returns the Feedme protocol version negotiated by the active transport.
+ * @memberof Fallback
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {?string}
+ */
+proto.protocol = function protocol() {
+  dbg("Protocol requested");
+
+  return this._active.protocol();
+};
+
+/**
+ * Connects the active transport.
+ * @memberof Fallback
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.connect = function connect() {
+  dbg("Connect requested");
+
+  this._active.connect();
+  this._disconnectRequested = false;
+  this._state = "connecting";
+};
+
+/**
+ * Disconnects the active transport.
+ * @memberof Fallback
+ * @instance
+ * @param {?Error} err
+ * @throws {Error} "INVALID_STATE: ..."
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+proto.disconnect = function disconnect(...args) {
+  dbg("Disconnect requested");
+
+  this._active.disconnect(...args);
+  this._disconnectRequested = true;
+  this._state = "disconnected";
+};
+
+/**
+ * Connects the client and returns a promise that resolves once it has
+ * connected, whether by WebSocket or by long polling. Behaves like the browser
+ * WebSocket client's connectAsync().
+ * @memberof Fallback
+ * @instance
+ * @param {?Object} options { timeoutMs, signal } - signal is an AbortSignal
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Promise}
+ */
+proto.connectAsync = function connectAsync(...args) {
+  dbg("Asynchronous connect requested");
+
+  const { signal, timeoutMs } = asyncOptions(args, ["signal", "timeoutMs"]);
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.connect();
+    },
+    resolveEvent: "connect",
+    rejectEvent: "disconnect",
+    rejectMessage: "ABORTED: The client was disconnected before it connected.",
+    signal,
+    timeoutMs,
+    timeoutMessage: "FAILURE: Connection timed out.",
+    cancel: (err) => {
+      if (this.state() !== "disconnected") {
+        if (err) {
+          this.disconnect(err);
+        } else {
+          this.disconnect();
+        }
+      }
+    },
+  });
+};
+
+/**
+ * Disconnects the client and returns a promise that resolves once it has
+ * disconnected.
+ * @memberof Fallback
+ * @instance
+ * @param {?Error} err Same as client.disconnect()
+ * @returns {Promise}
+ */
+proto.disconnectAsync = function disconnectAsync(...args) {
+  dbg("Asynchronous disconnect requested");
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.disconnect(...args);
+    },
+    resolveEvent: "disconnect",
+  });
+};
+
+/**
+ * Sends a message using the active transport.
+ * @memberof Fallback
+ * @instance
+ * @param {string} msg
+ * @throws {Error} "INVALID_STATE: ..."
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+proto.send = function send(msg) {
+  dbg("Send requested");
+
+  this._active.send(msg);
+};
+
+// Transport event handlers
+
+/**
+ * Processes an event emitted by the primary transport. Falls back to the
+ * secondary transport if the primary fails before it has ever connected,
+ * unless the application has since intervened.
+ * @memberof Fallback
+ * @instance
+ * @private
+ * @param {string} evt
+ * @param {*} ...args
+ * @returns {void}
+ */
+proto._processPrimaryEvent = function _processPrimaryEvent(evt, ...args) {
+  if (this._active !== this._primary) {
+    return; // Stop - stale
+  }
+
+  if (evt === "connect") {
+    this._primaryConnected = true;
+  }
+
+  // Transports only emit disconnect with an error when not requested
+  // The primary may be waiting to reconnect, which is cancelled
+  if (
+    evt === "disconnect" &&
+    args.length > 0 &&
+    !this._primaryConnected &&
+    !this._disconnectRequested
+  ) {
+    dbg("WebSocket connection failed - falling back to long polling");
+    dbg(args[0]);
+    this._active = this._secondary;
+    if (this._primary.state() !== "disconnected") {
+      this._primary.disconnect();
+    }
+    this._suppressConnecting = true;
+    this._secondary.connect();
+    return; // Stop - the state remains connecting
+  }
+
+  this._emit(evt, ...args);
+};
+
+/**
+ * Processes an event emitted by the secondary transport.
+ * @memberof Fallback
+ * @instance
+ * @private
+ * @param {string} evt
+ * @param {*} ...args
+ * @returns {void}
+ */
+proto._processSecondaryEvent = function _processSecondaryEvent(evt, ...args) {
+  if (this._active !== this._secondary) {
+    return; // Stop - stale
+  }
+
+  if (evt === "connecting" && this._suppressConnecting) {
+    this._suppressConnecting = false;
+    return; // Stop - the application already observed connecting
+  }
+
+  this._emit(evt, ...args);
+};
+
+/**
+ * Updates the state to reflect a transport event and emits it to the
+ * application.
+ * @memberof Fallback
+ * @instance
+ * @private
+ * @param {string} evt
+ * @param {*} ...args
+ * @returns {void}
+ */
+proto._emit = function _emit(evt, ...args) {
+  if (evt === "connecting") {
+    this._state = "connecting";
+  } else if (evt === "connect") {
+    this._state = "connected";
+  } else if (evt === "disconnect") {
+    this._state = "disconnected";
+  }
+
+  this.emit(evt, ...args);
+};
@@ -0,0 +1,106 @@
+import http from "http";
+
+/**
+ * HTTP helpers for the request handlers exposed by the server.
+ */
+
+/**
+ * Writes a complete JSON response, or an empty one if there is no body.
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {*} body Serialized as JSON unless undefined
+ * @param {?Object} headers Additional response headers
+ * @returns {void}
+ */
+export function respond(res, statusCode, body, headers) {
+  const json = body === undefined ? "" : JSON.stringify(body);
+  res.writeHead(statusCode, {
+    ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+    "Cache-Control": "no-store",
+    "Content-Length": Buffer.byteLength(json),
+    ...headers,
+  });
+  res.end(json);
+}
+
+/**
+ * Writes a complete plain text response.
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {string} text
+ * @param {?Object} headers Additional response headers, which may override the
+ *                          content type
+ * @returns {void}
+ */
+export function respondText(res, statusCode, text, headers) {
+  res.writeHead(statusCode, {
+    "Content-Type": "text/plain; charset=utf-8",
+    "Cache-Control": "no-store",
+    "Content-Length": Buffer.byteLength(text),
+    ...headers,
+  });
+  res.end(text);
+}
+
+/**
+ * Writes a JSON error response with the standard status message.
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {?string} message Defaults to the standard status message
+ * @param {?Object} headers Additional response headers
+ * @returns {void}
+ */
+export function respondError(res, statusCode, message, headers) {
+  respond(
+    res,
+    statusCode,
+    { error: message || http.STATUS_CODES[statusCode] },
+    headers,
+  );
+}
+
+/**
+ * Reads and parses a JSON request body.
+ *
+ * Calls back an HTTP status code on failure: 413 if the body exceeds the
+ * permitted size, or 400 if it is not valid JSON or the request is aborted.
+ * @param {http.IncomingMessage} req
+ * @param {number} maxBytes
+ * @param {Function} cb (statusCode, body) - statusCode null on success
+ * @returns {void}
+ */
+export function readJson(req, maxBytes, cb) {
+  const chunks = [];
+  let bytes = 0;
+  let done = false;
+  const finish = (statusCode, body) => {
+    if (!done) {
+      done = true;
+      cb(statusCode, body);
+    }
+  };
+  req.on("data", (chunk) => {
+    bytes += chunk.length;
+    if (bytes > maxBytes) {
+      finish(413);
+    } else if (!done) {
+      chunks.push(chunk);
+    }
+  });
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (e) {
+      finish(400);
+      return; // Stop
+    }
+    finish(null, body);
+  });
+  req.on("error", () => {
+    finish(400);
+  });
+  req.on("aborted", () => {
+    finish(400);
+  });
+}
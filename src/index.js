@@ -1,12 +1,19 @@
 import client from "./client";
 import browser from "./browser";
 import server from "./server";
+import sseServer from "./sse.server";
+import sseBrowser from "./sse.browser";
+import router from "./router";
 /**
- * Common entry point for server, client, and browser modules.
+ * Common entry point for server, client, and browser modules, and for the
+ * Server-Sent Events server and browser modules, and for the upgrade router.
  * @returns {Object}
  */
 export default {
   client,
   browser,
   server,
+  sseServer,
+  sseBrowser,
+  router,
 };
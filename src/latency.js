@@ -0,0 +1,21 @@
+/**
+ * Summarizes a window of heartbeat round-trip time samples. Used by the server
+ * and the Node.js client.
+ *
+ * The 95th percentile is determined using the nearest-rank method.
+ * @param {Array} samples Round-trip times in milliseconds, oldest first
+ * @returns {Object} { last, average, p95 } - all null if there are no samples
+ */
+export default function latencyStats(samples) {
+  if (samples.length === 0) {
+    return { last: null, average: null, p95: null };
+  }
+
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const sum = samples.reduce((acc, rtt) => acc + rtt, 0);
+  return {
+    last: samples[samples.length - 1],
+    average: sum / samples.length,
+    p95: sorted[Math.ceil(0.95 * sorted.length) - 1],
+  };
+}
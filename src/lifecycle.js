@@ -0,0 +1,140 @@
+import check from "check-types";
+
+/**
+ * Validates the options argument passed to a promise-returning lifecycle
+ * method. Used by the server and both clients.
+ * @param {Array} args Arguments passed to the method
+ * @param {Array} permitted Permitted option names - "signal" and/or "timeoutMs"
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Object} { signal, timeoutMs } - null if not specified
+ */
+export function asyncOptions(args, permitted) {
+  const options = args.length > 0 ? args[0] : {};
+  if (!check.object(options)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options argument.");
+  }
+
+  let signal = null;
+  if (permitted.includes("signal") && "signal" in options) {
+    ({ signal } = options);
+    if (
+      !check.assigned(signal) ||
+      !check.boolean(signal.aborted) ||
+      !check.function(signal.addEventListener) ||
+      !check.function(signal.removeEventListener)
+    ) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.signal argument.");
+    }
+  }
+
+  let timeoutMs = null;
+  if (permitted.includes("timeoutMs") && "timeoutMs" in options) {
+    ({ timeoutMs } = options);
+    if (!check.integer(timeoutMs) || timeoutMs <= 0) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.timeoutMs argument.");
+    }
+  }
+
+  return { signal, timeoutMs };
+}
+
+/**
+ * Initiates a transport lifecycle transition and returns a promise that
+ * settles when the transition completes. Used by the server and both clients.
+ *
+ * Transport events are emitted asynchronously, so events from a previous
+ * transition may still be queued when the method is called. Listeners are
+ * therefore attached using the same deferral mechanism as the transport's
+ * event emissions, scheduled before the transition is initiated, so that only
+ * events resulting from this transition are observed.
+ *
+ * If the transition is aborted or times out, then cancel() is called and the
+ * promise rejects immediately. On timeout, cancel() is passed the rejection
+ * error.
+ * @param {Object} params
+ * @param {Object} params.transport
+ * @param {Function} params.defer Schedules a function like transport emissions
+ * @param {Function} params.initiate Calls the synchronous lifecycle method
+ * @param {string} params.resolveEvent
+ * @param {?string} params.rejectEvent Rejects with the event error (if any)
+ * @param {?string} params.rejectMessage Rejection message if no event error
+ * @param {?Object} params.signal AbortSignal
+ * @param {?number} params.timeoutMs
+ * @param {?string} params.timeoutMessage
+ * @param {?Function} params.cancel Called on abort or timeout
+ * @returns {Promise}
+ */
+export default function awaitTransition(params) {
+  const { transport, signal, timeoutMs } = params;
+  return new Promise((resolve, reject) => {
+    // Reject immediately if already aborted
+    if (signal && signal.aborted) {
+      reject(new Error("ABORTED: The operation was aborted."));
+      return; // Stop
+    }
+
+    let settled = false;
+    let timer = null;
+    const listeners = {};
+    const settle = () => {
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", listeners.abort);
+      }
+      transport.removeListener(params.resolveEvent, listeners.resolve);
+      if (params.rejectEvent) {
+        transport.removeListener(params.rejectEvent, listeners.reject);
+      }
+    };
+    const cancel = (err, timedOut) => {
+      settle();
+      if (timedOut) {
+        params.cancel(err);
+      } else {
+        params.cancel();
+      }
+      reject(err);
+    };
+    listeners.resolve = () => {
+      settle();
+      resolve();
+    };
+    listeners.reject = (err) => {
+      settle();
+      reject(err || new Error(params.rejectMessage));
+    };
+    listeners.abort = () => {
+      cancel(new Error("ABORTED: The operation was aborted."));
+    };
+
+    // Listen for events once those already queued have been emitted
+    params.defer(() => {
+      if (!settled) {
+        transport.on(params.resolveEvent, listeners.resolve);
+        if (params.rejectEvent) {
+          transport.on(params.rejectEvent, listeners.reject);
+        }
+      }
+    });
+
+    // Initiate the transition - reject on invalid state
+    try {
+      params.initiate();
+    } catch (e) {
+      settle();
+      reject(e);
+      return; // Stop
+    }
+
+    // Listen for cancellation
+    if (signal) {
+      signal.addEventListener("abort", listeners.abort);
+    }
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        cancel(new Error(params.timeoutMessage), true);
+      }, timeoutMs);
+    }
+  });
+}
@@ -0,0 +1,273 @@
+import check from "check-types";
+
+/**
+ * Metrics collector. Used by the server and the Node.js client.
+ *
+ * Metrics are counters, gauges, and histograms, each optionally broken down by
+ * labels, and are rendered in the Prometheus text exposition format. Labelled
+ * metrics have no series until a value is recorded for some set of labels,
+ * while unlabelled metrics are always rendered, initially as zero.
+ * @typedef {Object} Metrics
+ */
+
+const proto = {};
+
+/**
+ * Determines whether a value is a valid metric name prefix.
+ * @param {*} prefix
+ * @returns {boolean}
+ */
+export function validPrefix(prefix) {
+  return check.string(prefix) && /^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(prefix);
+}
+
+/**
+ * Determines whether a value is a valid array of histogram bucket upper
+ * bounds: a non-empty array of positive finite numbers in increasing order.
+ * @param {*} buckets
+ * @returns {boolean}
+ */
+export function validBuckets(buckets) {
+  return (
+    check.nonEmptyArray(buckets) &&
+    buckets.every(
+      (bound, i) =>
+        check.number(bound) && bound > 0 && (i === 0 || bound > buckets[i - 1]),
+    )
+  );
+}
+
+/**
+ * Escapes a label value.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeLabel = function escapeLabel(value) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+};
+
+/**
+ * Formats a sample value or bucket bound.
+ * @param {number} value
+ * @returns {string}
+ */
+const formatValue = function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return `${value}`;
+};
+
+/**
+ * Formats a set of labels, in the order specified.
+ * @param {Array} pairs [[name, value], ...]
+ * @returns {string} Empty if there are no labels
+ */
+const formatLabels = function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return "";
+  }
+  const formatted = pairs.map(
+    ([name, value]) => `${name}="${escapeLabel(`${value}`)}"`,
+  );
+  return `{${formatted.join(",")}}`;
+};
+
+/**
+ * Metrics factory function.
+ * @param {string} prefix Prepended to metric names, separated by an underscore
+ * @param {Object} definitions definitions[name] = { type, help, labels }
+ *                             type is "counter", "gauge", or "histogram" and
+ *                             labels is an array of label names (optional)
+ * @param {Array} buckets Histogram bucket upper bounds, increasing
+ * @returns {Metrics}
+ */
+export default function metricsFactory(prefix, definitions, buckets) {
+  const metrics = Object.create(proto);
+
+  /**
+   * Prefix prepended to metric names.
+   * @memberof Metrics
+   * @instance
+   * @private
+   * @type {string}
+   */
+  metrics._prefix = prefix;
+
+  /**
+   * Metric definitions, keyed by name without the prefix.
+   * @memberof Metrics
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  metrics._definitions = definitions;
+
+  /**
+   * Histogram bucket upper bounds, increasing. The +Inf bucket is implicit.
+   * @memberof Metrics
+   * @instance
+   * @private
+   * @type {Array}
+   */
+  metrics._buckets = buckets;
+
+  /**
+   * Recorded series, keyed by metric name and then by formatted labels.
+   *
+   * this._series[name][labels] = {
+   *   labels, // [[name, value], ...]
+   *   value, // Counters and gauges
+   *   buckets, // Histograms - cumulative count for each bucket bound
+   *   sum, // Histograms
+   *   count // Histograms
+   * }
+   *
+   * @memberof Metrics
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  metrics._series = {};
+  Object.keys(definitions).forEach((name) => {
+    metrics._series[name] = {};
+  });
+
+  return metrics;
+}
+
+/**
+ * Increments a counter or gauge.
+ * @memberof Metrics
+ * @instance
+ * @param {string} name
+ * @param {?Object} labels
+ * @param {?number} amount Defaults to 1
+ * @returns {void}
+ */
+proto.increment = function increment(name, labels, amount) {
+  this._get(name, labels).value += amount === undefined ? 1 : amount;
+};
+
+/**
+ * Sets a gauge.
+ * @memberof Metrics
+ * @instance
+ * @param {string} name
+ * @param {?Object} labels
+ * @param {number} value
+ * @returns {void}
+ */
+proto.set = function set(name, labels, value) {
+  this._get(name, labels).value = value;
+};
+
+/**
+ * Records an observation in a histogram.
+ * @memberof Metrics
+ * @instance
+ * @param {string} name
+ * @param {?Object} labels
+ * @param {number} value
+ * @returns {void}
+ */
+proto.observe = function observe(name, labels, value) {
+  const series = this._get(name, labels);
+  this._buckets.forEach((bound, i) => {
+    if (value <= bound) {
+      series.buckets[i] += 1;
+    }
+  });
+  series.sum += value;
+  series.count += 1;
+};
+
+/**
+ * Renders all metrics in the Prometheus text exposition format.
+ * @memberof Metrics
+ * @instance
+ * @returns {string}
+ */
+proto.render = function render() {
+  const lines = [];
+  Object.keys(this._definitions).forEach((name) => {
+    const { type, help, labels } = this._definitions[name];
+    const fullName = `${this._prefix}_${name}`;
+    lines.push(`# HELP ${fullName} ${help.replace(/\\/g, "\\\\")}`);
+    lines.push(`# TYPE ${fullName} ${type}`);
+
+    const series = Object.keys(this._series[name]).map(
+      (key) => this._series[name][key],
+    );
+    if (series.length === 0 && !labels) {
+      series.push(this._empty(name, {}));
+    }
+    series.forEach((s) => {
+      if (type !== "histogram") {
+        lines.push(`${fullName}${formatLabels(s.labels)} ${s.value}`);
+        return; // Next
+      }
+      this._buckets.forEach((bound, i) => {
+        const bucketLabels = formatLabels(
+          s.labels.concat([["le", formatValue(bound)]]),
+        );
+        lines.push(`${fullName}_bucket${bucketLabels} ${s.buckets[i]}`);
+      });
+      const infLabels = formatLabels(s.labels.concat([["le", "+Inf"]]));
+      lines.push(`${fullName}_bucket${infLabels} ${s.count}`);
+      lines.push(`${fullName}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${fullName}_count${formatLabels(s.labels)} ${s.count}`);
+    });
+  });
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Returns the series for a metric and set of labels, creating it if needed.
+ * @memberof Metrics
+ * @instance
+ * @private
+ * @param {string} name
+ * @param {?Object} labels
+ * @returns {Object}
+ */
+proto._get = function _get(name, labels) {
+  const pairs = Object.keys(labels || {}).map((label) => [
+    label,
+    labels[label],
+  ]);
+  const key = formatLabels(pairs);
+  if (!(key in this._series[name])) {
+    this._series[name][key] = this._empty(name, labels || {});
+  }
+  return this._series[name][key];
+};
+
+/**
+ * Returns a series with no recorded values.
+ * @memberof Metrics
+ * @instance
+ * @private
+ * @param {string} name
+ * @param {Object} labels
+ * @returns {Object}
+ */
+proto._empty = function _empty(name, labels) {
+  const series = {
+    labels: Object.keys(labels).map((label) => [label, labels[label]]),
+  };
+  if (this._definitions[name].type === "histogram") {
+    series.buckets = this._buckets.map(() => 0);
+    series.sum = 0;
+    series.count = 0;
+  } else {
+    series.value = 0;
+  }
+  return series;
+};
@@ -0,0 +1,935 @@
+import emitter from "component-emitter";
+import check from "check-types";
+import debug from "debug";
+import clientConfig from "./client.config";
+import config from "./config";
+import { validVersions, subprotocol, parseSubprotocol } from "./protocols";
+import { closeError } from "./reason";
+import awaitTransition, { asyncOptions } from "./lifecycle";
+
+const dbg = debug("feedme-transport-ws:polling");
+
+/**
+ * Browser long-polling client transport object. Exposes the same interface as
+ * the browser WebSocket client and is used where WebSockets are unavailable.
+ * @typedef {Object} Polling
+ * @extends emitter
+ */
+
+const proto = {};
+emitter(proto);
+
+/**
+ * Long-polling client factory function.
+ *
+ * The XMLHttpRequest constructor is injected to facilitate testing.
+ *
+ * The client opens a session on the server and then holds a poll request open
+ * continuously while connected. Outbound messages are posted in batches, with
+ * at most one post in flight so that messages arrive in order. The heartbeat
+ * and binary mode are not available - the server detects unresponsive clients
+ * by their failure to poll.
+ * @param {Function} xhrConstructor XMLHttpRequest constructor
+ * @param {string} url Long-polling endpoint URL
+ * @param {?Object} options Request timeout, connection timeout, protocol, and
+ *                          reconnect settings
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Polling}
+ */
+export default function pollingFactory(...args) {
+  dbg("Initializing Polling object");
+
+  // Check xhrConstructor
+  if (!check.function(args[0])) {
+    throw new Error("INVALID_ARGUMENT: Invalid xhrConstructor argument.");
+  }
+  const xhrConstructor = args[0];
+
+  // Check url type
+  if (!check.string(args[1])) {
+    throw new Error("INVALID_ARGUMENT: Invalid url argument.");
+  }
+  const url = args[1];
+
+  // Check url format
+  try {
+    new URL(url); // eslint-disable-line no-new
+  } catch (e) {
+    throw new Error("INVALID_ARGUMENT: Invalid url argument.");
+  }
+
+  // Check options (if specified)
+  let options;
+  if (args.length > 2) {
+    if (!check.object(args[2])) {
+      throw new Error("INVALID_ARGUMENT: Invalid options argument.");
+    }
+    options = args[2]; // eslint-disable-line prefer-destructuring
+  } else {
+    options = {};
+  }
+
+  // Validate options.requestTimeoutMs (if specified) and overlay default
+  if ("requestTimeoutMs" in options) {
+    if (
+      !check.integer(options.requestTimeoutMs) ||
+      options.requestTimeoutMs <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.requestTimeoutMs argument.",
+      );
+    }
+  } else {
+    options.requestTimeoutMs = clientConfig.defaults.requestTimeoutMs; // eslint-disable-line no-param-reassign
+  }
+
+  // Validate options.protocols (if specified)
+  // Only the default protocol version is offered unless specified
+  if ("protocols" in options && !validVersions(options.protocols)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.protocols argument.");
+  }
+
+  // Validate options.connectTimeoutMs (if specified)
+  // Connection attempts are not timed out unless specified
+  if ("connectTimeoutMs" in options) {
+    if (
+      !check.integer(options.connectTimeoutMs) ||
+      options.connectTimeoutMs <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+      );
+    }
+  }
+
+  // Validate options.reconnect (if specified) and overlay defaults
+  // Reconnection is disabled unless specified
+  if ("reconnect" in options && options.reconnect !== false) {
+    if (options.reconnect !== true && !check.object(options.reconnect)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.reconnect argument.");
+    }
+    const reconnect = {
+      ...clientConfig.defaults.reconnect,
+      ...(options.reconnect === true ? {} : options.reconnect),
+    };
+    if (
+      !check.integer(reconnect.initialDelayMs) ||
+      reconnect.initialDelayMs < 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.initialDelayMs argument.",
+      );
+    }
+    if (!check.number(reconnect.multiplier) || reconnect.multiplier < 1) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.multiplier argument.",
+      );
+    }
+    if (
+      !check.integer(reconnect.maxDelayMs) ||
+      reconnect.maxDelayMs < reconnect.initialDelayMs
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxDelayMs argument.",
+      );
+    }
+    if (
+      !check.number(reconnect.jitter) ||
+      reconnect.jitter < 0 ||
+      reconnect.jitter > 1
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.jitter argument.",
+      );
+    }
+    if (!check.integer(reconnect.maxAttempts) || reconnect.maxAttempts < 0) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxAttempts argument.",
+      );
+    }
+    options.reconnect = reconnect; // eslint-disable-line no-param-reassign
+  }
+
+  // Success
+
+  const polling = Object.create(proto);
+
+  /**
+   * XMLHttpRequest constructor.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {Function}
+   */
+  polling._xhrConstructor = xhrConstructor;
+
+  /**
+   * The outward-facing transport state. One of "disconnected", "connecting",
+   * or "connected". The transport is connecting while it waits to reconnect.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {string}
+   */
+  polling._state = "disconnected";
+
+  /**
+   * Long-polling endpoint URL.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {string}
+   */
+  polling._url = url;
+
+  /**
+   * Request timeout, connection timeout, protocol, and reconnect
+   * configuration.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  polling._options = options;
+
+  /**
+   * Session id assigned by the server. Null unless connected.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {?string}
+   */
+  polling._sid = null;
+
+  /**
+   * Subprotocol selected by the server. Null unless connected.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {?string}
+   */
+  polling._subprotocol = null;
+
+  /**
+   * Outstanding requests - the session request while connecting, and the poll
+   * and post requests while connected. Each is null if not outstanding.
+   *
+   * this._xhrs = { open, poll, post }
+   *
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  polling._xhrs = { open: null, poll: null, post: null };
+
+  /**
+   * Messages awaiting the next post request, oldest first.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {Array}
+   */
+  polling._outbox = [];
+
+  /**
+   * Reconnect timeout id. Null unless the transport is waiting to reconnect.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {number}
+   */
+  polling._reconnectTimeout = null;
+
+  /**
+   * Connection timeout id. Null unless the transport is connecting and
+   * options.connectTimeoutMs is specified.
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {number}
+   */
+  polling._connectTimeout = null;
+
+  /**
+   * Number of reconnect attempts made since the transport last connected or
+   * the application last called connect() or disconnect().
+   * @memberof Polling
+   * @instance
+   * @private
+   * @type {number}
+   */
+  polling._reconnectAttempts = 0;
+
+  return polling;
+}
+
+// Events
+
+/**
+ * @event connecting
+ * @memberof Polling
+ * @instance
+ */
+
+/**
+ * @event connect
+ * @memberof Polling
+ * @instance
+ */
+
+/**
+ * @event message
+ * @memberof Polling
+ * @instance
+ * @param {string} msg
+ */
+
+/**
+ * @event disconnect
+ * @memberof Polling
+ * @instance
+ * @param {?Error} err "FAILURE: ..." if not due to call to client.disconnect()
+ */
+
+/**
+ * Emitted after an unexpected disconnect if reconnection is enabled and
+ * attempts remain, following the connecting event.
+ * @event reconnecting
+ * @memberof Polling
+ * @instance
+ * @param {number} attempt The upcoming attempt number, starting at 1
+ * @param {number} delayMs Time until the attempt is made
+ */
+
+// Public API
+
+/**
+ * Returns the transport state: "disconnected", "connecting", or "connected".
+ * The transport is connecting while it waits to reconnect.
+ * @memberof Polling
+ * @instance
+ * @returns {string}
+ */
+proto.state = function state() {
+  dbg("State requested");
+
+  return this._state;
+};
+
+/**
+ * Returns the Feedme protocol version negotiated with the server, with the
+ * casing specified in options.protocols.
+ * @memberof Polling
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {?string}
+ */
+proto.protocol = function protocol() {
+  dbg("Protocol requested");
+
+  // Check state
+  if (this._state !== "connected") {
+    throw new Error("INVALID_STATE: Not connected.");
+  }
+
+  return parseSubprotocol(this._subprotocol, this._versions()).version;
+};
+
+/**
+ * The library wants the transport to connect. If the transport is waiting to
+ * reconnect then the pending attempt is made immediately.
+ * @memberof Polling
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.connect = function connect() {
+  dbg("Connect requested");
+
+  // Check state - is this a valid call on the transport?
+  if (this._state !== "disconnected" && !this._reconnectTimeout) {
+    throw new Error("INVALID_STATE: Already connecting or connected.");
+  }
+
+  // Success
+
+  // Cancel any pending reconnect attempt and reset the count
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+  this._reconnectAttempts = 0;
+
+  this._connect();
+};
+
+/**
+ * The library wants the transport to disconnect. The transport could be
+ * connecting, including while waiting to reconnect, or connected.
+ *
+ * The transport never attempts to reconnect following a call to disconnect().
+ * @memberof Polling
+ * @instance
+ * @param {?Error} err
+ * @throws {Error} "INVALID_STATE: ..."
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+proto.disconnect = function disconnect(...args) {
+  dbg("Disconnect requested");
+
+  // Check err (if specified)
+  let err;
+  if (args.length > 0) {
+    [err] = args;
+    if (!check.instance(err, Error)) {
+      throw new Error("INVALID_ARGUMENT: Invalid error argument.");
+    }
+  }
+
+  // Check state - is this a valid call on the transport?
+  if (this._state === "disconnected") {
+    throw new Error("INVALID_STATE: Already disconnected.");
+  }
+
+  // Success
+
+  this._reconnectAttempts = 0;
+  this._disconnect(err, true);
+};
+
+/**
+ * Connects the client and returns a promise that resolves once it has
+ * connected. Behaves like the browser WebSocket client's connectAsync().
+ * @memberof Polling
+ * @instance
+ * @param {?Object} options { timeoutMs, signal } - signal is an AbortSignal
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Promise}
+ */
+proto.connectAsync = function connectAsync(...args) {
+  dbg("Asynchronous connect requested");
+
+  const { signal, timeoutMs } = asyncOptions(args, ["signal", "timeoutMs"]);
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.connect();
+    },
+    resolveEvent: "connect",
+    rejectEvent: "disconnect",
+    rejectMessage: "ABORTED: The client was disconnected before it connected.",
+    signal,
+    timeoutMs,
+    timeoutMessage: "FAILURE: Connection timed out.",
+    cancel: (err) => {
+      if (this._state !== "disconnected") {
+        if (err) {
+          this.disconnect(err);
+        } else {
+          this.disconnect();
+        }
+      }
+    },
+  });
+};
+
+/**
+ * Disconnects the client and returns a promise that resolves once it has
+ * disconnected.
+ * @memberof Polling
+ * @instance
+ * @param {?Error} err Same as client.disconnect()
+ * @returns {Promise}
+ */
+proto.disconnectAsync = function disconnectAsync(...args) {
+  dbg("Asynchronous disconnect requested");
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.disconnect(...args);
+    },
+    resolveEvent: "disconnect",
+  });
+};
+
+/**
+ * The library wants to send a message to the server. The message is posted
+ * along with any others sent while a previous post request is outstanding.
+ * @memberof Polling
+ * @instance
+ * @param {string} msg
+ * @throws {Error} "INVALID_STATE: ..."
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+proto.send = function send(msg) {
+  dbg("Send requested");
+
+  // Check message
+  if (!check.string(msg)) {
+    throw new Error("INVALID_ARGUMENT: Invalid message.");
+  }
+
+  // Check state - is this a valid call on the transport?
+  if (this._state !== "connected") {
+    throw new Error("INVALID_STATE: Not connected.");
+  }
+
+  // Success
+
+  this._outbox.push(msg);
+  if (!this._xhrs.post) {
+    this._post();
+  }
+};
+
+// Request handlers
+
+/**
+ * Processes the response to the session request.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @param {?Error} err
+ * @param {?number} status
+ * @param {*} body
+ * @returns {void}
+ */
+proto._processOpenResponse = function _processOpenResponse(err, status, body) {
+  dbg("Observed session response");
+
+  this._xhrs.open = null;
+
+  if (
+    err ||
+    status !== 200 ||
+    !check.object(body) ||
+    !check.nonEmptyString(body.sid) ||
+    !check.nonEmptyString(body.protocol)
+  ) {
+    dbg("Failed to open session");
+    const transportErr = new Error(
+      "FAILURE: The long-polling session could not be opened.",
+    );
+    if (status) {
+      transportErr.httpStatus = status;
+    }
+    this._disconnect(transportErr);
+    return; // Stop
+  }
+
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Reset the reconnect attempt count
+  this._reconnectAttempts = 0;
+
+  // Update state and emit
+  this._sid = body.sid;
+  this._subprotocol = body.protocol;
+  this._state = "connected";
+  this._emitAsync("connect");
+
+  // Start polling
+  this._poll();
+};
+
+/**
+ * Processes the response to a poll request. Polls again unless the server
+ * delivered a close frame.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @param {?Error} err
+ * @param {?number} status
+ * @param {*} body
+ * @returns {void}
+ */
+proto._processPollResponse = function _processPollResponse(err, status, body) {
+  dbg("Observed poll response");
+
+  this._xhrs.poll = null;
+
+  if (
+    err ||
+    status !== 200 ||
+    !check.object(body) ||
+    !check.array.of.string(body.messages)
+  ) {
+    dbg("Poll request failed");
+    const transportErr = new Error(
+      "FAILURE: The long-polling session closed unexpectedly.",
+    );
+    if (status) {
+      transportErr.httpStatus = status;
+    }
+    this._disconnect(transportErr);
+    return; // Stop
+  }
+
+  body.messages.forEach((msg) => {
+    this._emitAsync("message", msg);
+  });
+
+  // The session has ended if the server delivered a close frame
+  if (body.close) {
+    dbg("Received close frame");
+    this._sid = null; // Don't delete the ended session
+    this._disconnect(
+      closeError(
+        "FAILURE: The long-polling session closed unexpectedly.",
+        body.close.code,
+        body.close.reason,
+      ),
+    );
+    return; // Stop
+  }
+
+  this._poll();
+};
+
+/**
+ * Processes the response to a post request. Posts any messages sent in the
+ * meantime.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @param {?Error} err
+ * @param {?number} status
+ * @returns {void}
+ */
+proto._processPostResponse = function _processPostResponse(err, status) {
+  dbg("Observed post response");
+
+  this._xhrs.post = null;
+
+  if (err || status !== 204) {
+    dbg("Post request failed");
+    const transportErr = new Error(
+      "FAILURE: Long-polling transmission failed.",
+    );
+    if (status) {
+      transportErr.httpStatus = status;
+    }
+    this._disconnect(transportErr);
+    return; // Stop
+  }
+
+  if (this._outbox.length > 0) {
+    this._post();
+  }
+};
+
+// Internal Functions
+
+/**
+ * Requests a new session and begins connecting.
+ *
+ * Invoked on:
+ *
+ *  - Call to transport.connect()
+ *  - Reconnect timeout
+ *
+ * @memberof Polling
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._connect = function _connect() {
+  dbg("Connecting the client");
+
+  // Update state and emit asynchronously
+  // Reconnect attempts are already connecting
+  if (this._state !== "connecting") {
+    this._state = "connecting";
+    this._emitAsync("connecting");
+  }
+
+  // Offer each protocol version in order of preference
+  const protocols = this._versions().map((version) =>
+    subprotocol(version, false, false),
+  );
+  this._xhrs.open = this._request(
+    "POST",
+    null,
+    { protocols },
+    this._processOpenResponse.bind(this),
+  );
+
+  // Start the connection timeout (if so configured)
+  if (this._options.connectTimeoutMs) {
+    this._connectTimeout = setTimeout(() => {
+      dbg("Connection timed out");
+      this._connectTimeout = null;
+      this._disconnect(new Error("FAILURE: Connection timed out."));
+    }, this._options.connectTimeoutMs);
+  }
+};
+
+/**
+ * Makes a poll request.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._poll = function _poll() {
+  dbg("Polling");
+
+  this._xhrs.poll = this._request(
+    "GET",
+    this._sid,
+    undefined,
+    this._processPollResponse.bind(this),
+  );
+};
+
+/**
+ * Posts all messages in the outbox.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._post = function _post() {
+  dbg("Posting messages");
+
+  const msgs = this._outbox;
+  this._outbox = [];
+  this._xhrs.post = this._request(
+    "POST",
+    this._sid,
+    msgs,
+    this._processPostResponse.bind(this),
+  );
+};
+
+/**
+ * Makes a request to the long-polling endpoint.
+ *
+ * The callback receives an error if the request could not be completed, or
+ * the status and parsed JSON body otherwise. The body is undefined if empty or
+ * not valid JSON.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @param {string} method
+ * @param {?string} sid Session id, if any
+ * @param {*} body Serialized as JSON unless undefined
+ * @param {Function} cb (err, status, body)
+ * @returns {Object} XMLHttpRequest, or a stand-in exposing abort() if the
+ *                   request could not be made
+ */
+proto._request = function _request(method, sid, body, cb) {
+  const url = sid
+    ? `${this._url}${this._url.includes("?") ? "&" : "?"}sid=${encodeURIComponent(sid)}`
+    : this._url;
+
+  let xhr;
+  try {
+    xhr = new this._xhrConstructor();
+    xhr.open(method, url);
+    xhr.timeout = this._options.requestTimeoutMs;
+    if (body !== undefined) {
+      xhr.setRequestHeader("Content-Type", "application/json");
+    }
+  } catch (e) {
+    // Fail asynchronously, unless abandoned in the meantime
+    dbg("Failed to initialize request");
+    const timer = setTimeout(() => {
+      cb(e);
+    }, 0);
+    return {
+      abort: () => {
+        clearTimeout(timer);
+      },
+    };
+  }
+
+  xhr.onload = () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(xhr.responseText);
+    } catch (e) {
+      parsed = undefined;
+    }
+    cb(null, xhr.status, parsed);
+  };
+  xhr.onerror = () => {
+    cb(new Error("The request failed."));
+  };
+  xhr.ontimeout = () => {
+    cb(new Error("The request timed out."));
+  };
+  xhr.send(body === undefined ? null : JSON.stringify(body));
+  return xhr;
+};
+
+/**
+ * Returns the protocol versions offered to the server, in order of preference.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @returns {Array}
+ */
+proto._versions = function _versions() {
+  return this._options.protocols || [config.wsSubprotocol];
+};
+
+/**
+ * Disconnect the transport client.
+ *
+ *  - Call to transport.disconnect()
+ *  - Failed request
+ *  - Close frame received from the server
+ *  - Connection timeout
+ *
+ * Aborts all outstanding requests and, if a session is open, makes a
+ * best-effort request to end it. If the disconnect was not requested by the
+ * application and reconnection is enabled, then schedules a reconnect attempt,
+ * unless the server closed the session with an application close code.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @param {?Error} err
+ * @param {?boolean} requested True if due to a call to transport.disconnect()
+ * @returns {void}
+ */
+proto._disconnect = function _disconnect(err, requested) {
+  dbg("Disconnecting the client");
+
+  // There are no requests while waiting to reconnect, so an unrequested
+  // disconnect can only be stale - ignore it
+  if (this._reconnectTimeout && !requested) {
+    dbg("Ignoring stale failure while waiting to reconnect");
+    return; // Stop
+  }
+
+  // Cancel any pending reconnect attempt
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Abort outstanding requests
+  Object.keys(this._xhrs).forEach((key) => {
+    const xhr = this._xhrs[key];
+    if (xhr) {
+      xhr.onload = null;
+      xhr.onerror = null;
+      xhr.ontimeout = null;
+      xhr.abort();
+      this._xhrs[key] = null;
+    }
+  });
+  this._outbox = [];
+
+  // End the session (if any) - the response is not awaited
+  if (this._sid) {
+    dbg("Ending the session");
+    this._request("DELETE", this._sid, undefined, () => {});
+  }
+  this._sid = null;
+  this._subprotocol = null;
+
+  // Update state and emit asynchronously
+  if (this._state !== "disconnected") {
+    this._state = "disconnected";
+    if (err) {
+      this._emitAsync("disconnect", err);
+    } else {
+      this._emitAsync("disconnect");
+    }
+
+    // Schedule a reconnect attempt if appropriate
+    // Servers use application close codes to kick or ban clients, so they
+    // are not followed by a reconnect attempt
+    if (!requested && this._options.reconnect) {
+      if (err && err.wsCloseCategory === "application") {
+        dbg("Not reconnecting after an application close code");
+        this._reconnectAttempts = 0;
+      } else {
+        this._reconnect();
+      }
+    }
+  }
+};
+
+/**
+ * Schedules a reconnect attempt following an unexpected disconnect, unless
+ * the maximum number of attempts has been reached.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._reconnect = function _reconnect() {
+  dbg("Considering a reconnect attempt");
+
+  const { reconnect } = this._options;
+  const attempt = this._reconnectAttempts + 1;
+  if (reconnect.maxAttempts > 0 && attempt > reconnect.maxAttempts) {
+    dbg("Maximum reconnect attempts reached");
+    this._reconnectAttempts = 0;
+    return; // Stop
+  }
+
+  const baseDelayMs = Math.min(
+    reconnect.maxDelayMs,
+    reconnect.initialDelayMs * reconnect.multiplier ** (attempt - 1),
+  );
+  const delayMs = Math.round(
+    baseDelayMs * (1 - reconnect.jitter * Math.random()),
+  );
+
+  // Update state and emit
+  // The transport is connecting while it waits, as the Feedme client library
+  // only recognizes the disconnected, connecting, and connected states
+  this._reconnectAttempts = attempt;
+  this._state = "connecting";
+  this._emitAsync("connecting");
+  this._emitAsync("reconnecting", attempt, delayMs);
+
+  dbg(`Scheduling reconnect attempt ${attempt} in ${delayMs}ms`);
+  this._reconnectTimeout = setTimeout(() => {
+    dbg("Reconnect timeout fired");
+    this._reconnectTimeout = null;
+    this._connect();
+  }, delayMs);
+};
+
+/**
+ * Emits an event asynchronously during the next run around the event loop.
+ * @memberof Polling
+ * @instance
+ * @private
+ * @param {*} ...args
+ * @returns {void}
+ */
+proto._emitAsync = function _emitAsync(...args) {
+  dbg(`Scheduling asynchronous emission: ${args[0]}`);
+
+  setTimeout(() => {
+    dbg(`Asynchronous emission: ${args[0]}`);
+    this.emit(...args);
+  }, 0);
+};
@@ -0,0 +1,431 @@
+import emitter from "component-emitter";
+import check from "check-types";
+import debug from "debug";
+import { respond } from "./http";
+
+const dbg = debug("feedme-transport-ws:polling");
+
+/**
+ * Server-side long-polling session. Emulates the subset of the ws WebSocket
+ * interface used by the server transport, so that long-polling clients are
+ * managed alongside WebSocket clients and share the same client ids.
+ *
+ * Outbound messages are queued until the client holds a poll request open,
+ * at which point all queued messages are written in a single response. Send
+ * callbacks are invoked once a message has been written, so bufferedAmount
+ * reflects the messages awaiting delivery.
+ *
+ * Events emitted, as by ws:
+ *
+ * - message (msg) when the client posts a message
+ * - pong () in response to ping(), once the client holds a poll request open
+ * - close (code, reason) once the session has ended
+ *
+ * The session ends when a close frame is delivered to the client, when the
+ * client deletes the session, on a call to terminate(), or if the client does
+ * not hold a poll request open for the session timeout period.
+ * @typedef {Object} PollingSocket
+ * @extends emitter
+ */
+
+const proto = {};
+emitter(proto);
+
+proto.CONNECTING = 0;
+proto.OPEN = 1;
+proto.CLOSING = 2;
+proto.CLOSED = 3;
+
+/**
+ * Long-polling session factory function.
+ * @param {string} protocol Negotiated subprotocol
+ * @param {Object} options { pollTimeoutMs, sessionTimeoutMs }
+ * @param {Function} onEnd Called once the session has ended - invoked
+ *                         separately from events, as the transport removes all
+ *                         listeners on disconnect
+ * @returns {PollingSocket}
+ */
+export default function pollingSocketFactory(protocol, options, onEnd) {
+  dbg("Initializing PollingSocket object");
+
+  const socket = Object.create(proto);
+
+  /**
+   * Negotiated subprotocol, as exposed by ws.
+   * @memberof PollingSocket
+   * @instance
+   * @type {string}
+   */
+  socket.protocol = protocol;
+
+  /**
+   * Session state, as exposed by ws.
+   * @memberof PollingSocket
+   * @instance
+   * @type {number}
+   */
+  socket.readyState = proto.OPEN;
+
+  /**
+   * Number of bytes queued for delivery, as exposed by ws.
+   * @memberof PollingSocket
+   * @instance
+   * @type {number}
+   */
+  socket.bufferedAmount = 0;
+
+  /**
+   * Long-polling options.
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  socket._options = options;
+
+  /**
+   * Called once the session has ended.
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {Function}
+   */
+  socket._onEnd = onEnd;
+
+  /**
+   * Messages awaiting delivery, oldest first.
+   *
+   * this._queue[i] = { msg, bytes, cb }
+   *
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {Array}
+   */
+  socket._queue = [];
+
+  /**
+   * Close frame awaiting delivery. Null unless the session is closing.
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  socket._closeFrame = null;
+
+  /**
+   * Poll request held open by the client. Null if there is none.
+   *
+   * { res, timer } - timer responds with no messages once the poll timeout
+   * elapses
+   *
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  socket._poll = null;
+
+  /**
+   * Whether a ping is awaiting the next poll request.
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {boolean}
+   */
+  socket._pingPending = false;
+
+  /**
+   * Timeout that ends the session if the client does not poll. Null while a
+   * poll request is held open.
+   * @memberof PollingSocket
+   * @instance
+   * @private
+   * @type {?number}
+   */
+  socket._sessionTimeout = null;
+
+  socket._startSessionTimeout();
+
+  return socket;
+}
+
+// Ws interface
+
+/**
+ * Queues a message for delivery. Ws options are accepted and ignored, as only
+ * string messages are exchanged.
+ * @memberof PollingSocket
+ * @instance
+ * @param {string|Buffer} data Buffers contain UTF-8 text
+ * @param {?Object} options
+ * @param {?Function} cb
+ * @returns {void}
+ */
+proto.send = function send(data, ...args) {
+  const cb = check.function(args[args.length - 1])
+    ? args[args.length - 1]
+    : () => {};
+
+  if (this.readyState !== this.OPEN) {
+    process.nextTick(() => {
+      cb(new Error("The long-polling session is not open."));
+    });
+    return; // Stop
+  }
+
+  const msg = check.string(data) ? data : data.toString("utf8");
+  const bytes = Buffer.byteLength(msg);
+  this.bufferedAmount += bytes;
+  this._queue.push({ msg, bytes, cb });
+  this._flush();
+};
+
+/**
+ * Requests a pong, which is emitted once the client holds a poll request
+ * open. A client that is polling is known to be responsive.
+ * @memberof PollingSocket
+ * @instance
+ * @param {?Function} cb
+ * @returns {void}
+ */
+proto.ping = function ping(...args) {
+  const cb = check.function(args[args.length - 1])
+    ? args[args.length - 1]
+    : () => {};
+
+  if (this.readyState !== this.OPEN) {
+    process.nextTick(() => {
+      cb(new Error("The long-polling session is not open."));
+    });
+    return; // Stop
+  }
+
+  process.nextTick(cb);
+  if (this._poll) {
+    process.nextTick(() => {
+      this.emit("pong");
+    });
+  } else {
+    this._pingPending = true;
+  }
+};
+
+/**
+ * Closes the session once the close frame is delivered to the client.
+ * Messages already queued are delivered first.
+ * @memberof PollingSocket
+ * @instance
+ * @param {number} code
+ * @param {string} reason
+ * @returns {void}
+ */
+proto.close = function close(code, reason) {
+  if (this.readyState !== this.OPEN) {
+    return; // Stop
+  }
+  this.readyState = this.CLOSING;
+  this._closeFrame = { code, reason: reason || "" };
+  this._flush();
+};
+
+/**
+ * Ends the session immediately. Any poll request held open receives a 410.
+ * @memberof PollingSocket
+ * @instance
+ * @returns {void}
+ */
+proto.terminate = function terminate() {
+  if (this.readyState === this.CLOSED) {
+    return; // Stop
+  }
+  if (this._poll) {
+    const { res } = this._poll;
+    this._releasePoll();
+    respond(res, 410, { error: "The long-polling session ended." });
+  }
+  this._end(1006, "");
+};
+
+// Request handling - called by the server transport
+
+/**
+ * Holds a poll request open until there is something to deliver or the poll
+ * timeout elapses. A previously held poll request is released with no
+ * messages.
+ * @memberof PollingSocket
+ * @instance
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {void}
+ */
+proto.handlePoll = function handlePoll(req, res) {
+  dbg("Received poll request");
+
+  if (this._poll) {
+    dbg("Releasing previous poll request");
+    const previous = this._poll.res;
+    this._releasePoll();
+    respond(previous, 200, { messages: [] });
+  }
+
+  clearTimeout(this._sessionTimeout);
+  this._sessionTimeout = null;
+  this._poll = {
+    res,
+    timer: setTimeout(() => {
+      dbg("Poll timeout elapsed");
+      this._releasePoll();
+      respond(res, 200, { messages: [] });
+      this._startSessionTimeout();
+    }, this._options.pollTimeoutMs),
+  };
+
+  // The client may abandon the request
+  req.on("close", () => {
+    if (this._poll && this._poll.res === res) {
+      dbg("Poll request was abandoned");
+      this._releasePoll();
+      this._startSessionTimeout();
+    }
+  });
+
+  // Answer any outstanding ping
+  if (this._pingPending) {
+    this._pingPending = false;
+    process.nextTick(() => {
+      this.emit("pong");
+    });
+  }
+
+  this._flush();
+};
+
+/**
+ * Processes messages posted by the client.
+ * @memberof PollingSocket
+ * @instance
+ * @param {Array} msgs Strings
+ * @returns {void}
+ */
+proto.handleMessages = function handleMessages(msgs) {
+  dbg("Received messages");
+  msgs.forEach((msg) => {
+    if (this.readyState === this.OPEN) {
+      this.emit("message", msg);
+    }
+  });
+};
+
+/**
+ * Processes a client request to end the session.
+ * @memberof PollingSocket
+ * @instance
+ * @returns {void}
+ */
+proto.handleClose = function handleClose() {
+  dbg("Received close request");
+  if (this.readyState === this.CLOSED) {
+    return; // Stop
+  }
+  if (this._poll) {
+    const { res } = this._poll;
+    this._releasePoll();
+    respond(res, 410, { error: "The long-polling session ended." });
+  }
+  this._end(1000, "");
+};
+
+// Internal functions
+
+/**
+ * Writes any queued messages and close frame to the held poll request.
+ * @memberof PollingSocket
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._flush = function _flush() {
+  if (!this._poll || (this._queue.length === 0 && !this._closeFrame)) {
+    return; // Stop - nothing to deliver or nowhere to deliver it
+  }
+
+  dbg("Delivering queued messages");
+  const { res } = this._poll;
+  const queue = this._queue;
+  const closeFrame = this._closeFrame;
+  this._releasePoll();
+  this._queue = [];
+  this.bufferedAmount = 0;
+  respond(res, 200, {
+    messages: queue.map((item) => item.msg),
+    ...(closeFrame ? { close: closeFrame } : {}),
+  });
+  process.nextTick(() => {
+    queue.forEach((item) => {
+      item.cb();
+    });
+  });
+
+  if (closeFrame) {
+    this._end(closeFrame.code, closeFrame.reason);
+  } else {
+    this._startSessionTimeout();
+  }
+};
+
+/**
+ * Stops holding the current poll request open.
+ * @memberof PollingSocket
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._releasePoll = function _releasePoll() {
+  clearTimeout(this._poll.timer);
+  this._poll = null;
+};
+
+/**
+ * Starts the timeout that ends the session if the client does not poll.
+ * @memberof PollingSocket
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._startSessionTimeout = function _startSessionTimeout() {
+  clearTimeout(this._sessionTimeout);
+  this._sessionTimeout = setTimeout(() => {
+    dbg("Session timeout elapsed");
+    this._sessionTimeout = null;
+    this._end(1006, "");
+  }, this._options.sessionTimeoutMs);
+};
+
+/**
+ * Ends the session, fails any undelivered messages, and emits close.
+ * @memberof PollingSocket
+ * @instance
+ * @private
+ * @param {number} code
+ * @param {string} reason
+ * @returns {void}
+ */
+proto._end = function _end(code, reason) {
+  dbg("Ending session");
+  clearTimeout(this._sessionTimeout);
+  this._sessionTimeout = null;
+  this.readyState = this.CLOSED;
+  const queue = this._queue;
+  this._queue = [];
+  this.bufferedAmount = 0;
+  this._closeFrame = null;
+  this._pingPending = false;
+  this._onEnd();
+  process.nextTick(() => {
+    queue.forEach((item) => {
+      item.cb(new Error("The long-polling session ended."));
+    });
+    this.emit("close", code, reason);
+  });
+};
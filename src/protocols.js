@@ -0,0 +1,80 @@
+import check from "check-types";
+import config from "./config";
+
+/**
+ * WebSocket subprotocol negotiation helpers. Used by the server and both
+ * clients.
+ *
+ * Each Feedme protocol version (e.g. "feedme.v2") is offered as a plain
+ * subprotocol and may be extended with the binary, heartbeat, and resume
+ * suffixes, in that order (e.g. "feedme.v2.binary.heartbeat.resume").
+ * Subprotocols are compared case-insensitively.
+ */
+
+/**
+ * Determines whether a value is a valid protocol version list, as specified
+ * by options.protocols on the server and clients. Versions must be unique and
+ * must not end with an extension suffix, so that subprotocols can be parsed
+ * unambiguously.
+ * @param {*} versions
+ * @returns {boolean}
+ */
+export function validVersions(versions) {
+  if (!check.nonEmptyArray(versions) || !check.array.of.string(versions)) {
+    return false;
+  }
+  const lower = versions.map((version) => version.toLowerCase());
+  return lower.every(
+    (version, idx) =>
+      config.wsVersionPattern.test(version) &&
+      !version.endsWith(config.wsBinarySuffix) &&
+      !version.endsWith(config.wsHeartbeatSuffix) &&
+      !version.endsWith(config.wsResumeSuffix) &&
+      lower.indexOf(version) === idx,
+  );
+}
+
+/**
+ * Returns the subprotocol name for a protocol version and extensions.
+ * @param {string} version
+ * @param {boolean} binary
+ * @param {boolean} heartbeat
+ * @param {?boolean} resume
+ * @returns {string}
+ */
+export function subprotocol(version, binary, heartbeat, resume) {
+  return (
+    version +
+    (binary ? config.wsBinarySuffix : "") +
+    (heartbeat ? config.wsHeartbeatSuffix : "") +
+    (resume ? config.wsResumeSuffix : "")
+  );
+}
+
+/**
+ * Parses a negotiated subprotocol into its protocol version and extensions.
+ * The version is returned with the casing of the matching entry in the
+ * versions list.
+ * @param {?string} protocol Empty or missing if none was negotiated
+ * @param {Array} versions
+ * @returns {Object} { version, binary, heartbeat, resume } - version null if
+ *                   unknown
+ */
+export function parseSubprotocol(protocol, versions) {
+  let rest = check.string(protocol) ? protocol.toLowerCase() : "";
+  const resume = rest.endsWith(config.wsResumeSuffix);
+  if (resume) {
+    rest = rest.slice(0, -config.wsResumeSuffix.length);
+  }
+  const heartbeat = rest.endsWith(config.wsHeartbeatSuffix);
+  if (heartbeat) {
+    rest = rest.slice(0, -config.wsHeartbeatSuffix.length);
+  }
+  const binary = rest.endsWith(config.wsBinarySuffix);
+  if (binary) {
+    rest = rest.slice(0, -config.wsBinarySuffix.length);
+  }
+  const version =
+    versions.find((candidate) => candidate.toLowerCase() === rest) || null;
+  return { version, binary, heartbeat, resume };
+}
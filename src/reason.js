@@ -0,0 +1,110 @@
+import check from "check-types";
+
+/**
+ * Close reason helpers. Used by the server and all clients.
+ *
+ * The server may close a client connection with a code in the range reserved
+ * for applications (4000-4999) and a reason, which is either a string or a
+ * JSON-encoded object or array. Clients surface the reason as received and,
+ * for application close codes, parsed back into the value that the server
+ * specified.
+ */
+
+/**
+ * Close code categories, by close code. Application close codes are
+ * categorized separately and unlisted codes are "unknown".
+ * @type {Object}
+ */
+const closeCategories = {
+  1000: "normal",
+  1001: "serverShutdown",
+  1002: "protocolRejection",
+  1003: "protocolRejection",
+  1005: "normal", // No status received
+  1006: "networkFailure",
+  1007: "protocolRejection",
+  1008: "policyViolation",
+  1009: "policyViolation", // Message too big
+  1010: "protocolRejection", // Extension not negotiated
+  1011: "serverError",
+  1012: "serverShutdown", // Service restart
+  1013: "serverShutdown", // Try again later
+  1014: "networkFailure", // Bad gateway
+  1015: "networkFailure", // TLS handshake failure
+};
+
+/**
+ * Returns the close frame reason for a string, object, or array.
+ * @param {string|Object|Array} reason
+ * @returns {string}
+ */
+export function encodeReason(reason) {
+  return check.string(reason) ? reason : JSON.stringify(reason);
+}
+
+/**
+ * Returns the value that the server specified as a close reason. Reasons that
+ * were encoded from objects or arrays are parsed and all others are returned
+ * unchanged.
+ * @param {string} reason
+ * @returns {string|Object|Array}
+ */
+export function parseReason(reason) {
+  if (!check.string(reason) || !/^\s*[[{]/.test(reason)) {
+    return reason;
+  }
+  try {
+    return JSON.parse(reason);
+  } catch (e) {
+    return reason;
+  }
+}
+
+/**
+ * Categorizes a connection closure as "normal", "networkFailure",
+ * "serverShutdown", "serverError", "protocolRejection", "policyViolation",
+ * "application" (for application close codes), or "unknown". A closure that
+ * was not clean is always a network failure, whatever the code.
+ * @param {?number} code
+ * @param {boolean} wasClean
+ * @returns {string}
+ */
+export function closeCategory(code, wasClean) {
+  if (!wasClean) {
+    return "networkFailure";
+  }
+  if (code >= 4000 && code <= 4999) {
+    return "application";
+  }
+  return closeCategories[code] || "unknown";
+}
+
+/**
+ * Returns a transport error describing a connection closed with the specified
+ * code and reason.
+ *
+ * The code and reason are available as err.wsCode and err.wsReason, whether
+ * the closing handshake completed as err.wsWasClean, and the category of the
+ * closure as err.wsCloseCategory. If the code is an application close code,
+ * then the parsed reason is also available as err.serverReason.
+ *
+ * Ws does not report whether the closing handshake completed, but signals a
+ * closure without one using code 1006, so wasClean is inferred from the code
+ * if not specified.
+ * @param {string} message
+ * @param {?number} code
+ * @param {?string} reason
+ * @param {?boolean} wasClean
+ * @returns {Error}
+ */
+export function closeError(message, code, reason, wasClean) {
+  const err = new Error(message);
+  err.wsCode = code;
+  err.wsReason = reason;
+  err.wsWasClean = check.boolean(wasClean) ? wasClean : code !== 1006;
+  err.wsCloseCategory = closeCategory(code, err.wsWasClean);
+  if (code >= 4000 && code <= 4999) {
+    err.serverReason = parseReason(reason);
+  }
+  return err;
+}
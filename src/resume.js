@@ -0,0 +1,109 @@
+import check from "check-types";
+import config from "./config";
+
+/**
+ * Session resumption helpers. Used by the server and the Node.js client.
+ *
+ * Each side of a resumable session counts the messages that it sends and
+ * retains the most recent of them in a replay buffer. When the session is
+ * resumed on a new connection, each side learns how many messages the other
+ * has received and replays the remainder from its buffer. Messages are counted
+ * rather than numbered on the wire, so application messages are exchanged
+ * unmodified.
+ */
+
+/**
+ * Returns an empty replay buffer.
+ *
+ * {
+ *   sent, // Number of messages sent in the session
+ *   messages, // Most recent messages sent, oldest first - { item, bytes }
+ *   bytes // Total size of the retained messages
+ * }
+ *
+ * @returns {Object}
+ */
+export function replayBuffer() {
+  return { sent: 0, messages: [], bytes: 0 };
+}
+
+/**
+ * Records a sent message in a replay buffer, discarding the oldest messages
+ * once either limit is exceeded.
+ * @param {Object} buffer
+ * @param {*} item Whatever the caller needs to replay the message
+ * @param {number} bytes Message size - zero if not limited by size
+ * @param {Object} limits { maxMessages, maxBytes } - maxBytes optional
+ * @returns {void}
+ */
+export function bufferMessage(buffer, item, bytes, limits) {
+  buffer.sent += 1; // eslint-disable-line no-param-reassign
+  buffer.messages.push({ item, bytes });
+  buffer.bytes += bytes; // eslint-disable-line no-param-reassign
+  while (
+    buffer.messages.length > limits.maxMessages ||
+    (check.integer(limits.maxBytes) && buffer.bytes > limits.maxBytes)
+  ) {
+    buffer.bytes -= buffer.messages.shift().bytes; // eslint-disable-line no-param-reassign
+  }
+}
+
+/**
+ * Returns the messages that must be replayed to a peer that has received the
+ * specified number of messages, oldest first. Returns null if the count is
+ * invalid or if any of the messages are no longer retained, in which case the
+ * session can not be resumed.
+ * @param {Object} buffer
+ * @param {number} received
+ * @returns {?Array} Items passed to bufferMessage()
+ */
+export function messagesAfter(buffer, received) {
+  if (
+    !check.integer(received) ||
+    received < buffer.sent - buffer.messages.length ||
+    received > buffer.sent
+  ) {
+    return null;
+  }
+  return buffer.messages
+    .slice(buffer.messages.length - (buffer.sent - received))
+    .map(({ item }) => item);
+}
+
+/**
+ * Returns the control frame that opens a new session.
+ * @param {string} token
+ * @returns {string}
+ */
+export function sessionFrame(token) {
+  return config.wsSessionPrefix + token;
+}
+
+/**
+ * Returns the control frame that opens a resumed session.
+ * @param {number} received Number of messages received from the client
+ * @returns {string}
+ */
+export function resumedFrame(received) {
+  return config.wsResumedPrefix + received;
+}
+
+/**
+ * Parses a session control frame.
+ * @param {*} msg
+ * @returns {?Object} { token } or { received } - null if not a valid frame
+ */
+export function parseSessionFrame(msg) {
+  if (!check.string(msg)) {
+    return null;
+  }
+  if (msg.startsWith(config.wsSessionPrefix)) {
+    const token = msg.slice(config.wsSessionPrefix.length);
+    return token === "" ? null : { token };
+  }
+  if (msg.startsWith(config.wsResumedPrefix)) {
+    const received = msg.slice(config.wsResumedPrefix.length);
+    return /^[0-9]+$/.test(received) ? { received: Number(received) } : null;
+  }
+  return null;
+}
@@ -0,0 +1,267 @@
+import check from "check-types";
+import debug from "debug";
+import http from "http";
+
+const dbg = debug("feedme-transport-ws:router");
+
+/**
+ * Routes WebSocket upgrade requests received by an http server to server
+ * transports operating in noServer mode, by path.
+ *
+ * Routes are matched in the order that they were added. A string path matches
+ * the request path exactly and a regular expression is tested against it. The
+ * query string is not part of the request path.
+ *
+ * Upgrade requests that can not be routed are rejected and the socket is
+ * destroyed:
+ *
+ * - 400 if the request is not a valid WebSocket upgrade request
+ * - 404 if no route matches the request path
+ * - 503 if the matching transport is not started
+ * - 500 if the matching transport throws, which it does if not in noServer mode
+ *
+ * The router consults each transport's state on every request, so transports
+ * may be started and stopped freely while routed.
+ * @typedef {Object} Router
+ */
+
+const proto = {};
+
+/**
+ * Router factory function.
+ * @param {http.Server} httpServer
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Router}
+ */
+export default function feedmeTransportWsRouter(httpServer) {
+  dbg("Initializing Router object");
+
+  if (
+    !check.object(httpServer) ||
+    !check.function(httpServer.on) ||
+    !check.function(httpServer.removeListener)
+  ) {
+    throw new Error("INVALID_ARGUMENT: Invalid httpServer argument.");
+  }
+
+  const router = Object.create(proto);
+
+  /**
+   * The http server.
+   * @memberof Router
+   * @instance
+   * @private
+   * @type {http.Server}
+   */
+  router._httpServer = httpServer;
+
+  /**
+   * Routes, in the order that they were added.
+   *
+   * this._routes = [{ path, transport }, ...]
+   *
+   * Path is a string or a regular expression.
+   *
+   * @memberof Router
+   * @instance
+   * @private
+   * @type {Array}
+   */
+  router._routes = [];
+
+  /**
+   * Bound upgrade handler attached to the http server. Null once the router
+   * is closed.
+   * @memberof Router
+   * @instance
+   * @private
+   * @type {?Function}
+   */
+  router._upgradeHandler = router._processUpgrade.bind(router);
+
+  httpServer.on("upgrade", router._upgradeHandler);
+
+  return router;
+}
+
+// Public API
+
+/**
+ * Routes upgrade requests for a path to a transport, which must be in noServer
+ * mode. A transport may be routed from more than one path.
+ * @memberof Router
+ * @instance
+ * @param {string|RegExp} path Exact path beginning with "/" or a pattern
+ * @param {Server} transport
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {Router} For chaining
+ */
+proto.add = function add(path, transport) {
+  dbg("Add route requested");
+
+  // Check arguments
+  if (
+    !(check.string(path) && path.charAt(0) === "/") &&
+    !check.instance(path, RegExp)
+  ) {
+    throw new Error("INVALID_ARGUMENT: Invalid path argument.");
+  }
+  if (
+    !check.object(transport) ||
+    !check.function(transport.handleUpgrade) ||
+    !check.function(transport.state)
+  ) {
+    throw new Error("INVALID_ARGUMENT: Invalid transport argument.");
+  }
+
+  // Check router state
+  if (!this._upgradeHandler) {
+    throw new Error("INVALID_STATE: The router is closed.");
+  }
+
+  // Check for a duplicate route
+  if (this._routeIndex(path) >= 0) {
+    throw new Error("INVALID_ARGUMENT: The path is already routed.");
+  }
+
+  // Success
+  this._routes.push({ path, transport });
+  return this;
+};
+
+/**
+ * Stops routing upgrade requests for a path. The path must be specified as it
+ * was added - regular expressions are compared by source and flags.
+ * @memberof Router
+ * @instance
+ * @param {string|RegExp} path
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Router} For chaining
+ */
+proto.remove = function remove(path) {
+  dbg("Remove route requested");
+
+  const idx = this._routeIndex(path);
+  if (idx < 0) {
+    throw new Error("INVALID_ARGUMENT: The path is not routed.");
+  }
+
+  this._routes.splice(idx, 1);
+  return this;
+};
+
+/**
+ * Detaches the router from the http server. Routed transports are left as
+ * they are.
+ * @memberof Router
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.close = function close() {
+  dbg("Close requested");
+
+  if (!this._upgradeHandler) {
+    throw new Error("INVALID_STATE: The router is closed.");
+  }
+
+  this._httpServer.removeListener("upgrade", this._upgradeHandler);
+  this._upgradeHandler = null;
+  this._routes = [];
+};
+
+// Upgrade handling
+
+/**
+ * Processes an http server upgrade event.
+ * @memberof Router
+ * @instance
+ * @private
+ * @param {http.IncomingMessage} req
+ * @param {stream.Duplex} socket
+ * @param {Buffer} head
+ * @returns {void}
+ */
+proto._processUpgrade = function _processUpgrade(req, socket, head) {
+  dbg("Received upgrade request");
+
+  // Check that the request is a WebSocket upgrade
+  const upgrade = req.headers && req.headers.upgrade;
+  if (
+    req.method !== "GET" ||
+    !check.string(upgrade) ||
+    upgrade.toLowerCase() !== "websocket"
+  ) {
+    dbg("Invalid upgrade request");
+    this._reject(socket, 400);
+    return; // Stop
+  }
+
+  // Find the route
+  const queryPos = req.url.indexOf("?");
+  const path = queryPos >= 0 ? req.url.substring(0, queryPos) : req.url;
+  // String.search() is used as RegExp.test() is stateful for global patterns
+  const route = this._routes.find((r) =>
+    check.string(r.path) ? r.path === path : path.search(r.path) >= 0,
+  );
+  if (!route) {
+    dbg("No route for the request path");
+    this._reject(socket, 404);
+    return; // Stop
+  }
+
+  // Check transport state
+  if (route.transport.state() !== "started") {
+    dbg("Transport is not started");
+    this._reject(socket, 503);
+    return; // Stop
+  }
+
+  // Success
+  try {
+    route.transport.handleUpgrade(req, socket, head);
+  } catch (e) {
+    dbg("Transport threw on handleUpgrade()");
+    this._reject(socket, 500);
+  }
+};
+
+/**
+ * Writes an http error response to an upgrade socket and destroys it.
+ * @memberof Router
+ * @instance
+ * @private
+ * @param {stream.Duplex} socket
+ * @param {number} statusCode
+ * @returns {void}
+ */
+proto._reject = function _reject(socket, statusCode) {
+  const message = http.STATUS_CODES[statusCode];
+  if (socket.writable) {
+    const headers = [
+      `HTTP/1.1 ${statusCode} ${message}`,
+      "Connection: close",
+      "Content-Type: text/plain; charset=utf-8",
+      `Content-Length: ${Buffer.byteLength(message)}`,
+    ];
+    socket.write(`${headers.join("\r\n")}\r\n\r\n${message}`);
+  }
+  socket.destroy();
+};
+
+/**
+ * Returns the index of the route for a path, or -1 if not routed.
+ * @memberof Router
+ * @instance
+ * @private
+ * @param {string|RegExp} path
+ * @returns {number}
+ */
+proto._routeIndex = function _routeIndex(path) {
+  return this._routes.findIndex((r) =>
+    check.instance(path, RegExp)
+      ? check.instance(r.path, RegExp) && r.path.toString() === path.toString()
+      : r.path === path,
+  );
+};
@@ -6,6 +6,48 @@ export default {
   defaults: {
     heartbeatIntervalMs: 5000,
     heartbeatTimeoutMs: 4500,
+
+    // Overlaid on options.backpressure if backpressure protection is enabled
+    backpressure: {
+      highWaterMark: 1048576, // Bytes
+      lowWaterMark: 262144, // Bytes
+      policy: "disconnect",
+    },
+
+    // Overlaid on options.rateLimit if inbound rate limiting is enabled
+    // The burst and bytesBurst defaults are derived from the rates
+    rateLimit: {
+      bytesPerSecond: null, // No byte limit
+      policy: "disconnect",
+      maxQueue: 100, // Messages held under the delay policy
+    },
+
+    // Overlaid on options.longPolling if long polling is enabled
+    longPolling: {
+      pollTimeoutMs: 25000, // Poll requests are held open this long at most
+      sessionTimeoutMs: 10000, // Sessions end if not polled for this long
+      maxBodyBytes: 1048576, // Maximum size of a posted request body
+    },
+
+    // Overlaid on options.resume if session resumption is enabled
+    resume: {
+      graceMs: 10000, // Lost sessions may be resumed for this long
+      maxMessages: 1000, // Messages retained for replay per session
+      maxBytes: 1048576, // Total size of messages retained per session
+    },
+
+    // Overlaid on options.metrics if specified
+    metrics: {
+      prefix: "feedme_server", // Prepended to metric names
+      buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5], // Seconds
+    },
+
+    // Overlaid by options.stopOptions and the options passed to server.stop()
+    stopOptions: {
+      drainMs: 0,
+      closeCode: 1000,
+      reason: "",
+    },
   },
 
   // Wait this long for a non-listening external server to start after call
@@ -13,5 +55,10 @@ export default {
   httpListeningMs: 2000,
 
   // Once started, check that an external server is listening this frequently
+  // Only used if the server's listen handle could not be hooked
   httpPollingMs: 500,
+
+  // Maximum size of a message batch posted to an SSE endpoint, unless
+  // options.maxPayload is specified
+  sseMaxBodyBytes: 1048576,
 };
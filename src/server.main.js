@@ -5,8 +5,24 @@ import check from "check-types";
 import _ from "lodash";
 import http from "http";
 import stream from "stream";
+import querystring from "querystring";
 import serverConfig from "./server.config";
 import config from "./config";
+import latencyStats from "./latency";
+import isBinary from "./binary";
+import { validVersions, subprotocol, parseSubprotocol } from "./protocols";
+import pollingSocket from "./polling.socket";
+import {
+  replayBuffer,
+  bufferMessage,
+  messagesAfter,
+  sessionFrame,
+  resumedFrame,
+} from "./resume";
+import { encodeReason } from "./reason";
+import metricsFactory, { validPrefix, validBuckets } from "./metrics";
+import { readJson, respond, respondError, respondText } from "./http";
+import awaitTransition, { asyncOptions } from "./lifecycle";
 
 const dbg = debug("feedme-transport-ws:server");
 
@@ -24,10 +40,12 @@ const dbg = debug("feedme-transport-ws:server");
  *
  * - When ws is running in external http server mode, listen for
  * listening/close/error events on the external http server, as ws does not emit
- * them reliably. Also poll the http server to determine whether it is still
- * listening, as calls to httpServer.close() do not force connections closed
- * and an http server close event is not emitted until all WebSocket clients
- * depart.
+ * them reliably. Also hook httpServer.close() and the server's listen handle to
+ * detect when it stops listening, as calls to httpServer.close() do not force
+ * connections closed and an http server close event is not emitted until all
+ * WebSocket clients depart. If the server can not be hooked, then poll it
+ * instead. HTTPS servers and HTTP/2 secure servers that allow HTTP/1 are
+ * monitored in the same way.
  *
  * - When ws is running in noServer mode, there is no server status to monitor.
  *
@@ -38,6 +56,115 @@ const dbg = debug("feedme-transport-ws:server");
 const proto = {};
 emitter(proto);
 
+/**
+ * Metrics collected by the server - see metrics.js.
+ * @type {Object}
+ */
+const metricDefinitions = {
+  connections_opened_total: {
+    type: "counter",
+    help: "Clients connected.",
+  },
+  connections_closed_total: {
+    type: "counter",
+    help: "Clients disconnected, by reason.",
+    labels: ["reason"],
+  },
+  clients: {
+    type: "gauge",
+    help: "Clients currently connected, including sessions awaiting resumption.",
+  },
+  messages_received_total: {
+    type: "counter",
+    help: "Messages received from clients.",
+  },
+  received_bytes_total: {
+    type: "counter",
+    help: "Bytes of messages received from clients.",
+  },
+  messages_sent_total: {
+    type: "counter",
+    help: "Messages written to clients, including replays.",
+  },
+  sent_bytes_total: {
+    type: "counter",
+    help: "Bytes of messages written to clients, including replays.",
+  },
+  send_failures_total: {
+    type: "counter",
+    help: "Messages and heartbeat pongs that could not be written to clients.",
+  },
+  heartbeat_timeouts_total: {
+    type: "counter",
+    help: "Heartbeat pings not answered within the timeout.",
+  },
+  handshake_rejections_total: {
+    type: "counter",
+    help: "Connection requests refused, by reason.",
+    labels: ["reason"],
+  },
+  heartbeat_latency_seconds: {
+    type: "histogram",
+    help: "Heartbeat round-trip times.",
+  },
+};
+
+/**
+ * Reasons reported in the connections_closed_total metric, by transport error
+ * message. Clients disconnected without an error or with any other error were
+ * disconnected by the application.
+ * @type {Object}
+ */
+const closeReasons = {
+  "FAILURE: The WebSocket closed.": "clientClosed",
+  "FAILURE: The WebSocket heartbeat failed.": "heartbeatFailure",
+  "FAILURE: WebSocket transmission failed.": "transmissionFailure",
+  "FAILURE: Slow consumer.": "slowConsumer",
+  "FAILURE: Rate limit exceeded.": "rateLimit",
+  "FAILURE: Received non-string message on WebSocket connection.":
+    "invalidMessage",
+};
+
+/**
+ * Validates a stop options object, as passed to server.stop() or specified
+ * as options.stopOptions on initialization.
+ *
+ * Close codes are restricted to normal closure (1000), going away (1001), and
+ * the range reserved for applications (4000-4999). Ws throws if a close reason
+ * exceeds 123 bytes.
+ * @param {*} stopOptions
+ * @param {string} name Argument name used in error messages
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+const validateStopOptions = function validateStopOptions(stopOptions, name) {
+  if (!check.object(stopOptions)) {
+    throw new Error(`INVALID_ARGUMENT: Invalid ${name} argument.`);
+  }
+  if (
+    "drainMs" in stopOptions &&
+    (!check.integer(stopOptions.drainMs) || stopOptions.drainMs < 0)
+  ) {
+    throw new Error(`INVALID_ARGUMENT: Invalid ${name}.drainMs argument.`);
+  }
+  if (
+    "closeCode" in stopOptions &&
+    (!check.integer(stopOptions.closeCode) ||
+      (stopOptions.closeCode !== 1000 &&
+        stopOptions.closeCode !== 1001 &&
+        (stopOptions.closeCode < 4000 || stopOptions.closeCode > 4999)))
+  ) {
+    throw new Error(`INVALID_ARGUMENT: Invalid ${name}.closeCode argument.`);
+  }
+  if (
+    "reason" in stopOptions &&
+    (!check.string(stopOptions.reason) ||
+      Buffer.byteLength(stopOptions.reason) > 123)
+  ) {
+    throw new Error(`INVALID_ARGUMENT: Invalid ${name}.reason argument.`);
+  }
+};
+
 /**
  * Transport server factory function.
  * @param {Function} wsConstructor WebSocket.Server constuctor
@@ -95,6 +222,232 @@ export default function serverFactory(wsConstructor, options) {
     );
   }
 
+  // Validate tOptions.protocols (if specified)
+  // Only the default protocol version is supported unless specified
+  if ("protocols" in tOptions && !validVersions(tOptions.protocols)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.protocols argument.");
+  }
+
+  // Validate tOptions.binary (if specified)
+  // Binary mode is disabled unless specified
+  if ("binary" in tOptions && !check.boolean(tOptions.binary)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.binary argument.");
+  }
+
+  // Validate tOptions.authenticate (if specified)
+  // The transport uses the ws verifyClient hook to run authentication, so the
+  // application can not specify both
+  if ("authenticate" in tOptions) {
+    if (!check.function(tOptions.authenticate)) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.authenticate argument.",
+      );
+    }
+    if ("verifyClient" in tOptions) {
+      throw new Error(
+        "INVALID_ARGUMENT: Must not specify both options.verifyClient and options.authenticate.",
+      );
+    }
+  }
+
+  // Validate tOptions.generateClientId (if specified)
+  // Client ids are random UUIDs unless specified
+  if (
+    "generateClientId" in tOptions &&
+    !check.function(tOptions.generateClientId)
+  ) {
+    throw new Error(
+      "INVALID_ARGUMENT: Invalid options.generateClientId argument.",
+    );
+  }
+
+  // Validate tOptions.maxClients and tOptions.maxClientsPerIp (if specified)
+  // Limits are enforced using the ws verifyClient hook, so the application can
+  // not specify verifyClient as well
+  ["maxClients", "maxClientsPerIp"].forEach((opt) => {
+    if (opt in tOptions) {
+      if (!check.integer(tOptions[opt]) || tOptions[opt] <= 0) {
+        throw new Error(`INVALID_ARGUMENT: Invalid options.${opt} argument.`);
+      }
+      if ("verifyClient" in tOptions) {
+        throw new Error(
+          `INVALID_ARGUMENT: Must not specify both options.verifyClient and options.${opt}.`,
+        );
+      }
+    }
+  });
+
+  // Validate tOptions.stopOptions (if specified)
+  // Defaults are overlaid when the server is stopped, as server.stop() may
+  // override them
+  if ("stopOptions" in tOptions) {
+    validateStopOptions(tOptions.stopOptions, "options.stopOptions");
+  }
+
+  // Validate tOptions.backpressure (if specified) and overlay defaults
+  // Disabled if absent or false
+  if ("backpressure" in tOptions && tOptions.backpressure !== false) {
+    if (
+      tOptions.backpressure !== true &&
+      !check.object(tOptions.backpressure)
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.backpressure argument.",
+      );
+    }
+    const backpressure = {
+      ...serverConfig.defaults.backpressure,
+      ...(tOptions.backpressure === true ? {} : tOptions.backpressure),
+    };
+    if (
+      !check.integer(backpressure.highWaterMark) ||
+      backpressure.highWaterMark <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.backpressure.highWaterMark argument.",
+      );
+    }
+    if (
+      !check.integer(backpressure.lowWaterMark) ||
+      backpressure.lowWaterMark < 0 ||
+      backpressure.lowWaterMark >= backpressure.highWaterMark
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.backpressure.lowWaterMark argument.",
+      );
+    }
+    if (!["disconnect", "drop", "coalesce"].includes(backpressure.policy)) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.backpressure.policy argument.",
+      );
+    }
+    tOptions.backpressure = backpressure;
+  }
+
+  // Validate tOptions.longPolling (if specified) and overlay defaults
+  // Disabled if absent or false
+  if ("longPolling" in tOptions && tOptions.longPolling !== false) {
+    if (tOptions.longPolling !== true && !check.object(tOptions.longPolling)) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.longPolling argument.",
+      );
+    }
+    const longPolling = {
+      ...serverConfig.defaults.longPolling,
+      ...(tOptions.longPolling === true ? {} : tOptions.longPolling),
+    };
+    ["pollTimeoutMs", "sessionTimeoutMs", "maxBodyBytes"].forEach((opt) => {
+      if (!check.integer(longPolling[opt]) || longPolling[opt] <= 0) {
+        throw new Error(
+          `INVALID_ARGUMENT: Invalid options.longPolling.${opt} argument.`,
+        );
+      }
+    });
+    tOptions.longPolling = longPolling;
+  }
+
+  // Validate tOptions.resume (if specified) and overlay defaults
+  // Disabled if absent or false
+  if ("resume" in tOptions && tOptions.resume !== false) {
+    if (tOptions.resume !== true && !check.object(tOptions.resume)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.resume argument.");
+    }
+    const resume = {
+      ...serverConfig.defaults.resume,
+      ...(tOptions.resume === true ? {} : tOptions.resume),
+    };
+    ["graceMs", "maxMessages", "maxBytes"].forEach((opt) => {
+      if (!check.integer(resume[opt]) || resume[opt] <= 0) {
+        throw new Error(
+          `INVALID_ARGUMENT: Invalid options.resume.${opt} argument.`,
+        );
+      }
+    });
+    tOptions.resume = resume;
+  }
+
+  // Validate tOptions.metrics (if specified) and overlay defaults
+  // Metrics are always collected - the option only configures them
+  if ("metrics" in tOptions && !check.object(tOptions.metrics)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.metrics argument.");
+  }
+  const metrics = {
+    ...serverConfig.defaults.metrics,
+    ...tOptions.metrics,
+  };
+  if (!validPrefix(metrics.prefix)) {
+    throw new Error(
+      "INVALID_ARGUMENT: Invalid options.metrics.prefix argument.",
+    );
+  }
+  if (!validBuckets(metrics.buckets)) {
+    throw new Error(
+      "INVALID_ARGUMENT: Invalid options.metrics.buckets argument.",
+    );
+  }
+  tOptions.metrics = metrics;
+
+  // Validate tOptions.rateLimit (if specified) and overlay defaults
+  // Disabled if absent
+  if ("rateLimit" in tOptions) {
+    if (!check.object(tOptions.rateLimit)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.rateLimit argument.");
+    }
+    const rateLimit = {
+      ...serverConfig.defaults.rateLimit,
+      ...tOptions.rateLimit,
+    };
+    if (
+      !check.number(rateLimit.messagesPerSecond) ||
+      rateLimit.messagesPerSecond <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.rateLimit.messagesPerSecond argument.",
+      );
+    }
+    if (!("burst" in tOptions.rateLimit)) {
+      rateLimit.burst = Math.ceil(rateLimit.messagesPerSecond);
+    }
+    if (!check.integer(rateLimit.burst) || rateLimit.burst <= 0) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.rateLimit.burst argument.",
+      );
+    }
+    if (
+      rateLimit.bytesPerSecond !== null &&
+      (!check.number(rateLimit.bytesPerSecond) || rateLimit.bytesPerSecond <= 0)
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.rateLimit.bytesPerSecond argument.",
+      );
+    }
+    if (!("bytesBurst" in tOptions.rateLimit)) {
+      rateLimit.bytesBurst =
+        rateLimit.bytesPerSecond === null
+          ? null
+          : Math.ceil(rateLimit.bytesPerSecond);
+    }
+    if (
+      rateLimit.bytesPerSecond !== null &&
+      (!check.integer(rateLimit.bytesBurst) || rateLimit.bytesBurst <= 0)
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.rateLimit.bytesBurst argument.",
+      );
+    }
+    if (!["disconnect", "drop", "delay"].includes(rateLimit.policy)) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.rateLimit.policy argument.",
+      );
+    }
+    if (!check.integer(rateLimit.maxQueue) || rateLimit.maxQueue <= 0) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.rateLimit.maxQueue argument.",
+      );
+    }
+    tOptions.rateLimit = rateLimit;
+  }
+
   // Validate tOptions.heartbeatIntervalMs (if specified) and overlay default
   if ("heartbeatIntervalMs" in tOptions) {
     if (
@@ -171,6 +524,91 @@ export default function serverFactory(wsConstructor, options) {
    */
   server._wsClients = {};
 
+  /**
+   * Information about connected clients, captured from the HTTP upgrade
+   * request when the WebSocket connection is established.
+   *
+   * this._clientInfo[clientId] = { remoteAddress, remotePort, forwardedFor,
+   *   headers, url, path, query, secure, tls }
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._clientInfo = {};
+
+  /**
+   * Number of connected clients by remote address. Clients with no known
+   * remote address are not counted.
+   *
+   * this._clientsPerIp[remoteAddress] = number of clients
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._clientsPerIp = {};
+
+  /**
+   * Number of upgrade requests refused because a connection limit was reached.
+   * Cumulative over the life of the transport.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._refused = { maxClients: 0, maxClientsPerIp: 0 };
+
+  /**
+   * Identities returned by options.authenticate(), keyed by HTTP upgrade
+   * request. The identity is moved into this._clientInfo when ws emits the
+   * connection event for the request.
+   *
+   * Weakly keyed so that requests that never complete the upgrade (client
+   * departs after authentication) do not accumulate.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {WeakMap}
+   */
+  server._authIdentities = new WeakMap();
+
+  /**
+   * Clients whose send buffer has exceeded the backpressure high water mark
+   * and has not yet fallen to the low water mark. Only populated if
+   * backpressure protection is enabled.
+   *
+   * this._congestion[clientId] = { pending: null or { data, binary } }
+   *
+   * The pending message is only retained under the coalesce policy.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._congestion = {};
+
+  /**
+   * Inbound rate limiting token buckets for clients. Only populated if inbound
+   * rate limiting is enabled.
+   *
+   * this._rateLimits[clientId] = {
+   *   messages, // Available message tokens
+   *   bytes, // Available byte tokens or null if there is no byte limit
+   *   refilledAt, // Time at which the tokens were last refilled
+   *   queue, // Messages held under the delay policy, oldest first
+   *   timer // Timeout that releases queued messages, or null
+   * }
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._rateLimits = {};
+
   /**
    * Heartbeat intervals for clients.
    *
@@ -183,6 +621,22 @@ export default function serverFactory(wsConstructor, options) {
    */
   server._heartbeatIntervals = {};
 
+  /**
+   * Heartbeat round-trip time measurements for clients.
+   *
+   * this._latency[clientId] = { pingSentAt, samples }
+   *
+   * The pingSentAt property is the time at which the outstanding ping was
+   * sent, or null if no pong is outstanding. The samples property contains the
+   * most recent round-trip times in milliseconds, oldest first.
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._latency = {};
+
   /**
    * Heartbeat timeouts for clients.
    *
@@ -236,10 +690,19 @@ export default function serverFactory(wsConstructor, options) {
   server._httpListeningTimeout = null;
 
   /**
-   * Interval that polls the external http server to verify that it is still
+   * Hooks installed on the external http server to detect when it stops
    * listening. Null if not running in external server mode or transport not
    * started.
    *
+   * {
+   *   close, // Replacement httpServer.close() or null if not hooked
+   *   ownClose, // Whether httpServer.close was an own property when hooked
+   *   originalClose, // The httpServer.close function that was replaced
+   *   handle, // The listen handle whose close() was hooked or null
+   *   handleClose, // Replacement handle.close() or null if not hooked
+   *   originalHandleClose // The handle.close function that was replaced
+   * }
+   *
    * You cannot rely only on the http server close event to monitor whether the
    * external server is listening. A call to httpServer.close() does not kill
    * outstanding connections (including WebSocket connections, which can persist
@@ -248,10 +711,121 @@ export default function serverFactory(wsConstructor, options) {
    * @memberof Server
    * @instance
    * @private
+   * @type {?Object}
+   */
+  server._httpMonitor = null;
+
+  /**
+   * Interval that polls the external http server to verify that it is still
+   * listening. Only used if the server's listen handle could not be hooked.
+   * Null if not polling.
+   * @memberof Server
+   * @instance
+   * @private
    * @type {?number}
    */
   server._httpPollingInterval = null;
 
+  /**
+   * The most recent transport failure, reported by health checks.
+   *
+   * If present: { message, time } - time is an ISO 8601 string
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  server._lastError = null;
+
+  /**
+   * Clients that were sent a close frame on a graceful server stoppage and
+   * have not yet departed. The transport has already emitted disconnect for
+   * these clients.
+   *
+   * this._drainClients[clientId] = WebSocket instance
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._drainClients = {};
+
+  /**
+   * Long-polling sessions that have not ended, keyed by session id. The
+   * session id is a secret shared with the client and is distinct from the
+   * client id, which may be exposed to other clients by the application.
+   *
+   * this._pollingSessions[sessionId] = PollingSocket
+   *
+   * Sessions are also present in this._wsClients while connected. They are
+   * removed from here once ended, which may be after disconnect if the session
+   * is closing.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._pollingSessions = {};
+
+  /**
+   * Resumable sessions, keyed by client id. Only populated if session
+   * resumption is enabled and the client negotiated a resume subprotocol.
+   *
+   * this._sessions[clientId] = {
+   *   token, // Resume token shared with the client
+   *   protocol, // Negotiated subprotocol, which a resumption must match
+   *   received, // Number of messages received from the client
+   *   buffer, // Replay buffer of messages sent to the client - see resume.js
+   *   graceTimeout // Ends the session if not resumed, or null if connected
+   * }
+   *
+   * While a lost session awaits resumption, the client is present here but
+   * not in this._wsClients. The transport has not emitted disconnect and the
+   * application may continue to send messages, which are buffered.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._sessions = {};
+
+  /**
+   * Client ids of resumable sessions, keyed by resume token.
+   *
+   * this._resumeTokens[token] = clientId
+   *
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  server._resumeTokens = {};
+
+  /**
+   * Timeout that terminates any remaining clients once the drain period of a
+   * graceful server stoppage has elapsed. Null if not draining.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {?number}
+   */
+  server._drainTimeout = null;
+
+  /**
+   * Metrics collector. Cumulative over the life of the transport.
+   * @memberof Server
+   * @instance
+   * @private
+   * @type {Metrics}
+   */
+  server._metrics = metricsFactory(
+    tOptions.metrics.prefix,
+    metricDefinitions,
+    tOptions.metrics.buckets,
+  );
+
   return server;
 }
 
@@ -276,6 +850,16 @@ export default function serverFactory(wsConstructor, options) {
  * @param {?Error} err "FAILURE: ..." if not due to call to server.stop()
  */
 
+/**
+ * Emitted during a graceful server stoppage, once when draining begins and
+ * again each time a client departs. The transport state remains stopping
+ * until all clients have departed or the drain period elapses.
+ * @event stoppingProgress
+ * @memberof Server
+ * @instance
+ * @param {number} remaining Number of clients that have not yet departed
+ */
+
 /**
  * @event stop
  * @memberof Server
@@ -291,11 +875,30 @@ export default function serverFactory(wsConstructor, options) {
  */
 
 /**
- * @event message
+ * Emitted when a client whose send buffer exceeded the backpressure high water
+ * mark has drained to the low water mark. Any coalesced message has been
+ * written by the time the event is emitted.
+ * @event drain
  * @memberof Server
  * @instance
  * @param {string} clientId
- * @param {string} msg
+ */
+
+/**
+ * Emitted each time a heartbeat round-trip time is measured.
+ * @event latency
+ * @memberof Server
+ * @instance
+ * @param {string} clientId
+ * @param {number} rtt Milliseconds
+ */
+
+/**
+ * @event message
+ * @memberof Server
+ * @instance
+ * @param {string} clientId
+ * @param {string|Buffer} msg Buffer only if the client negotiated binary mode
  */
 
 /**
@@ -319,6 +922,191 @@ proto.state = function state() {
   return this._state;
 };
 
+/**
+ * Returns information about a connected client, captured from the HTTP upgrade
+ * request when the WebSocket connection was established.
+ *
+ * {
+ *   remoteAddress: "1.2.3.4" or null,
+ *   remotePort: 12345 or null,
+ *   forwardedFor: ["5.6.7.8", ...], // Parsed X-Forwarded-For header
+ *   headers: { ... },
+ *   url: "/path?a=1" or null,
+ *   path: "/path" or null,
+ *   query: { a: "1" },
+ *   secure: false,
+ *   tls: null or { protocol, cipher, authorized, authorizationError },
+ *   identity: null or value returned by options.authenticate()
+ * }
+ * @memberof Server
+ * @instance
+ * @param {string} cid
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {Object}
+ */
+proto.clientInfo = function clientInfo(cid) {
+  dbg("Client info requested");
+
+  // Check client id
+  if (!check.string(cid)) {
+    throw new Error("INVALID_ARGUMENT: Invalid client id.");
+  }
+
+  // Check server state
+  if (this._state !== "started") {
+    throw new Error("INVALID_STATE: The server is not started.");
+  }
+
+  // Check client state
+  if (!this._isClient(cid)) {
+    throw new Error("INVALID_STATE: The client is not connected.");
+  }
+
+  // Return a copy so that the application can't modify the stored information
+  return _.cloneDeep(this._clientInfo[cid]);
+};
+
+/**
+ * Returns heartbeat round-trip time statistics for a client, based on the
+ * most recent measurements. Values are null if no round trip has completed,
+ * including when the heartbeat is disabled.
+ * @memberof Server
+ * @instance
+ * @param {string} cid
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {Object} { last, average, p95 } in milliseconds
+ */
+proto.latency = function latency(cid) {
+  dbg("Latency requested");
+
+  // Check client id
+  if (!check.string(cid)) {
+    throw new Error("INVALID_ARGUMENT: Invalid client id.");
+  }
+
+  // Check server state
+  if (this._state !== "started") {
+    throw new Error("INVALID_STATE: The server is not started.");
+  }
+
+  // Check client state
+  if (!this._isClient(cid)) {
+    throw new Error("INVALID_STATE: The client is not connected.");
+  }
+
+  return latencyStats(this._latency[cid].samples);
+};
+
+/**
+ * Returns the Feedme protocol version negotiated by a client, with the casing
+ * specified in options.protocols. Returns null if the client did not request
+ * a subprotocol, in which case ws accepts the connection without negotiation.
+ * @memberof Server
+ * @instance
+ * @param {string} cid
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {?string}
+ */
+proto.protocol = function protocol(cid) {
+  dbg("Protocol requested");
+
+  // Check client id
+  if (!check.string(cid)) {
+    throw new Error("INVALID_ARGUMENT: Invalid client id.");
+  }
+
+  // Check server state
+  if (this._state !== "started") {
+    throw new Error("INVALID_STATE: The server is not started.");
+  }
+
+  // Check client state
+  if (!this._isClient(cid)) {
+    throw new Error("INVALID_STATE: The client is not connected.");
+  }
+
+  return this._negotiated(cid).version;
+};
+
+/**
+ * Returns the number of upgrade requests refused because options.maxClients
+ * or options.maxClientsPerIp was reached, including resumption requests whose
+ * connections were closed because the session was not resumed. The counts are
+ * cumulative over the life of the transport and do not reset when the server
+ * stops.
+ * @memberof Server
+ * @instance
+ * @returns {Object} { maxClients, maxClientsPerIp }
+ */
+proto.refused = function refused() {
+  dbg("Refused counts requested");
+  return _.clone(this._refused);
+};
+
+/**
+ * Returns server metrics in the Prometheus text exposition format. Metrics
+ * are cumulative over the life of the transport and do not reset when the
+ * server stops.
+ * @memberof Server
+ * @instance
+ * @returns {string}
+ */
+proto.metrics = function metrics() {
+  dbg("Metrics requested");
+  this._metrics.set("clients", null, this._clientIds().length);
+  return this._metrics.render();
+};
+
+/**
+ * Returns an HTTP request handler that serves server metrics in the Prometheus
+ * text exposition format, for the application to mount on a path of its
+ * choosing.
+ * @memberof Server
+ * @instance
+ * @returns {Function} (req, res)
+ */
+proto.metricsHandler = function metricsHandler() {
+  dbg("Metrics handler requested");
+  return (req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      respondError(res, 405, undefined, { Allow: "GET, HEAD" });
+      return; // Stop
+    }
+    respondText(res, 200, this.metrics(), {
+      "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+    });
+  };
+};
+
+/**
+ * Returns an HTTP request handler that answers health checks, for the
+ * application to mount on a path of its choosing.
+ *
+ * Health checks are answered with a 200 if the transport is started and a 503
+ * otherwise, so that they can serve as readiness probes. The response body is
+ * { state, clients, lastError }, where lastError is null or { message, time }.
+ * @memberof Server
+ * @instance
+ * @returns {Function} (req, res)
+ */
+proto.healthHandler = function healthHandler() {
+  dbg("Health handler requested");
+  return (req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      respondError(res, 405, undefined, { Allow: "GET, HEAD" });
+      return; // Stop
+    }
+    respond(res, this._state === "started" ? 200 : 503, {
+      state: this._state,
+      clients: this._clientIds().length,
+      lastError: this._lastError,
+    });
+  };
+};
+
 /**
  * Starts the server.
  * @memberof Server
@@ -342,7 +1130,22 @@ proto.start = function start() {
   const wsOptions = _.clone(this._options);
   delete wsOptions.heartbeatIntervalMs;
   delete wsOptions.heartbeatTimeoutMs;
+  delete wsOptions.authenticate;
+  delete wsOptions.stopOptions;
+  delete wsOptions.backpressure;
+  delete wsOptions.rateLimit;
+  delete wsOptions.maxClients;
+  delete wsOptions.maxClientsPerIp;
+  delete wsOptions.binary;
+  delete wsOptions.protocols;
+  delete wsOptions.longPolling;
+  delete wsOptions.resume;
+  delete wsOptions.generateClientId;
+  delete wsOptions.metrics;
   wsOptions.handleProtocols = this._processHandleProtocols.bind(this);
+  if (!this._options.verifyClient) {
+    wsOptions.verifyClient = this._processVerifyClient.bind(this);
+  }
 
   // Try to initialize the ws server
   try {
@@ -356,6 +1159,7 @@ proto.start = function start() {
     this._state = "stopped";
     const err = new Error("FAILURE: Could not initialize WebSocket server.");
     err.wsError = e;
+    this._recordError(err);
     this._emitAsync("stopping", err);
     this._emitAsync("stop", err);
     return; // Stop
@@ -418,14 +1222,28 @@ proto.start = function start() {
 
 /**
  * Stops the server.
+ *
+ * Clients are sent a close frame with the specified code and reason. If a
+ * drain period is specified, then the transport remains stopping until all
+ * clients have departed or the period elapses, after which any remaining
+ * clients are terminated. Options not specified are taken from
+ * options.stopOptions on initialization, if present, and otherwise default
+ * to an immediate stoppage with close code 1000.
  * @memberof Server
  * @instance
+ * @param {?Object} options { drainMs, closeCode, reason }
+ * @throws {Error} "INVALID_ARGUMENT: ..."
  * @throws {Error} "INVALID_STATE: ..."
  * @returns {void}
  */
-proto.stop = function stop() {
+proto.stop = function stop(...args) {
   dbg("Stop requested");
 
+  // Check options (if specified)
+  if (args.length > 0 && args[0] !== undefined) {
+    validateStopOptions(args[0], "options");
+  }
+
   // Check state
   if (this._state !== "started") {
     throw new Error("INVALID_STATE: The server is not started.");
@@ -433,15 +1251,83 @@ proto.stop = function stop() {
 
   // Success
 
-  this._stop();
+  this._stop(null, {
+    ...serverConfig.defaults.stopOptions,
+    ...this._options.stopOptions,
+    ...args[0],
+  });
+};
+
+/**
+ * Starts the server and returns a promise that resolves once it has started.
+ *
+ * The promise rejects with the transport error if the server fails to start,
+ * with "ABORTED: ..." if the signal is aborted before the server starts, or
+ * with the error thrown by server.start(). If the signal is aborted then the
+ * server is stopped, whether it is starting or has started.
+ * @memberof Server
+ * @instance
+ * @param {?Object} options { signal } - signal is an AbortSignal
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Promise}
+ */
+proto.startAsync = function startAsync(...args) {
+  dbg("Asynchronous start requested");
+
+  const { signal } = asyncOptions(args, ["signal"]);
+
+  return awaitTransition({
+    transport: this,
+    defer: process.nextTick,
+    initiate: () => {
+      this.start();
+    },
+    resolveEvent: "start",
+    rejectEvent: "stop",
+    rejectMessage: "ABORTED: The server was stopped before it started.",
+    signal,
+    cancel: () => {
+      // Server.stop() is not valid while starting
+      this._stop(null, {
+        ...serverConfig.defaults.stopOptions,
+        ...this._options.stopOptions,
+      });
+    },
+  });
+};
+
+/**
+ * Stops the server and returns a promise that resolves once it has stopped,
+ * including any drain period.
+ *
+ * The promise rejects with the error thrown by server.stop().
+ * @memberof Server
+ * @instance
+ * @param {?Object} options Same as server.stop()
+ * @returns {Promise}
+ */
+proto.stopAsync = function stopAsync(...args) {
+  dbg("Asynchronous stop requested");
+
+  return awaitTransition({
+    transport: this,
+    defer: process.nextTick,
+    initiate: () => {
+      this.stop(...args);
+    },
+    resolveEvent: "stop",
+  });
 };
 
 /**
  * Sends a message to a client.
+ *
+ * If binary mode is enabled, then binary messages may be sent to clients that
+ * negotiated it.
  * @memberof Server
  * @instance
  * @param {string} cid
- * @param {string} msg
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} msg
  * @throws {Error} "INVALID_ARGUMENT: ..."
  * @throws {Error} "INVALID_STATE: ..."
  * @returns {void}
@@ -450,7 +1336,7 @@ proto.send = function send(cid, msg) {
   dbg("Send requested");
 
   // Check arguments
-  if (!check.string(cid) || !check.string(msg)) {
+  if (!check.string(cid) || !this._isMessage(msg)) {
     throw new Error("INVALID_ARGUMENT: Invalid client id or message.");
   }
 
@@ -460,29 +1346,122 @@ proto.send = function send(cid, msg) {
   }
 
   // Check client state
-  if (!(cid in this._wsClients)) {
+  if (!this._isClient(cid)) {
     throw new Error("INVALID_STATE: The client is not connected.");
   }
+  if (isBinary(msg) && !this._isBinaryClient(cid)) {
+    throw new Error("INVALID_STATE: The client is not in binary mode.");
+  }
 
   // Try to send the message
-  this._wsClients[cid].send(msg, (err) => {
-    if (err) {
-      dbg("Error writing message to WebSocket");
-      const transportErr = new Error("FAILURE: WebSocket transmission failed.");
-      transportErr.wsError = err;
-      this._disconnect(cid, transportErr);
-    } else {
-      dbg("Message successfully written to WebSocket");
+  this._write(cid, msg, !check.string(msg));
+};
+
+/**
+ * Sends a message to all connected clients, except any specified.
+ *
+ * The message is encoded once and the same frame data is written to each
+ * client. Transmission failures are handled client-by-client, as with
+ * server.send().
+ *
+ * Binary messages are sent only to clients that negotiated binary mode.
+ * @memberof Server
+ * @instance
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} msg
+ * @param {?Object} options { except } - client id or array of client ids
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.broadcast = function broadcast(msg, ...args) {
+  dbg("Broadcast requested");
+
+  // Check message
+  if (!this._isMessage(msg)) {
+    throw new Error("INVALID_ARGUMENT: Invalid message.");
+  }
+
+  // Check options (if specified)
+  const options = args.length > 0 ? args[0] : {};
+  if (!check.object(options)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options argument.");
+  }
+  let except = [];
+  if ("except" in options) {
+    except = check.string(options.except) ? [options.except] : options.except;
+    if (!check.array.of.string(except)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.except argument.");
     }
-  });
+  }
+
+  // Check server state
+  if (this._state !== "started") {
+    throw new Error("INVALID_STATE: The server is not started.");
+  }
+
+  // Success
+  let cids = _.difference(this._clientIds(), except);
+  if (isBinary(msg)) {
+    cids = cids.filter((cid) => this._isBinaryClient(cid));
+  }
+  this._sendMany(cids, msg);
+};
+
+/**
+ * Sends a message to each of the specified clients.
+ *
+ * All clients are checked before anything is sent, so the message is sent to
+ * either all of the clients or none of them. Duplicate client ids are sent the
+ * message once. Binary messages may only be sent if all of the clients
+ * negotiated binary mode.
+ * @memberof Server
+ * @instance
+ * @param {Array} cids
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} msg
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.sendMany = function sendMany(cids, msg) {
+  dbg("Multicast requested");
+
+  // Check arguments
+  if (!check.array.of.string(cids) || !this._isMessage(msg)) {
+    throw new Error("INVALID_ARGUMENT: Invalid client ids or message.");
+  }
+
+  // Check server state
+  if (this._state !== "started") {
+    throw new Error("INVALID_STATE: The server is not started.");
+  }
+
+  // Check client states
+  if (!_.every(cids, (cid) => this._isClient(cid))) {
+    throw new Error("INVALID_STATE: One or more clients are not connected.");
+  }
+  if (isBinary(msg) && !_.every(cids, (cid) => this._isBinaryClient(cid))) {
+    throw new Error(
+      "INVALID_STATE: One or more clients are not in binary mode.",
+    );
+  }
+
+  // Success
+  this._sendMany(_.uniq(cids), msg);
 };
 
 /**
  * Disconnects a client.
+ *
+ * By default the WebSocket is closed normally, or terminated if an error is
+ * specified. If close options are specified, then the WebSocket is closed with
+ * the specified code, in the range reserved for applications (4000-4999), and
+ * reason, which is a string or an object or array that is sent JSON-encoded.
+ * Ws throws if a close reason exceeds 123 bytes.
  * @memberof Server
  * @instance
  * @param {string} cid
  * @param {?Error} err
+ * @param {?Object} options { closeCode, reason } - may be passed in place of err
  * @throws {Error} "INVALID_ARGUMENT: ..."
  * @throws {Error} "INVALID_STATE: ..."
  * @returns {void}
@@ -496,11 +1475,45 @@ proto.disconnect = function disconnect(...args) {
   }
   const cid = args[0];
 
-  // Check error (if specified)
-  if (args.length > 1 && !check.instance(args[1], Error)) {
-    throw new Error("INVALID_ARGUMENT: Invalid error.");
+  // Check error and close options (if specified)
+  let err = null;
+  let options = null;
+  if (args.length > 1 && check.instance(args[1], Error)) {
+    [, err] = args;
+    if (args.length > 2) {
+      [, , options] = args;
+      if (!check.object(options)) {
+        throw new Error("INVALID_ARGUMENT: Invalid options argument.");
+      }
+    }
+  } else if (args.length > 1) {
+    if (!check.object(args[1]) || args.length > 2) {
+      throw new Error("INVALID_ARGUMENT: Invalid error.");
+    }
+    [, options] = args;
+  }
+  let close = null;
+  if (options) {
+    if (
+      !check.integer(options.closeCode) ||
+      options.closeCode < 4000 ||
+      options.closeCode > 4999
+    ) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.closeCode argument.");
+    }
+    const reason = "reason" in options ? options.reason : "";
+    if (
+      !check.string(reason) &&
+      !check.object(reason) &&
+      !check.array(reason)
+    ) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.reason argument.");
+    }
+    close = { code: options.closeCode, reason: encodeReason(reason) };
+    if (Buffer.byteLength(close.reason) > 123) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.reason argument.");
+    }
   }
-  const err = args[1] || null;
 
   // Check server state
   if (this._state !== "started") {
@@ -508,13 +1521,13 @@ proto.disconnect = function disconnect(...args) {
   }
 
   // Check client state
-  if (!(cid in this._wsClients)) {
+  if (!this._isClient(cid)) {
     throw new Error("INVALID_STATE: The client is not connected.");
   }
 
   // Success
 
-  this._disconnect(cid, err);
+  this._disconnect(cid, err, close);
 };
 
 /**
@@ -559,6 +1572,99 @@ proto.handleUpgrade = function handleUpgrade(request, socket, head) {
   });
 };
 
+/**
+ * Used by the application to pipe in HTTP long-polling requests, if
+ * options.longPolling is enabled. Long-polling clients are assigned client
+ * ids and are managed alongside WebSocket clients.
+ *
+ * All long-polling requests are made to the same URL:
+ *
+ * - POST without a session id opens a session. The body is
+ * { protocols: [...] } and the response is { sid, protocol }.
+ *
+ * - GET ?sid=... polls for messages. The response is { messages: [...] } and
+ * includes close: { code, reason } if the server closed the session.
+ *
+ * - POST ?sid=... posts a JSON array of messages.
+ *
+ * - DELETE ?sid=... ends the session.
+ *
+ * Errors are reported to the client using HTTP status codes rather than
+ * thrown. Requests for existing sessions are served in any transport state,
+ * so that closing sessions can receive their close frames.
+ * @memberof Server
+ * @instance
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.handleRequest = function handleRequest(req, res) {
+  dbg("Long-polling request received");
+
+  // Check arguments
+  if (
+    !check.instance(req, http.IncomingMessage) ||
+    !check.instance(res, http.ServerResponse)
+  ) {
+    throw new Error("INVALID_ARGUMENT: Invalid request or response.");
+  }
+
+  // Check that long polling is enabled
+  if (!this._options.longPolling) {
+    throw new Error("INVALID_STATE: Long polling is not enabled.");
+  }
+
+  // Success
+
+  const queryPos = req.url.indexOf("?");
+  const { sid } =
+    queryPos >= 0 ? querystring.parse(req.url.substring(queryPos + 1)) : {};
+
+  // Open a session
+  if (sid === undefined) {
+    if (req.method === "POST") {
+      this._openPollingSession(req, res);
+    } else {
+      respondError(res, 405, undefined, { Allow: "POST" });
+    }
+    return; // Stop
+  }
+
+  // Check session
+  if (!check.string(sid) || !(sid in this._pollingSessions)) {
+    dbg("Unknown long-polling session");
+    respondError(res, 404, "The long-polling session does not exist.");
+    return; // Stop
+  }
+  const session = this._pollingSessions[sid];
+
+  if (req.method === "GET") {
+    session.handlePoll(req, res);
+  } else if (req.method === "POST") {
+    readJson(
+      req,
+      this._options.longPolling.maxBodyBytes,
+      (statusCode, body) => {
+        if (statusCode) {
+          respondError(res, statusCode);
+        } else if (!check.array.of.string(body)) {
+          respondError(res, 400, "Messages must be an array of strings.");
+        } else {
+          respond(res, 204);
+          session.handleMessages(body);
+        }
+      },
+    );
+  } else if (req.method === "DELETE") {
+    respond(res, 204);
+    session.handleClose();
+  } else {
+    respondError(res, 405, undefined, { Allow: "GET, POST, DELETE" });
+  }
+};
+
 /**
  * Processes a ws or external http server listening event.
  * @memberof Server
@@ -609,78 +1715,231 @@ proto._processServerError = function _processServerError(err) {
 };
 
 /**
- * Processes a ws server "connection" event.
+ * Opens a long-polling session, subject to the same subprotocol negotiation,
+ * connection limits, and authentication as WebSocket upgrade requests. Binary
+ * subprotocols are not available, as messages are exchanged as JSON.
  * @memberof Server
  * @instance
  * @private
- * @param {Object} ws
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
  * @returns {void}
  */
-proto._processWsServerConnection = function _processWsServerConnection(ws) {
-  dbg("Observed ws connection event");
+proto._openPollingSession = function _openPollingSession(req, res) {
+  dbg("Opening long-polling session");
 
-  // Assign an id and store a reference to the ws client
-  const cid = uuid();
-  this._wsClients[cid] = ws;
+  // Refuse if not started - checked again once the body is read
+  if (this._state !== "started") {
+    respondError(res, 503);
+    return; // Stop
+  }
 
-  // Set heartbeat status and start the heartbeat interval (if so configured)
-  if (this._options.heartbeatIntervalMs > 0) {
-    this._heartbeatIntervals[cid] = setInterval(() => {
-      dbg("Starting heartbeat timeout");
+  readJson(req, this._options.longPolling.maxBodyBytes, (statusCode, body) => {
+    if (statusCode) {
+      respondError(res, statusCode);
+      return; // Stop
+    }
+    if (!check.object(body) || !check.array.of.string(body.protocols)) {
+      respondError(res, 400, "Invalid session request.");
+      return; // Stop
+    }
+    if (this._state !== "started") {
+      respondError(res, 503);
+      return; // Stop
+    }
 
-      // Start the heartbeat timeout
-      // Cleared on pong receipt, client disconnect, and server stoppage
-      this._heartbeatTimeouts[cid] = setTimeout(() => {
-        dbg("Heartbeat timed out");
-        this._disconnect(
-          cid,
-          new Error("FAILURE: The WebSocket heartbeat failed."),
-        );
-      }, this._options.heartbeatTimeoutMs);
+    // Negotiate the subprotocol
+    const protocols = body.protocols.filter(
+      (protocol) => !parseSubprotocol(protocol, []).binary,
+    );
+    const protocol =
+      protocols.length > 0 && this._processHandleProtocols(protocols);
+    if (!protocol) {
+      respondError(res, 400, "No supported subprotocol was offered.");
+      return; // Stop
+    }
 
-      // Ping the client - ws automatically responds with pong
-      this._wsClients[cid].ping((err) => {
-        if (err) {
-          dbg("Error writing ping frame");
-          const transportErr = new Error(
-            "FAILURE: The WebSocket heartbeat failed.",
-          );
-          transportErr.wsError = err;
-          this._disconnect(cid, transportErr);
-        } else {
-          dbg("Ping frame written successfully");
-        }
+    const accept = () => {
+      if (this._state !== "started") {
+        respondError(res, 503);
+        return; // Stop
+      }
+      const sid = uuid();
+      const session = pollingSocket(protocol, this._options.longPolling, () => {
+        delete this._pollingSessions[sid];
       });
-    }, this._options.heartbeatIntervalMs);
-  }
+      this._pollingSessions[sid] = session;
+      respond(res, 200, { sid, protocol });
+      this._processWsServerConnection(session, req);
+    };
 
-  // Listen for ws client events
-  ["message", "pong", "close", "error"].forEach((evt) => {
-    const listener = this[`_processWsClient${_.startCase(evt)}`].bind(
-      this,
-      cid,
-    );
-    ws.on(evt, listener);
+    // Apply connection limits and authentication (if so configured)
+    if (
+      this._options.authenticate ||
+      this._options.maxClients ||
+      this._options.maxClientsPerIp
+    ) {
+      this._processVerifyClient(
+        {
+          req,
+          origin: req.headers.origin,
+          secure: !!(req.socket && req.socket.encrypted),
+        },
+        (result, code, message, headers) => {
+          if (result) {
+            accept();
+          } else {
+            respondError(res, code || 401, message, headers);
+          }
+        },
+      );
+    } else {
+      accept();
+    }
   });
+};
+
+/**
+ * Processes a ws server "connection" event.
+ *
+ * Ws passes the HTTP upgrade request as the second argument in all server
+ * modes, including noServer mode, where the transport re-emits the request
+ * passed to server.handleUpgrade().
+ *
+ * If the client negotiated a resume subprotocol and presented the token of a
+ * session that can be resumed, then the session continues on the new
+ * connection under the same client id and no events are emitted. Otherwise a
+ * new client id is assigned and, if the client negotiated a resume
+ * subprotocol, a new session is begun.
+ *
+ * If a connection limit was waived for the upgrade request because it
+ * presented a resumable session, but the session is not resumed, then the
+ * limit is applied now and, if reached, the WebSocket is closed with code 1013
+ * and no events are emitted. If no usable client id can be assigned, then the
+ * WebSocket is closed with code 1011 and no events are emitted.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Object} ws
+ * @param {http.IncomingMessage} request
+ * @returns {void}
+ */
+proto._processWsServerConnection = function _processWsServerConnection(
+  ws,
+  request,
+) {
+  dbg("Observed ws connection event");
+
+  // Resume a session (if requested and possible)
+  const resumable =
+    !!this._options.resume &&
+    parseSubprotocol(
+      ws.protocol,
+      this._options.protocols || [config.wsSubprotocol],
+    ).resume;
+  if (resumable) {
+    const resumption = this._resumption(request, ws);
+    if (resumption) {
+      this._resume(resumption.cid, ws, resumption.received);
+      return; // Stop
+    }
+  }
+
+  // Apply the connection limits if they were waived for a resumption request
+  // that did not resume - the connection can no longer be refused over HTTP
+  if (this._resumption(request)) {
+    const statusCode = this._limitStatus(request);
+    if (statusCode) {
+      if (request) {
+        this._authIdentities.delete(request);
+      }
+      ws.close(1013, "The maximum number of clients has been reached.");
+      return; // Stop
+    }
+  }
+
+  // Assign an id - refuse the connection if the id is unusable
+  const cid = this._generateClientId(request);
+  if (cid === null) {
+    if (request) {
+      this._authIdentities.delete(request);
+    }
+    this._metrics.increment("handshake_rejections_total", {
+      reason: "clientId",
+    });
+    ws.close(1011, "Unable to assign a client id.");
+    return; // Stop
+  }
+
+  // Store a reference to the ws client and its information
+  this._wsClients[cid] = ws;
+  this._clientInfo[cid] = this._getClientInfo(request);
+  if (request && this._authIdentities.has(request)) {
+    this._clientInfo[cid].identity = this._authIdentities.get(request);
+    this._authIdentities.delete(request);
+  }
+  const { remoteAddress } = this._clientInfo[cid];
+  if (remoteAddress !== null) {
+    this._clientsPerIp[remoteAddress] =
+      (this._clientsPerIp[remoteAddress] || 0) + 1;
+  }
+
+  // Fill the rate limiting token buckets (if so configured)
+  if (this._options.rateLimit) {
+    this._rateLimits[cid] = {
+      messages: this._options.rateLimit.burst,
+      bytes: this._options.rateLimit.bytesBurst,
+      refilledAt: Date.now(),
+      queue: [],
+      timer: null,
+    };
+  }
+
+  // Set heartbeat status, start the heartbeat, and listen for ws client events
+  this._latency[cid] = { pingSentAt: null, samples: [] };
+  this._attach(cid, ws);
+
+  // Begin a resumable session and send the resume token to the client
+  if (resumable) {
+    dbg("Beginning a resumable session");
+    const token = uuid();
+    this._sessions[cid] = {
+      token,
+      protocol: ws.protocol,
+      received: 0,
+      buffer: replayBuffer(),
+      graceTimeout: null,
+    };
+    this._resumeTokens[token] = cid;
+    ws.send(sessionFrame(token), this._sendCallback(cid));
+  }
 
   // Emit transport connect
+  this._metrics.increment("connections_opened_total");
   this._emitAsync("connect", cid);
 };
 
 /**
  * Processes a ws client message event.
+ *
+ * If the client negotiated a heartbeat subprotocol, then heartbeat ping
+ * control frames are answered with a pong and are not emitted. Heartbeat pings
+ * are not subject to inbound rate limiting.
+ *
+ * If the client negotiated binary mode, then binary messages are emitted as
+ * received. Ws delivers binary frames as Buffers.
  * @memberof Server
  * @instance
  * @private
  * @param {string} cid
- * @param {string} msg
+ * @param {string|Buffer} msg
  * @returns {void}
  */
 proto._processWsClientMessage = function _processWsClientMessage(cid, msg) {
   dbg("Observed ws client message event");
 
   // Check data type - cold be String, Buffer, ArrayBuffer, Buffer[]
-  if (!check.string(msg)) {
+  if (!check.string(msg) && !(isBinary(msg) && this._isBinaryClient(cid))) {
     dbg("Non-string message received on WebSocket");
     this.disconnect(
       cid,
@@ -691,6 +1950,39 @@ proto._processWsClientMessage = function _processWsClientMessage(cid, msg) {
     return; // Stop
   }
 
+  // Answer heartbeat pings
+  const ws = this._wsClients[cid];
+  if (msg === config.wsHeartbeatPing && this._negotiated(cid).heartbeat) {
+    dbg("Received heartbeat ping - sending pong");
+    ws.send(config.wsHeartbeatPong, (err) => {
+      if (err) {
+        dbg("Error writing heartbeat pong");
+        this._metrics.increment("send_failures_total");
+        const transportErr = new Error(
+          "FAILURE: The WebSocket heartbeat failed.",
+        );
+        transportErr.wsError = err;
+        this._connectionLost(cid, ws, transportErr);
+      } else {
+        dbg("Heartbeat pong written successfully");
+      }
+    });
+    return; // Stop
+  }
+
+  // Count the message
+  this._metrics.increment("messages_received_total");
+  this._metrics.increment("received_bytes_total", null, Buffer.byteLength(msg));
+  if (cid in this._sessions) {
+    this._sessions[cid].received += 1;
+  }
+
+  // Apply inbound rate limiting (if so configured)
+  if (this._options.rateLimit) {
+    this._rateLimit(cid, msg);
+    return; // Stop
+  }
+
   this._emitAsync("message", cid, msg);
 };
 
@@ -708,6 +2000,19 @@ proto._processWsClientPong = function _processWsClientPong(cid) {
   // Clear the heartbeat timeout
   clearTimeout(this._heartbeatTimeouts[cid]);
   delete this._heartbeatTimeouts[cid];
+
+  // Record the round-trip time, unless the pong was unsolicited
+  const latency = this._latency[cid];
+  if (latency.pingSentAt !== null) {
+    const rtt = Date.now() - latency.pingSentAt;
+    latency.pingSentAt = null;
+    latency.samples.push(rtt);
+    if (latency.samples.length > config.latencySamples) {
+      latency.samples.shift();
+    }
+    this._metrics.observe("heartbeat_latency_seconds", null, rtt / 1000);
+    this._emitAsync("latency", cid, rtt);
+  }
 };
 
 /**
@@ -719,8 +2024,12 @@ proto._processWsClientPong = function _processWsClientPong(cid) {
  * - On server call to ws.close() or ws.terminate()
  * - On client call to ws.close() or ws.terminate()
  *
- * The _disconnect() and _stop() methods remove ws client event listeners, so
- * this function is called only when a client disconnects unexpectedly.
+ * The _disconnect(), _suspend(), and _stop() methods remove ws client event
+ * listeners, so this function is called only when a client disconnects
+ * unexpectedly.
+ *
+ * Resumable sessions are suspended unless the client closed the connection
+ * normally or is going away, in which case it does not intend to resume.
  * @memberof Server
  * @instance
  * @private
@@ -739,7 +2048,11 @@ proto._processWsClientClose = function _processWsClientClose(
   const err = new Error("FAILURE: The WebSocket closed.");
   err.wsCode = code;
   err.wsReason = reason;
-  this._disconnect(cid, err);
+  if (code === 1000 || code === 1001) {
+    this._disconnect(cid, err);
+  } else {
+    this._connectionLost(cid, this._wsClients[cid], err);
+  }
 };
 
 /**
@@ -763,12 +2076,24 @@ proto._processWsClientError = function _processWsClientError(cid, err) {
  * more subprotocols. Not strictly an event handler - a bound reference to this
  * function is passed to ws on initialization.
  *
- * When there is a new connection...
+ * When there is a new connection, the first subprotocol offered by the client
+ * that the server supports is selected and the connection is accepted. Clients
+ * offer subprotocols in order of preference. For each protocol version in
+ * options.protocols (by default only "feedme"), the server supports:
+ *
+ * - If binary mode is enabled, "<version>.binary.heartbeat" and
+ * "<version>.binary". Clients with binary mode enabled offer only these.
+ *
+ * - "<version>.heartbeat". Browser clients offer it ahead of "<version>" when
+ * they want the server to answer heartbeat control frames.
+ *
+ * - "<version>"
  *
- * - If there is a "feedme" protocol present then the connection is accepted and
- * the feedme protocol is selected.
+ * If session resumption is enabled, then each of these is also supported with
+ * the resume suffix appended.
  *
- * - If there is no "feedme" protocol present then the connection is terminated.
+ * If the client offered none of these subprotocols then the connection is
+ * terminated.
  *
  * The WebSocket standard calls for subprotocols to be considered on a
  * case-sensitive basis. The comparison here is intentionally case-insensitive,
@@ -785,14 +2110,143 @@ proto._processWsClientError = function _processWsClientError(cid, err) {
  */
 proto._processHandleProtocols = function _processHandleProtocols(protocols) {
   dbg(`Ws handleProtocols request: ${protocols.join(",")}`);
-  for (let i = 0; i < protocols.length; i += 1) {
-    if (protocols[i].toLowerCase() === config.wsSubprotocol.toLowerCase()) {
-      return protocols[i]; // Accepts the connection and selects subprotocol
-    }
+  const extensions = this._options.binary
+    ? [
+        [true, true],
+        [true, false],
+        [false, true],
+        [false, false],
+      ]
+    : [
+        [false, true],
+        [false, false],
+      ];
+  const supported = [];
+  (this._options.protocols || [config.wsSubprotocol]).forEach((version) => {
+    extensions.forEach(([binary, heartbeat]) => {
+      if (this._options.resume) {
+        supported.push(
+          subprotocol(version, binary, heartbeat, true).toLowerCase(),
+        );
+      }
+      supported.push(subprotocol(version, binary, heartbeat).toLowerCase());
+    });
+  });
+  const selected = _.find(protocols, (protocol) =>
+    supported.includes(protocol.toLowerCase()),
+  );
+  if (selected) {
+    return selected; // Accepts the connection and selects subprotocol
   }
+  this._metrics.increment("handshake_rejections_total", {
+    reason: "protocol",
+  });
   return false; // Terminates the connection
 };
 
+/**
+ * Called by ws when a client WebSocket connection request is received, unless
+ * the application specified options.verifyClient. Not strictly an event
+ * handler - a bound reference to this function is passed to ws on
+ * initialization.
+ *
+ * Ws calls this function in all server modes, including on calls to
+ * server.handleUpgrade() in noServer mode.
+ *
+ * Requests received while the server is stopping, which happens while clients
+ * are draining, are refused with a 503.
+ *
+ * Connection limits are checked first, so that over-limit requests are
+ * refused without running authentication, and again once authentication
+ * succeeds, as other clients may have connected in the meantime. Ws completes
+ * the upgrade synchronously once called back, so the limits are exact.
+ *
+ * The application authenticate() function may return a value or a promise,
+ * and may throw or reject to refuse the upgrade. The HTTP response is
+ * determined by the following properties of the rejection error, if present:
+ *
+ * - err.statusCode - Integer from 400 to 599, otherwise 401
+ * - err.body - String, otherwise the standard status message
+ * - err.headers - Object of additional response headers
+ *
+ * If the transport server stops while authentication is pending, then the
+ * upgrade is refused with a 503, as the ws server that received the request
+ * is no longer in use.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Object} info { origin, secure, req }
+ * @param {Function} cb
+ * @returns {void}
+ */
+proto._processVerifyClient = function _processVerifyClient(info, cb) {
+  dbg("Ws verifyClient request");
+
+  // Refuse upgrades while draining
+  if (this._state === "stopping") {
+    dbg("Refusing upgrade while the server is stopping");
+    this._metrics.increment("handshake_rejections_total", {
+      reason: "stopped",
+    });
+    cb(false, 503);
+    return; // Stop
+  }
+
+  // Check connection limits
+  if (this._refuseOverLimit(info.req, cb)) {
+    return; // Stop
+  }
+
+  // Accept immediately if there is no authentication
+  if (!this._options.authenticate) {
+    cb(true);
+    return; // Stop
+  }
+
+  const wsServer = this._wsServer;
+  Promise.resolve()
+    .then(() => this._options.authenticate(info.req))
+    .then(
+      (identity) => {
+        if (this._wsServer !== wsServer) {
+          dbg("Authentication succeeded but the server is no longer started");
+          this._metrics.increment("handshake_rejections_total", {
+            reason: "stopped",
+          });
+          cb(false, 503);
+          return; // Stop
+        }
+        if (this._refuseOverLimit(info.req, cb)) {
+          return; // Stop
+        }
+        dbg("Authentication succeeded");
+        this._authIdentities.set(
+          info.req,
+          identity === undefined ? null : identity,
+        );
+        cb(true);
+      },
+      (err) => {
+        dbg("Authentication failed");
+        dbg(err);
+        const statusCode =
+          err &&
+          check.integer(err.statusCode) &&
+          err.statusCode >= 400 &&
+          err.statusCode <= 599
+            ? err.statusCode
+            : 401;
+        const body = err && check.string(err.body) ? err.body : undefined;
+        const headers =
+          err && check.object(err.headers) ? err.headers : undefined;
+        this._metrics.increment("handshake_rejections_total", {
+          reason: "authentication",
+        });
+        cb(false, statusCode, body, headers);
+      },
+    );
+};
+
 // Internal Functions
 
 /**
@@ -828,17 +2282,7 @@ proto._start = function _start() {
   // Calls to httpServer.close() only trigger a http close event once all
   // WebSocket connections have disconnected, it does not force them closed
   if (this._options.server) {
-    this._httpPollingInterval = setInterval(() => {
-      dbg("Checking external http server listening status");
-      if (this._options.server.listening) {
-        dbg("External http server is still listening");
-      } else {
-        dbg("External http server is no longer listening");
-        this._stop(
-          new Error("FAILURE: The external http server stopped listening."),
-        );
-      }
-    }, serverConfig.httpPollingMs);
+    this._monitorHttpServer();
   }
 
   // Update state and emit
@@ -855,13 +2299,17 @@ proto._start = function _start() {
  * - Ws or external http server close event
  * - Ws or external http server error event
  *
+ * Stop options are only specified on calls to transport.stop(). Clients are
+ * terminated without draining on failure.
+ *
  * @memberof Server
  * @instance
  * @private
  * @param {?Error} err
+ * @param {?Object} stopOptions { drainMs, closeCode, reason }
  * @returns {void}
  */
-proto._stop = function _stop(err) {
+proto._stop = function _stop(err, stopOptions) {
   dbg("Stopping the server");
 
   // Do nothing if the transport is already stopping/stopped
@@ -872,13 +2320,17 @@ proto._stop = function _stop(err) {
     return; // Stop
   }
 
+  // Record the failure (if any)
+  if (err) {
+    this._recordError(err);
+  }
+
   // Clear external server listening timeout (if any)
   clearTimeout(this._httpListeningTimeout);
   this._httpListeningTimeout = null;
 
-  // Stop external http server status polling (if applicable)
-  clearInterval(this._httpPollingInterval);
-  this._httpPollingInterval = null;
+  // Stop monitoring the external http server (if applicable)
+  this._unmonitorHttpServer();
 
   // Stop listening to all ws events (if applicable)
   _.each(this._wsClients, (ws) => {
@@ -904,11 +2356,27 @@ proto._stop = function _stop(err) {
   this._heartbeatIntervals = {};
   this._heartbeatTimeouts = {};
 
+  // End any resumable sessions, including those awaiting resumption
+  _.each(this._sessions, (session) => {
+    clearTimeout(session.graceTimeout);
+  });
+
   // Update transport state
   const wsServer = this._wsServer;
   const wsClients = this._wsClients;
+  const cids = this._clientIds();
   this._wsServer = null;
   this._wsClients = {};
+  this._clientInfo = {};
+  this._clientsPerIp = {};
+  this._congestion = {};
+  this._latency = {};
+  _.each(this._rateLimits, (bucket) => {
+    clearTimeout(bucket.timer);
+  });
+  this._rateLimits = {};
+  this._sessions = {};
+  this._resumeTokens = {};
   this._state = "stopping";
 
   // Close or terminate any outstanding WebSocket connections
@@ -920,13 +2388,16 @@ proto._stop = function _stop(err) {
       ws.terminate();
     } else {
       dbg("Closing client connection");
-      ws.close(1000, "");
+      ws.close(stopOptions.closeCode, stopOptions.reason);
     }
   });
 
   // Emit any client disconnect events
   const disconnectErr = new Error("STOPPING: The server is stopping.");
-  _.each(wsClients, (ws, cid) => {
+  cids.forEach((cid) => {
+    this._metrics.increment("connections_closed_total", {
+      reason: "serverStopping",
+    });
     this._emitAsync("disconnect", cid, disconnectErr);
   });
 
@@ -942,18 +2413,12 @@ proto._stop = function _stop(err) {
   // The ws server won't be closed on call to transport.stop(), if there is
   // a call to httpServer.close() in external server mode (listening polling fails),
   // or if an external http server never starts
-  if (!err || this._options.server) {
-    dbg("Closing ws server");
-    wsServer.close(() => {
-      // A callback is received from ws in all server modes
-      dbg("Observed ws close callback");
-      this._state = "stopped";
-      if (err) {
-        this._emitAsync("stop", err);
-      } else {
-        this._emitAsync("stop");
-      }
-    });
+  // Ws terminates all clients when the ws server is closed, so if draining
+  // then the ws server is not closed until the clients have departed
+  if (!err && stopOptions.drainMs > 0 && _.size(wsClients) > 0) {
+    this._drain(wsServer, wsClients, stopOptions);
+  } else if (!err || this._options.server) {
+    this._closeWsServer(wsServer, err);
   } else {
     dbg("No need to close ws server, setting stopped");
     this._state = "stopped"; // Call to transport.start() is valid
@@ -966,68 +2431,1125 @@ proto._stop = function _stop(err) {
 };
 
 /**
- * Executes a client disconnect.
- *
- * Invoked on:
- *
- *  - Call to transport.disconnect()
- *  - Ws client close event
- *  - Heartbeat timeout
- *  - Ws calls back error to ws.ping()
- *  - Ws calls back error to ws.send()
+ * Begins monitoring whether the external http server is still listening.
  *
- * @memberof Client
+ * Calls to httpServer.close() are hooked so that the transport stops as soon
+ * as the server stops listening, rather than once all connections depart. The
+ * close() method of the server's listen handle is also hooked, as the handle
+ * is closed however the server stops listening, including by calls to
+ * close() that bypass the hook. Node.js HTTP, HTTPS, and HTTP/2 servers all
+ * listen using a handle. If the handle can not be hooked, as with servers that
+ * are not Node.js net servers, then the server is polled instead.
+ * @memberof Server
  * @instance
  * @private
- * @param {string} cid
- * @param {?Error} err
  * @returns {void}
  */
-proto._disconnect = function _disconnect(cid, err) {
-  dbg("Disconnecting a client");
+proto._monitorHttpServer = function _monitorHttpServer() {
+  dbg("Monitoring external http server listening status");
+
+  const httpServer = this._options.server;
+  const monitor = {
+    close: null,
+    ownClose: false,
+    originalClose: null,
+    handle: null,
+    handleClose: null,
+    originalHandleClose: null,
+  };
+  this._httpMonitor = monitor;
+
+  // Hooks defer to the replaced functions once the transport stops monitoring
+  // the server, as they can not be removed if replaced in turn
+  const stopped = () => {
+    if (this._httpMonitor === monitor) {
+      dbg("External http server is no longer listening");
+      this._stop(
+        new Error("FAILURE: The external http server stopped listening."),
+      );
+    }
+  };
 
-  // Exit if the client has already been disconnected
-  // Not clear whether ws.ping() and ws.send() fire close before calling back error
-  if (!(cid in this._wsClients)) {
-    dbg("Client already disconnected");
+  // Hook httpServer.close()
+  if (check.function(httpServer.close)) {
+    monitor.ownClose = Object.prototype.hasOwnProperty.call(
+      httpServer,
+      "close",
+    );
+    monitor.originalClose = httpServer.close;
+    monitor.close = (...args) => {
+      const result = monitor.originalClose.apply(httpServer, args);
+      if (!httpServer.listening) {
+        stopped();
+      }
+      return result;
+    };
+    httpServer.close = monitor.close;
+  }
+
+  // Hook the listen handle
+  const handle = httpServer._handle;
+  if (handle && check.function(handle.close)) {
+    monitor.handle = handle;
+    monitor.originalHandleClose = handle.close;
+    monitor.handleClose = (...args) => {
+      const result = monitor.originalHandleClose.apply(handle, args);
+      stopped();
+      return result;
+    };
+    handle.close = monitor.handleClose;
     return; // Stop
   }
-  dbg("Client is still present");
 
-  // Stop listening for ws client events
-  this._wsClients[cid].removeAllListeners();
+  // Fall back to polling
+  dbg("Unable to hook the listen handle - polling instead");
+  this._httpPollingInterval = setInterval(() => {
+    dbg("Checking external http server listening status");
+    if (httpServer.listening) {
+      dbg("External http server is still listening");
+    } else {
+      stopped();
+    }
+  }, serverConfig.httpPollingMs);
+};
 
-  // Clear any heartbeat interval/timeout
-  clearInterval(this._heartbeatIntervals[cid]);
-  clearTimeout(this._heartbeatTimeouts[cid]);
-  delete this._heartbeatIntervals[cid];
-  delete this._heartbeatTimeouts[cid];
+/**
+ * Stops monitoring whether the external http server is still listening,
+ * removing any hooks that have not been replaced in turn.
+ * @memberof Server
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._unmonitorHttpServer = function _unmonitorHttpServer() {
+  clearInterval(this._httpPollingInterval);
+  this._httpPollingInterval = null;
 
-  // Update the state
-  const wsClient = this._wsClients[cid];
-  delete this._wsClients[cid];
+  const monitor = this._httpMonitor;
+  this._httpMonitor = null;
+  if (!monitor) {
+    return; // Stop
+  }
 
-  // Close or terminate the ws connection if still open
-  if (wsClient.readyState === wsClient.OPEN) {
+  const httpServer = this._options.server;
+  if (monitor.close && httpServer.close === monitor.close) {
+    if (monitor.ownClose) {
+      httpServer.close = monitor.originalClose;
+    } else {
+      delete httpServer.close;
+    }
+  }
+  if (monitor.handleClose && monitor.handle.close === monitor.handleClose) {
+    monitor.handle.close = monitor.originalHandleClose;
+  }
+};
+
+/**
+ * Closes the ws server and sets the transport stopped once ws calls back.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Object} wsServer
+ * @param {?Error} err
+ * @returns {void}
+ */
+proto._closeWsServer = function _closeWsServer(wsServer, err) {
+  dbg("Closing ws server");
+  wsServer.close(() => {
+    // A callback is received from ws in all server modes
+    dbg("Observed ws close callback");
+    this._state = "stopped";
     if (err) {
-      dbg("Terminating client connection");
-      wsClient.terminate();
+      this._emitAsync("stop", err);
     } else {
-      dbg("Closing client connection");
-      wsClient.close(1000, "");
+      this._emitAsync("stop");
     }
-  } else {
-    dbg("Client connection already closing or closed");
+  });
+};
+
+/**
+ * Waits for clients to depart on a graceful server stoppage and then closes
+ * the ws server. Clients have already been sent a close frame and the
+ * transport has already emitted disconnect for them.
+ *
+ * The ws server remains open until the clients have departed. Upgrade
+ * requests are refused with a 503 by server._processVerifyClient() unless the
+ * application specified options.verifyClient, in which case any new
+ * connections are closed immediately.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Object} wsServer
+ * @param {Object} wsClients
+ * @param {Object} stopOptions { drainMs, closeCode, reason }
+ * @returns {void}
+ */
+proto._drain = function _drain(wsServer, wsClients, stopOptions) {
+  dbg("Draining clients");
+
+  const finish = () => {
+    dbg("Finished draining clients");
+    clearTimeout(this._drainTimeout);
+    this._drainTimeout = null;
+    _.each(this._drainClients, (ws) => {
+      dbg("Terminating remaining client connection");
+      ws.terminate();
+    });
+    this._drainClients = {};
+    this._closeWsServer(wsServer, null);
+  };
+
+  // Close any new connections and prevent unhandled errors
+  wsServer.on("connection", (ws) => {
+    dbg("Closing connection received while draining");
+    ws.close(stopOptions.closeCode, stopOptions.reason);
+  });
+  wsServer.on("error", () => {});
+
+  // Monitor client departures
+  this._drainClients = _.clone(wsClients);
+  _.each(wsClients, (ws, cid) => {
+    ws.on("error", () => {});
+    ws.on("close", () => {
+      if (!(cid in this._drainClients)) {
+        return; // Stop - drain already finished
+      }
+      dbg("Draining client departed");
+      delete this._drainClients[cid];
+      this._emitAsync("stoppingProgress", _.size(this._drainClients));
+      if (_.size(this._drainClients) === 0) {
+        finish();
+      }
+    });
+  });
+
+  // Terminate remaining clients once the drain period elapses
+  this._drainTimeout = setTimeout(() => {
+    dbg("Drain period elapsed");
+    finish();
+  }, stopOptions.drainMs);
+
+  this._emitAsync("stoppingProgress", _.size(this._drainClients));
+};
+
+/**
+ * Writes a message to each of the specified clients, which are known to be
+ * connected.
+ *
+ * Ws encodes string messages on each call to ws.send(), so the message is
+ * encoded once and written to each client as a text frame. Binary messages
+ * are converted to a Buffer once and written as binary frames.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Array} cids
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} msg
+ * @returns {void}
+ */
+proto._sendMany = function _sendMany(cids, msg) {
+  dbg(`Sending message to ${cids.length} clients`);
+
+  const binary = !check.string(msg);
+  const data =
+    msg instanceof Uint8Array
+      ? Buffer.from(msg.buffer, msg.byteOffset, msg.byteLength)
+      : Buffer.from(msg);
+  cids.forEach((cid) => {
+    this._write(cid, data, binary);
+  });
+};
+
+/**
+ * Writes a message to a connected client, subject to backpressure protection
+ * (if enabled).
+ *
+ * If the client send buffer has reached the high water mark then the client
+ * is disconnected, the message is dropped, or the message replaces any
+ * previously coalesced message, depending on the configured policy. Messages
+ * continue to be dropped or coalesced until the buffer falls to the low water
+ * mark, which is checked each time ws calls back a write.
+ *
+ * Messages written to resumable sessions are retained for replay. If the
+ * session is awaiting resumption then the message is only retained.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} data
+ * @param {boolean} binary Whether to write a binary frame - strings are always
+ *                         written as text frames
+ * @returns {void}
+ */
+proto._write = function _write(cid, data, binary) {
+  const ws = this._wsClients[cid];
+  const bp = this._options.backpressure;
+  const session = this._sessions[cid];
+
+  // Retain the message until the session is resumed (if applicable)
+  if (!ws) {
+    dbg("Retaining message for a session awaiting resumption");
+    this._retain(session, data, binary);
+    return; // Stop
   }
 
-  // Emit disconnect
-  if (err) {
+  // Check the client send buffer (if so configured)
+  if (bp) {
+    if (!(cid in this._congestion) && ws.bufferedAmount >= bp.highWaterMark) {
+      dbg("Client send buffer reached the high water mark");
+      if (bp.policy === "disconnect") {
+        const err = new Error("FAILURE: Slow consumer.");
+        err.bufferedAmount = ws.bufferedAmount;
+        this._disconnect(cid, err);
+        return; // Stop
+      }
+      this._congestion[cid] = { pending: null };
+    }
+    if (cid in this._congestion) {
+      if (bp.policy === "coalesce") {
+        dbg("Coalescing message until the client send buffer drains");
+        this._congestion[cid].pending = { data, binary };
+      } else {
+        dbg("Dropping message until the client send buffer drains");
+      }
+      return; // Stop
+    }
+  }
+
+  // Retain the message for replay (if applicable) and try to send it
+  if (session) {
+    this._retain(session, data, binary);
+  }
+  this._writeFrame(cid, data, binary);
+};
+
+/**
+ * Writes a message frame to a connected client without further processing.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} data
+ * @param {boolean} binary
+ * @returns {void}
+ */
+proto._writeFrame = function _writeFrame(cid, data, binary) {
+  const ws = this._wsClients[cid];
+  this._metrics.increment("messages_sent_total");
+  this._metrics.increment("sent_bytes_total", null, Buffer.byteLength(data));
+  if (check.string(data)) {
+    ws.send(data, this._sendCallback(cid));
+  } else {
+    ws.send(data, { binary }, this._sendCallback(cid));
+  }
+};
+
+/**
+ * Retains a message sent to a resumable session for replay.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Object} session
+ * @param {string|Buffer|ArrayBuffer|Uint8Array} data
+ * @param {boolean} binary
+ * @returns {void}
+ */
+proto._retain = function _retain(session, data, binary) {
+  bufferMessage(
+    session.buffer,
+    { data, binary },
+    Buffer.byteLength(data),
+    this._options.resume,
+  );
+};
+
+/**
+ * Returns a ws.send() callback for a client's current WebSocket, which
+ * disconnects the client if ws calls back an error.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {Function}
+ */
+proto._sendCallback = function _sendCallback(cid) {
+  const ws = this._wsClients[cid];
+  return (err) => {
+    if (this._wsClients[cid] !== ws) {
+      dbg("Ignoring write callback from a previous WebSocket");
+    } else if (err) {
+      dbg("Error writing message to WebSocket");
+      this._metrics.increment("send_failures_total");
+      const transportErr = new Error("FAILURE: WebSocket transmission failed.");
+      transportErr.wsError = err;
+      this._connectionLost(cid, ws, transportErr);
+    } else {
+      dbg("Message successfully written to WebSocket");
+      this._checkDrain(cid);
+    }
+  };
+};
+
+/**
+ * Checks whether a congested client send buffer has fallen to the backpressure
+ * low water mark and, if so, writes any coalesced message and emits drain.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {void}
+ */
+proto._checkDrain = function _checkDrain(cid) {
+  if (
+    !(cid in this._congestion) ||
+    this._wsClients[cid].bufferedAmount >
+      this._options.backpressure.lowWaterMark
+  ) {
+    return; // Stop - not congested or not yet drained
+  }
+
+  dbg("Client send buffer drained to the low water mark");
+  const { pending } = this._congestion[cid];
+  delete this._congestion[cid];
+  if (pending !== null) {
+    this._write(cid, pending.data, pending.binary);
+  }
+  this._emitAsync("drain", cid);
+};
+
+/**
+ * Determines whether a value is a message that may be sent by the application:
+ * a string, or binary data if binary mode is enabled.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {*} msg
+ * @returns {boolean}
+ */
+proto._isMessage = function _isMessage(msg) {
+  return check.string(msg) || (!!this._options.binary && isBinary(msg));
+};
+
+/**
+ * Determines whether a connected client negotiated binary mode.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {boolean}
+ */
+proto._isBinaryClient = function _isBinaryClient(cid) {
+  return this._negotiated(cid).binary;
+};
+
+/**
+ * Parses the subprotocol negotiated by a connected client, including one
+ * awaiting resumption.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {Object} { version, binary, heartbeat }
+ */
+proto._negotiated = function _negotiated(cid) {
+  const ws = this._wsClients[cid];
+  return parseSubprotocol(
+    ws ? ws.protocol : this._sessions[cid].protocol,
+    this._options.protocols || [config.wsSubprotocol],
+  );
+};
+
+/**
+ * Applies inbound rate limiting to a message received from a client. The
+ * message is emitted if the client's token buckets permit, and is otherwise
+ * handled according to the configured policy.
+ *
+ * Under the delay policy, messages are queued while any are already queued so
+ * that they are emitted in the order received. If the queue is full then the
+ * client is disconnected.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {string|Buffer} msg
+ * @returns {void}
+ */
+proto._rateLimit = function _rateLimit(cid, msg) {
+  const bucket = this._rateLimits[cid];
+  const { policy, maxQueue } = this._options.rateLimit;
+  const bytes = Buffer.byteLength(msg);
+
+  if (bucket.queue.length === 0 && this._takeTokens(cid, bytes)) {
+    this._emitAsync("message", cid, msg);
+    return; // Stop
+  }
+
+  dbg("Client exceeded the inbound rate limit");
+  if (policy === "drop") {
+    dbg("Dropping message");
+  } else if (policy === "delay" && bucket.queue.length < maxQueue) {
+    dbg("Delaying message");
+    bucket.queue.push(msg);
+    if (!bucket.timer) {
+      this._scheduleRelease(cid);
+    }
+  } else {
+    this._disconnect(cid, new Error("FAILURE: Rate limit exceeded."));
+  }
+};
+
+/**
+ * Refills a client's token buckets and takes the tokens required to emit a
+ * message, if available.
+ *
+ * A message larger than the byte burst is permitted once the byte bucket is
+ * full, leaving the bucket in deficit, so that it does not block the client
+ * indefinitely.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {number} bytes Message size
+ * @returns {boolean} True if the tokens were taken
+ */
+proto._takeTokens = function _takeTokens(cid, bytes) {
+  const bucket = this._rateLimits[cid];
+  const rl = this._options.rateLimit;
+
+  // Refill the buckets
+  const now = Date.now();
+  const elapsedSec = Math.max(0, now - bucket.refilledAt) / 1000;
+  bucket.refilledAt = now;
+  bucket.messages = Math.min(
+    rl.burst,
+    bucket.messages + elapsedSec * rl.messagesPerSecond,
+  );
+  if (rl.bytesPerSecond !== null) {
+    bucket.bytes = Math.min(
+      rl.bytesBurst,
+      bucket.bytes + elapsedSec * rl.bytesPerSecond,
+    );
+  }
+
+  // Take the tokens if available
+  if (
+    bucket.messages < 1 ||
+    (rl.bytesPerSecond !== null &&
+      bucket.bytes < Math.min(bytes, rl.bytesBurst))
+  ) {
+    return false;
+  }
+  bucket.messages -= 1;
+  if (rl.bytesPerSecond !== null) {
+    bucket.bytes -= bytes;
+  }
+  return true;
+};
+
+/**
+ * Schedules the release of the oldest message queued for a client under the
+ * delay policy, at the time when the client's token buckets will permit it.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {void}
+ */
+proto._scheduleRelease = function _scheduleRelease(cid) {
+  const bucket = this._rateLimits[cid];
+  const rl = this._options.rateLimit;
+  const bytes = Buffer.byteLength(bucket.queue[0]);
+
+  // Determine how long until sufficient tokens are available
+  let waitSec = Math.max(0, 1 - bucket.messages) / rl.messagesPerSecond;
+  if (rl.bytesPerSecond !== null) {
+    const required = Math.min(bytes, rl.bytesBurst);
+    waitSec = Math.max(
+      waitSec,
+      Math.max(0, required - bucket.bytes) / rl.bytesPerSecond,
+    );
+  }
+
+  bucket.timer = setTimeout(
+    () => {
+      bucket.timer = null;
+      while (
+        bucket.queue.length > 0 &&
+        this._takeTokens(cid, Buffer.byteLength(bucket.queue[0]))
+      ) {
+        dbg("Releasing delayed message");
+        this._emitAsync("message", cid, bucket.queue.shift());
+      }
+      if (bucket.queue.length > 0) {
+        this._scheduleRelease(cid);
+      }
+    },
+    Math.ceil(waitSec * 1000),
+  );
+};
+
+/**
+ * Refuses an upgrade request if a connection limit has been reached, calling
+ * back ws with a 503 if options.maxClients has been reached or a 429 if
+ * options.maxClientsPerIp has been reached for the remote address.
+ *
+ * Requests that can resume a session are not refused, as they do not add a
+ * client. The subprotocol is not known until the upgrade completes, so the
+ * limits are applied again on connection if the session is not resumed.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {http.IncomingMessage} request
+ * @param {Function} cb Ws verifyClient callback
+ * @returns {boolean} True if the request was refused
+ */
+proto._refuseOverLimit = function _refuseOverLimit(request, cb) {
+  if (this._resumption(request)) {
+    dbg("Not applying limits to a session resumption request");
+    return false;
+  }
+
+  const statusCode = this._limitStatus(request);
+  if (statusCode) {
+    cb(false, statusCode);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Determines whether a connection limit has been reached for a request and, if
+ * so, counts the refusal.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {?http.IncomingMessage} request
+ * @returns {?number} HTTP status code - 503 if options.maxClients has been
+ *                    reached, 429 if options.maxClientsPerIp has been reached
+ *                    for the remote address, and null otherwise
+ */
+proto._limitStatus = function _limitStatus(request) {
+  if (
+    this._options.maxClients &&
+    this._clientIds().length >= this._options.maxClients
+  ) {
+    dbg("Refusing upgrade - maximum number of clients reached");
+    this._refused.maxClients += 1;
+    this._metrics.increment("handshake_rejections_total", {
+      reason: "maxClients",
+    });
+    return 503;
+  }
+
+  const remoteAddress =
+    request && request.socket ? request.socket.remoteAddress : undefined;
+  if (
+    this._options.maxClientsPerIp &&
+    check.string(remoteAddress) &&
+    (this._clientsPerIp[remoteAddress] || 0) >= this._options.maxClientsPerIp
+  ) {
+    dbg("Refusing upgrade - maximum number of clients reached for address");
+    this._refused.maxClientsPerIp += 1;
+    this._metrics.increment("handshake_rejections_total", {
+      reason: "maxClientsPerIp",
+    });
+    return 429;
+  }
+
+  return null;
+};
+
+/**
+ * Executes a client disconnect.
+ *
+ * Invoked on:
+ *
+ *  - Call to transport.disconnect()
+ *  - Ws client close event
+ *  - Heartbeat timeout
+ *  - Ws calls back error to ws.ping()
+ *  - Ws calls back error to ws.send() on server.send(), server.broadcast(),
+ *    or server.sendMany()
+ *  - Expiry of the grace period of a session awaiting resumption
+ *
+ * Connection failures on resumable sessions suspend the session rather than
+ * disconnecting the client - see _connectionLost().
+ *
+ * The WebSocket is closed with the specified code and reason if close is
+ * present, and is otherwise terminated if there is an error and closed
+ * normally if not.
+ * @memberof Client
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {?Error} err
+ * @param {?Object} close { code, reason } with the reason encoded
+ * @returns {void}
+ */
+proto._disconnect = function _disconnect(cid, err, close) {
+  dbg("Disconnecting a client");
+
+  // Exit if the client has already been disconnected
+  // Not clear whether ws.ping() and ws.send() fire close before calling back error
+  if (!this._isClient(cid)) {
+    dbg("Client already disconnected");
+    return; // Stop
+  }
+  dbg("Client is still present");
+
+  // Stop listening for ws client events (if connected)
+  const wsClient = this._wsClients[cid] || null;
+  if (wsClient) {
+    wsClient.removeAllListeners();
+  }
+
+  // Clear any heartbeat interval/timeout
+  clearInterval(this._heartbeatIntervals[cid]);
+  clearTimeout(this._heartbeatTimeouts[cid]);
+  delete this._heartbeatIntervals[cid];
+  delete this._heartbeatTimeouts[cid];
+
+  // End the resumable session (if any)
+  const session = this._sessions[cid];
+  if (session) {
+    clearTimeout(session.graceTimeout);
+    delete this._resumeTokens[session.token];
+    delete this._sessions[cid];
+  }
+
+  // Update the state
+  const { remoteAddress } = this._clientInfo[cid];
+  if (remoteAddress !== null) {
+    this._clientsPerIp[remoteAddress] -= 1;
+    if (this._clientsPerIp[remoteAddress] === 0) {
+      delete this._clientsPerIp[remoteAddress];
+    }
+  }
+  delete this._wsClients[cid];
+  delete this._clientInfo[cid];
+  delete this._congestion[cid];
+  delete this._latency[cid];
+  if (cid in this._rateLimits) {
+    clearTimeout(this._rateLimits[cid].timer);
+    delete this._rateLimits[cid];
+  }
+
+  // Close or terminate the ws connection if still open
+  if (!wsClient) {
+    dbg("Client session was awaiting resumption");
+  } else if (wsClient.readyState === wsClient.OPEN) {
+    if (close) {
+      dbg("Closing client connection with application close code");
+      wsClient.close(close.code, close.reason);
+    } else if (err) {
+      dbg("Terminating client connection");
+      wsClient.terminate();
+    } else {
+      dbg("Closing client connection");
+      wsClient.close(1000, "");
+    }
+  } else {
+    dbg("Client connection already closing or closed");
+  }
+
+  // Count the disconnect by reason and emit
+  const reason = wsClient
+    ? (err && closeReasons[err.message]) || "application"
+    : "resumeExpired";
+  this._metrics.increment("connections_closed_total", { reason });
+  if (err) {
     this._emitAsync("disconnect", cid, err);
   } else {
     this._emitAsync("disconnect", cid);
   }
 };
 
+/**
+ * Starts the heartbeat for a client WebSocket (if so configured) and listens
+ * for ws client events. Invoked when a client connects and when a session is
+ * resumed on a new WebSocket.
+ *
+ * Connections that can not respond to pings, which set ws.respondsToPing to
+ * false, are pinged to keep the connection alive but are not subject to the
+ * heartbeat timeout, and no latency is measured for them.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {Object} ws
+ * @returns {void}
+ */
+proto._attach = function _attach(cid, ws) {
+  // Start the heartbeat interval (if so configured)
+  if (this._options.heartbeatIntervalMs > 0) {
+    this._heartbeatIntervals[cid] = setInterval(() => {
+      // Start the heartbeat timeout (if the client can respond)
+      // Cleared on pong receipt, client disconnect, and server stoppage
+      if (ws.respondsToPing !== false) {
+        dbg("Starting heartbeat timeout");
+        this._heartbeatTimeouts[cid] = setTimeout(() => {
+          dbg("Heartbeat timed out");
+          this._metrics.increment("heartbeat_timeouts_total");
+          this._connectionLost(
+            cid,
+            ws,
+            new Error("FAILURE: The WebSocket heartbeat failed."),
+          );
+        }, this._options.heartbeatTimeoutMs);
+        this._latency[cid].pingSentAt = Date.now();
+      }
+
+      // Ping the client - ws automatically responds with pong
+      ws.ping((err) => {
+        if (err) {
+          dbg("Error writing ping frame");
+          const transportErr = new Error(
+            "FAILURE: The WebSocket heartbeat failed.",
+          );
+          transportErr.wsError = err;
+          this._connectionLost(cid, ws, transportErr);
+        } else {
+          dbg("Ping frame written successfully");
+        }
+      });
+    }, this._options.heartbeatIntervalMs);
+  }
+
+  // Listen for ws client events
+  ["message", "pong", "close", "error"].forEach((evt) => {
+    const listener = this[`_processWsClient${_.startCase(evt)}`].bind(
+      this,
+      cid,
+    );
+    ws.on(evt, listener);
+  });
+};
+
+/**
+ * Stops the heartbeat for a client WebSocket and stops listening for its
+ * events, leaving the rest of the client state in place. The WebSocket is
+ * terminated if still open.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {void}
+ */
+proto._detach = function _detach(cid) {
+  const ws = this._wsClients[cid];
+  ws.removeAllListeners();
+  clearInterval(this._heartbeatIntervals[cid]);
+  clearTimeout(this._heartbeatTimeouts[cid]);
+  delete this._heartbeatIntervals[cid];
+  delete this._heartbeatTimeouts[cid];
+  delete this._wsClients[cid];
+  delete this._congestion[cid];
+  this._latency[cid].pingSentAt = null;
+  if (ws.readyState === ws.OPEN) {
+    dbg("Terminating client connection");
+    ws.terminate();
+  }
+};
+
+/**
+ * Processes the failure of a client WebSocket connection. Resumable sessions
+ * are suspended and other clients are disconnected.
+ *
+ * Failures reported for a WebSocket that the client is no longer using, such
+ * as a late ws callback following a resumption, are ignored.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {Object} ws The WebSocket that failed
+ * @param {Error} err
+ * @returns {void}
+ */
+proto._connectionLost = function _connectionLost(cid, ws, err) {
+  if (this._wsClients[cid] !== ws) {
+    dbg("Ignoring failure on a WebSocket no longer in use");
+    return; // Stop
+  }
+  if (cid in this._sessions) {
+    this._suspend(cid, err);
+  } else {
+    this._disconnect(cid, err);
+  }
+};
+
+/**
+ * Suspends a resumable session whose WebSocket connection has failed. The
+ * client is disconnected with the failure error if the session is not resumed
+ * within the grace period.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {Error} err
+ * @returns {void}
+ */
+proto._suspend = function _suspend(cid, err) {
+  dbg("Suspending a resumable session");
+
+  this._detach(cid);
+  const session = this._sessions[cid];
+  session.graceTimeout = setTimeout(() => {
+    dbg("Session resumption grace period elapsed");
+    session.graceTimeout = null;
+    this._disconnect(cid, err);
+  }, this._options.resume.graceMs);
+};
+
+/**
+ * Resumes a session on a new WebSocket. The client may not yet have been
+ * suspended if it detected the connection failure first, in which case the
+ * previous WebSocket is discarded.
+ *
+ * The client is told how many messages were received, so that it can replay
+ * the rest, and any messages that the client did not receive are replayed.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @param {Object} ws
+ * @param {number} received Number of messages the client received
+ * @returns {void}
+ */
+proto._resume = function _resume(cid, ws, received) {
+  dbg("Resuming a session");
+
+  const session = this._sessions[cid];
+  if (cid in this._wsClients) {
+    dbg("Discarding the previous WebSocket");
+    this._detach(cid);
+  } else {
+    clearTimeout(session.graceTimeout);
+    session.graceTimeout = null;
+  }
+
+  this._wsClients[cid] = ws;
+  this._attach(cid, ws);
+  ws.send(resumedFrame(session.received), this._sendCallback(cid));
+  messagesAfter(session.buffer, received).forEach(({ data, binary }) => {
+    this._writeFrame(cid, data, binary);
+  });
+};
+
+/**
+ * Determines whether a request can resume a session. The client must present
+ * the token of a current session, must not have missed any messages that are
+ * no longer retained, and, if the connection has been established, must have
+ * negotiated the same subprotocol.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {?http.IncomingMessage} request
+ * @param {?Object} ws Omitted before the connection is established
+ * @returns {?Object} { cid, received } or null if the session can not be
+ *                    resumed
+ */
+proto._resumption = function _resumption(request, ws) {
+  const query = this._resumeQuery(request);
+  if (!query) {
+    dbg("No resumable session was presented");
+    return null;
+  }
+  const session = this._sessions[query.cid];
+  if (
+    (ws && ws.protocol !== session.protocol) ||
+    messagesAfter(session.buffer, query.received) === null
+  ) {
+    dbg("The session can not be resumed");
+    return null;
+  }
+  return query;
+};
+
+/**
+ * Parses the session resumption query parameters of a request, if present.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {?http.IncomingMessage} request
+ * @returns {?Object} { cid, received } or null if the request does not
+ *                    present the token of a current session
+ */
+proto._resumeQuery = function _resumeQuery(request) {
+  if (!this._options.resume || !request || !check.string(request.url)) {
+    return null;
+  }
+  const queryPos = request.url.indexOf("?");
+  if (queryPos < 0) {
+    return null;
+  }
+  const query = querystring.parse(request.url.substring(queryPos + 1));
+  const token = query[config.wsResumeTokenParam];
+  const received = query[config.wsResumeSeqParam];
+  if (
+    !check.string(token) ||
+    !_.has(this._resumeTokens, token) ||
+    !check.string(received) ||
+    !/^[0-9]+$/.test(received)
+  ) {
+    return null;
+  }
+  return { cid: this._resumeTokens[token], received: Number(received) };
+};
+
+/**
+ * Records a transport failure for reporting by health checks.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {Error} err
+ * @returns {void}
+ */
+proto._recordError = function _recordError(err) {
+  this._lastError = {
+    message: err.message,
+    time: new Date(Date.now()).toISOString(),
+  };
+};
+
+/**
+ * Returns the ids of all connected clients, including those whose sessions
+ * are awaiting resumption.
+ * @memberof Server
+ * @instance
+ * @private
+ * @returns {Array}
+ */
+proto._clientIds = function _clientIds() {
+  return _.union(_.keys(this._wsClients), _.keys(this._sessions));
+};
+
+/**
+ * Determines whether a client is connected, including one whose session is
+ * awaiting resumption.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {string} cid
+ * @returns {boolean}
+ */
+proto._isClient = function _isClient(cid) {
+  return cid in this._wsClients || cid in this._sessions;
+};
+
+/**
+ * Returns an id for a new client. Ids are generated by options.generateClientId
+ * if specified and are random UUIDs otherwise.
+ *
+ * Returns null if the generator throws, returns anything other than a
+ * non-empty string, or returns the id of an existing client (including one
+ * awaiting session resumption), so that clients are never overwritten.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {?http.IncomingMessage} request
+ * @returns {?string}
+ */
+proto._generateClientId = function _generateClientId(request) {
+  if (!this._options.generateClientId) {
+    return uuid();
+  }
+
+  let cid;
+  try {
+    cid = this._options.generateClientId(request);
+  } catch (e) {
+    dbg("Client id generator threw an error");
+    dbg(e);
+    return null; // Stop
+  }
+  if (!check.nonEmptyString(cid)) {
+    dbg("Client id generator returned an invalid value");
+    return null; // Stop
+  }
+  if (this._isClient(cid)) {
+    dbg("Client id generator returned an id that is in use");
+    return null; // Stop
+  }
+  return cid;
+};
+
+/**
+ * Assembles client information from an HTTP upgrade request.
+ *
+ * The X-Forwarded-For header is parsed but not trusted - the remote address is
+ * always that of the immediate peer, and it is up to the application to decide
+ * whether any proxies in the chain are trustworthy.
+ * @memberof Server
+ * @instance
+ * @private
+ * @param {?http.IncomingMessage} request
+ * @returns {Object}
+ */
+proto._getClientInfo = function _getClientInfo(request) {
+  dbg("Assembling client information");
+
+  const info = {
+    remoteAddress: null,
+    remotePort: null,
+    forwardedFor: [],
+    headers: {},
+    url: null,
+    path: null,
+    query: {},
+    secure: false,
+    tls: null,
+    identity: null,
+  };
+
+  if (!request) {
+    dbg("No upgrade request available");
+    return info; // Stop
+  }
+
+  // Headers - Node lower-cases header names and joins repeated headers
+  info.headers = _.clone(request.headers || {});
+  if (check.nonEmptyString(info.headers["x-forwarded-for"])) {
+    info.forwardedFor = info.headers["x-forwarded-for"]
+      .split(",")
+      .map((address) => address.trim())
+      .filter((address) => address !== "");
+  }
+
+  // Url, path, and query
+  if (check.string(request.url)) {
+    info.url = request.url;
+    const queryPos = request.url.indexOf("?");
+    if (queryPos >= 0) {
+      info.path = request.url.substring(0, queryPos);
+      info.query = {
+        ...querystring.parse(request.url.substring(queryPos + 1)),
+      };
+    } else {
+      info.path = request.url;
+    }
+  }
+
+  // Remote address and TLS details
+  const { socket } = request;
+  if (socket) {
+    info.remoteAddress = socket.remoteAddress || null;
+    info.remotePort = socket.remotePort || null;
+    if (socket.encrypted) {
+      info.secure = true;
+      info.tls = {
+        protocol: check.function(socket.getProtocol)
+          ? socket.getProtocol()
+          : null,
+        cipher: check.function(socket.getCipher) ? socket.getCipher() : null,
+        authorized: !!socket.authorized,
+        authorizationError: socket.authorizationError || null,
+      };
+    }
+  }
+
+  return info;
+};
+
 /**
  * Emits an event asynchronously during the next run around the event loop.
  *
@@ -0,0 +1,31 @@
+import sse from "./sse.main";
+
+/* eslint no-restricted-globals: ["off"] */
+/* global EventSource */
+
+/**
+ * Create a browser client that connects over Server-Sent Events, with the
+ * native EventSource and fetch implementations injected (dependency injection
+ * to facilitate unit testing).
+ * @param {string} address
+ * @param {?Object} options
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @throws {Error} "NO_EVENTSOURCE: ..."
+ * @returns {Sse}
+ */
+export default function feedmeTransportSseClient(address, options) {
+  // Throw if Server-Sent Events are not supported
+  if (typeof EventSource === "undefined" || typeof fetch === "undefined") {
+    throw new Error(
+      "NO_EVENTSOURCE: The environment does not appear to support Server-Sent Events.",
+    );
+  }
+
+  // Create and return the client
+  return sse(
+    EventSource,
+    (...args) => fetch(...args),
+    address || "",
+    options || {},
+  );
+}
@@ -0,0 +1,311 @@
+import emitter from "component-emitter";
+import check from "check-types";
+import debug from "debug";
+import http from "http";
+import querystring from "querystring";
+import { v4 as uuid } from "uuid";
+import _ from "lodash";
+import serverConfig from "./server.config";
+import sseSocket from "./sse.socket";
+import { parseSubprotocol } from "./protocols";
+import { readJson, respond, respondError } from "./http";
+
+const dbg = debug("feedme-transport-ws:sse");
+
+/**
+ * Server-Sent Events endpoint. Emulates the subset of the ws WebSocket.Server
+ * interface used by the server transport, so that the server transport can be
+ * run over SSE by injecting this constructor in place of ws.
+ *
+ * All requests are made to the same URL. In stand-alone mode the endpoint
+ * listens for requests itself and responds 404 to requests for other paths, if
+ * a path is specified. With an external server, the application passes
+ * requests to endpoint.handleRequest():
+ *
+ * - GET ?protocols=... opens an event stream. The first event is a session
+ * event with data { sid, protocol }. Messages are written as unnamed events
+ * with JSON-encoded string data. If the server closes the stream, then a close
+ * event with data { code, reason } is written first.
+ *
+ * - POST ?sid=... posts a JSON array of messages.
+ *
+ * Events emitted, as by ws:
+ *
+ * - connection (socket, req) when a stream is opened
+ * - listening (), close (), and error (err) in stand-alone mode
+ * @typedef {Object} SseEndpoint
+ * @extends emitter
+ */
+
+const proto = {};
+emitter(proto);
+
+/**
+ * SSE endpoint factory function. Invoked using new by the server transport.
+ *
+ * Accepts the ws options used by the server transport: port and host, or
+ * server, along with path, handleProtocols, verifyClient, and maxPayload.
+ * @param {Object} options
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {SseEndpoint}
+ */
+export default function sseEndpointFactory(options) {
+  dbg("Initializing SseEndpoint object");
+
+  if (!check.object(options) || !(options.port >= 0 || options.server)) {
+    throw new Error(
+      "INVALID_ARGUMENT: The SSE endpoint requires a port or server option.",
+    );
+  }
+
+  const endpoint = Object.create(proto);
+
+  /**
+   * Options passed by the server transport.
+   * @memberof SseEndpoint
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  endpoint._options = options;
+
+  /**
+   * Open event streams, keyed by session id.
+   *
+   * this._sockets[sessionId] = SseSocket
+   *
+   * @memberof SseEndpoint
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  endpoint._sockets = {};
+
+  /**
+   * Whether close() has been called.
+   * @memberof SseEndpoint
+   * @instance
+   * @private
+   * @type {boolean}
+   */
+  endpoint._closed = false;
+
+  /**
+   * The http server created by the endpoint in stand-alone mode. Null with an
+   * external server.
+   * @memberof SseEndpoint
+   * @instance
+   * @private
+   * @type {?http.Server}
+   */
+  endpoint._httpServer = null;
+
+  // In stand-alone mode, handle requests, relay server status events, and
+  // listen
+  if (!options.server) {
+    endpoint._httpServer = http.createServer();
+    endpoint._httpServer.on("request", endpoint._processRequest.bind(endpoint));
+    ["listening", "close", "error"].forEach((evt) => {
+      endpoint._httpServer.on(evt, (...args) => {
+        endpoint.emit(evt, ...args);
+      });
+    });
+    endpoint._httpServer.listen(options.port, options.host);
+  }
+
+  return endpoint;
+}
+
+// Ws interface
+
+/**
+ * Ends all event streams and calls back once done. Subsequent requests are
+ * refused with a 503. The http server is closed in stand-alone mode.
+ * @memberof SseEndpoint
+ * @instance
+ * @param {?Function} cb
+ * @returns {void}
+ */
+proto.close = function close(cb) {
+  dbg("Closing endpoint");
+
+  const callback = cb || (() => {});
+  if (this._closed) {
+    process.nextTick(callback);
+    return; // Stop
+  }
+  this._closed = true;
+  _.each(this._sockets, (socket) => {
+    socket.terminate();
+  });
+
+  if (!this._httpServer) {
+    process.nextTick(callback);
+  } else {
+    this._httpServer.close(() => {
+      callback();
+    });
+  }
+};
+
+// Request handling
+
+/**
+ * Handles a request routed to the endpoint by the application. The request
+ * path is not considered.
+ * @memberof SseEndpoint
+ * @instance
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {void}
+ */
+proto.handleRequest = function handleRequest(req, res) {
+  dbg("Received request");
+
+  if (this._closed) {
+    respondError(res, 503);
+    return; // Stop
+  }
+
+  const queryPos = req.url.indexOf("?");
+  const query =
+    queryPos >= 0 ? querystring.parse(req.url.substring(queryPos + 1)) : {};
+
+  // Open an event stream
+  if (query.sid === undefined) {
+    if (req.method === "GET") {
+      this._openStream(req, res, query.protocols);
+    } else {
+      respondError(res, 405, undefined, { Allow: "GET" });
+    }
+    return; // Stop
+  }
+
+  // Post messages to an open stream
+  if (!check.string(query.sid) || !(query.sid in this._sockets)) {
+    dbg("Unknown event stream");
+    respondError(res, 404, "The event stream does not exist.");
+    return; // Stop
+  }
+  if (req.method !== "POST") {
+    respondError(res, 405, undefined, { Allow: "POST" });
+    return; // Stop
+  }
+  const socket = this._sockets[query.sid];
+  readJson(
+    req,
+    this._options.maxPayload || serverConfig.sseMaxBodyBytes,
+    (statusCode, body) => {
+      if (statusCode) {
+        respondError(res, statusCode);
+      } else if (!check.array.of.string(body)) {
+        respondError(res, 400, "Messages must be an array of strings.");
+      } else {
+        respond(res, 204);
+        socket.handleMessages(body);
+      }
+    },
+  );
+};
+
+/**
+ * Processes a stand-alone http server request, responding 404 to requests for
+ * other paths if options.path is specified.
+ * @memberof SseEndpoint
+ * @instance
+ * @private
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {void}
+ */
+proto._processRequest = function _processRequest(req, res) {
+  const queryPos = req.url.indexOf("?");
+  const path = queryPos >= 0 ? req.url.substring(0, queryPos) : req.url;
+  if (this._options.path && path !== this._options.path) {
+    dbg("Received request for another path");
+    respondError(res, 404);
+    return; // Stop
+  }
+
+  this.handleRequest(req, res);
+};
+
+/**
+ * Opens an event stream, subject to verifyClient and handleProtocols as ws
+ * would apply them. Binary subprotocols are not available, as messages are
+ * exchanged as text.
+ * @memberof SseEndpoint
+ * @instance
+ * @private
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {*} protocolsParam Comma-separated subprotocols, if any
+ * @returns {void}
+ */
+proto._openStream = function _openStream(req, res, protocolsParam) {
+  dbg("Opening event stream");
+
+  const protocols = (check.string(protocolsParam) ? protocolsParam : "")
+    .split(",")
+    .map((protocol) => protocol.trim())
+    .filter(
+      (protocol) => protocol !== "" && !parseSubprotocol(protocol, []).binary,
+    );
+  if (protocols.length === 0) {
+    respondError(res, 400, "No supported subprotocol was offered.");
+    return; // Stop
+  }
+
+  const accept = () => {
+    if (this._closed) {
+      respondError(res, 503);
+      return; // Stop
+    }
+
+    const protocol = this._options.handleProtocols
+      ? this._options.handleProtocols(protocols, req)
+      : protocols[0];
+    if (!protocol) {
+      respondError(res, 400, "No supported subprotocol was offered.");
+      return; // Stop
+    }
+
+    const sid = uuid();
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering
+    });
+    res.write(`event: session\ndata: ${JSON.stringify({ sid, protocol })}\n\n`);
+    const socket = sseSocket(res, protocol, () => {
+      delete this._sockets[sid];
+    });
+    this._sockets[sid] = socket;
+    this.emit("connection", socket, req);
+  };
+
+  // Verify the client as ws would (if so configured)
+  const { verifyClient } = this._options;
+  if (!verifyClient) {
+    accept();
+    return; // Stop
+  }
+  const info = {
+    origin: req.headers.origin,
+    secure: !!(req.socket && req.socket.encrypted),
+    req,
+  };
+  const verified = (result, code, message, headers) => {
+    if (result) {
+      accept();
+    } else {
+      respondError(res, code || 401, message, headers);
+    }
+  };
+  if (verifyClient.length === 2) {
+    verifyClient(info, verified);
+  } else {
+    verified(verifyClient(info));
+  }
+};
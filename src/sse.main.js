@@ -0,0 +1,894 @@
+import emitter from "component-emitter";
+import check from "check-types";
+import debug from "debug";
+import clientConfig from "./client.config";
+import config from "./config";
+import { validVersions, subprotocol, parseSubprotocol } from "./protocols";
+import { closeError } from "./reason";
+import awaitTransition, { asyncOptions } from "./lifecycle";
+
+const dbg = debug("feedme-transport-ws:sse");
+
+/**
+ * Browser Server-Sent Events client transport object. Exposes the same
+ * interface as the browser WebSocket client.
+ * @typedef {Object} Sse
+ * @extends emitter
+ */
+
+const proto = {};
+emitter(proto);
+
+/**
+ * SSE client factory function.
+ *
+ * The EventSource constructor and fetch function are injected to facilitate
+ * testing.
+ *
+ * Messages from the server arrive on an event stream and messages to the
+ * server are posted in batches, with at most one post in flight so that
+ * messages arrive in order. EventSource reconnects automatically by default,
+ * which would open a new session on the server, so the transport closes the
+ * EventSource on any error and applies its own reconnection settings instead.
+ * The heartbeat and binary mode are not available.
+ * @param {Function} eventSourceConstructor EventSource constructor
+ * @param {Function} fetchFunction fetch() implementation
+ * @param {string} address Endpoint URL
+ * @param {?Object} options Connection timeout, protocol, and reconnect settings
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Sse}
+ */
+export default function sseFactory(...args) {
+  dbg("Initializing Sse object");
+
+  // Check eventSourceConstructor
+  if (!check.function(args[0])) {
+    throw new Error(
+      "INVALID_ARGUMENT: Invalid eventSourceConstructor argument.",
+    );
+  }
+  const eventSourceConstructor = args[0];
+
+  // Check fetchFunction
+  if (!check.function(args[1])) {
+    throw new Error("INVALID_ARGUMENT: Invalid fetchFunction argument.");
+  }
+  const fetchFunction = args[1];
+
+  // Check address type
+  if (!check.string(args[2])) {
+    throw new Error("INVALID_ARGUMENT: Invalid address argument.");
+  }
+  const address = args[2];
+
+  // Check address format
+  try {
+    new URL(address); // eslint-disable-line no-new
+  } catch (e) {
+    throw new Error("INVALID_ARGUMENT: Invalid address argument.");
+  }
+
+  // Check options (if specified)
+  let options;
+  if (args.length > 3) {
+    if (!check.object(args[3])) {
+      throw new Error("INVALID_ARGUMENT: Invalid options argument.");
+    }
+    options = args[3]; // eslint-disable-line prefer-destructuring
+  } else {
+    options = {};
+  }
+
+  // Validate options.protocols (if specified)
+  // Only the default protocol version is offered unless specified
+  if ("protocols" in options && !validVersions(options.protocols)) {
+    throw new Error("INVALID_ARGUMENT: Invalid options.protocols argument.");
+  }
+
+  // Validate options.connectTimeoutMs (if specified)
+  // Connection attempts are not timed out unless specified
+  if ("connectTimeoutMs" in options) {
+    if (
+      !check.integer(options.connectTimeoutMs) ||
+      options.connectTimeoutMs <= 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.connectTimeoutMs argument.",
+      );
+    }
+  }
+
+  // Validate options.reconnect (if specified) and overlay defaults
+  // Reconnection is disabled unless specified
+  if ("reconnect" in options && options.reconnect !== false) {
+    if (options.reconnect !== true && !check.object(options.reconnect)) {
+      throw new Error("INVALID_ARGUMENT: Invalid options.reconnect argument.");
+    }
+    const reconnect = {
+      ...clientConfig.defaults.reconnect,
+      ...(options.reconnect === true ? {} : options.reconnect),
+    };
+    if (
+      !check.integer(reconnect.initialDelayMs) ||
+      reconnect.initialDelayMs < 0
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.initialDelayMs argument.",
+      );
+    }
+    if (!check.number(reconnect.multiplier) || reconnect.multiplier < 1) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.multiplier argument.",
+      );
+    }
+    if (
+      !check.integer(reconnect.maxDelayMs) ||
+      reconnect.maxDelayMs < reconnect.initialDelayMs
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxDelayMs argument.",
+      );
+    }
+    if (
+      !check.number(reconnect.jitter) ||
+      reconnect.jitter < 0 ||
+      reconnect.jitter > 1
+    ) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.jitter argument.",
+      );
+    }
+    if (!check.integer(reconnect.maxAttempts) || reconnect.maxAttempts < 0) {
+      throw new Error(
+        "INVALID_ARGUMENT: Invalid options.reconnect.maxAttempts argument.",
+      );
+    }
+    options.reconnect = reconnect; // eslint-disable-line no-param-reassign
+  }
+
+  // Success
+
+  const sse = Object.create(proto);
+
+  /**
+   * EventSource constructor.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {Function}
+   */
+  sse._eventSourceConstructor = eventSourceConstructor;
+
+  /**
+   * fetch() implementation.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {Function}
+   */
+  sse._fetch = fetchFunction;
+
+  /**
+   * EventSource instance. Null if the transport is disconnected.
+   *
+   * If an EventSource exists then all event handlers are attached.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  sse._eventSource = null;
+
+  /**
+   * The outward-facing transport state. One of "disconnected", "connecting",
+   * or "connected". The transport is connecting while it waits to reconnect.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {string}
+   */
+  sse._state = "disconnected";
+
+  /**
+   * Endpoint URL.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {string}
+   */
+  sse._address = address;
+
+  /**
+   * Connection timeout, protocol, and reconnect configuration.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {Object}
+   */
+  sse._options = options;
+
+  /**
+   * Session id assigned by the server. Null unless connected.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {?string}
+   */
+  sse._sid = null;
+
+  /**
+   * Subprotocol selected by the server. Null unless connected.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {?string}
+   */
+  sse._subprotocol = null;
+
+  /**
+   * Token identifying the post request in flight. Null if there is none.
+   * Responses to abandoned requests are ignored.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  sse._post = null;
+
+  /**
+   * Messages awaiting the next post request, oldest first.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {Array}
+   */
+  sse._outbox = [];
+
+  /**
+   * Reconnect timeout id. Null unless the transport is waiting to reconnect.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {number}
+   */
+  sse._reconnectTimeout = null;
+
+  /**
+   * Connection timeout id. Null unless the transport is connecting and
+   * options.connectTimeoutMs is specified.
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {number}
+   */
+  sse._connectTimeout = null;
+
+  /**
+   * Number of reconnect attempts made since the transport last connected or
+   * the application last called connect() or disconnect().
+   * @memberof Sse
+   * @instance
+   * @private
+   * @type {number}
+   */
+  sse._reconnectAttempts = 0;
+
+  return sse;
+}
+
+// Events
+
+/**
+ * @event connecting
+ * @memberof Sse
+ * @instance
+ */
+
+/**
+ * @event connect
+ * @memberof Sse
+ * @instance
+ */
+
+/**
+ * @event message
+ * @memberof Sse
+ * @instance
+ * @param {string} msg
+ */
+
+/**
+ * @event disconnect
+ * @memberof Sse
+ * @instance
+ * @param {?Error} err "FAILURE: ..." if not due to call to client.disconnect()
+ */
+
+/**
+ * Emitted after an unexpected disconnect if reconnection is enabled and
+ * attempts remain, following the connecting event.
+ * @event reconnecting
+ * @memberof Sse
+ * @instance
+ * @param {number} attempt The upcoming attempt number, starting at 1
+ * @param {number} delayMs Time until the attempt is made
+ */
+
+// Public API
+
+/**
+ * Returns the transport state: "disconnected", "connecting", or "connected".
+ * The transport is connecting while it waits to reconnect.
+ * @memberof Sse
+ * @instance
+ * @returns {string}
+ */
+proto.state = function state() {
+  dbg("State requested");
+
+  return this._state;
+};
+
+/**
+ * Returns the Feedme protocol version negotiated with the server, with the
+ * casing specified in options.protocols.
+ * @memberof Sse
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {?string}
+ */
+proto.protocol = function protocol() {
+  dbg("Protocol requested");
+
+  // Check state
+  if (this._state !== "connected") {
+    throw new Error("INVALID_STATE: Not connected.");
+  }
+
+  return parseSubprotocol(this._subprotocol, this._versions()).version;
+};
+
+/**
+ * The library wants the transport to connect. If the transport is waiting to
+ * reconnect then the pending attempt is made immediately.
+ * @memberof Sse
+ * @instance
+ * @throws {Error} "INVALID_STATE: ..."
+ * @returns {void}
+ */
+proto.connect = function connect() {
+  dbg("Connect requested");
+
+  // Check state - is this a valid call on the transport?
+  if (this._state !== "disconnected" && !this._reconnectTimeout) {
+    throw new Error("INVALID_STATE: Already connecting or connected.");
+  }
+
+  // Success
+
+  // Cancel any pending reconnect attempt and reset the count
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+  this._reconnectAttempts = 0;
+
+  this._connect();
+};
+
+/**
+ * The library wants the transport to disconnect. The transport could be
+ * connecting, including while waiting to reconnect, or connected.
+ *
+ * The transport never attempts to reconnect following a call to disconnect().
+ * @memberof Sse
+ * @instance
+ * @param {?Error} err
+ * @throws {Error} "INVALID_STATE: ..."
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+proto.disconnect = function disconnect(...args) {
+  dbg("Disconnect requested");
+
+  // Check err (if specified)
+  let err;
+  if (args.length > 0) {
+    [err] = args;
+    if (!check.instance(err, Error)) {
+      throw new Error("INVALID_ARGUMENT: Invalid error argument.");
+    }
+  }
+
+  // Check state - is this a valid call on the transport?
+  if (this._state === "disconnected") {
+    throw new Error("INVALID_STATE: Already disconnected.");
+  }
+
+  // Success
+
+  this._reconnectAttempts = 0;
+  this._disconnect(err, true);
+};
+
+/**
+ * Connects the client and returns a promise that resolves once it has
+ * connected. Behaves like the browser WebSocket client's connectAsync().
+ * @memberof Sse
+ * @instance
+ * @param {?Object} options { timeoutMs, signal } - signal is an AbortSignal
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Promise}
+ */
+proto.connectAsync = function connectAsync(...args) {
+  dbg("Asynchronous connect requested");
+
+  const { signal, timeoutMs } = asyncOptions(args, ["signal", "timeoutMs"]);
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.connect();
+    },
+    resolveEvent: "connect",
+    rejectEvent: "disconnect",
+    rejectMessage: "ABORTED: The client was disconnected before it connected.",
+    signal,
+    timeoutMs,
+    timeoutMessage: "FAILURE: Connection timed out.",
+    cancel: (err) => {
+      if (this._state !== "disconnected") {
+        if (err) {
+          this.disconnect(err);
+        } else {
+          this.disconnect();
+        }
+      }
+    },
+  });
+};
+
+/**
+ * Disconnects the client and returns a promise that resolves once it has
+ * disconnected.
+ * @memberof Sse
+ * @instance
+ * @param {?Error} err Same as client.disconnect()
+ * @returns {Promise}
+ */
+proto.disconnectAsync = function disconnectAsync(...args) {
+  dbg("Asynchronous disconnect requested");
+
+  return awaitTransition({
+    transport: this,
+    defer: (fn) => {
+      setTimeout(fn, 0);
+    },
+    initiate: () => {
+      this.disconnect(...args);
+    },
+    resolveEvent: "disconnect",
+  });
+};
+
+/**
+ * The library wants to send a message to the server. The message is posted
+ * along with any others sent while a previous post request is outstanding.
+ * @memberof Sse
+ * @instance
+ * @param {string} msg
+ * @throws {Error} "INVALID_STATE: ..."
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {void}
+ */
+proto.send = function send(msg) {
+  dbg("Send requested");
+
+  // Check message
+  if (!check.string(msg)) {
+    throw new Error("INVALID_ARGUMENT: Invalid message.");
+  }
+
+  // Check state - is this a valid call on the transport?
+  if (this._state !== "connected") {
+    throw new Error("INVALID_STATE: Not connected.");
+  }
+
+  // Success
+
+  this._outbox.push(msg);
+  if (!this._post) {
+    this._postMessages();
+  }
+};
+
+// EventSource event handlers
+
+/**
+ * Processes the session event, which is the first event on the stream.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @param {MessageEvent} evt
+ * @returns {void}
+ */
+proto._processSessionEvent = function _processSessionEvent(evt) {
+  dbg("Observed session event");
+
+  let session;
+  try {
+    session = JSON.parse(evt.data);
+  } catch (e) {
+    session = null;
+  }
+  if (
+    this._state !== "connecting" ||
+    !check.object(session) ||
+    !check.nonEmptyString(session.sid) ||
+    !check.nonEmptyString(session.protocol)
+  ) {
+    dbg("Invalid session event");
+    this._disconnect(new Error("FAILURE: Received an invalid session event."));
+    return; // Stop
+  }
+
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Reset the reconnect attempt count
+  this._reconnectAttempts = 0;
+
+  // Update state and emit
+  this._sid = session.sid;
+  this._subprotocol = session.protocol;
+  this._state = "connected";
+  this._emitAsync("connect");
+};
+
+/**
+ * Processes a message event. Messages are JSON-encoded strings.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @param {MessageEvent} evt
+ * @returns {void}
+ */
+proto._processMessageEvent = function _processMessageEvent(evt) {
+  dbg("Observed message event");
+
+  let msg;
+  try {
+    msg = JSON.parse(evt.data);
+  } catch (e) {
+    msg = null;
+  }
+  if (this._state !== "connected" || !check.string(msg)) {
+    dbg("Invalid message event");
+    this._disconnect(new Error("FAILURE: Received an invalid message event."));
+    return; // Stop
+  }
+
+  this._emitAsync("message", msg);
+};
+
+/**
+ * Processes a close event, which the server writes before ending the stream.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @param {MessageEvent} evt
+ * @returns {void}
+ */
+proto._processCloseEvent = function _processCloseEvent(evt) {
+  dbg("Observed close event");
+
+  let frame;
+  try {
+    frame = JSON.parse(evt.data);
+  } catch (e) {
+    frame = null;
+  }
+  const errMsg = "FAILURE: The event stream closed unexpectedly.";
+  this._disconnect(
+    check.object(frame)
+      ? closeError(errMsg, frame.code, frame.reason)
+      : new Error(errMsg),
+  );
+};
+
+/**
+ * Processes an EventSource error event, which is fired if the stream could
+ * not be opened or was interrupted. EventSource does not expose the cause.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._processErrorEvent = function _processErrorEvent() {
+  dbg("Observed error event");
+
+  const errMsg =
+    this._state === "connecting"
+      ? "FAILURE: The event stream could not be opened."
+      : "FAILURE: The event stream closed unexpectedly.";
+  this._disconnect(new Error(errMsg));
+};
+
+// Internal Functions
+
+/**
+ * Creates an EventSource and begins connecting.
+ *
+ * Invoked on:
+ *
+ *  - Call to transport.connect()
+ *  - Reconnect timeout
+ *
+ * @memberof Sse
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._connect = function _connect() {
+  dbg("Connecting the client");
+
+  // Update state and emit asynchronously
+  // Reconnect attempts are already connecting
+  if (this._state !== "connecting") {
+    this._state = "connecting";
+    this._emitAsync("connecting");
+  }
+
+  // Offer each protocol version in order of preference
+  const protocols = this._versions().map((version) =>
+    subprotocol(version, false, false),
+  );
+  const url = `${this._address}${this._address.includes("?") ? "&" : "?"}protocols=${encodeURIComponent(protocols.join(","))}`;
+
+  // Try to create the EventSource
+  try {
+    this._eventSource = new this._eventSourceConstructor(url);
+  } catch (e) {
+    dbg("Failed to initialize EventSource");
+
+    // Update state and emit disconnect asynchronously
+    this._state = "disconnected";
+    const err = new Error("FAILURE: Could not initialize the EventSource.");
+    err.sseError = e;
+    this._emitAsync("disconnect", err);
+    return; // Stop
+  }
+
+  // Listen for events
+  this._eventSource.addEventListener(
+    "session",
+    this._processSessionEvent.bind(this),
+  );
+  this._eventSource.addEventListener(
+    "close",
+    this._processCloseEvent.bind(this),
+  );
+  this._eventSource.onmessage = this._processMessageEvent.bind(this);
+  this._eventSource.onerror = this._processErrorEvent.bind(this);
+
+  // Start the connection timeout (if so configured)
+  if (this._options.connectTimeoutMs) {
+    this._connectTimeout = setTimeout(() => {
+      dbg("Connection timed out");
+      this._connectTimeout = null;
+      this._disconnect(new Error("FAILURE: Connection timed out."));
+    }, this._options.connectTimeoutMs);
+  }
+};
+
+/**
+ * Posts all messages in the outbox.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._postMessages = function _postMessages() {
+  dbg("Posting messages");
+
+  const msgs = this._outbox;
+  this._outbox = [];
+  const post = {};
+  this._post = post;
+  const url = `${this._address}${this._address.includes("?") ? "&" : "?"}sid=${encodeURIComponent(this._sid)}`;
+  const failed = (status, e) => {
+    dbg("Post request failed");
+    const err = new Error("FAILURE: Message transmission failed.");
+    if (status) {
+      err.httpStatus = status;
+    }
+    if (e) {
+      err.sseError = e;
+    }
+    this._disconnect(err);
+  };
+
+  Promise.resolve()
+    .then(() =>
+      this._fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(msgs),
+      }),
+    )
+    .then(
+      (response) => {
+        if (this._post !== post) {
+          return; // Stop - abandoned
+        }
+        this._post = null;
+        if (response.status !== 204) {
+          failed(response.status);
+        } else if (this._outbox.length > 0) {
+          this._postMessages();
+        }
+      },
+      (e) => {
+        if (this._post === post) {
+          this._post = null;
+          failed(null, e);
+        }
+      },
+    );
+};
+
+/**
+ * Returns the protocol versions offered to the server, in order of preference.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @returns {Array}
+ */
+proto._versions = function _versions() {
+  return this._options.protocols || [config.wsSubprotocol];
+};
+
+/**
+ * Disconnect the transport client.
+ *
+ *  - Call to transport.disconnect()
+ *  - EventSource error or invalid event
+ *  - Close event received from the server
+ *  - Failed post request
+ *  - Connection timeout
+ *
+ * Closes the EventSource, which ends the session on the server, and abandons
+ * any post request in flight. If the disconnect was not requested by the
+ * application and reconnection is enabled, then schedules a reconnect attempt,
+ * unless the server closed the session with an application close code.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @param {?Error} err
+ * @param {?boolean} requested True if due to a call to transport.disconnect()
+ * @returns {void}
+ */
+proto._disconnect = function _disconnect(err, requested) {
+  dbg("Disconnecting the client");
+
+  // There is no EventSource while waiting to reconnect, so an unrequested
+  // disconnect can only be stale - ignore it
+  if (this._reconnectTimeout && !requested) {
+    dbg("Ignoring stale failure while waiting to reconnect");
+    return; // Stop
+  }
+
+  // Cancel any pending reconnect attempt
+  if (this._reconnectTimeout) {
+    clearTimeout(this._reconnectTimeout);
+    this._reconnectTimeout = null;
+  }
+
+  // Clear the connection timeout (if any)
+  if (this._connectTimeout) {
+    clearTimeout(this._connectTimeout);
+    this._connectTimeout = null;
+  }
+
+  // Remove all listeners and close the EventSource (if present)
+  if (this._eventSource) {
+    this._eventSource.onmessage = null;
+    this._eventSource.onerror = null;
+    this._eventSource.close();
+    this._eventSource = null;
+  }
+
+  // Abandon any post request and queued messages
+  this._post = null;
+  this._outbox = [];
+  this._sid = null;
+  this._subprotocol = null;
+
+  // Update state and emit asynchronously
+  if (this._state !== "disconnected") {
+    this._state = "disconnected";
+    if (err) {
+      this._emitAsync("disconnect", err);
+    } else {
+      this._emitAsync("disconnect");
+    }
+
+    // Schedule a reconnect attempt if appropriate
+    // Servers use application close codes to kick or ban clients, so they
+    // are not followed by a reconnect attempt
+    if (!requested && this._options.reconnect) {
+      if (err && err.wsCloseCategory === "application") {
+        dbg("Not reconnecting after an application close code");
+        this._reconnectAttempts = 0;
+      } else {
+        this._reconnect();
+      }
+    }
+  }
+};
+
+/**
+ * Schedules a reconnect attempt following an unexpected disconnect, unless
+ * the maximum number of attempts has been reached.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @returns {void}
+ */
+proto._reconnect = function _reconnect() {
+  dbg("Considering a reconnect attempt");
+
+  const { reconnect } = this._options;
+  const attempt = this._reconnectAttempts + 1;
+  if (reconnect.maxAttempts > 0 && attempt > reconnect.maxAttempts) {
+    dbg("Maximum reconnect attempts reached");
+    this._reconnectAttempts = 0;
+    return; // Stop
+  }
+
+  const baseDelayMs = Math.min(
+    reconnect.maxDelayMs,
+    reconnect.initialDelayMs * reconnect.multiplier ** (attempt - 1),
+  );
+  const delayMs = Math.round(
+    baseDelayMs * (1 - reconnect.jitter * Math.random()),
+  );
+
+  // Update state and emit
+  // The transport is connecting while it waits, as the Feedme client library
+  // only recognizes the disconnected, connecting, and connected states
+  this._reconnectAttempts = attempt;
+  this._state = "connecting";
+  this._emitAsync("connecting");
+  this._emitAsync("reconnecting", attempt, delayMs);
+
+  dbg(`Scheduling reconnect attempt ${attempt} in ${delayMs}ms`);
+  this._reconnectTimeout = setTimeout(() => {
+    dbg("Reconnect timeout fired");
+    this._reconnectTimeout = null;
+    this._connect();
+  }, delayMs);
+};
+
+/**
+ * Emits an event asynchronously during the next run around the event loop.
+ * @memberof Sse
+ * @instance
+ * @private
+ * @param {*} ...args
+ * @returns {void}
+ */
+proto._emitAsync = function _emitAsync(...args) {
+  dbg(`Scheduling asynchronous emission: ${args[0]}`);
+
+  setTimeout(() => {
+    dbg(`Asynchronous emission: ${args[0]}`);
+    this.emit(...args);
+  }, 0);
+};
@@ -0,0 +1,76 @@
+import check from "check-types";
+import http from "http";
+import server from "./server.main";
+import sseEndpoint from "./sse.endpoint";
+import { respondError } from "./http";
+
+/**
+ * Create a server that serves clients over Server-Sent Events rather than
+ * WebSockets, with the SSE endpoint injected in place of ws. The transport
+ * runs in stand-alone or external server mode. Binary mode and long polling
+ * are not available.
+ *
+ * With an external server, the application routes requests to
+ * transport.handleRequest().
+ * @param {Object} options
+ * @throws {Error} "INVALID_ARGUMENT: ..."
+ * @returns {Server}
+ */
+export default function feedmeTransportSseServer(options) {
+  if (options && options.noServer) {
+    throw new Error(
+      "INVALID_ARGUMENT: The SSE transport does not support options.noServer.",
+    );
+  }
+  if (options && options.binary) {
+    throw new Error(
+      "INVALID_ARGUMENT: The SSE transport does not support options.binary.",
+    );
+  }
+
+  // The SSE request handler takes the place of the long-polling one
+  if (options && options.longPolling) {
+    throw new Error(
+      "INVALID_ARGUMENT: The SSE transport does not support options.longPolling.",
+    );
+  }
+
+  // The transport creates a new endpoint each time it starts
+  let endpoint = null;
+  const endpointConstructor = function SseEndpoint(endpointOptions) {
+    endpoint = sseEndpoint(endpointOptions);
+    return endpoint;
+  };
+
+  const transport = server(endpointConstructor, options);
+
+  /**
+   * Handles a request routed to the transport by the application. The request
+   * path is not considered. Requests received before the transport first starts
+   * or after it stops are refused with a 503.
+   * @memberof Server
+   * @instance
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @throws {Error} "INVALID_ARGUMENT: ..."
+   * @returns {void}
+   */
+  transport.handleRequest = function handleRequest(req, res) {
+    // Check arguments
+    if (
+      !check.instance(req, http.IncomingMessage) ||
+      !check.instance(res, http.ServerResponse)
+    ) {
+      throw new Error("INVALID_ARGUMENT: Invalid request or response.");
+    }
+
+    // Success
+    if (endpoint) {
+      endpoint.handleRequest(req, res);
+    } else {
+      respondError(res, 503);
+    }
+  };
+
+  return transport;
+}
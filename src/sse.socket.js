@@ -0,0 +1,277 @@
+import emitter from "component-emitter";
+import check from "check-types";
+import debug from "debug";
+
+const dbg = debug("feedme-transport-ws:sse");
+
+/**
+ * Server-side Server-Sent Events connection. Emulates the subset of the ws
+ * WebSocket interface used by the server transport, so that the server
+ * transport can manage SSE clients as it does WebSocket clients.
+ *
+ * Messages are written to the event stream as JSON-encoded strings, so that
+ * line breaks survive the SSE framing. Messages from the client are posted
+ * separately and passed in by the endpoint.
+ *
+ * Events emitted, as by ws:
+ *
+ * - message (msg) when the client posts a message
+ * - error (err) if the response stream fails
+ * - close (code, reason) once the stream has ended
+ * @typedef {Object} SseSocket
+ * @extends emitter
+ */
+
+const proto = {};
+emitter(proto);
+
+proto.CONNECTING = 0;
+proto.OPEN = 1;
+proto.CLOSING = 2;
+proto.CLOSED = 3;
+
+/**
+ * EventSource can not respond to heartbeat pings, so pong is never emitted.
+ * Not part of the ws interface - the server transport does not apply the
+ * heartbeat timeout to connections that set it false.
+ * @memberof SseSocket
+ * @instance
+ * @type {boolean}
+ */
+proto.respondsToPing = false;
+
+/**
+ * Bytes written to the stream but not yet flushed, as exposed by ws.
+ * @memberof SseSocket
+ * @instance
+ * @type {number}
+ */
+Object.defineProperty(proto, "bufferedAmount", {
+  get: function bufferedAmount() {
+    return this._res.writableLength || 0;
+  },
+});
+
+/**
+ * SSE connection factory function. The response headers and the session event
+ * have already been written by the endpoint.
+ * @param {http.ServerResponse} res Event stream response
+ * @param {string} protocol Negotiated subprotocol
+ * @param {Function} onEnd Called once the stream has ended - invoked
+ *                         separately from events, as the transport removes all
+ *                         listeners on disconnect
+ * @returns {SseSocket}
+ */
+export default function sseSocketFactory(res, protocol, onEnd) {
+  dbg("Initializing SseSocket object");
+
+  const socket = Object.create(proto);
+
+  /**
+   * Negotiated subprotocol, as exposed by ws.
+   * @memberof SseSocket
+   * @instance
+   * @type {string}
+   */
+  socket.protocol = protocol;
+
+  /**
+   * Connection state, as exposed by ws.
+   * @memberof SseSocket
+   * @instance
+   * @type {number}
+   */
+  socket.readyState = proto.OPEN;
+
+  /**
+   * Event stream response.
+   * @memberof SseSocket
+   * @instance
+   * @private
+   * @type {http.ServerResponse}
+   */
+  socket._res = res;
+
+  /**
+   * Called once the stream has ended.
+   * @memberof SseSocket
+   * @instance
+   * @private
+   * @type {Function}
+   */
+  socket._onEnd = onEnd;
+
+  /**
+   * Close frame written to the stream. Null unless the server closed it.
+   * @memberof SseSocket
+   * @instance
+   * @private
+   * @type {?Object}
+   */
+  socket._closeFrame = null;
+
+  // The client may close the stream at any time
+  res.on("close", () => {
+    dbg("Event stream response closed");
+    if (socket._closeFrame) {
+      socket._end(socket._closeFrame.code, socket._closeFrame.reason);
+    } else {
+      socket._end(1005, "");
+    }
+  });
+  res.on("error", (err) => {
+    dbg("Event stream response error");
+    socket.emit("error", err);
+    socket._end(1006, "");
+  });
+
+  return socket;
+}
+
+// Ws interface
+
+/**
+ * Writes a message to the event stream. Ws options are accepted and ignored,
+ * as only string messages are exchanged.
+ * @memberof SseSocket
+ * @instance
+ * @param {string|Buffer} data Buffers contain UTF-8 text
+ * @param {?Object} options
+ * @param {?Function} cb
+ * @returns {void}
+ */
+proto.send = function send(data, ...args) {
+  const cb = check.function(args[args.length - 1])
+    ? args[args.length - 1]
+    : () => {};
+
+  if (this.readyState !== this.OPEN) {
+    process.nextTick(() => {
+      cb(new Error("The event stream is not open."));
+    });
+    return; // Stop
+  }
+
+  const msg = check.string(data) ? data : data.toString("utf8");
+  this._write(`data: ${JSON.stringify(msg)}\n\n`, cb);
+};
+
+/**
+ * Writes a heartbeat comment to the event stream and calls back once it has
+ * been flushed, as ws does for a ping frame. Comments are ignored by
+ * EventSource but keep intermediaries from timing out the stream.
+ * @memberof SseSocket
+ * @instance
+ * @param {?Function} cb
+ * @returns {void}
+ */
+proto.ping = function ping(...args) {
+  const cb = check.function(args[args.length - 1])
+    ? args[args.length - 1]
+    : () => {};
+
+  if (this.readyState !== this.OPEN) {
+    process.nextTick(() => {
+      cb(new Error("The event stream is not open."));
+    });
+    return; // Stop
+  }
+
+  this._write(": ping\n\n", cb);
+};
+
+/**
+ * Writes a close event to the stream and ends it.
+ * @memberof SseSocket
+ * @instance
+ * @param {number} code
+ * @param {string} reason
+ * @returns {void}
+ */
+proto.close = function close(code, reason) {
+  if (this.readyState !== this.OPEN) {
+    return; // Stop
+  }
+  dbg("Closing event stream");
+  this.readyState = this.CLOSING;
+  this._closeFrame = { code, reason: reason || "" };
+  const frame = JSON.stringify(this._closeFrame);
+  this._res.end(`event: close\ndata: ${frame}\n\n`, () => {
+    this._end(this._closeFrame.code, this._closeFrame.reason);
+  });
+};
+
+/**
+ * Ends the stream immediately.
+ * @memberof SseSocket
+ * @instance
+ * @returns {void}
+ */
+proto.terminate = function terminate() {
+  if (this.readyState === this.CLOSED) {
+    return; // Stop
+  }
+  dbg("Terminating event stream");
+  this._res.destroy();
+  this._end(1006, "");
+};
+
+// Request handling - called by the endpoint
+
+/**
+ * Processes messages posted by the client.
+ * @memberof SseSocket
+ * @instance
+ * @param {Array} msgs Strings
+ * @returns {void}
+ */
+proto.handleMessages = function handleMessages(msgs) {
+  dbg("Received messages");
+  msgs.forEach((msg) => {
+    if (this.readyState === this.OPEN) {
+      this.emit("message", msg);
+    }
+  });
+};
+
+// Internal functions
+
+/**
+ * Writes to the event stream, calling back an error if the write fails.
+ * @memberof SseSocket
+ * @instance
+ * @private
+ * @param {string} chunk
+ * @param {Function} cb
+ * @returns {void}
+ */
+proto._write = function _write(chunk, cb) {
+  this._res.write(chunk, (err) => {
+    if (err) {
+      cb(err);
+    } else {
+      cb();
+    }
+  });
+};
+
+/**
+ * Marks the connection closed and emits close, once only.
+ * @memberof SseSocket
+ * @instance
+ * @private
+ * @param {number} code
+ * @param {string} reason
+ * @returns {void}
+ */
+proto._end = function _end(code, reason) {
+  if (this.readyState === this.CLOSED) {
+    return; // Stop
+  }
+  dbg("Event stream ended");
+  this.readyState = this.CLOSED;
+  this._onEnd();
+  process.nextTick(() => {
+    this.emit("close", code, reason);
+  });
+};
@@ -48,7 +48,7 @@ Controller Actions
     Args: { Port }
     Returns: {}
   InitTransportServer
-    Args: {}
+    Args: { Options } - Options is optional and must not include a port
     Returns: { Port }
   InitFeedmeServer
     Args: {}
@@ -386,7 +386,9 @@ proto._controllerActions.InitTransportServer =
   async function InitTransportServer(areq, ares) {
     // Create a new transport server on an available port
     const port = await this._getNextPort();
-    const transportServer = feedmeTransportWsServer({ port });
+    const transportServer = feedmeTransportWsServer(
+      _.assign({}, areq.actionArgs.Options, { port }),
+    );
     this._transportServers[`${port}`] = transportServer;
 
     // When the server emits an event, reveal it on the TransportEvents feed
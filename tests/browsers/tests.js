@@ -93,6 +93,44 @@ const disconnectController = async (fmClient) => {
   await promisifyEvent(fmClient, "disconnect");
 };
 
+// Initializes a WS server and returns its port and events feed
+const initWsServer = async (fmController) => {
+  const { Port: port } = await fmController.action("EstablishWsPort", {});
+  const serverEventFeed = fmController.feed("WsEvents", { Port: `${port}` });
+  serverEventFeed.desireOpen();
+  await promisifyEvent(serverEventFeed, "open");
+  fmController.action("InitWsServer", { Port: `${port}` });
+  const eventArgs = await promisifyEvent(serverEventFeed, "action");
+  expect(eventArgs[1].Name).toBe("listening");
+  return { port, serverEventFeed };
+};
+
+// Connects a transport client and returns the server client id
+const connectClient = async (serverEventFeed, transportClient) => {
+  transportClient.connect();
+  const results = await Promise.all([
+    promisifyEvent(serverEventFeed, "action"),
+    promisifyEvent(transportClient, "connect"),
+  ]);
+  return results[0][1].ClientId;
+};
+
+// Closes the connection from the server side
+const closeFromServer = (fmController, port, serverClientId) => {
+  fmController.action("InvokeWsClientMethod", {
+    Port: `${port}`,
+    Method: "close",
+    Arguments: [],
+    ClientId: serverClientId,
+  });
+};
+
+// Wait for the specified number of milliseconds
+const delay = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
 describe("The factory function", () => {
   // Errors and return values
 
@@ -1632,6 +1670,10 @@ describe("The transport._processWsClose() function", () => {
         expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
           "FAILURE: The WebSocket could not be opened.",
         );
+        const err = clientListener.disconnect.calls.argsFor(0)[0];
+        expect(err.wsCode).toBe(1006);
+        expect(err.wsWasClean).toBe(false);
+        expect(err.wsCloseCategory).toBe("networkFailure");
         expect(clientListener.message.calls.count()).toBe(0);
       }),
     );
@@ -1739,6 +1781,10 @@ describe("The transport._processWsClose() function", () => {
         expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
           "FAILURE: The WebSocket closed unexpectedly.",
         );
+        const err = clientListener.disconnect.calls.argsFor(0)[0];
+        expect(err.wsCode).toBe(1006);
+        expect(err.wsWasClean).toBe(false);
+        expect(err.wsCloseCategory).toBe("networkFailure");
         expect(clientListener.message.calls.count()).toBe(0);
 
         expect(transportClient.state()).toBe("disconnected");
@@ -1866,6 +1912,11 @@ describe("The transport._processWsClose() function", () => {
         expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
           "FAILURE: The WebSocket closed unexpectedly.",
         );
+        const err = clientListener.disconnect.calls.argsFor(0)[0];
+        expect(err.wsCode).toBe(1005);
+        expect(err.wsReason).toBe("");
+        expect(err.wsWasClean).toBe(true);
+        expect(err.wsCloseCategory).toBe("normal");
         expect(clientListener.message.calls.count()).toBe(0);
 
         expect(transportClient.state()).toBe("disconnected");
@@ -1879,6 +1930,71 @@ describe("The transport._processWsClose() function", () => {
     // Server events - N/A
   });
 
+  describe("If the transport state is connected - server does wsClient.close() with an application close code", () => {
+    // Client events
+
+    it(
+      "should asynchronously emit disconnect with the close details",
+      retry(async () => {
+        const fmController = await connectController();
+
+        // Establish a WS server port and open the events feed
+        const { Port: port } = await fmController.action("EstablishWsPort", {});
+        const serverEventFeed = fmController.feed("WsEvents", {
+          Port: `${port}`,
+        });
+        serverEventFeed.desireOpen();
+        await promisifyEvent(serverEventFeed, "open");
+
+        // Initilize WS server an wait until listening
+        fmController.action("InitWsServer", { Port: `${port}` });
+        const eventArgs = await promisifyEvent(serverEventFeed, "action");
+        expect(eventArgs[0]).toBe("Event");
+        expect(eventArgs[1].Name).toBe("listening");
+
+        // Connect a transport client
+        const transportClient = feedmeTransportWsClient(
+          `${TARGET_URL}:${port}`,
+        );
+        transportClient.connect();
+
+        // Await connection on both sides and get server client id
+        const results = await Promise.all([
+          promisifyEvent(serverEventFeed, "action"),
+          promisifyEvent(transportClient, "connect"),
+        ]);
+        const serverClientId = results[0][1].ClientId;
+
+        const clientListener = createClientListener(transportClient);
+
+        // Disconnect the client
+        fmController.action("InvokeWsClientMethod", {
+          Port: `${port}`,
+          Method: "close",
+          Arguments: [4001, '{"type":"ban"}'],
+          ClientId: serverClientId,
+        });
+
+        await promisifyEvent(transportClient, "disconnect");
+
+        expect(clientListener.disconnect.calls.count()).toBe(1);
+        const err = clientListener.disconnect.calls.argsFor(0)[0];
+        expect(err.message).toBe("FAILURE: The WebSocket closed unexpectedly.");
+        expect(err.wsCode).toBe(4001);
+        expect(err.wsReason).toBe('{"type":"ban"}');
+        expect(err.wsWasClean).toBe(true);
+        expect(err.wsCloseCategory).toBe("application");
+        expect(err.serverReason).toEqual({ type: "ban" });
+
+        // Clean up
+        await fmController.action("DestroyWsServer", { Port: port });
+        disconnectController(fmController);
+      }),
+    );
+
+    // Server events - N/A
+  });
+
   describe("If the transport state is connected - server does wsClient.terminate()", () => {
     // State functions
 
@@ -1993,6 +2109,10 @@ describe("The transport._processWsClose() function", () => {
         expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
           "FAILURE: The WebSocket closed unexpectedly.",
         );
+        const err = clientListener.disconnect.calls.argsFor(0)[0];
+        expect(err.wsCode).toBe(1006);
+        expect(err.wsWasClean).toBe(false);
+        expect(err.wsCloseCategory).toBe("networkFailure");
         expect(clientListener.message.calls.count()).toBe(0);
 
         expect(transportClient.state()).toBe("disconnected");
@@ -2271,196 +2391,849 @@ describe("The transport should operate correctly through multiple connection cyc
   );
 });
 
-// Tests against a transport server
-// Test only that the invokations on the library-facing side of the client API
-// generate the correct events on the server, and vice versa
+describe("The heartbeat", () => {
+  // The raw WS server selects the first subprotocol offered, which is the
+  // heartbeat subprotocol if the heartbeat is enabled
+
+  // Returns a promise resolving to the next client message received by the
+  // server
+  const nextClientMessage = async (serverEventFeed) => {
+    let args;
+    do {
+      args = await promisifyEvent(serverEventFeed, "action"); // eslint-disable-line no-await-in-loop
+    } while (args[1].Name !== "clientMessage");
+    return args[1].Arguments[0];
+  };
 
-describe("The transport.connect() function", () => {
   it(
-    "should emit connect on the server",
+    "should ping the server at the configured interval",
     retry(async () => {
       const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
 
-      // Initialize a transport server and open the events feed
-      const { Port: port } = await fmController.action(
-        "InitTransportServer",
-        {},
-      );
-      const serverEventFeed = fmController.feed("TransportEvents", {
-        Port: `${port}`,
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 200,
+        heartbeatTimeoutMs: 150,
       });
-      serverEventFeed.desireOpen();
-      await promisifyEvent(serverEventFeed, "open");
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
 
-      // Start the transport server and wait until started
-      fmController.action("InvokeTransportMethod", {
-        Port: port,
-        Method: "start",
-        Arguments: [],
-      });
-      await new Promise((resolve) => {
-        serverEventFeed.on("action", (an, ad) => {
-          if (an === "Event" && ad.Name === "start") {
-            serverEventFeed.removeAllListeners("action");
-            resolve();
-          }
+      // Answer three pings
+      const started = Date.now();
+      for (let i = 0; i < 3; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        expect(await nextClientMessage(serverEventFeed)).toBe("ping");
+        fmController.action("InvokeWsClientMethod", {
+          Port: `${port}`,
+          Method: "send",
+          Arguments: ["pong"],
+          ClientId: serverClientId,
         });
-      });
+      }
 
-      // Connect a transport client and check the server event
-      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
-      transportClient.connect();
-      const evt = await promisifyEvent(serverEventFeed, "action");
-      expect(evt[0]).toBe("Event");
-      expect(evt[1].Name).toBe("connect");
-      expect(evt[1].Arguments.length).toBe(1);
-      expect(evt[1].Arguments[0]).toEqual(jasmine.any(String));
+      expect(Date.now() - started).toBeGreaterThanOrEqual(400);
 
       // Clean up
-      await fmController.action("DestroyTransportServer", { Port: port });
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
       disconnectController(fmController);
     }),
   );
-});
 
-describe("The transport.disconnect() function", () => {
   it(
-    "should emit disconnect on the server",
+    "should remain connected and emit nothing if the server answers pings",
     retry(async () => {
       const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
 
-      // Initialize a transport server and open the events feed
-      const { Port: port } = await fmController.action(
-        "InitTransportServer",
-        {},
-      );
-      const serverEventFeed = fmController.feed("TransportEvents", {
-        Port: `${port}`,
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 200,
+        heartbeatTimeoutMs: 150,
       });
-      serverEventFeed.desireOpen();
-      await promisifyEvent(serverEventFeed, "open");
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
 
-      // Start the transport server and wait until started
-      fmController.action("InvokeTransportMethod", {
-        Port: port,
-        Method: "start",
-        Arguments: [],
-      });
-      await new Promise((resolve) => {
-        serverEventFeed.on("action", (an, ad) => {
-          if (an === "Event" && ad.Name === "start") {
-            serverEventFeed.removeAllListeners("action");
-            resolve();
-          }
-        });
-      });
+      const clientListener = createClientListener(transportClient);
 
-      // Connect a transport client and get server client id
-      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
-      transportClient.connect();
-      const evts = await Promise.all([
-        promisifyEvent(transportClient, "connect"),
-        promisifyEvent(serverEventFeed, "action"), // connection
-      ]);
-      const serverClientId = evts[1][1].Arguments[0];
+      // Answer pings for longer than the heartbeat timeout
+      for (let i = 0; i < 4; i += 1) {
+        await nextClientMessage(serverEventFeed); // eslint-disable-line no-await-in-loop
+        fmController.action("InvokeWsClientMethod", {
+          Port: `${port}`,
+          Method: "send",
+          Arguments: ["pong"],
+          ClientId: serverClientId,
+        });
+      }
 
-      // Disconnect the client and check the server event
-      transportClient.disconnect();
-      const evt = await promisifyEvent(serverEventFeed, "action");
-      expect(evt[0]).toBe("Event");
-      expect(evt[1].Name).toBe("disconnect");
-      expect(evt[1].Arguments.length).toBe(2); // Client ID and Error object
-      expect(evt[1].Arguments[0]).toBe(serverClientId);
+      // Pongs are not emitted as messages
+      expect(clientListener.connecting.calls.count()).toBe(0);
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(0);
+      expect(clientListener.message.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("connected");
 
       // Clean up
-      await fmController.action("DestroyTransportServer", { Port: port });
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
       disconnectController(fmController);
     }),
   );
-});
 
-describe("The transport.send() function", () => {
   it(
-    "should emit message on the server",
+    "should disconnect if the server does not answer a ping",
     retry(async () => {
       const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
 
-      // Initialize a transport server and open the events feed
-      const { Port: port } = await fmController.action(
-        "InitTransportServer",
-        {},
-      );
-      const serverEventFeed = fmController.feed("TransportEvents", {
-        Port: `${port}`,
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 200,
+        heartbeatTimeoutMs: 150,
       });
-      serverEventFeed.desireOpen();
-      await promisifyEvent(serverEventFeed, "open");
+      await connectClient(serverEventFeed, transportClient);
 
-      // Start the transport server and wait until started
-      fmController.action("InvokeTransportMethod", {
-        Port: port,
-        Method: "start",
-        Arguments: [],
-      });
-      await new Promise((resolve) => {
-        serverEventFeed.on("action", (an, ad) => {
-          if (an === "Event" && ad.Name === "start") {
-            serverEventFeed.removeAllListeners("action");
-            resolve();
-          }
-        });
+      const clientListener = createClientListener(transportClient);
+
+      // Ping is sent and not answered
+      expect(await nextClientMessage(serverEventFeed)).toBe("ping");
+      await promisifyEvent(transportClient, "disconnect");
+
+      expect(clientListener.connecting.calls.count()).toBe(0);
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0).length).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0)[0]).toEqual(
+        jasmine.any(Error),
+      );
+      expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
+        "FAILURE: The WebSocket heartbeat failed.",
+      );
+      expect(clientListener.message.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should not ping if the heartbeat is disabled",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 0,
       });
+      await connectClient(serverEventFeed, transportClient);
 
-      // Connect a transport client and get server client id
-      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
-      transportClient.connect();
-      const evts = await Promise.all([
-        promisifyEvent(transportClient, "connect"),
-        promisifyEvent(serverEventFeed, "action"), // connection
-      ]);
-      const serverClientId = evts[1][1].Arguments[0];
+      const serverListener = jasmine.createSpy();
+      serverEventFeed.on("action", serverListener);
+      await delay(500);
 
-      // Send the server a message and check the server event
-      transportClient.send("msg");
-      const evt = await promisifyEvent(serverEventFeed, "action");
-      expect(evt[0]).toBe("Event");
-      expect(evt[1].Name).toBe("message");
-      expect(evt[1].Arguments.length).toBe(2);
-      expect(evt[1].Arguments[0]).toBe(serverClientId);
-      expect(evt[1].Arguments[1]).toBe("msg");
+      expect(serverListener.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("connected");
 
       // Clean up
-      await fmController.action("DestroyTransportServer", { Port: port });
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
       disconnectController(fmController);
     }),
   );
 });
 
-describe("The server.stop() function", () => {
+describe("Reconnection", () => {
+  // State functions and client events
+
   it(
-    "should emit disconnect on the client",
+    "should emit disconnect, connecting, and reconnecting and remain connecting",
     retry(async () => {
       const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
 
-      // Initialize a transport server and open the events feed
-      const { Port: port } = await fmController.action(
-        "InitTransportServer",
-        {},
-      );
-      const serverEventFeed = fmController.feed("TransportEvents", {
-        Port: `${port}`,
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 0,
+        reconnect: { initialDelayMs: 100, jitter: 0 },
       });
-      serverEventFeed.desireOpen();
-      await promisifyEvent(serverEventFeed, "open");
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
 
-      // Start the transport server and wait until started
-      fmController.action("InvokeTransportMethod", {
-        Port: port,
-        Method: "start",
-        Arguments: [],
+      const clientListener = createClientListener(transportClient);
+      const reconnecting = jasmine.createSpy();
+      transportClient.on("reconnecting", reconnecting);
+      const order = [];
+      ["disconnect", "connecting", "reconnecting"].forEach((evt) => {
+        transportClient.on(evt, () => order.push(evt));
       });
-      await new Promise((resolve) => {
-        serverEventFeed.on("action", (an, ad) => {
+
+      closeFromServer(fmController, port, serverClientId);
+      await promisifyEvent(transportClient, "reconnecting");
+
+      expect(order).toEqual(["disconnect", "connecting", "reconnecting"]);
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
+        "FAILURE: The WebSocket closed unexpectedly.",
+      );
+      expect(clientListener.connecting.calls.count()).toBe(1);
+      expect(clientListener.connecting.calls.argsFor(0).length).toBe(0);
+      expect(reconnecting.calls.count()).toBe(1);
+      expect(reconnecting.calls.argsFor(0)).toEqual([1, 100]);
+      expect(transportClient.state()).toBe("connecting");
+
+      // The attempt is made once the delay elapses
+      await promisifyEvent(transportClient, "connect");
+
+      expect(clientListener.connecting.calls.count()).toBe(1);
+      expect(clientListener.connect.calls.count()).toBe(1);
+      expect(transportClient.state()).toBe("connected");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should cancel the pending attempt on a call to disconnect()",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 0,
+        reconnect: { initialDelayMs: 100, jitter: 0 },
+      });
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
+
+      closeFromServer(fmController, port, serverClientId);
+      await promisifyEvent(transportClient, "reconnecting");
+
+      const clientListener = createClientListener(transportClient);
+      transportClient.disconnect();
+
+      expect(transportClient.state()).toBe("disconnected");
+
+      await delay(300);
+
+      expect(clientListener.connecting.calls.count()).toBe(0);
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0).length).toBe(0);
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should make the pending attempt immediately on a call to connect()",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 0,
+        reconnect: { initialDelayMs: 60000, jitter: 0 },
+      });
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
+
+      closeFromServer(fmController, port, serverClientId);
+      await promisifyEvent(transportClient, "reconnecting");
+
+      const clientListener = createClientListener(transportClient);
+      transportClient.connect();
+
+      expect(transportClient.state()).toBe("connecting");
+
+      await promisifyEvent(transportClient, "connect");
+
+      expect(clientListener.connecting.calls.count()).toBe(0);
+      expect(clientListener.connect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("connected");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should stop after the maximum number of attempts",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 0,
+        reconnect: {
+          initialDelayMs: 50,
+          multiplier: 2,
+          jitter: 0,
+          maxAttempts: 2,
+        },
+      });
+      await connectClient(serverEventFeed, transportClient);
+
+      const clientListener = createClientListener(transportClient);
+      const reconnecting = jasmine.createSpy();
+      transportClient.on("reconnecting", reconnecting);
+
+      // Stop the server so that the connection and both attempts fail
+      await fmController.action("DestroyWsServer", { Port: port });
+      while (clientListener.disconnect.calls.count() < 3) {
+        await promisifyEvent(transportClient, "disconnect"); // eslint-disable-line no-await-in-loop
+      }
+      await delay(300);
+
+      expect(reconnecting.calls.allArgs()).toEqual([
+        [1, 50],
+        [2, 100],
+      ]);
+      expect(clientListener.connecting.calls.count()).toBe(2);
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(3);
+      expect(clientListener.disconnect.calls.argsFor(2)[0].message).toBe(
+        "FAILURE: The WebSocket could not be opened.",
+      );
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should not reconnect after an application close code",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 0,
+        reconnect: { initialDelayMs: 50, jitter: 0 },
+      });
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
+
+      const clientListener = createClientListener(transportClient);
+      const reconnecting = jasmine.createSpy();
+      transportClient.on("reconnecting", reconnecting);
+
+      fmController.action("InvokeWsClientMethod", {
+        Port: `${port}`,
+        Method: "close",
+        Arguments: [4001, "Banned"],
+        ClientId: serverClientId,
+      });
+      await promisifyEvent(transportClient, "disconnect");
+      await delay(200);
+
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0)[0].wsCode).toBe(4001);
+      expect(clientListener.connecting.calls.count()).toBe(0);
+      expect(reconnecting.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  // Server events - N/A
+});
+
+describe("The connection timeout", () => {
+  // State functions and client events
+
+  it(
+    "should disconnect if the connection is not established in time",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initWsServer(fmController);
+
+      // Time out before the WebSocket can open
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        connectTimeoutMs: 1,
+      });
+      const clientListener = createClientListener(transportClient);
+      transportClient.connect();
+      await promisifyEvent(transportClient, "disconnect");
+
+      expect(clientListener.connecting.calls.count()).toBe(1);
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0).length).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0)[0]).toEqual(
+        jasmine.any(Error),
+      );
+      expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
+        "FAILURE: Connection timed out.",
+      );
+      expect(clientListener.message.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  // Server events - N/A
+});
+
+describe("The transport.connectAsync() function", () => {
+  // Returns a minimal AbortSignal, as not all targeted browsers support
+  // AbortController
+  const createSignal = () => {
+    const listeners = [];
+    return {
+      aborted: false,
+      addEventListener: (evt, fn) => {
+        listeners.push(fn);
+      },
+      removeEventListener: (evt, fn) => {
+        const idx = listeners.indexOf(fn);
+        if (idx >= 0) {
+          listeners.splice(idx, 1);
+        }
+      },
+      abort() {
+        this.aborted = true;
+        listeners.slice().forEach((fn) => fn());
+      },
+    };
+  };
+
+  // Returns the error that a promise rejects with, or null if it resolves
+  const rejection = async (promise) => {
+    try {
+      await promise;
+    } catch (e) {
+      return e;
+    }
+    return null;
+  };
+
+  it(
+    "should resolve once connected",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      const err = await rejection(
+        transportClient.connectAsync({ signal: createSignal() }),
+      );
+
+      expect(err).toBe(null);
+      expect(transportClient.state()).toBe("connected");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should reject and not connect if the signal is already aborted",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      const clientListener = createClientListener(transportClient);
+      const signal = createSignal();
+      signal.abort();
+      const err = await rejection(transportClient.connectAsync({ signal }));
+
+      expect(err).toEqual(jasmine.any(Error));
+      expect(err.message).toBe("ABORTED: The operation was aborted.");
+      expect(clientListener.connecting.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should reject and disconnect if the signal is aborted while connecting",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      const clientListener = createClientListener(transportClient);
+      const signal = createSignal();
+      const promise = transportClient.connectAsync({ signal });
+      await promisifyEvent(transportClient, "connecting");
+      signal.abort();
+      const err = await rejection(promise);
+
+      expect(err).toEqual(jasmine.any(Error));
+      expect(err.message).toBe("ABORTED: The operation was aborted.");
+      expect(transportClient.state()).toBe("disconnected");
+
+      await promisifyEvent(transportClient, "disconnect");
+
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0).length).toBe(0);
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should reject and disconnect if the timeout elapses",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      const err = await rejection(
+        transportClient.connectAsync({ timeoutMs: 1 }),
+      );
+
+      expect(err).toEqual(jasmine.any(Error));
+      expect(err.message).toBe("FAILURE: Connection timed out.");
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  // Server events - N/A
+});
+
+describe("Binary mode", () => {
+  // The raw WS server selects the first subprotocol offered, which is the
+  // binary subprotocol if binary mode is enabled and the heartbeat disabled
+
+  it(
+    "should emit binary messages from the server as ArrayBuffers",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        binary: true,
+        heartbeatIntervalMs: 0,
+      });
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
+
+      const clientListener = createClientListener(transportClient);
+
+      // Send a message from the server
+      fmController.action("InvokeWsClientMethod", {
+        Port: `${port}`,
+        Method: "send",
+        ClientId: serverClientId,
+        Arguments: ["binary"], // server changes "binary" to actual binary
+      });
+      await promisifyEvent(transportClient, "message");
+
+      expect(clientListener.disconnect.calls.count()).toBe(0);
+      expect(clientListener.message.calls.count()).toBe(1);
+      expect(clientListener.message.calls.argsFor(0).length).toBe(1);
+      expect(clientListener.message.calls.argsFor(0)[0]).toEqual(
+        jasmine.any(ArrayBuffer),
+      );
+      expect(clientListener.message.calls.argsFor(0)[0].byteLength).toBe(20); // Float32Array(5)
+      expect(transportClient.state()).toBe("connected");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should continue to emit string messages from the server",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        binary: true,
+        heartbeatIntervalMs: 0,
+      });
+      const serverClientId = await connectClient(
+        serverEventFeed,
+        transportClient,
+      );
+
+      const clientListener = createClientListener(transportClient);
+
+      // Send a message from the server
+      fmController.action("InvokeWsClientMethod", {
+        Port: `${port}`,
+        Method: "send",
+        ClientId: serverClientId,
+        Arguments: ["msg"],
+      });
+      await promisifyEvent(transportClient, "message");
+
+      expect(clientListener.message.calls.count()).toBe(1);
+      expect(clientListener.message.calls.argsFor(0)).toEqual(["msg"]);
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should send binary messages to the server",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initWsServer(fmController);
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        binary: true,
+        heartbeatIntervalMs: 0,
+      });
+      await connectClient(serverEventFeed, transportClient);
+
+      // Send the bytes of "msg" - the server reveals a message buffer as text
+      transportClient.send(new Uint8Array([109, 115, 103]));
+      const evtRevelation = await promisifyEvent(serverEventFeed, "action");
+
+      expect(evtRevelation[1].Name).toBe("clientMessage");
+      expect(evtRevelation[1].Arguments).toEqual(["msg"]);
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyWsServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  // Server events - N/A
+});
+
+// Tests against a transport server
+// Test only that the invokations on the library-facing side of the client API
+// generate the correct events on the server, and vice versa
+
+describe("The transport.connect() function", () => {
+  it(
+    "should emit connect on the server",
+    retry(async () => {
+      const fmController = await connectController();
+
+      // Initialize a transport server and open the events feed
+      const { Port: port } = await fmController.action(
+        "InitTransportServer",
+        {},
+      );
+      const serverEventFeed = fmController.feed("TransportEvents", {
+        Port: `${port}`,
+      });
+      serverEventFeed.desireOpen();
+      await promisifyEvent(serverEventFeed, "open");
+
+      // Start the transport server and wait until started
+      fmController.action("InvokeTransportMethod", {
+        Port: port,
+        Method: "start",
+        Arguments: [],
+      });
+      await new Promise((resolve) => {
+        serverEventFeed.on("action", (an, ad) => {
+          if (an === "Event" && ad.Name === "start") {
+            serverEventFeed.removeAllListeners("action");
+            resolve();
+          }
+        });
+      });
+
+      // Connect a transport client and check the server event
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      transportClient.connect();
+      const evt = await promisifyEvent(serverEventFeed, "action");
+      expect(evt[0]).toBe("Event");
+      expect(evt[1].Name).toBe("connect");
+      expect(evt[1].Arguments.length).toBe(1);
+      expect(evt[1].Arguments[0]).toEqual(jasmine.any(String));
+
+      // Clean up
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+});
+
+describe("The transport.disconnect() function", () => {
+  it(
+    "should emit disconnect on the server",
+    retry(async () => {
+      const fmController = await connectController();
+
+      // Initialize a transport server and open the events feed
+      const { Port: port } = await fmController.action(
+        "InitTransportServer",
+        {},
+      );
+      const serverEventFeed = fmController.feed("TransportEvents", {
+        Port: `${port}`,
+      });
+      serverEventFeed.desireOpen();
+      await promisifyEvent(serverEventFeed, "open");
+
+      // Start the transport server and wait until started
+      fmController.action("InvokeTransportMethod", {
+        Port: port,
+        Method: "start",
+        Arguments: [],
+      });
+      await new Promise((resolve) => {
+        serverEventFeed.on("action", (an, ad) => {
+          if (an === "Event" && ad.Name === "start") {
+            serverEventFeed.removeAllListeners("action");
+            resolve();
+          }
+        });
+      });
+
+      // Connect a transport client and get server client id
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      transportClient.connect();
+      const evts = await Promise.all([
+        promisifyEvent(transportClient, "connect"),
+        promisifyEvent(serverEventFeed, "action"), // connection
+      ]);
+      const serverClientId = evts[1][1].Arguments[0];
+
+      // Disconnect the client and check the server event
+      transportClient.disconnect();
+      const evt = await promisifyEvent(serverEventFeed, "action");
+      expect(evt[0]).toBe("Event");
+      expect(evt[1].Name).toBe("disconnect");
+      expect(evt[1].Arguments.length).toBe(2); // Client ID and Error object
+      expect(evt[1].Arguments[0]).toBe(serverClientId);
+
+      // Clean up
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+});
+
+describe("The transport.send() function", () => {
+  it(
+    "should emit message on the server",
+    retry(async () => {
+      const fmController = await connectController();
+
+      // Initialize a transport server and open the events feed
+      const { Port: port } = await fmController.action(
+        "InitTransportServer",
+        {},
+      );
+      const serverEventFeed = fmController.feed("TransportEvents", {
+        Port: `${port}`,
+      });
+      serverEventFeed.desireOpen();
+      await promisifyEvent(serverEventFeed, "open");
+
+      // Start the transport server and wait until started
+      fmController.action("InvokeTransportMethod", {
+        Port: port,
+        Method: "start",
+        Arguments: [],
+      });
+      await new Promise((resolve) => {
+        serverEventFeed.on("action", (an, ad) => {
+          if (an === "Event" && ad.Name === "start") {
+            serverEventFeed.removeAllListeners("action");
+            resolve();
+          }
+        });
+      });
+
+      // Connect a transport client and get server client id
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      transportClient.connect();
+      const evts = await Promise.all([
+        promisifyEvent(transportClient, "connect"),
+        promisifyEvent(serverEventFeed, "action"), // connection
+      ]);
+      const serverClientId = evts[1][1].Arguments[0];
+
+      // Send the server a message and check the server event
+      transportClient.send("msg");
+      const evt = await promisifyEvent(serverEventFeed, "action");
+      expect(evt[0]).toBe("Event");
+      expect(evt[1].Name).toBe("message");
+      expect(evt[1].Arguments.length).toBe(2);
+      expect(evt[1].Arguments[0]).toBe(serverClientId);
+      expect(evt[1].Arguments[1]).toBe("msg");
+
+      // Clean up
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+});
+
+describe("The server.stop() function", () => {
+  it(
+    "should emit disconnect on the client",
+    retry(async () => {
+      const fmController = await connectController();
+
+      // Initialize a transport server and open the events feed
+      const { Port: port } = await fmController.action(
+        "InitTransportServer",
+        {},
+      );
+      const serverEventFeed = fmController.feed("TransportEvents", {
+        Port: `${port}`,
+      });
+      serverEventFeed.desireOpen();
+      await promisifyEvent(serverEventFeed, "open");
+
+      // Start the transport server and wait until started
+      fmController.action("InvokeTransportMethod", {
+        Port: port,
+        Method: "start",
+        Arguments: [],
+      });
+      await new Promise((resolve) => {
+        serverEventFeed.on("action", (an, ad) => {
           if (an === "Event" && ad.Name === "start") {
             serverEventFeed.removeAllListeners("action");
             resolve();
@@ -2916,3 +3689,150 @@ it(
     // disconnectController(fmController);
   }),
 );
+
+describe("Protocol negotiation", () => {
+  // Initializes and starts a transport server and returns its port and events
+  // feed
+  const initTransportServer = async (fmController, options) => {
+    const { Port: port } = await fmController.action("InitTransportServer", {
+      Options: options,
+    });
+    const serverEventFeed = fmController.feed("TransportEvents", {
+      Port: `${port}`,
+    });
+    serverEventFeed.desireOpen();
+    await promisifyEvent(serverEventFeed, "open");
+    fmController.action("InvokeTransportMethod", {
+      Port: port,
+      Method: "start",
+      Arguments: [],
+    });
+    await new Promise((resolve) => {
+      serverEventFeed.on("action", (an, ad) => {
+        if (an === "Event" && ad.Name === "start") {
+          serverEventFeed.removeAllListeners("action");
+          resolve();
+        }
+      });
+    });
+    return { port, serverEventFeed };
+  };
+
+  it(
+    "should select the version most preferred by the client",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port, serverEventFeed } = await initTransportServer(
+        fmController,
+        { protocols: ["feedme", "feedme.v2"] },
+      );
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        protocols: ["feedme.v2", "feedme"],
+      });
+      transportClient.connect();
+      const results = await Promise.all([
+        promisifyEvent(serverEventFeed, "action"),
+        promisifyEvent(transportClient, "connect"),
+      ]);
+      const serverClientId = results[0][1].Arguments[0];
+
+      expect(transportClient.protocol()).toBe("feedme.v2");
+      const { ReturnValue: serverProtocol } = await fmController.action(
+        "InvokeTransportMethod",
+        {
+          Port: port,
+          Method: "protocol",
+          Arguments: [serverClientId],
+        },
+      );
+      expect(serverProtocol).toBe("feedme.v2");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should fall back to a less preferred version supported by the server",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initTransportServer(fmController, {
+        protocols: ["feedme"],
+      });
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        protocols: ["feedme.v2", "feedme"],
+      });
+      transportClient.connect();
+      await promisifyEvent(transportClient, "connect");
+
+      expect(transportClient.protocol()).toBe("feedme");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should fail to connect if no version is supported by the server",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initTransportServer(fmController, {
+        protocols: ["feedme.v2"],
+      });
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`);
+      const clientListener = createClientListener(transportClient);
+      transportClient.connect();
+      await promisifyEvent(transportClient, "disconnect");
+
+      expect(clientListener.connect.calls.count()).toBe(0);
+      expect(clientListener.disconnect.calls.count()).toBe(1);
+      expect(clientListener.disconnect.calls.argsFor(0)[0]).toEqual(
+        jasmine.any(Error),
+      );
+      expect(clientListener.disconnect.calls.argsFor(0)[0].message).toBe(
+        "FAILURE: The WebSocket could not be opened.",
+      );
+      expect(transportClient.state()).toBe("disconnected");
+
+      // Clean up
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+
+  it(
+    "should run the heartbeat if the server supports it",
+    retry(async () => {
+      const fmController = await connectController();
+      const { port } = await initTransportServer(fmController, {});
+
+      const transportClient = feedmeTransportWsClient(`${TARGET_URL}:${port}`, {
+        heartbeatIntervalMs: 200,
+        heartbeatTimeoutMs: 150,
+      });
+      const clientListener = createClientListener(transportClient);
+      transportClient.connect();
+      await promisifyEvent(transportClient, "connect");
+
+      // The server answers pings on the heartbeat subprotocol
+      await delay(1000);
+
+      expect(transportClient.protocol()).toBe("feedme");
+      expect(clientListener.disconnect.calls.count()).toBe(0);
+      expect(clientListener.message.calls.count()).toBe(0);
+      expect(transportClient.state()).toBe("connected");
+
+      // Clean up
+      transportClient.disconnect();
+      await fmController.action("DestroyTransportServer", { Port: port });
+      disconnectController(fmController);
+    }),
+  );
+});
@@ -2405,6 +2405,10 @@ describe("The transport._processWsClose() function", () => {
         "FAILURE: The WebSocket closed unexpectedly.",
       );
       expect(listener.disconnect.mock.calls[0][0].wsCode).toBe(1006);
+      expect(listener.disconnect.mock.calls[0][0].wsWasClean).toBe(false);
+      expect(listener.disconnect.mock.calls[0][0].wsCloseCategory).toBe(
+        "networkFailure",
+      );
 
       expect(listener.message.mock.calls.length).toBe(0);
 
@@ -2481,6 +2485,10 @@ describe("The transport._processWsClose() function", () => {
         "FAILURE: The WebSocket closed unexpectedly.",
       );
       expect(listener.disconnect.mock.calls[0][0].wsCode).toBe(1000);
+      expect(listener.disconnect.mock.calls[0][0].wsWasClean).toBe(true);
+      expect(listener.disconnect.mock.calls[0][0].wsCloseCategory).toBe(
+        "normal",
+      );
 
       expect(listener.message.mock.calls.length).toBe(0);
 